@@ -30,39 +30,190 @@ async function loadChalk() {
   return chalk;
 }
 
-const { generate, validate } = require('../src/index');
+const { generate, validate, watch, preview, OUTPUT_FORMATS } = require('../src/index');
+const { isBatchInput, batchGenerate, formatBatchSummary, writeBatchReport, BATCH_STATUS } = require('../src/batch');
+const { resolveConfig } = require('../src/config');
+const { getDirectives } = require('../src/plugins');
+const { codeFrame } = require('../src/utils/code-frame');
+
+/**
+ * Вывод ошибок в исходном файле: file:line:column, сообщение и фрагмент кода
+ * @param {Object} c - chalk
+ * @param {string} inputPath - Путь к Markdown файлу
+ * @param {Array} errors - [{message, line, column}]
+ */
+function printSourceErrors(c, inputPath, errors) {
+  const source = fs.readFileSync(inputPath, 'utf-8');
+  const file = path.relative(process.cwd(), inputPath);
+  
+  for (const error of errors) {
+    console.error(`${c.bold(`${file}:${error.line}:${error.column}`)} ${c.red(error.message)}`);
+    console.error(c.gray(codeFrame(source, error.line, error.column)));
+    console.error('');
+  }
+}
+
+// JSON Schema front matter - для автодополнения в редакторах
+program
+  .command('schema')
+  .description('Вывести JSON Schema YAML front matter (с полями из конфигурации)')
+  .option('-o, --output <path>', 'Записать схему в файл вместо stdout')
+  .option('-c, --config <path>', 'Файл конфигурации (по умолчанию chtz.config.{js,json} ищется вверх от текущей директории)')
+  .option('--no-config', 'Не использовать файл конфигурации')
+  .action(async (options) => {
+    const c = await loadChalk();
+    
+    let config;
+    try {
+      config = resolveConfig({
+        config: typeof options.config === 'string' ? path.resolve(options.config) : options.config
+      });
+    } catch (error) {
+      console.error(c.red(`❌ Ошибка конфигурации: ${error.message}`));
+      process.exit(1);
+    }
+    
+    const schema = JSON.stringify(config.frontMatterSchema, null, 2);
+    if (options.output) {
+      fs.writeFileSync(path.resolve(options.output), schema + '\n', 'utf-8');
+      console.error(c.green(`✅ Схема записана: ${path.resolve(options.output)}`));
+    } else {
+      console.log(schema);
+    }
+  });
+
+/**
+ * Пакетная генерация: сводная таблица, JSON отчёт, код выхода 1 при ошибках
+ */
+async function runBatchMode(c, inputs, options) {
+  if (options.output || options.watch || options.preview || options.check || options.validateOnly || options.compareWith) {
+    console.error(c.red('❌ В пакетном режиме недоступны -o, --watch, --preview, --check, --validate-only и --compare-with (используйте --out-dir)'));
+    process.exit(1);
+  }
+  
+  const icons = {
+    [BATCH_STATUS.SUCCESS]: c.green('✓'),
+    [BATCH_STATUS.WARNING]: c.yellow('⚠'),
+    [BATCH_STATUS.FAILED]: c.red('✗')
+  };
+  
+  let report;
+  try {
+    report = await batchGenerate(inputs, {
+      outDir: options.outDir,
+      jobs: options.jobs,
+      templatePath: options.template ? path.resolve(options.template) : undefined,
+      imagesDir: options.images ? path.resolve(options.images) : undefined,
+      config: typeof options.config === 'string' ? path.resolve(options.config) : options.config,
+      reproducible: options.reproducible,
+      format: options.format,
+      onItem: (entry) => {
+        console.log(`${icons[entry.status]} ${path.relative(process.cwd(), entry.input)}`);
+        if (options.verbose) {
+          for (const warning of entry.warnings) console.log(c.yellow(`    ${warning}`));
+        }
+      }
+    });
+  } catch (error) {
+    console.error(c.red(`❌ ${error.message}`));
+    process.exit(1);
+  }
+  
+  if (report.items.length === 0) {
+    console.error(c.red('❌ Не найдено ни одного Markdown файла'));
+    process.exit(1);
+  }
+  
+  console.log('');
+  console.log(formatBatchSummary(report));
+  
+  if (options.report) {
+    writeBatchReport(report, options.report);
+    console.log(c.gray(`📋 Отчёт: ${path.resolve(options.report)}`));
+  }
+  
+  if (report.summary.failed > 0) {
+    process.exit(1);
+  }
+}
 
 program
   .name('chtz-generate')
   .description('Генератор документов ЧТЗ из Markdown в Word')
   .version('1.0.0')
-  .argument('<input>', 'Путь к Markdown файлу')
+  .argument('<inputs...>', 'Путь к Markdown файлу; несколько файлов, директория или glob-шаблон - пакетный режим')
   .option('-o, --output <path>', 'Путь для выходного файла')
+  .option('-f, --format <format>', `Формат результата: ${OUTPUT_FORMATS.join(' или ')}`, 'docx')
   .option('-t, --template <path>', 'Путь к шаблону docx')
+  .option('--compare-with <path>', 'Предыдущая версия Markdown: отличия от неё выводятся исправлениями Word')
   .option('-i, --images <dir>', 'Директория с изображениями')
+  .option('-c, --config <path>', 'Файл конфигурации (по умолчанию chtz.config.{js,json} ищется вверх от входного файла)')
+  .option('--no-config', 'Не использовать файл конфигурации')
   .option('-v, --verbose', 'Подробный вывод')
   .option('--validate-only', 'Только валидация без генерации')
-  .action(async (input, options) => {
+  .option('--reproducible', 'Воспроизводимый результат: одинаковый вход даёт побайтово одинаковый docx')
+  .option('--check', 'Проверить, что docx актуален (не записывая файл); код выхода 1, если устарел')
+  .option('-w, --watch', 'Следить за изменениями документа, изображений и шаблона и пересобирать docx')
+  .option('--preview', 'Предпросмотр в браузере с автообновлением (включает --watch)')
+  .option('--port <port>', 'Порт сервера предпросмотра', value => parseInt(value, 10), 4000)
+  .option('--out-dir <dir>', 'Пакетный режим: директория для docx (структура каталогов сохраняется)')
+  .option('-j, --jobs <n>', 'Пакетный режим: число параллельных потоков', value => parseInt(value, 10))
+  .option('--report <path>', 'Пакетный режим: записать отчёт в JSON')
+  .action(async (inputs, options) => {
     const c = await loadChalk();
     
+    if (!OUTPUT_FORMATS.includes(options.format)) {
+      console.error(c.red(`❌ Неизвестный формат: ${options.format}. Допустимо: ${OUTPUT_FORMATS.join(', ')}`));
+      process.exit(1);
+    }
+    
+    if (isBatchInput(inputs)) {
+      await runBatchMode(c, inputs, options);
+      return;
+    }
+    
     // Проверяем существование входного файла
-    const inputPath = path.resolve(input);
+    const inputPath = path.resolve(inputs[0]);
     
     if (!fs.existsSync(inputPath)) {
       console.error(c.red(`❌ Файл не найден: ${inputPath}`));
       process.exit(1);
     }
     
+    // Конфигурация проекта: --config, поиск вверх от входного файла или --no-config
+    let config;
+    try {
+      config = resolveConfig({
+        config: typeof options.config === 'string' ? path.resolve(options.config) : options.config,
+        inputPath
+      });
+    } catch (error) {
+      console.error(c.red(`❌ Ошибка конфигурации: ${error.message}`));
+      process.exit(1);
+    }
+    
+    // Путь к конфигурации выводит сам generate в подробном режиме
+    const plugins = getDirectives().map(directive => directive.name);
+    if (options.verbose && plugins.length > 0) {
+      console.log(c.gray(`🔌 Директивы плагинов: ${plugins.join(', ')}`));
+    }
+    const configOption = config.path || false;
+    
     // Режим валидации
     if (options.validateOnly) {
       console.log(c.blue('🔍 Валидация файла...'));
-      const result = await validate(inputPath);
+      const result = await validate(inputPath, { config: configOption });
       
       if (result.valid) {
         console.log(c.green('✅ Файл валиден'));
         console.log(c.gray(`   Заголовков: ${result.stats.headings}`));
         console.log(c.gray(`   Изображений: ${result.stats.images}`));
         console.log(c.gray(`   Ссылок: ${result.stats.links}`));
+      } else if (result.errors) {
+        console.error(c.red(`❌ Ошибок валидации: ${result.errors.length}`));
+        console.error('');
+        printSourceErrors(c, inputPath, result.errors);
+        process.exit(1);
       } else {
         console.error(c.red(`❌ Ошибка валидации: ${result.error}`));
         process.exit(1);
@@ -70,17 +221,88 @@ program
       return;
     }
     
-    // Генерация
-    console.log(c.blue('🚀 Запуск генератора ЧТЗ...'));
-    console.log('');
-    
-    const result = await generate({
+    const generateOptions = {
       inputPath,
       outputPath: options.output ? path.resolve(options.output) : undefined,
       templatePath: options.template ? path.resolve(options.template) : undefined,
       imagesDir: options.images ? path.resolve(options.images) : undefined,
+      config: configOption,
+      format: options.format,
+      compareWith: options.compareWith ? path.resolve(options.compareWith) : undefined,
+      reproducible: options.reproducible,
       verbose: options.verbose
-    });
+    };
+    
+    // Режим наблюдения: ошибки выводятся, процесс продолжает работу до Ctrl+C
+    if (options.watch || options.preview) {
+      if (options.check || options.validateOnly) {
+        console.error(c.red('❌ --watch и --preview несовместимы с --check и --validate-only'));
+        process.exit(1);
+      }
+      
+      const time = () => c.gray(`[${new Date().toLocaleTimeString('ru-RU')}]`);
+      const handlers = {
+        onStart: (changed) => {
+          if (changed.length > 0) {
+            console.log(`${time()} ${c.gray(`Изменено: ${changed.map(file => path.relative(process.cwd(), file)).join(', ')}`)}`);
+          }
+        },
+        onResult: (result) => {
+          if (result.success) {
+            console.log(`${time()} ${c.green('✅ Документ обновлён:')} ${result.outputPath} ${c.gray(`(${result.duration} мс)`)}`);
+          } else if (result.errors) {
+            console.error(`${time()} ${c.red(`❌ Ошибок: ${result.errors.length}`)}`);
+            printSourceErrors(c, inputPath, result.errors);
+          } else {
+            console.error(`${time()} ${c.red(`❌ ${result.error}`)}`);
+          }
+        }
+      };
+      
+      // Предпросмотр: HTML строится из того же разобранного документа, что и docx
+      if (options.preview) {
+        try {
+          const { url } = await preview({ ...generateOptions, port: options.port }, handlers);
+          console.log(c.blue(`🌐 Предпросмотр: ${url} (Ctrl+C - выход)`));
+        } catch (error) {
+          console.error(c.red(`❌ Не удалось запустить предпросмотр: ${error.message}`));
+          process.exit(1);
+        }
+        return;
+      }
+      
+      console.log(c.blue(`👀 Наблюдение за ${path.relative(process.cwd(), inputPath)} (Ctrl+C - выход)`));
+      watch(generateOptions, handlers);
+      return;
+    }
+    
+    // Режим проверки актуальности
+    if (options.check) {
+      const result = await generate({ ...generateOptions, check: true });
+      
+      if (!result.success) {
+        if (result.errors) {
+          printSourceErrors(c, inputPath, result.errors);
+        }
+        console.error(c.red(`❌ Ошибка генерации: ${result.error}`));
+        process.exit(1);
+      }
+      
+      if (result.upToDate) {
+        console.log(c.green(`✅ Документ актуален: ${result.outputPath}`));
+      } else {
+        console.error(c.red(`❌ Документ устарел: ${result.outputPath}`));
+        console.error(c.gray('   Пересоберите его: chtz-generate --reproducible'));
+        process.exit(1);
+      }
+      return;
+    }
+    
+    // Генерация
+    console.log(c.blue('🚀 Запуск генератора ЧТЗ...'));
+    console.log('');
+    
+    const result = await generate(generateOptions);
     
     console.log('');
     
@@ -95,12 +317,19 @@ program
       console.log(c.gray(`   Заголовков: ${result.stats.headings}`));
       console.log(c.gray(`   Изображений: ${result.stats.images}`));
       console.log(c.gray(`   Гиперссылок: ${result.stats.hyperlinks}`));
+      if (result.stats.revisions !== undefined) {
+        console.log(c.gray(`   Исправлений: ${result.stats.revisions}`));
+      }
     } else {
       console.error(c.red('═══════════════════════════════════════'));
       console.error(c.red('❌ Ошибка генерации'));
       console.error(c.red('═══════════════════════════════════════'));
       console.error('');
-      console.error(c.red(result.error));
+      if (result.errors) {
+        printSourceErrors(c, inputPath, result.errors);
+      } else {
+        console.error(c.red(result.error));
+      }
       if (options.verbose && result.stack) {
         console.error('');
         console.error(c.gray(result.stack));
@@ -0,0 +1,95 @@
+#!/usr/bin/env node
+
+/**
+ * CHTZ Lint CLI
+ * Проверка Markdown документов ЧТЗ набором правил
+ */
+
+const { program, InvalidArgumentError } = require('commander');
+const path = require('path');
+const fs = require('fs');
+
+const { lintFile, RULES } = require('../src/lint');
+const { FORMATTERS } = require('../src/lint/formatters');
+const { resolveConfig } = require('../src/config');
+
+/**
+ * Накопление повторяющейся опции --rule id=уровень
+ */
+function collectRule(value, rules) {
+  const [ruleId, severity] = value.split('=');
+  if (!ruleId || !severity) {
+    throw new InvalidArgumentError(`Ожидается --rule <правило>=<off|warning|error>, получено: ${value}`);
+  }
+  return { ...rules, [ruleId.trim()]: severity.trim() };
+}
+
+program
+  .name('chtz-lint')
+  .description('Проверка Markdown документов ЧТЗ')
+  .version('1.0.0')
+  .argument('[files...]', 'Markdown файлы для проверки')
+  .option('-f, --format <fmt>', `Формат вывода: ${Object.keys(FORMATTERS).join(', ')}`, 'text')
+  .option('-o, --output <path>', 'Записать отчёт в файл вместо stdout')
+  .option('-i, --images <dir>', 'Директория с изображениями')
+  .option('-r, --rule <rule=severity>', 'Уровень правила: off, warning, error (можно повторять)', collectRule, {})
+  .option('-c, --config <path>', 'Файл конфигурации (по умолчанию chtz.config.{js,json} ищется вверх от файла)')
+  .option('--no-config', 'Не использовать файл конфигурации')
+  .option('--list-rules', 'Показать список правил')
+  .action(async (files, options) => {
+    if (options.listRules) {
+      for (const rule of RULES) {
+        console.log(`${rule.id.padEnd(26)} ${rule.severity.padEnd(8)} ${rule.description}`);
+      }
+      return;
+    }
+
+    if (files.length === 0) {
+      program.help({ error: true });
+    }
+
+    const formatter = FORMATTERS[options.format];
+    if (!formatter) {
+      console.error(`❌ Неизвестный формат: ${options.format}`);
+      process.exit(2);
+    }
+
+    const results = [];
+
+    try {
+      for (const file of files) {
+        const filePath = path.resolve(file);
+        if (!fs.existsSync(filePath)) {
+          throw new Error(`Файл не найден: ${filePath}`);
+        }
+
+        // Конфигурация у каждого файла своя: поиск идёт вверх от его директории
+        const config = resolveConfig({
+          config: typeof options.config === 'string' ? path.resolve(options.config) : options.config,
+          inputPath: filePath
+        });
+
+        results.push(await lintFile(filePath, {
+          config,
+          rules: { ...config.lint.rules, ...options.rule },
+          imagesDir: options.images ? path.resolve(options.images) : undefined
+        }));
+      }
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      process.exit(2);
+    }
+
+    const report = formatter(results);
+    if (options.output) {
+      fs.writeFileSync(path.resolve(options.output), report, 'utf-8');
+    } else {
+      console.log(report);
+    }
+
+    if (results.some(result => result.errorCount > 0)) {
+      process.exit(1);
+    }
+  });
+
+program.parse();
@@ -30,31 +30,137 @@ async function loadChalk() {
   return chalk;
 }
 
-const { ReverseConverter } = require('../src/reverse');
+const { ReverseConverter, REVISION_MODES } = require('../src/reverse');
+const { resolveConfig, getReverseOptions } = require('../src/config');
+const { getDirectives } = require('../src/plugins');
+const { isBatchInput, batchReverse, formatBatchSummary, writeBatchReport, BATCH_STATUS } = require('../src/batch');
+
+/**
+ * Пакетная конвертация: сводная таблица, JSON отчёт, код выхода 1 при ошибках
+ */
+async function runBatchMode(c, inputs, options) {
+  if (options.output || options.diff || options.comments || options.format !== 'md') {
+    console.error(c.red('❌ В пакетном режиме недоступны -o, --diff, --comments и --format json (используйте --out-dir)'));
+    process.exit(1);
+  }
+
+  const icons = {
+    [BATCH_STATUS.SUCCESS]: c.green('✓'),
+    [BATCH_STATUS.WARNING]: c.yellow('⚠'),
+    [BATCH_STATUS.FAILED]: c.red('✗')
+  };
+
+  let report;
+  try {
+    report = await batchReverse(inputs, {
+      outDir: options.outDir,
+      jobs: options.jobs,
+      config: typeof options.config === 'string' ? path.resolve(options.config) : options.config,
+      extractImages: options.images !== false,
+      imagesDir: options.imagesDir,
+      strict: options.strict,
+      revisions: options.revisions,
+      onItem: (entry) => {
+        console.log(`${icons[entry.status]} ${path.relative(process.cwd(), entry.input)}`);
+        if (options.verbose) {
+          for (const warning of entry.warnings) console.log(c.yellow(`    ${warning}`));
+        }
+      }
+    });
+  } catch (error) {
+    console.error(c.red(`❌ ${error.message}`));
+    process.exit(1);
+  }
+
+  if (report.items.length === 0) {
+    console.error(c.red('❌ Не найдено ни одного DOCX файла'));
+    process.exit(1);
+  }
+
+  console.log('');
+  console.log(formatBatchSummary(report));
+
+  if (options.report) {
+    writeBatchReport(report, options.report);
+    console.log(c.gray(`📋 Отчёт: ${path.resolve(options.report)}`));
+  }
+
+  if (report.summary.failed > 0) {
+    process.exit(1);
+  }
+}
 
 program
   .name('chtz-reverse')
   .description('Конвертер документов ЧТЗ из Word (.docx) в Markdown')
   .version('1.0.0')
-  .argument('<input>', 'Путь к DOCX файлу')
+  .argument('<inputs...>', 'Путь к DOCX файлу; несколько файлов, директория или glob-шаблон - пакетный режим')
   .option('-o, --output <path>', 'Путь для выходного Markdown файла')
-  .option('--images-dir <dir>', 'Директория для сохранения изображений', 'images')
+  .option('--images-dir <dir>', 'Директория для сохранения изображений (по умолчанию images)')
   .option('--no-images', 'Не извлекать изображения')
   .option('--diff <original>', 'Сравнить с оригинальным Markdown файлом')
   .option('--strict', 'Строгий режим валидации')
   .option('--format <fmt>', 'Формат вывода: md, json', 'md')
+  .option('--revisions <mode>', 'Исправления Word: accept - принять (по умолчанию), reject - отклонить, annotate - разметка CriticMarkup {++ ++} / {-- --}', 'accept')
+  .option('--comments [mode]', 'Извлечь комментарии рецензентов: file - в файл <имя>.comments.md (по умолчанию), inline - блоками :::comment')
+  .option('-c, --config <path>', 'Файл конфигурации (по умолчанию chtz.config.{js,json} ищется вверх от входного файла)')
+  .option('--no-config', 'Не использовать файл конфигурации')
   .option('-v, --verbose', 'Подробный вывод')
-  .action(async (input, options) => {
+  .option('--out-dir <dir>', 'Пакетный режим: директория для Markdown (структура каталогов сохраняется)')
+  .option('-j, --jobs <n>', 'Пакетный режим: число параллельных потоков', value => parseInt(value, 10))
+  .option('--report <path>', 'Пакетный режим: записать отчёт в JSON')
+  .action(async (inputs, options) => {
     const c = await loadChalk();
 
+    if (!REVISION_MODES.includes(options.revisions)) {
+      console.error(c.red(`❌ Неизвестный режим исправлений: ${options.revisions}. Допустимо: ${REVISION_MODES.join(', ')}`));
+      process.exit(1);
+    }
+
+    if (isBatchInput(inputs)) {
+      await runBatchMode(c, inputs, options);
+      return;
+    }
+
+    // --comments без значения - отдельный файл
+    const comments = options.comments === true ? 'file' : options.comments;
+    if (comments && !['file', 'inline'].includes(comments)) {
+      console.error(c.red(`❌ Неизвестный режим комментариев: ${comments}. Допустимо: file, inline`));
+      process.exit(1);
+    }
+
     // Проверяем существование входного файла
-    const inputPath = path.resolve(input);
+    const inputPath = path.resolve(inputs[0]);
 
     if (!fs.existsSync(inputPath)) {
       console.error(c.red(`❌ Файл не найден: ${inputPath}`));
       process.exit(1);
     }
 
+    // Конфигурация проекта: --config, поиск вверх от входного файла или --no-config
+    let config;
+    try {
+      config = resolveConfig({
+        config: typeof options.config === 'string' ? path.resolve(options.config) : options.config,
+        inputPath
+      });
+    } catch (error) {
+      console.error(c.red(`❌ Ошибка конфигурации: ${error.message}`));
+      process.exit(1);
+    }
+
+    if (options.verbose && config.path) {
+      console.log(c.gray(`⚙️  Конфигурация: ${config.path}`));
+      const plugins = getDirectives().map(directive => directive.name);
+      if (plugins.length > 0) {
+        console.log(c.gray(`🔌 Директивы плагинов: ${plugins.join(', ')}`));
+      }
+    }
+
+    // Явные флаги имеют приоритет над конфигурацией
+    const configOptions = getReverseOptions(config);
+    const imagesDir = options.imagesDir || configOptions.imagesDir || 'images';
+
     // Проверяем расширение
     if (!inputPath.toLowerCase().endsWith('.docx')) {
       console.error(c.red(`❌ Ожидается файл с расширением .docx`));
@@ -67,9 +173,12 @@ program
     try {
       // Создаём конвертер
       const converter = new ReverseConverter({
+        ...configOptions,
         extractImages: options.images !== false,
-        imagesDir: options.imagesDir,
-        strict: options.strict,
+        imagesDir,
+        strict: options.strict || configOptions.strict || false,
+        comments,
+        revisions: options.revisions,
         verbose: options.verbose
       });
 
@@ -100,6 +209,7 @@ program
           relatedDocs: result.relatedDocs,
           stats: result.stats,
           warnings: result.warnings,
+          comments: result.comments,
           images: result.images.map(img => ({
             filename: img.filename,
             contentType: img.contentType,
@@ -134,10 +244,17 @@ program
       // Сохраняем Markdown
       fs.writeFileSync(outputPath, result.markdown, 'utf-8');
 
+      // Комментарии рецензентов - рядом с Markdown
+      if (result.review !== undefined) {
+        const reviewPath = outputPath.replace(/\.md$/i, '') + '.comments.md';
+        fs.writeFileSync(reviewPath, result.review, 'utf-8');
+        console.log(c.gray(`   Комментарии рецензентов: ${reviewPath}`));
+      }
+
       // Сохраняем изображения
       if (options.images !== false && result.images && result.images.length > 0) {
-        const imagesDir = path.join(path.dirname(outputPath), options.imagesDir);
-        await converter.saveImages(result.images, imagesDir);
+        // Относительная директория - рядом с Markdown файлом
+        await converter.saveImages(result.images, path.resolve(path.dirname(outputPath), imagesDir));
         console.log(c.gray(`   Изображений сохранено: ${result.images.length}`));
       }
 
@@ -194,6 +311,9 @@ program
       console.log(c.gray('Статистика:'));
       console.log(c.gray(`   Разделов: ${result.stats?.sections || 0}`));
       console.log(c.gray(`   Изображений: ${result.stats?.images || 0}`));
+      if (comments) {
+        console.log(c.gray(`   Комментариев: ${result.stats?.comments || 0}`));
+      }
 
     } catch (error) {
       console.error(c.red('═══════════════════════════════════════'));
@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+
+/**
+ * CHTZ Server CLI
+ * Локальный HTTP сервис генерации и обратной конвертации
+ */
+
+const { program, InvalidArgumentError } = require('commander');
+const path = require('path');
+
+const { createServer, DEFAULT_MAX_BODY_SIZE } = require('../src/server');
+const { findConfigFile } = require('../src/config');
+
+/**
+ * Разбор положительного числа
+ */
+function parsePositive(value) {
+  const number = Number(value);
+  if (!Number.isFinite(number) || number <= 0) {
+    throw new InvalidArgumentError(`Ожидается положительное число, получено: ${value}`);
+  }
+  return number;
+}
+
+program
+  .name('chtz-server')
+  .description('HTTP сервис: POST /generate, /reverse, /validate, /diff')
+  .version('1.0.0')
+  .option('-p, --port <port>', 'Порт', parsePositive, 3000)
+  .option('-H, --host <host>', 'Адрес (по умолчанию только локальный)', '127.0.0.1')
+  .option('--max-size <mb>', 'Максимальный размер запроса, МБ', parsePositive, DEFAULT_MAX_BODY_SIZE / 1024 / 1024)
+  .option('-c, --config <path>', 'Файл конфигурации (по умолчанию chtz.config.{js,json} ищется вверх от текущей директории)')
+  .option('--no-config', 'Не использовать файл конфигурации')
+  .option('-q, --quiet', 'Не выводить журнал запросов')
+  .action((options) => {
+    const config = typeof options.config === 'string'
+      ? path.resolve(options.config)
+      : options.config !== false && findConfigFile(process.cwd());
+
+    let server;
+    try {
+      server = createServer({
+        config: config || false,
+        maxBodySize: Math.round(options.maxSize * 1024 * 1024),
+        log: options.quiet ? undefined : message => {
+          console.log(`[${new Date().toLocaleTimeString('ru-RU')}] ${message}`);
+        }
+      });
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      process.exit(1);
+    }
+
+    server.on('error', (error) => {
+      console.error(`❌ ${error.message}`);
+      process.exit(1);
+    });
+
+    server.listen(options.port, options.host, () => {
+      const { port } = server.address();
+      console.log(`🚀 chtz-server: http://${options.host}:${port}`);
+      if (config) console.log(`   Конфигурация: ${config}`);
+      console.log('   POST /generate, /reverse, /validate, /diff');
+      console.log('   Ctrl+C - остановка');
+    });
+
+    process.on('SIGINT', () => {
+      server.close(() => process.exit(0));
+    });
+  });
+
+program.parse();
@@ -0,0 +1,60 @@
+/**
+ * Пример плагина: матрица согласования :::approval-matrix
+ *
+ * :::approval-matrix
+ * | Роль | ФИО | Решение |
+ * |------|-----|---------|
+ * | Владелец процесса | Иванов И.И. | Согласовано |
+ * :::
+ *
+ * Подключение: chtz.config.json -> {"plugins": ["./plugins/approval-matrix.js"]}
+ * Во внешнем проекте билдеры подключаются как require('chtz-generator/src/builders')
+ */
+
+const { buildSimpleTable } = require('../../src/builders');
+
+const HEADERS = ['Роль', 'ФИО', 'Решение'];
+
+module.exports = {
+  name: 'approval-matrix',
+
+  // Разбор: строки таблицы из содержимого директивы
+  parse(node, { extractTable }) {
+    const table = extractTable(node.children);
+    return {
+      rows: table ? table.rows : []
+    };
+  },
+
+  // Генерация: таблица в стиле документа
+  build(data, styles, context) {
+    return buildSimpleTable(HEADERS, data.rows, styles, {
+      columnWidths: [3000, 3500, 2855],
+      scale: context.widthScale
+    });
+  },
+
+  // Обратная конвертация: таблица с заголовками "Роль | ФИО | Решение"
+  reverse: {
+    canRecognize(table) {
+      const header = (table.rows && table.rows[0] && table.rows[0].cells) || [];
+      return header.length === 3 &&
+        header.map(cell => (cell.text || '').trim().toLowerCase()).join('|') === 'роль|фио|решение';
+    },
+
+    recognize(table) {
+      return {
+        rows: table.rows.slice(1).map(row => row.cells.map(cell => (cell.text || '').trim()))
+      };
+    },
+
+    toMarkdown(data) {
+      const lines = [':::approval-matrix', `| ${HEADERS.join(' | ')} |`, '|------|-----|---------|'];
+      for (const row of data.rows) {
+        lines.push(`| ${row.map(cell => cell.replace(/\|/g, '\\|')).join(' | ')} |`);
+      }
+      lines.push(':::');
+      return lines.join('\n');
+    }
+  }
+};
@@ -4,158 +4,258 @@
 
 const fs = require('fs');
 const path = require('path');
-const os = require('os');
-const { RelationshipsManager, createBaseRelationships } = require('./relationships');
+const { createBaseRelationships } = require('./relationships');
 const {
-  unpackTemplate,
-  packToDocx,
+  TEMPLATE_PARTS,
+  loadTemplate,
+  writeEntry,
+  packToBuffer,
   updateContentTypes,
-  readRelationships,
-  writeRelationships,
-  writeDocument,
-  copyImageToMedia,
+  addContentTypeOverrides,
+  enableUpdateFields,
+  appendFootnotes,
+  appendListNumbering,
+  writeDocumentProperties,
+  addImageToMedia,
   getExistingImages
 } = require('./template-handler');
 const { getImageDimensions, pixelsToEmu, parseWidthAttribute } = require('../builders/image-builder');
 
 /**
- * Сборка docx документа
+ * Типы содержимого частей колонтитулов
+ */
+const HEADER_FOOTER_CONTENT_TYPES = {
+  header: 'application/vnd.openxmlformats-officedocument.wordprocessingml.header+xml',
+  footer: 'application/vnd.openxmlformats-officedocument.wordprocessingml.footer+xml'
+};
+
+/**
+ * Тип содержимого части комментариев
+ */
+const COMMENTS_CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.comments+xml';
+
+/**
+ * Сборка docx документа в памяти
  * @param {Object} options - Опции сборки
- * @param {string} options.templatePath - Путь к шаблону
- * @param {string} options.outputPath - Путь к выходному файлу
+ * @param {string|Buffer} options.template - Путь к шаблону или его содержимое
  * @param {string} options.documentXml - Сгенерированный document.xml
  * @param {Map} options.hyperlinks - Карта гиперссылок (url -> rId)
- * @param {Array} options.images - Массив изображений [{sourcePath, attributes}]
- * @param {string} options.imagesDir - Директория с изображениями
+ * @param {Array} options.images - Массив изображений [{sourcePath | data, name, rId}]
+ * @param {boolean} options.updateFields - Обновить поля (оглавление) при открытии в Word
+ * @param {string} options.footnotesXml - Сноски для footnotes.xml (элементы <w:footnote>)
+ * @param {string} options.commentsXml - Комментарии для comments.xml (элементы <w:comment>)
+ * @param {Array} options.listNumbering - Нумерации списков [{numId, baseNumId, level, start}]
+ * @param {Array} options.headersFooters - Колонтитулы [{kind, rId, xml}]
+ * @param {Object} options.properties - Свойства документа {coreXml, customXml}
+ * @param {boolean} options.reproducible - Фиксированные время и порядок записей архива
+ * @returns {Promise<Object>} {buffer, hyperlinkMapping, imageRIdMapping}
  */
-async function assembleDocx(options) {
+async function assembleDocxBuffer(options) {
   const {
-    templatePath,
-    outputPath,
+    template,
     documentXml,
     hyperlinks = new Map(),
     images = [],
-    imagesDir = '.'
+    updateFields = false,
+    footnotesXml = '',
+    commentsXml = '',
+    listNumbering = [],
+    headersFooters = [],
+    properties = null,
+    reproducible = false
   } = options;
   
-  // Создаём временную директорию
-  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'chtz-'));
+  // 1. Загружаем шаблон
+  const zip = loadTemplate(template);
   
-  try {
-    // 1. Распаковываем шаблон
-    const paths = unpackTemplate(templatePath, tempDir);
-    
-    // 2. Создаём менеджер relationships
-    const relsManager = createBaseRelationships();
+  // 2. Создаём менеджер relationships
+  const relsManager = createBaseRelationships();
+  
+  // 3. Добавляем гиперссылки
+  const hyperlinkMapping = new Map();
+  for (const [url, _] of hyperlinks) {
+    const rId = relsManager.addHyperlink(url);
+    hyperlinkMapping.set(url, rId);
+  }
+  
+  // 4. Обрабатываем изображения
+  const imageRIdMapping = new Map(); // oldRId -> newRId
+  const addedExtensions = new Set();
+  let imageCounter = getExistingImages(zip).length + 1;
+  
+  for (const imageInfo of images) {
+    const { sourcePath, rId: oldRId } = imageInfo;
     
-    // Если есть существующие rels - загружаем их
-    if (fs.existsSync(paths.relsPath)) {
-      const existingRels = readRelationships(paths.relsPath);
-      // Можем использовать для проверки, но используем базовые
+    // Содержимое передано в памяти (generateBuffer) или лежит на диске
+    let data = imageInfo.data;
+    if (!data) {
+      if (!fs.existsSync(sourcePath)) {
+        console.warn(`Изображение не найдено: ${sourcePath}`);
+        continue;
+      }
+      data = fs.readFileSync(sourcePath);
     }
     
-    // 3. Добавляем гиперссылки
-    const hyperlinkMapping = new Map();
-    for (const [url, _] of hyperlinks) {
-      const rId = relsManager.addHyperlink(url);
-      hyperlinkMapping.set(url, rId);
-    }
+    // Определяем имя файла в media
+    const ext = path.extname(imageInfo.name || sourcePath);
+    const imageName = `image${imageCounter++}${ext}`;
     
-    // 4. Обрабатываем изображения
-    const imageRIdMapping = new Map(); // oldRId -> newRId
-    const addedExtensions = new Set();
-    let imageCounter = getExistingImages(paths.mediaDir).length + 1;
+    // Копируем изображение
+    addImageToMedia(zip, imageName, data);
     
-    for (const imageInfo of images) {
-      const { sourcePath, attributes, rId: oldRId } = imageInfo;
-      
-      // sourcePath уже полный путь с createAssemblyContext
-      let fullImagePath = sourcePath;
-      
-      if (!fs.existsSync(fullImagePath)) {
-        console.warn(`Изображение не найдено: ${fullImagePath}`);
-        continue;
-      }
-      
-      // Определяем имя файла в media
-      const ext = path.extname(fullImagePath);
-      const imageName = `image${imageCounter++}${ext}`;
-      
-      // Копируем изображение
-      copyImageToMedia(fullImagePath, paths.mediaDir, imageName);
-      
-      // Добавляем relationship
-      const newRId = relsManager.addImage(`media/${imageName}`);
-      
-      // Сохраняем маппинг старого rId на новый
-      imageRIdMapping.set(oldRId, newRId);
-      
-      addedExtensions.add(ext);
-    }
+    // Добавляем relationship
+    const newRId = relsManager.addImage(`media/${imageName}`);
     
-    // 5. Обновляем document.xml с правильными rId
-    let finalDocumentXml = documentXml;
-
-    // Заменяем placeholder rId для гиперссылок
-    // hyperlinks Map содержит: url -> temporaryRId (rId100, rId101...)
-    // hyperlinkMapping содержит: url -> finalRId (rId9, rId10...)
-    // Нужно заменить все временные rId на финальные
-    for (const [url, tempRId] of hyperlinks) {
-      const finalRId = hyperlinkMapping.get(url);
-      if (finalRId) {
-        // Заменяем временный ID на финальный в гиперссылках
-        finalDocumentXml = finalDocumentXml.replace(
-          new RegExp(`r:id="${escapeRegex(tempRId)}"`, 'g'),
-          `r:id="${finalRId}"`
-        );
-      }
-    }
+    // Сохраняем маппинг старого rId на новый
+    imageRIdMapping.set(oldRId, newRId);
     
-    // Заменяем placeholder rId для изображений
-    // Сначала заменяем на временные уникальные placeholders, затем на финальные rId
-    const tempReplacements = [];
-    for (const [oldRId, newRId] of imageRIdMapping) {
-      const tempPlaceholder = `__IMG_PLACEHOLDER_${oldRId}__`;
-      tempReplacements.push({ oldRId, newRId, tempPlaceholder });
-      
-      // Шаг 1: заменяем oldRId на временный placeholder
+    addedExtensions.add(ext);
+  }
+  
+  // 5. Обновляем document.xml с правильными rId
+  let finalDocumentXml = documentXml;
+  
+  // Колонтитулы: отдельные части word/header1.xml, word/footer1.xml
+  const partOverrides = [];
+  const partCounters = { header: 0, footer: 0 };
+  for (const { kind, rId: tempRId, xml } of headersFooters) {
+    const fileName = `${kind}${++partCounters[kind]}.xml`;
+    writeEntry(zip, `word/${fileName}`, xml);
+    
+    const finalRId = kind === 'header'
+      ? relsManager.addHeader(fileName)
+      : relsManager.addFooter(fileName);
+    finalDocumentXml = finalDocumentXml.replace(
+      new RegExp(`r:id="${escapeRegex(tempRId)}"`, 'g'),
+      `r:id="${finalRId}"`
+    );
+    
+    partOverrides.push({ partName: `/word/${fileName}`, contentType: HEADER_FOOTER_CONTENT_TYPES[kind] });
+  }
+  
+  // Комментарии рецензентов: в шаблоне части нет - добавляются связь и тип содержимого
+  if (commentsXml) {
+    writeEntry(zip, TEMPLATE_PARTS.comments, buildCommentsPart(commentsXml));
+    relsManager.addComments('comments.xml');
+    partOverrides.push({ partName: `/${TEMPLATE_PARTS.comments}`, contentType: COMMENTS_CONTENT_TYPE });
+  }
+
+  // Нумерованные списки: временные numId заменяются на добавленные в numbering.xml
+  if (listNumbering.length > 0) {
+    const numIdMapping = appendListNumbering(zip, listNumbering);
+    for (const [tempNumId, finalNumId] of numIdMapping) {
       finalDocumentXml = finalDocumentXml.replace(
-        new RegExp(`r:embed="${escapeRegex(oldRId)}"`, 'g'),
-        `r:embed="${tempPlaceholder}"`
+        new RegExp(`<w:numId w:val="${escapeRegex(tempNumId)}"/>`, 'g'),
+        `<w:numId w:val="${finalNumId}"/>`
       );
     }
-    
-    // Шаг 2: заменяем placeholders на финальные rId
-    for (const { newRId, tempPlaceholder } of tempReplacements) {
+  }
+
+  // Заменяем placeholder rId для гиперссылок
+  // hyperlinks Map содержит: url -> temporaryRId (rId100, rId101...)
+  // hyperlinkMapping содержит: url -> finalRId (rId9, rId10...)
+  // Нужно заменить все временные rId на финальные
+  for (const [url, tempRId] of hyperlinks) {
+    const finalRId = hyperlinkMapping.get(url);
+    if (finalRId) {
+      // Заменяем временный ID на финальный в гиперссылках
       finalDocumentXml = finalDocumentXml.replace(
-        new RegExp(`r:embed="${escapeRegex(tempPlaceholder)}"`, 'g'),
-        `r:embed="${newRId}"`
+        new RegExp(`r:id="${escapeRegex(tempRId)}"`, 'g'),
+        `r:id="${finalRId}"`
       );
     }
+  }
+  
+  // Заменяем placeholder rId для изображений
+  // Сначала заменяем на временные уникальные placeholders, затем на финальные rId
+  const tempReplacements = [];
+  for (const [oldRId, newRId] of imageRIdMapping) {
+    const tempPlaceholder = `__IMG_PLACEHOLDER_${oldRId}__`;
+    tempReplacements.push({ oldRId, newRId, tempPlaceholder });
     
-    // 6. Записываем файлы
-    writeDocument(paths.documentPath, finalDocumentXml);
-    writeRelationships(paths.relsPath, relsManager.toXml());
-    
-    // 7. Обновляем Content_Types если нужно
-    if (addedExtensions.size > 0) {
-      updateContentTypes(paths.contentTypesPath, Array.from(addedExtensions));
-    }
-    
-    // 8. Упаковываем в docx
-    packToDocx(tempDir, outputPath);
-    
-    return {
-      success: true,
-      outputPath,
-      hyperlinkMapping,
-      imageRIdMapping
-    };
-    
-  } finally {
-    // Очистка временной директории
-    fs.rmSync(tempDir, { recursive: true, force: true });
+    // Шаг 1: заменяем oldRId на временный placeholder
+    finalDocumentXml = finalDocumentXml.replace(
+      new RegExp(`r:embed="${escapeRegex(oldRId)}"`, 'g'),
+      `r:embed="${tempPlaceholder}"`
+    );
+  }
+  
+  // Шаг 2: заменяем placeholders на финальные rId
+  for (const { newRId, tempPlaceholder } of tempReplacements) {
+    finalDocumentXml = finalDocumentXml.replace(
+      new RegExp(`r:embed="${escapeRegex(tempPlaceholder)}"`, 'g'),
+      `r:embed="${newRId}"`
+    );
+  }
+  
+  // 6. Записываем части
+  writeEntry(zip, TEMPLATE_PARTS.document, finalDocumentXml);
+  writeEntry(zip, TEMPLATE_PARTS.rels, relsManager.toXml());
+  
+  // 7. Обновляем Content_Types если нужно
+  if (addedExtensions.size > 0) {
+    updateContentTypes(zip, Array.from(addedExtensions));
+  }
+  if (partOverrides.length > 0) {
+    addContentTypeOverrides(zip, partOverrides);
+  }
+  
+  // 8. Просим Word пересчитать поля (номера страниц в оглавлении)
+  if (updateFields) {
+    enableUpdateFields(zip);
+  }
+  
+  // 9. Сноски
+  if (footnotesXml) {
+    appendFootnotes(zip, footnotesXml);
+  }
+  
+  // 10. Свойства документа (docProps)
+  if (properties) {
+    writeDocumentProperties(zip, properties);
   }
+  
+  // 11. Упаковываем в docx
+  return {
+    buffer: packToBuffer(zip, { reproducible }),
+    hyperlinkMapping,
+    imageRIdMapping
+  };
+}
+
+/**
+ * Сборка docx документа в файл
+ * @param {Object} options - Опции сборки (см. assembleDocxBuffer)
+ * @param {string} options.templatePath - Путь к шаблону
+ * @param {string} options.outputPath - Путь к выходному файлу
+ */
+async function assembleDocx(options) {
+  const { templatePath, outputPath } = options;
+  
+  const { buffer, hyperlinkMapping, imageRIdMapping } = await assembleDocxBuffer({
+    ...options,
+    template: templatePath
+  });
+  
+  fs.writeFileSync(outputPath, buffer);
+  
+  return {
+    success: true,
+    outputPath,
+    hyperlinkMapping,
+    imageRIdMapping
+  };
+}
+
+/**
+ * Часть word/comments.xml
+ * @param {string} commentsXml - Элементы <w:comment>
+ * @returns {string} XML строка
+ */
+function buildCommentsPart(commentsXml) {
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    '<w:comments xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">' +
+    `${commentsXml}</w:comments>`;
 }
 
 /**
@@ -165,20 +265,46 @@ function escapeRegex(string) {
   return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 }
 
+/**
+ * Путь к изображению из Markdown относительно директории изображений
+ * Префикс "images/" отбрасывается: imagesDir уже указывает на папку images
+ * @param {string} imagePath - Путь из Markdown (без атрибутов)
+ * @param {string} imagesDir - Директория с изображениями
+ * @returns {string} Путь к файлу на диске
+ */
+function resolveImagePath(imagePath, imagesDir) {
+  if (path.isAbsolute(imagePath)) {
+    return imagePath;
+  }
+  const relativePath = imagePath.startsWith('images/') ? imagePath.substring('images/'.length) : imagePath;
+  return path.join(imagesDir, relativePath);
+}
+
 /**
  * Создание контекста сборки для использования в билдерах
  * @param {Object} options
- * @returns {Object} Контекст с функциями addHyperlink, addImage
+ * @param {string} options.imagesDir - Директория с изображениями
+ * @param {Map} options.images - Изображения в памяти (путь из Markdown -> Buffer);
+ *   если задано, файловая система не используется
+ * @param {string} options.taskUrlPattern - Шаблон ссылки на задачу ("https://.../{task}")
+ * @param {Object} options.headerFooter - Колонтитулы из конфигурации {header, footer}
+ *   (поля header / footer в YAML документа имеют приоритет)
+ * @returns {Object} Контекст с функциями addHyperlink, addImage, addHeaderFooter, addListNumbering
  */
 function createAssemblyContext(options = {}) {
-  const { imagesDir = '.' } = options;
+  const { imagesDir = '.', images: imageSources = null, taskUrlPattern = null, headerFooter = {} } = options;
   
   const hyperlinks = new Map();
   const images = [];
+  const headersFooters = [];
+  const listNumbering = [];
   let imageIdCounter = 10;
   let hyperlinkIdCounter = 100;
   
   return {
+    taskUrlPattern,
+    headerFooter,
+    
     addHyperlink(url) {
       if (hyperlinks.has(url)) {
         return hyperlinks.get(url);
@@ -188,9 +314,10 @@ function createAssemblyContext(options = {}) {
       return rId;
     },
     
-    addImage(imagePath, attributes = {}) {
+    addImage(imagePath, attributes = {}, options = {}) {
       // Убираем атрибуты из пути если есть
       let cleanPath = imagePath.replace(/\{[^}]+\}$/, '');
+      const markdownPath = cleanPath;
 
       // Если путь относительный и начинается с "images/", убираем этот префикс
       // так как imagesDir уже указывает на папку images
@@ -198,15 +325,24 @@ function createAssemblyContext(options = {}) {
         cleanPath = cleanPath.substring('images/'.length);
       }
 
-      // Проверяем, существует ли файл
-      let fullPath = cleanPath;
-      if (!path.isAbsolute(cleanPath)) {
-        fullPath = path.join(imagesDir, cleanPath);
-      }
+      let fullPath = null;
+      let data = null;
       
-      if (!fs.existsSync(fullPath)) {
-        console.warn(`Изображение не найдено: ${fullPath}`);
-        return null;
+      if (imageSources) {
+        // Изображения переданы в памяти: ищем по пути из Markdown или без префикса images/
+        data = imageSources.get(markdownPath) || imageSources.get(cleanPath) || null;
+        if (!data) {
+          console.warn(`Изображение не найдено: ${markdownPath}`);
+          return null;
+        }
+      } else {
+        // Проверяем, существует ли файл
+        fullPath = resolveImagePath(markdownPath, imagesDir);
+        
+        if (!fs.existsSync(fullPath)) {
+          console.warn(`Изображение не найдено: ${fullPath}`);
+          return null;
+        }
       }
       
       const rId = `rId${imageIdCounter}`;
@@ -214,13 +350,16 @@ function createAssemblyContext(options = {}) {
       imageIdCounter++;
       
       // Получаем размеры
-      const dimensions = getImageDimensions(fullPath);
-      const targetWidth = parseWidthAttribute(attributes.width, dimensions.width, 550);
+      const dimensions = getImageDimensions(data || fullPath);
+      // Максимальная ширина - ширина текста; в альбомном разделе она больше (widthScale)
+      const maxWidth = Math.round(550 * (options.widthScale || 1));
+      const targetWidth = parseWidthAttribute(attributes.width, dimensions.width, maxWidth);
       const aspectRatio = dimensions.height / dimensions.width;
       const targetHeight = Math.round(targetWidth * aspectRatio);
       
       const imageData = {
         sourcePath: fullPath, // используем полный путь, уже разрешённый
+        data,
         attributes,
         rId,
         name: path.basename(cleanPath),
@@ -234,10 +373,32 @@ function createAssemblyContext(options = {}) {
       return imageData;
     },
     
+    addHeaderFooter(kind, xml) {
+      // Временный rId, заменяется на итоговый при сборке
+      const rId = `rId${kind === 'header' ? 'Header' : 'Footer'}${headersFooters.length + 1}`;
+      headersFooters.push({ kind, rId, xml });
+      return rId;
+    },
+    
+    addListNumbering(baseNumId, level, start) {
+      // Временный numId, заменяется на итоговый при сборке
+      const numId = `list${listNumbering.length + 1}`;
+      listNumbering.push({ numId, baseNumId, level, start });
+      return numId;
+    },
+    
     getHyperlinks() {
       return hyperlinks;
     },
     
+    getListNumbering() {
+      return listNumbering;
+    },
+    
+    getHeadersFooters() {
+      return headersFooters;
+    },
+    
     getImages() {
       return images;
     },
@@ -251,5 +412,7 @@ function createAssemblyContext(options = {}) {
 
 module.exports = {
   assembleDocx,
-  createAssemblyContext
+  assembleDocxBuffer,
+  createAssemblyContext,
+  resolveImagePath
 };
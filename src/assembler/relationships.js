@@ -13,8 +13,10 @@ const REL_TYPES = {
   webSettings: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/webSettings',
   fontTable: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/fontTable',
   footnotes: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/footnotes',
+  comments: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/comments',
   endnotes: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/endnotes',
-  theme: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/theme'
+  theme: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/theme',
+  customProperties: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/custom-properties'
 };
 
 class RelationshipsManager {
@@ -76,6 +78,50 @@ class RelationshipsManager {
     return id;
   }
   
+  addHeader(target) {
+    const id = this.getNextId();
+    this.relationships.push({
+      id, type: REL_TYPES.header, target, targetMode: null
+    });
+    
+    return id;
+  }
+  
+  addFooter(target) {
+    const id = this.getNextId();
+    this.relationships.push({
+      id, type: REL_TYPES.footer, target, targetMode: null
+    });
+    
+    return id;
+  }
+  
+  addComments(target) {
+    const existing = this.relationships.find(r => r.type === REL_TYPES.comments);
+    
+    if (existing) return existing.id;
+    
+    const id = this.getNextId();
+    this.relationships.push({
+      id, type: REL_TYPES.comments, target, targetMode: null
+    });
+    
+    return id;
+  }
+  
+  addCustomProperties(target) {
+    const existing = this.relationships.find(r => r.type === REL_TYPES.customProperties);
+
+    if (existing) return existing.id;
+
+    const id = this.getNextId();
+    this.relationships.push({
+      id, type: REL_TYPES.customProperties, target, targetMode: null
+    });
+
+    return id;
+  }
+
   getByType(type) {
     return this.relationships.filter(r => r.type === type);
   }
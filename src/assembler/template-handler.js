@@ -1,70 +1,107 @@
 /**
  * Template Handler - работа с docx-шаблоном
+ * Шаблон не распаковывается на диск: части документа читаются и заменяются
+ * прямо в ZIP-архиве (AdmZip)
  */
 
 const fs = require('fs');
 const path = require('path');
 const AdmZip = require('adm-zip');
+const { RelationshipsManager } = require('./relationships');
+const { createFileCache } = require('../utils/file-cache');
 
 /**
- * Распаковка шаблона во временную директорию
- * @param {string} templatePath - Путь к шаблону
- * @param {string} outputDir - Директория для распаковки
- * @returns {Object} Пути к ключевым файлам
- */
-function unpackTemplate(templatePath, outputDir) {
-  const zip = new AdmZip(templatePath);
-  zip.extractAllTo(outputDir, true);
-  
-  return {
-    documentPath: path.join(outputDir, 'word', 'document.xml'),
-    relsPath: path.join(outputDir, 'word', '_rels', 'document.xml.rels'),
-    stylesPath: path.join(outputDir, 'word', 'styles.xml'),
-    numberingPath: path.join(outputDir, 'word', 'numbering.xml'),
-    mediaDir: path.join(outputDir, 'word', 'media'),
-    contentTypesPath: path.join(outputDir, '[Content_Types].xml')
-  };
+ * Пути к ключевым частям внутри docx
+ */
+const TEMPLATE_PARTS = {
+  document: 'word/document.xml',
+  rels: 'word/_rels/document.xml.rels',
+  styles: 'word/styles.xml',
+  numbering: 'word/numbering.xml',
+  settings: 'word/settings.xml',
+  footnotes: 'word/footnotes.xml',
+  comments: 'word/comments.xml',
+  media: 'word/media/',
+  packageRels: '_rels/.rels',
+  coreProperties: 'docProps/core.xml',
+  customProperties: 'docProps/custom.xml',
+  contentTypes: '[Content_Types].xml'
+};
+
+/**
+ * Время записей архива в воспроизводимом режиме (начало эпохи DOS)
+ * Задаётся в локальном времени: AdmZip переводит дату в формат DOS по локальному поясу
+ */
+const REPRODUCIBLE_ZIP_TIME = new Date(1980, 0, 1, 0, 0, 0);
+
+/**
+ * Кэш шаблонов, прочитанных с диска (путь -> Buffer)
+ * При пакетной генерации и в режиме --watch шаблон читается заново только после изменения
+ */
+const templateCache = createFileCache(filePath => fs.readFileSync(filePath));
+
+/**
+ * Загрузка шаблона
+ * Каждый вызов возвращает новый архив - изменения одного документа не влияют на другие
+ * @param {string|Buffer} template - Путь к шаблону или его содержимое
+ * @returns {AdmZip} Архив шаблона
+ */
+function loadTemplate(template) {
+  if (Buffer.isBuffer(template)) {
+    return new AdmZip(template);
+  }
+
+  return new AdmZip(templateCache.get(template));
 }
 
 /**
- * Упаковка директории в docx
- * @param {string} sourceDir - Директория с файлами
- * @param {string} outputPath - Путь к выходному файлу
- */
-function packToDocx(sourceDir, outputPath) {
-  const zip = new AdmZip();
-  
-  // Рекурсивно добавляем все файлы
-  function addDirectory(dirPath, zipPath = '') {
-    const entries = fs.readdirSync(dirPath);
-    
-    for (const entry of entries) {
-      const fullPath = path.join(dirPath, entry);
-      const entryZipPath = zipPath ? `${zipPath}/${entry}` : entry;
-      
-      const stat = fs.statSync(fullPath);
-      
-      if (stat.isDirectory()) {
-        addDirectory(fullPath, entryZipPath);
-      } else {
-        const content = fs.readFileSync(fullPath);
-        zip.addFile(entryZipPath, content);
-      }
+ * Чтение части документа
+ * @param {AdmZip} zip - Архив
+ * @param {string} entryName - Путь внутри архива
+ * @returns {string|null} Содержимое или null, если части нет
+ */
+function readEntry(zip, entryName) {
+  const entry = zip.getEntry(entryName);
+  return entry ? entry.getData().toString('utf-8') : null;
+}
+
+/**
+ * Запись (добавление или замена) части документа
+ * @param {AdmZip} zip - Архив
+ * @param {string} entryName - Путь внутри архива
+ * @param {string|Buffer} content - Содержимое
+ */
+function writeEntry(zip, entryName, content) {
+  zip.addFile(entryName, Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf-8'));
+}
+
+/**
+ * Упаковка архива в Buffer docx
+ * В воспроизводимом режиме у всех записей фиксируется время изменения -
+ * одинаковый вход даёт побайтово одинаковый docx.
+ * Порядок записей стабилен: AdmZip сортирует их по имени при упаковке
+ * @param {AdmZip} zip - Архив
+ * @param {Object} options - {reproducible}
+ * @returns {Buffer}
+ */
+function packToBuffer(zip, options = {}) {
+  if (options.reproducible) {
+    for (const entry of zip.getEntries()) {
+      entry.header.time = REPRODUCIBLE_ZIP_TIME;
     }
   }
-  
-  addDirectory(sourceDir);
-  zip.writeZip(outputPath);
+
+  return zip.toBuffer();
 }
 
 /**
  * Обновление [Content_Types].xml для новых изображений
- * @param {string} contentTypesPath - Путь к файлу
+ * @param {AdmZip} zip - Архив
  * @param {Array} imageExtensions - Расширения добавленных изображений
  */
-function updateContentTypes(contentTypesPath, imageExtensions) {
-  let content = fs.readFileSync(contentTypesPath, 'utf-8');
-  
+function updateContentTypes(zip, imageExtensions) {
+  let content = readEntry(zip, TEMPLATE_PARTS.contentTypes);
+
   const extensionTypes = {
     '.png': 'image/png',
     '.jpg': 'image/jpeg',
@@ -72,11 +109,11 @@ function updateContentTypes(contentTypesPath, imageExtensions) {
     '.gif': 'image/gif',
     '.bmp': 'image/bmp'
   };
-  
+
   for (const ext of imageExtensions) {
     const normalizedExt = ext.startsWith('.') ? ext : `.${ext}`;
     const contentType = extensionTypes[normalizedExt.toLowerCase()];
-    
+
     if (contentType) {
       const extWithoutDot = normalizedExt.substring(1);
       // Проверяем, есть ли уже такое расширение
@@ -87,76 +124,184 @@ function updateContentTypes(contentTypesPath, imageExtensions) {
       }
     }
   }
-  
-  fs.writeFileSync(contentTypesPath, content);
+
+  writeEntry(zip, TEMPLATE_PARTS.contentTypes, content);
 }
 
 /**
- * Чтение relationships из шаблона
- * @param {string} relsPath - Путь к файлу rels
- * @returns {string} Содержимое файла
+ * Добавление Override в [Content_Types].xml для новых частей документа
+ * @param {AdmZip} zip - Архив
+ * @param {Array} overrides - [{partName: '/word/header1.xml', contentType}]
  */
-function readRelationships(relsPath) {
-  return fs.readFileSync(relsPath, 'utf-8');
+function addContentTypeOverrides(zip, overrides) {
+  let content = readEntry(zip, TEMPLATE_PARTS.contentTypes);
+
+  for (const { partName, contentType } of overrides) {
+    if (!content.includes(`PartName="${partName}"`)) {
+      const override = `<Override PartName="${partName}" ContentType="${contentType}"/>`;
+      content = content.replace('</Types>', `${override}\n</Types>`);
+    }
+  }
+
+  writeEntry(zip, TEMPLATE_PARTS.contentTypes, content);
 }
 
 /**
- * Запись relationships
- * @param {string} relsPath - Путь к файлу
- * @param {string} content - XML содержимое
+ * Добавление сносок в footnotes.xml шаблона (после разделителей с id -1 и 0)
+ * @param {AdmZip} zip - Архив
+ * @param {string} footnotesXml - Элементы <w:footnote>
  */
-function writeRelationships(relsPath, content) {
-  fs.writeFileSync(relsPath, content);
+function appendFootnotes(zip, footnotesXml) {
+  const content = readEntry(zip, TEMPLATE_PARTS.footnotes);
+  if (content === null) {
+    console.warn('В шаблоне отсутствует word/footnotes.xml - сноски не добавлены');
+    return;
+  }
+
+  writeEntry(zip, TEMPLATE_PARTS.footnotes, content.replace('</w:footnotes>', `${footnotesXml}</w:footnotes>`));
+}
+
+/**
+ * Добавление экземпляров нумерации (w:num) для нумерованных списков
+ * Каждый экземпляр ссылается на abstractNum базовой нумерации и начинает уровень списка
+ * заново (w:startOverride)
+ * @param {AdmZip} zip - Архив
+ * @param {Array} lists - [{numId: временный ID, baseNumId, level, start}]
+ * @returns {Map} Временный numId -> итоговый (без numbering.xml - базовый)
+ */
+function appendListNumbering(zip, lists) {
+  const mapping = new Map();
+  const content = readEntry(zip, TEMPLATE_PARTS.numbering);
+  if (content === null) {
+    console.warn('В шаблоне отсутствует word/numbering.xml - нумерация списков не начинается заново');
+    lists.forEach(list => mapping.set(list.numId, list.baseNumId));
+    return mapping;
+  }
+
+  const abstractIds = new Map();
+  for (const match of content.matchAll(/<w:num w:numId="(\d+)"[^>]*>\s*<w:abstractNumId w:val="(\d+)"\/>/g)) {
+    abstractIds.set(match[1], match[2]);
+  }
+
+  let nextNumId = Math.max(0, ...[...abstractIds.keys()].map(Number)) + 1;
+  const nums = [];
+
+  for (const { numId, baseNumId, level, start } of lists) {
+    const abstractId = abstractIds.get(String(baseNumId));
+    if (abstractId === undefined) {
+      mapping.set(numId, baseNumId);
+      continue;
+    }
+
+    const finalNumId = String(nextNumId++);
+    nums.push(`<w:num w:numId="${finalNumId}"><w:abstractNumId w:val="${abstractId}"/>` +
+      `<w:lvlOverride w:ilvl="${level}"><w:startOverride w:val="${start}"/></w:lvlOverride></w:num>`);
+    mapping.set(numId, finalNumId);
+  }
+
+  // w:num идут после всех w:abstractNum и перед w:numIdMacAtCleanup
+  const insertAt = content.search(/<w:numIdMacAtCleanup\b|<\/w:numbering>/);
+  writeEntry(zip, TEMPLATE_PARTS.numbering, content.slice(0, insertAt) + nums.join('') + content.slice(insertAt));
+
+  return mapping;
 }
 
 /**
- * Запись document.xml
- * @param {string} documentPath - Путь к файлу
- * @param {string} content - XML содержимое
+ * Запись свойств документа (docProps/core.xml и docProps/custom.xml)
+ * custom.xml в шаблоне отсутствует - для него добавляются связь в _rels/.rels
+ * и Override в [Content_Types].xml
+ * @param {AdmZip} zip - Архив
+ * @param {Object} properties - {coreXml, customXml}
  */
-function writeDocument(documentPath, content) {
-  fs.writeFileSync(documentPath, content);
+function writeDocumentProperties(zip, properties) {
+  const { coreXml, customXml } = properties;
+
+  if (coreXml) {
+    writeEntry(zip, TEMPLATE_PARTS.coreProperties, coreXml);
+  }
+
+  if (customXml) {
+    writeEntry(zip, TEMPLATE_PARTS.customProperties, customXml);
+
+    const packageRels = new RelationshipsManager();
+    packageRels.loadFromXml(readEntry(zip, TEMPLATE_PARTS.packageRels) || '');
+    packageRels.addCustomProperties('docProps/custom.xml');
+    writeEntry(zip, TEMPLATE_PARTS.packageRels, packageRels.toXml());
+
+    addContentTypeOverrides(zip, [{
+      partName: '/docProps/custom.xml',
+      contentType: 'application/vnd.openxmlformats-officedocument.custom-properties+xml'
+    }]);
+  }
 }
 
 /**
- * Копирование изображения в media директорию
- * @param {string} sourcePath - Путь к исходному файлу
- * @param {string} mediaDir - Директория media
- * @param {string} targetName - Имя целевого файла
+ * Включение обновления полей при открытии документа (w:updateFields в settings.xml)
+ * Нужно, чтобы Word пересчитал номера страниц в оглавлении
+ * @param {AdmZip} zip - Архив
  */
-function copyImageToMedia(sourcePath, mediaDir, targetName) {
-  // Создаём директорию если не существует
-  if (!fs.existsSync(mediaDir)) {
-    fs.mkdirSync(mediaDir, { recursive: true });
+function enableUpdateFields(zip) {
+  let content = readEntry(zip, TEMPLATE_PARTS.settings);
+  if (content === null) {
+    return;
+  }
+
+  const element = '<w:updateFields w:val="true"/>';
+
+  if (content.includes('<w:updateFields')) {
+    content = content.replace(/<w:updateFields[^>]*\/>/, element);
+  } else {
+    // Порядок элементов в settings.xml задан схемой: updateFields идёт
+    // перед hdrShapeDefaults / footnotePr / endnotePr / compat
+    const next = content.match(/<w:(hdrShapeDefaults|footnotePr|endnotePr|compat)[\s>\/]/);
+    if (next) {
+      content = content.slice(0, next.index) + element + content.slice(next.index);
+    } else {
+      content = content.replace('</w:settings>', `${element}</w:settings>`);
+    }
   }
-  
-  const targetPath = path.join(mediaDir, targetName);
-  fs.copyFileSync(sourcePath, targetPath);
+
+  writeEntry(zip, TEMPLATE_PARTS.settings, content);
+}
+
+/**
+ * Добавление изображения в word/media
+ * @param {AdmZip} zip - Архив
+ * @param {string} targetName - Имя файла в media
+ * @param {Buffer} data - Содержимое изображения
+ */
+function addImageToMedia(zip, targetName, data) {
+  writeEntry(zip, `${TEMPLATE_PARTS.media}${targetName}`, data);
 }
 
 /**
  * Получение списка существующих изображений в media
- * @param {string} mediaDir - Директория media
+ * @param {AdmZip} zip - Архив
  * @returns {Array} Список имён файлов
  */
-function getExistingImages(mediaDir) {
-  if (!fs.existsSync(mediaDir)) {
-    return [];
-  }
-  
-  return fs.readdirSync(mediaDir).filter(f => {
-    const ext = path.extname(f).toLowerCase();
-    return ['.png', '.jpg', '.jpeg', '.gif', '.bmp'].includes(ext);
-  });
+function getExistingImages(zip) {
+  return zip.getEntries()
+    .map(entry => entry.entryName)
+    .filter(name => name.startsWith(TEMPLATE_PARTS.media))
+    .map(name => name.substring(TEMPLATE_PARTS.media.length))
+    .filter(name => {
+      const ext = path.extname(name).toLowerCase();
+      return ['.png', '.jpg', '.jpeg', '.gif', '.bmp'].includes(ext);
+    });
 }
 
 module.exports = {
-  unpackTemplate,
-  packToDocx,
+  TEMPLATE_PARTS,
+  loadTemplate,
+  readEntry,
+  writeEntry,
+  packToBuffer,
   updateContentTypes,
-  readRelationships,
-  writeRelationships,
-  writeDocument,
-  copyImageToMedia,
+  addContentTypeOverrides,
+  enableUpdateFields,
+  appendFootnotes,
+  appendListNumbering,
+  writeDocumentProperties,
+  addImageToMedia,
   getExistingImages
 };
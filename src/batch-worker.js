@@ -0,0 +1,23 @@
+/**
+ * Batch Worker - поток пакетной обработки (worker_threads)
+ * Получает файлы {file, base} по одному, выполняет задачу из BATCH_TASKS
+ * и отвечает элементом отчёта; null - файлов больше нет.
+ * Кэши шаблона и стилей живут в потоке и переиспользуются для всех его файлов
+ */
+
+const { parentPort, workerData } = require('worker_threads');
+const { BATCH_TASKS, runBatch } = require('./batch');
+
+const { taskName, taskOptions } = workerData;
+const task = item => BATCH_TASKS[taskName](item, taskOptions);
+
+parentPort.on('message', async (item) => {
+  if (item === null) {
+    parentPort.close();
+    return;
+  }
+
+  // runBatch из одного файла: тот же перехват предупреждений и формат элемента отчёта
+  const report = await runBatch([item], task, { jobs: 1 });
+  parentPort.postMessage(report.items[0]);
+});
@@ -0,0 +1,513 @@
+/**
+ * Batch - пакетная конвертация директорий и glob-шаблонов в обе стороны
+ *
+ * Файлы обрабатываются параллельно в потоках (worker_threads, модуль batch-worker):
+ * каждый поток берёт следующий файл, как только закончит предыдущий. Шаблон, его стили
+ * и размеры изображений кэшируются в потоке и читаются один раз на поток, а не на файл.
+ * Ошибка одного файла не прерывает пакет - она попадает в отчёт.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const util = require('util');
+const { AsyncLocalStorage } = require('async_hooks');
+const { Worker } = require('worker_threads');
+const { resolveConfig, getReverseOptions } = require('./config');
+
+/**
+ * Символы glob-шаблона
+ */
+const GLOB_CHARS = /[*?[\]{}]/;
+
+/**
+ * Директории, которые не обходятся при поиске файлов
+ */
+const IGNORED_DIRS = ['node_modules', '.git'];
+
+/**
+ * Статусы элементов отчёта
+ */
+const BATCH_STATUS = {
+  SUCCESS: 'success',
+  WARNING: 'warning',
+  FAILED: 'failed'
+};
+
+/**
+ * Пакетный режим: несколько входов, директория или glob-шаблон
+ * @param {Array<string>} inputs - Аргументы командной строки
+ * @returns {boolean}
+ */
+function isBatchInput(inputs) {
+  return inputs.length > 1 || inputs.some(input =>
+    GLOB_CHARS.test(input) || (fs.existsSync(input) && fs.statSync(input).isDirectory())
+  );
+}
+
+/**
+ * Преобразование glob-шаблона в RegExp (поддерживаются **, *, ?, [...] и {a,b})
+ * @param {string} pattern - Шаблон с прямыми слешами
+ * @returns {RegExp}
+ */
+function globToRegExp(pattern) {
+  let source = '';
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '*' && pattern[i + 1] === '*') {
+      // "**/" - любое число директорий, включая ни одной
+      const slash = pattern[i + 2] === '/';
+      source += slash ? '(?:.*/)?' : '.*';
+      i += slash ? 2 : 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      const end = pattern.indexOf(']', i);
+      if (end === -1) {
+        source += '\\[';
+      } else {
+        source += `[${pattern.slice(i + 1, end).replace(/^!/, '^')}]`;
+        i = end;
+      }
+    } else if (char === '{') {
+      const end = pattern.indexOf('}', i);
+      if (end === -1) {
+        source += '\\{';
+      } else {
+        const options = pattern.slice(i + 1, end).split(',').map(option => option.replace(/[.+^$()|\\]/g, '\\$&'));
+        source += `(?:${options.join('|')})`;
+        i = end;
+      }
+    } else {
+      source += char.replace(/[.+^$()|\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Все файлы директории (рекурсивно)
+ */
+function listFiles(dir) {
+  const files = [];
+
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if (!IGNORED_DIRS.includes(entry.name)) files.push(...listFiles(fullPath));
+    } else if (entry.isFile()) {
+      files.push(fullPath);
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Раскрытие входов пакета в список файлов
+ * @param {Array<string>} inputs - Файлы, директории и glob-шаблоны
+ * @param {Array<string>} extensions - Расширения файлов для директорий и шаблонов (['.md'])
+ * @returns {Array<{file: string, base: string}>} Файлы и их базовая директория
+ *   (относительно неё строится путь в --out-dir)
+ */
+function expandInputs(inputs, extensions) {
+  const found = new Map();
+  const matchesExtension = file => extensions.includes(path.extname(file).toLowerCase());
+  const add = (file, base) => {
+    if (!found.has(file)) found.set(file, { file, base });
+  };
+
+  for (const input of inputs) {
+    const resolved = path.resolve(input);
+
+    if (!GLOB_CHARS.test(input)) {
+      if (!fs.existsSync(resolved)) {
+        throw new Error(`Файл не найден: ${resolved}`);
+      }
+      if (fs.statSync(resolved).isDirectory()) {
+        listFiles(resolved).filter(matchesExtension).forEach(file => add(file, resolved));
+      } else {
+        add(resolved, path.dirname(resolved));
+      }
+      continue;
+    }
+
+    // Обход начинается с части шаблона до первого сегмента с glob-символами
+    const segments = resolved.split(path.sep);
+    const firstGlob = segments.findIndex(segment => GLOB_CHARS.test(segment));
+    const base = segments.slice(0, firstGlob).join(path.sep) || path.sep;
+    const regex = globToRegExp(segments.slice(firstGlob).join('/'));
+
+    if (!fs.existsSync(base)) continue;
+    for (const file of listFiles(base)) {
+      const relative = path.relative(base, file).split(path.sep).join('/');
+      if (regex.test(relative) && matchesExtension(file)) {
+        add(file, base);
+      }
+    }
+  }
+
+  return [...found.values()].sort((a, b) => a.file.localeCompare(b.file));
+}
+
+/**
+ * Путь результата: рядом с входным файлом или в outDir с сохранением структуры
+ * @param {Object} item - {file, base}
+ * @param {string} extension - Расширение результата ('.docx')
+ * @param {string} outDir - Директория результатов (опционально)
+ * @returns {string}
+ */
+function getOutputPath(item, extension, outDir) {
+  const name = path.basename(item.file, path.extname(item.file)) + extension;
+  if (!outDir) {
+    return path.join(path.dirname(item.file), name);
+  }
+  return path.join(path.resolve(outDir), path.dirname(path.relative(item.base, item.file)), name);
+}
+
+/**
+ * Модуль потока пакетной обработки
+ */
+const WORKER_PATH = path.join(__dirname, 'batch-worker.js');
+
+/**
+ * Число потоков по умолчанию - по числу ядер
+ * os.availableParallelism появился в Node 18.14
+ */
+function getDefaultJobs() {
+  return os.availableParallelism ? os.availableParallelism() : os.cpus().length;
+}
+
+/**
+ * Предупреждения (console.warn) текущего файла: у каждого обработчика свой список
+ */
+const warningsStorage = new AsyncLocalStorage();
+
+/**
+ * Выполнение задач в текущем потоке пулом асинхронных обработчиков
+ * Обработчики перекрывают ввод-вывод, но разбор и сборка выполняются по очереди;
+ * параллельно по ядрам файлы обрабатывает runBatchInWorkers.
+ * console.warn на время пакета перехватывается и попадает в предупреждения файла
+ * @param {Array<Object>} items - Элементы {file, base}
+ * @param {Function} task - async (item) => {output, warnings?}; ошибка - исключение
+ * @param {Object} options
+ * @param {number} options.jobs - Число одновременно обрабатываемых файлов (по умолчанию - по числу ядер)
+ * @param {Function} options.onItem - (entry) => void, после каждого файла
+ * @returns {Promise<Object>} Отчёт {items, summary, duration}
+ */
+async function runBatch(items, task, options = {}) {
+  const { jobs = getDefaultJobs(), onItem = () => {} } = options;
+  const started = Date.now();
+  const entries = [];
+  let next = 0;
+
+  const originalWarn = console.warn;
+  console.warn = (...args) => {
+    const warnings = warningsStorage.getStore();
+    if (warnings) {
+      warnings.push(util.format(...args));
+    } else {
+      originalWarn.apply(console, args);
+    }
+  };
+
+  async function worker() {
+    while (next < items.length) {
+      const item = items[next++];
+      const itemStarted = Date.now();
+      const warnings = [];
+      let entry;
+
+      try {
+        const result = await warningsStorage.run(warnings, () => task(item));
+        warnings.push(...(result.warnings || []));
+        entry = {
+          input: item.file,
+          output: result.output,
+          status: warnings.length > 0 ? BATCH_STATUS.WARNING : BATCH_STATUS.SUCCESS,
+          warnings
+        };
+      } catch (error) {
+        entry = {
+          input: item.file,
+          output: null,
+          status: BATCH_STATUS.FAILED,
+          warnings,
+          error: error.message
+        };
+      }
+
+      entry.duration = Date.now() - itemStarted;
+      entries.push(entry);
+      onItem(entry);
+    }
+  }
+
+  try {
+    const count = Math.max(1, Math.min(jobs, items.length));
+    await Promise.all(Array.from({ length: count }, worker));
+  } finally {
+    console.warn = originalWarn;
+  }
+
+  return buildReport(items, entries, started);
+}
+
+/**
+ * Отчёт пакета по результатам файлов
+ * @param {Array<Object>} items - Элементы {file, base} в порядке входов
+ * @param {Array<Object>} entries - Результаты файлов в порядке завершения
+ * @param {number} started - Время начала пакета
+ * @returns {Object} Отчёт {items, summary, duration}
+ */
+function buildReport(items, entries, started) {
+  // Порядок отчёта - порядок входов, а не завершения
+  const order = new Map(items.map((item, index) => [item.file, index]));
+  entries.sort((a, b) => order.get(a.input) - order.get(b.input));
+
+  return {
+    items: entries,
+    summary: {
+      total: entries.length,
+      succeeded: entries.filter(entry => entry.status === BATCH_STATUS.SUCCESS).length,
+      warnings: entries.filter(entry => entry.status === BATCH_STATUS.WARNING).length,
+      failed: entries.filter(entry => entry.status === BATCH_STATUS.FAILED).length
+    },
+    duration: Date.now() - started
+  };
+}
+
+/**
+ * Выполнение задачи из BATCH_TASKS в потоках worker_threads
+ * Каждый поток обрабатывает по одному файлу и получает следующий после ответа.
+ * При одном потоке или опциях, которые нельзя передать в поток (например, функции),
+ * файлы обрабатываются в текущем потоке через runBatch
+ * @param {Array<Object>} items - Элементы {file, base}
+ * @param {string} taskName - Имя задачи: generate | reverse
+ * @param {Object} taskOptions - Опции задачи (передаются в поток копией)
+ * @param {Object} options
+ * @param {number} options.jobs - Число потоков (по умолчанию - по числу ядер)
+ * @param {Function} options.onItem - (entry) => void, после каждого файла
+ * @returns {Promise<Object>} Отчёт {items, summary, duration}
+ */
+async function runBatchInWorkers(items, taskName, taskOptions, options = {}) {
+  const { jobs = getDefaultJobs(), onItem = () => {} } = options;
+  const count = Math.max(1, Math.min(jobs, items.length));
+  const runInThread = () => runBatch(items, item => BATCH_TASKS[taskName](item, taskOptions), { jobs: 1, onItem });
+
+  if (count === 1) {
+    return runInThread();
+  }
+  try {
+    structuredClone(taskOptions);
+  } catch {
+    return runInThread();
+  }
+
+  const started = Date.now();
+  const entries = [];
+  let next = 0;
+
+  const workers = Array.from({ length: count }, () => new Promise((resolve, reject) => {
+    const worker = new Worker(WORKER_PATH, { workerData: { taskName, taskOptions } });
+    // null - файлов больше нет, поток завершается
+    const send = () => worker.postMessage(next < items.length ? items[next++] : null);
+
+    worker.on('message', (entry) => {
+      entries.push(entry);
+      onItem(entry);
+      send();
+    });
+    worker.on('error', reject);
+    worker.on('exit', (code) => {
+      if (code === 0) {
+        resolve();
+      } else {
+        reject(new Error(`Поток пакетной обработки завершился с кодом ${code}`));
+      }
+    });
+    send();
+  }));
+
+  await Promise.all(workers);
+  return buildReport(items, entries, started);
+}
+
+/**
+ * Генерация одного файла пакета
+ * @param {Object} item - {file, base}
+ * @param {Object} options - Опции generate и outDir
+ * @returns {Promise<Object>} {output}
+ */
+async function generateItem(item, options) {
+  // Отложенная загрузка: index экспортирует пакетные функции
+  const { generate } = require('./index');
+  const { outDir, ...generateOptions } = options;
+  const outputPath = getOutputPath(item, `.${generateOptions.format || 'docx'}`, outDir);
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+
+  const result = await generate({ ...generateOptions, inputPath: item.file, outputPath });
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+  return { output: result.outputPath };
+}
+
+/**
+ * Обратная конвертация одного файла пакета
+ * @param {Object} item - {file, base}
+ * @param {Object} options - Опции ReverseConverter, config и outDir
+ * @returns {Promise<Object>} {output, warnings}
+ */
+async function reverseItem(item, options) {
+  const { ReverseConverter } = require('./reverse');
+  const { outDir, config, ...converterOptions } = options;
+  const configOptions = getReverseOptions(resolveConfig({ config, inputPath: item.file }));
+  const imagesDir = converterOptions.imagesDir || configOptions.imagesDir || 'images';
+  // Свой конвертер на файл: он хранит предупреждения текущей конвертации
+  const converter = new ReverseConverter({
+    ...configOptions,
+    ...converterOptions,
+    imagesDir,
+    strict: converterOptions.strict || configOptions.strict || false
+  });
+
+  const result = await converter.convert(item.file);
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+
+  const output = getOutputPath(item, '.md', outDir);
+  fs.mkdirSync(path.dirname(output), { recursive: true });
+  fs.writeFileSync(output, result.markdown, 'utf-8');
+
+  if (converterOptions.extractImages !== false && result.images && result.images.length > 0) {
+    await converter.saveImages(result.images, path.resolve(path.dirname(output), imagesDir));
+  }
+
+  return {
+    output,
+    warnings: (result.warnings || []).map(warning => warning.message || String(warning))
+  };
+}
+
+/**
+ * Задачи пакета по имени: имя, а не функция, передаётся в поток
+ */
+const BATCH_TASKS = {
+  generate: generateItem,
+  reverse: reverseItem
+};
+
+/**
+ * Пакетная генерация DOCX (или HTML - опция format)
+ * @param {Array<string>} inputs - Файлы, директории и glob-шаблоны
+ * Директивы, зарегистрированные в вызывающем потоке через registerDirective, в потоках
+ * пакета недоступны: плагины для пакета подключаются через конфигурацию
+ * @param {Object} options - Опции generate (кроме inputPath/outputPath), а также
+ *   outDir - директория результатов, jobs - число потоков, onItem - колбэк по файлу
+ * @returns {Promise<Object>} Отчёт {items, summary, duration}
+ */
+async function batchGenerate(inputs, options = {}) {
+  const { jobs, onItem, ...taskOptions } = options;
+  const items = expandInputs(inputs, ['.md']);
+
+  return runBatchInWorkers(items, 'generate', taskOptions, { jobs, onItem });
+}
+
+/**
+ * Пакетная обратная конвертация DOCX в Markdown
+ * Изображения сохраняются в imagesDir относительно каждого Markdown файла
+ * @param {Array<string>} inputs - Файлы, директории и glob-шаблоны
+ * @param {Object} options - Опции ReverseConverter, а также config, outDir, jobs, onItem
+ * @returns {Promise<Object>} Отчёт {items, summary, duration}
+ */
+async function batchReverse(inputs, options = {}) {
+  const { jobs, onItem, ...taskOptions } = options;
+  const items = expandInputs(inputs, ['.docx']).filter(item => !path.basename(item.file).startsWith('~$'));
+
+  return runBatchInWorkers(items, 'reverse', taskOptions, { jobs, onItem });
+}
+
+/**
+ * Сводная таблица отчёта для консоли
+ * @param {Object} report - Результат runBatch
+ * @param {Object} options - {cwd} - относительно чего выводить пути
+ * @returns {string}
+ */
+function formatBatchSummary(report, options = {}) {
+  const { cwd = process.cwd() } = options;
+  const labels = {
+    [BATCH_STATUS.SUCCESS]: 'успешно',
+    [BATCH_STATUS.WARNING]: 'с предупреждениями',
+    [BATCH_STATUS.FAILED]: 'ошибка'
+  };
+
+  const rows = report.items.map(entry => [
+    path.relative(cwd, entry.input),
+    labels[entry.status],
+    String(entry.warnings.length),
+    // Многострочные ошибки (список ошибок YAML) - полностью в JSON отчёте
+    entry.error ? entry.error.split('\n')[0] : `${entry.duration} мс`
+  ]);
+  const header = ['Файл', 'Статус', 'Предупр.', 'Время / ошибка'];
+  const widths = header.map((title, column) =>
+    Math.max(title.length, ...rows.map(row => row[column].length))
+  );
+  const line = row => row.map((cell, column) =>
+    column === row.length - 1 ? cell : cell.padEnd(widths[column])
+  ).join('  ');
+
+  const { total, succeeded, warnings, failed } = report.summary;
+  return [
+    line(header),
+    line(widths.map(width => '-'.repeat(width))),
+    ...rows.map(line),
+    '',
+    `Всего: ${total}, успешно: ${succeeded}, с предупреждениями: ${warnings}, ошибок: ${failed} (${report.duration} мс)`
+  ].join('\n');
+}
+
+/**
+ * Запись отчёта в JSON (пути - относительно директории отчёта)
+ * @param {Object} report - Результат runBatch
+ * @param {string} reportPath - Путь к файлу отчёта
+ */
+function writeBatchReport(report, reportPath) {
+  const resolvedPath = path.resolve(reportPath);
+  const dir = path.dirname(resolvedPath);
+  const relative = file => file && path.relative(dir, file).split(path.sep).join('/');
+
+  const json = {
+    summary: report.summary,
+    duration: report.duration,
+    items: report.items.map(entry => ({
+      ...entry,
+      input: relative(entry.input),
+      output: relative(entry.output)
+    }))
+  };
+
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(resolvedPath, JSON.stringify(json, null, 2), 'utf-8');
+}
+
+module.exports = {
+  BATCH_STATUS,
+  isBatchInput,
+  globToRegExp,
+  expandInputs,
+  getOutputPath,
+  BATCH_TASKS,
+  runBatch,
+  runBatchInWorkers,
+  batchGenerate,
+  batchReverse,
+  formatBatchSummary,
+  writeBatchReport
+};
@@ -0,0 +1,65 @@
+/**
+ * Caption Builder - подписи рисунков и таблиц (поле SEQ) и перекрёстные ссылки (поле REF)
+ */
+
+const { textRun, paragraph, bookmark, complexField } = require('../utils/xml-utils');
+const { CAPTION_KINDS, getCaptionBookmarkName } = require('../parser/captions');
+
+/**
+ * Runs подписи: "Рисунок <SEQ>. Текст"
+ * Фрагмент "Рисунок N" обёрнут закладкой метки - на неё ссылается поле REF
+ * @param {Object} caption - Подпись {kind, number, label, text}
+ * @param {Object} context - Контекст (nextBookmarkId)
+ * @returns {string} XML строка runs
+ */
+function buildCaptionRuns(caption, context = {}) {
+  const kind = CAPTION_KINDS[caption.kind];
+
+  const numberRuns = textRun(`${kind.label} `) +
+    complexField(`SEQ ${kind.seq} \\* ARABIC`, String(caption.number));
+
+  let runs = numberRuns;
+  if (caption.label) {
+    const bookmarkId = context.nextBookmarkId ? context.nextBookmarkId() : '0';
+    runs = bookmark(bookmarkId, getCaptionBookmarkName(caption.label), numberRuns);
+  }
+
+  if (caption.text) {
+    runs += textRun(`. ${caption.text}`);
+  }
+
+  return runs;
+}
+
+/**
+ * Параграф подписи
+ * Подпись рисунка - по центру под рисунком, подпись таблицы - справа над таблицей
+ * @param {Object} caption - Подпись {kind, number, label, text}
+ * @param {Object} styles - Конфигурация стилей
+ * @param {Object} context - Контекст
+ * @returns {string} XML строка
+ */
+function buildCaptionParagraph(caption, styles, context = {}) {
+  const isTable = caption.kind === 'tbl';
+
+  return paragraph(buildCaptionRuns(caption, context), {
+    style: styles.styleIds.caption,
+    align: isTable ? 'right' : 'center',
+    keepNext: isTable
+  });
+}
+
+/**
+ * Перекрёстная ссылка на подпись - поле REF с предрассчитанным текстом
+ * @param {Object} node - Узел crossReference {bookmark, value}
+ * @returns {string} XML строка runs
+ */
+function buildCrossReference(node) {
+  return complexField(`REF ${node.bookmark} \\h`, node.value);
+}
+
+module.exports = {
+  buildCaptionRuns,
+  buildCaptionParagraph,
+  buildCrossReference
+};
@@ -8,9 +8,10 @@ const { buildSimpleTable } = require('./table-builder');
  * Генерация таблицы изменений
  * @param {Object} directiveData - Данные директивы {table: {headers, rows}}
  * @param {Object} styles - Конфигурация стилей
+ * @param {Object} context - Контекст (widthScale в альбомном разделе)
  * @returns {string} XML строка таблицы
  */
-function buildChangesTable(directiveData, styles) {
+function buildChangesTable(directiveData, styles, context = {}) {
   const { table } = directiveData;
   
   if (!table || !table.rows || table.rows.length === 0) {
@@ -20,7 +21,8 @@ function buildChangesTable(directiveData, styles) {
   const headers = table.headers || ['Описание функции «Как есть»', 'Описание функции «Как будет»'];
   
   return buildSimpleTable(headers, table.rows, styles, {
-    columnWidths: [4750, 4750] // 50% на каждую колонку
+    columnWidths: [4750, 4750], // 50% на каждую колонку
+    scale: context.widthScale
   });
 }
 
@@ -0,0 +1,118 @@
+/**
+ * Comment Builder - комментарии рецензентов (границы в тексте и содержимое word/comments.xml)
+ */
+
+const { escapeXml, paragraph } = require('../utils/xml-utils');
+const { toW3CDate } = require('./properties-builder');
+
+/**
+ * Начало комментируемого фрагмента
+ * @param {number} id - Номер комментария (commentId назначает парсер)
+ * @returns {string} XML строка
+ */
+function buildCommentRangeStart(id) {
+  return `<w:commentRangeStart w:id="${id}"/>`;
+}
+
+/**
+ * Конец комментируемого фрагмента и знак комментария
+ * @param {number} id - Номер комментария
+ * @returns {string} XML строка
+ */
+function buildCommentRangeEnd(id) {
+  return `<w:commentRangeEnd w:id="${id}"/><w:r><w:commentReference w:id="${id}"/></w:r>`;
+}
+
+/**
+ * Привязка комментария к блоку целиком (абзацу, таблице, функциональной таблице)
+ * Начало ставится в первом абзаце блока (после pPr), конец - в последнем
+ * @param {string} xml - XML блока
+ * @param {number} id - Номер комментария
+ * @returns {string} XML блока с границами комментария; без абзацев - без изменений
+ */
+function anchorComment(xml, id) {
+  const paragraphs = [...xml.matchAll(/<w:p(?:\s[^>]*[^/])?>(?:<w:pPr>[\s\S]*?<\/w:pPr>)?/g)];
+  const lastEnd = xml.lastIndexOf('</w:p>');
+  if (paragraphs.length === 0 || lastEnd === -1) {
+    return xml;
+  }
+
+  const first = paragraphs[0];
+  const start = first.index + first[0].length;
+
+  return xml.slice(0, start) + buildCommentRangeStart(id) +
+    xml.slice(start, lastEnd) + buildCommentRangeEnd(id) +
+    xml.slice(lastEnd);
+}
+
+/**
+ * Удаление границ и знаков комментариев (для частей, в которых комментарии не выводятся)
+ * @param {string} xml - XML фрагмент
+ * @returns {string}
+ */
+function removeComments(xml) {
+  return xml
+    .replace(/<w:commentRange(?:Start|End)[^>]*\/>/g, '')
+    .replace(/<w:r><w:commentReference[^>]*\/><\/w:r>/g, '');
+}
+
+/**
+ * Генерация одного комментария для comments.xml
+ * Автор и дата - из атрибутов директивы, иначе - как у исправлений документа
+ * (последняя запись истории изменений)
+ * @param {Object} comment - Комментарий {id, inline, author, initials, date, children}
+ * @param {Object} styles - Конфигурация стилей
+ * @param {Object} info - Автор и дата по умолчанию {author, date}
+ * @returns {string} XML строка <w:comment>
+ */
+function buildComment(comment, styles, info = {}) {
+  // Отложенная загрузка: content-builder использует этот модуль для границ в тексте
+  const { buildInlineContent } = require('./content-builder');
+
+  const author = comment.author || info.author || '';
+  const date = (comment.date && toW3CDate(comment.date)) || info.date;
+  const initials = comment.initials || author.split(/\s+/).map(word => word.charAt(0)).join('');
+
+  const annotationRef = '<w:r><w:annotationRef/></w:r>';
+
+  // У :comment[текст] содержимое - строка текста, у :::comment - блоки Markdown
+  const blocks = comment.inline
+    ? [{ children: comment.children }]
+    : (comment.children || []).filter(node => node.children);
+
+  // Гиперссылки внутри комментариев выводятся текстом: у comments.xml свои relationships
+  const paragraphs = blocks.map((node, index) => {
+    const runs = node.children.map(child => buildInlineContent(child, {})).join('');
+    return paragraph((index === 0 ? annotationRef : '') + runs, {
+      style: styles.styleIds.commentText
+    });
+  });
+
+  if (paragraphs.length === 0) {
+    paragraphs.push(paragraph(annotationRef, { style: styles.styleIds.commentText }));
+  }
+
+  const dateAttr = date ? ` w:date="${date}"` : '';
+  return `<w:comment w:id="${comment.id}" w:author="${escapeXml(author)}"${dateAttr} ` +
+    `w:initials="${escapeXml(initials)}">${paragraphs.join('')}</w:comment>`;
+}
+
+/**
+ * Генерация всех комментариев документа
+ * @param {Array} comments - Комментарии из парсера
+ * @param {Object} styles - Конфигурация стилей
+ * @param {Object} info - Автор и дата по умолчанию {author, date}
+ * @returns {string} XML строка (элементы <w:comment> без корневого тега)
+ */
+function buildComments(comments, styles, info) {
+  return (comments || []).map(comment => buildComment(comment, styles, info)).join('');
+}
+
+module.exports = {
+  buildCommentRangeStart,
+  buildCommentRangeEnd,
+  anchorComment,
+  removeComments,
+  buildComment,
+  buildComments
+};
@@ -3,6 +3,11 @@
  */
 
 const { escapeXml, textRun, paragraph, hyperlink, internalLink, bookmark } = require('../utils/xml-utils');
+const { getHeadingBookmarkName } = require('../parser/md-parser');
+const { buildCaptionRuns, buildCrossReference } = require('./caption-builder');
+const { buildFootnoteReference } = require('./footnote-builder');
+const { buildCommentRangeStart, buildCommentRangeEnd } = require('./comment-builder');
+const { isCommentDirective } = require('../parser/directives');
 
 /**
  * Генерация XML для inline-элементов (текст с форматированием)
@@ -42,7 +47,21 @@ function buildInlineContent(node, context = {}) {
       // Изображения обрабатываются отдельно в image-builder
       return `<!-- IMAGE: ${node.url} -->`;
     
+    case 'crossReference':
+      return buildCrossReference(node);
+    
+    case 'footnoteReference':
+      return buildFootnoteReference(node);
+    
+    case 'commentRangeStart':
+      return buildCommentRangeStart(node.commentId);
+    
     default:
+      // :comment[текст] - конец комментируемого фрагмента; текст выводится в comments.xml
+      if (isCommentDirective(node)) {
+        const id = node.directiveData && node.directiveData.commentId;
+        return id === undefined ? '' : buildCommentRangeEnd(id);
+      }
       if (node.children) {
         return node.children.map(child => buildInlineContent(child, context)).join('');
       }
@@ -58,6 +77,10 @@ function buildInlineContent(node, context = {}) {
  * @returns {string} XML строка
  */
 function buildInlineContentWithStyle(node, style, context) {
+  if (isCommentDirective(node)) {
+    return buildInlineContent(node, context);
+  }
+  
   if (node.type === 'text') {
     return textRun(node.value, style);
   }
@@ -136,32 +159,24 @@ function buildParagraph(node, styles, context = {}) {
  */
 function buildHeading(node, styles, context = {}) {
   const level = node.depth;
-  const text = node.children.map(c => buildInlineContent(c, context)).join('');
+  const bookmarkId = context.nextBookmarkId ? context.nextBookmarkId() : '0';
+  
+  // Заголовок-подпись "Таблица: ..." выводится с полем SEQ
+  const text = node.caption
+    ? buildCaptionRuns(node.caption, context)
+    : node.children.map(c => buildInlineContent(c, context)).join('');
   
   // Генерируем ID для закладки
-  const headingText = node.children
-    .filter(c => c.type === 'text')
-    .map(c => c.value)
-    .join('');
-
-  const bookmarkId = context.nextBookmarkId ? context.nextBookmarkId() : '0';
+  const headingText = node.caption
+    ? `Таблица ${node.caption.number}. ${node.caption.text}`
+    : node.children
+      .filter(c => c.type === 'text')
+      .map(c => c.value)
+      .join('');
 
   // Генерируем bookmarkName совместимый с типичными anchor-ссылками
-  // Для "Таблица 2. Условия..." создаём "таблица-2" (без остального текста)
-  // Это позволяет ссылаться как [текст](#таблица-2)
-  let bookmarkName = headingText
-    .toLowerCase()
-    .replace(/[^\w\sа-яё-]/gi, '')
-    .replace(/\s+/g, '-')
-    .substring(0, 40) || `heading-${bookmarkId}`;
-
-  // Специальная обработка для заголовков вида "Таблица N." - укорачиваем до "таблица-n"
-  const tableMatch = headingText.match(/^(Таблица\s+\d+)/i);
-  if (tableMatch) {
-    bookmarkName = tableMatch[1]
-      .toLowerCase()
-      .replace(/\s+/g, '-');
-  }
+  // (то же имя использует оглавление для PAGEREF)
+  const bookmarkName = getHeadingBookmarkName(headingText) || `heading-${bookmarkId}`;
   
   // Определяем стиль заголовка
   let styleId;
@@ -207,7 +222,13 @@ function buildHeading(node, styles, context = {}) {
  */
 function buildList(node, styles, context = {}, level = 0) {
   const isOrdered = node.ordered;
-  const numId = isOrdered ? styles.numberingIds.decimal : styles.numberingIds.bullet;
+  let numId = isOrdered ? styles.numberingIds.decimal : styles.numberingIds.bullet;
+  
+  // Нумерованный список начинается заново со своего номера (1. или start из Markdown):
+  // без отдельного экземпляра нумерации Word продолжает нумерацию предыдущего списка
+  if (isOrdered && context.addListNumbering) {
+    numId = context.addListNumbering(numId, level, node.start || 1);
+  }
   
   return node.children
     .map(item => buildListItem(item, styles, context, level, numId))
@@ -2,7 +2,7 @@
  * Document Builder - сборка полного document.xml
  */
 
-const { documentHeader, documentFooter, paragraph, pageBreak } = require('../utils/xml-utils');
+const { documentHeader, documentFooter, sectionProperties, getTextWidth, paragraph, pageBreak } = require('../utils/xml-utils');
 const { buildDocumentHeader } = require('./meta-builder');
 const { buildContent, buildHeading } = require('./content-builder');
 const { buildTableFromAst } = require('./table-builder');
@@ -10,7 +10,12 @@ const { buildTermsTable } = require('./terms-builder');
 const { buildChangesTable } = require('./changes-builder');
 const { buildFunctionTable } = require('./function-table-builder');
 const { buildImageParagraph } = require('./image-builder');
+const { buildTableOfContents, normalizeTocOptions } = require('./toc-builder');
+const { buildCaptionParagraph } = require('./caption-builder');
+const { buildHeadersFooters } = require('./header-footer-builder');
+const { anchorComment } = require('./comment-builder');
 const { DIRECTIVE_TYPES } = require('../parser/directives');
+const { getDirective } = require('../plugins/registry');
 
 /**
  * Генерация блока примечания/предупреждения
@@ -102,6 +107,33 @@ function buildEmptySection(data, styles) {
   );
 }
 
+/**
+ * Генерация альбомного раздела
+ * Перед содержимым закрывается текущий (книжный) раздел, после - альбомный;
+ * колонтитулы и поля страницы сохраняются
+ * @param {Object} node - AST узел директивы с дочерними узлами
+ * @param {Object} styles - Конфигурация стилей
+ * @param {Object} context - Контекст
+ * @returns {string} XML строка
+ */
+function buildLandscapeSection(node, styles, context) {
+  const sectionRefs = context.sectionRefs || {};
+  
+  // Таблицы и изображения растягиваются на более широкую область текста
+  const landscapeContext = {
+    ...context,
+    orientation: 'landscape',
+    widthScale: getTextWidth(styles, 'landscape') / getTextWidth(styles, 'portrait')
+  };
+  
+  const content = buildBlocks(node.children || [], styles, landscapeContext);
+  
+  const sectionBreak = orientation =>
+    `<w:p><w:pPr>${sectionProperties(styles, { orientation, sectionRefs })}</w:pPr></w:p>`;
+  
+  return sectionBreak('portrait') + content + sectionBreak('landscape');
+}
+
 /**
  * Обработка узла AST с директивой
  * @param {Object} node - AST узел с directiveData
@@ -118,10 +150,10 @@ function processDirectiveNode(node, styles, context) {
   
   switch (data.type) {
     case DIRECTIVE_TYPES.TERMS:
-      return buildTermsTable(data, styles);
+      return buildTermsTable(data, styles, context);
     
     case DIRECTIVE_TYPES.CHANGES_TABLE:
-      return buildChangesTable(data, styles);
+      return buildChangesTable(data, styles, context);
     
     case DIRECTIVE_TYPES.FUNCTION_TABLE:
       return buildFunctionTable(data, styles, context);
@@ -132,7 +164,26 @@ function processDirectiveNode(node, styles, context) {
     case DIRECTIVE_TYPES.EMPTY_SECTION:
       return buildEmptySection(data, styles);
     
+    case DIRECTIVE_TYPES.TOC:
+      return buildTableOfContents(context.headings, styles, data);
+    
+    case DIRECTIVE_TYPES.COMMENT:
+      // Блок :::comment привязывается к соседнему блоку в buildBlocks
+      return '';
+    
+    case DIRECTIVE_TYPES.LANDSCAPE:
+      // Вложенные альбомные разделы не создают новых разрывов
+      if (context.orientation === 'landscape') {
+        return buildBlocks(node.children || [], styles, context);
+      }
+      return buildLandscapeSection(node, styles, context);
+    
     default:
+      // Директива плагина
+      if (data.custom && getDirective(data.type)) {
+        return getDirective(data.type).build(data, styles, context, node);
+      }
+      
       if (node.children) {
         return node.children
           .map(child => processAstNode(child, styles, context))
@@ -180,14 +231,17 @@ function processAstNode(node, styles, context) {
   
   switch (node.type) {
     case 'root':
-      return node.children
-        .map(child => processAstNode(child, styles, context))
-        .join('');
+      return buildBlocks(node.children, styles, context);
     
     case 'heading':
       return buildHeading(node, styles, context);
     
     case 'paragraph':
+      // Подпись таблицы "Таблица: Название {#tbl:id}"
+      if (node.caption) {
+        return buildCaptionParagraph(node.caption, styles, context);
+      }
+      
       // Проверяем, есть ли изображение внутри
       const hasImage = node.children && node.children.some(c => c.type === 'image');
       if (hasImage) {
@@ -224,6 +278,10 @@ function processAstNode(node, styles, context) {
     case 'thematicBreak':
       return paragraph('', { style: styles.styleIds.normal });
     
+    case 'footnoteDefinition':
+      // Текст сносок выводится в footnotes.xml (см. footnote-builder)
+      return '';
+    
     case 'image':
       return buildImageParagraph({
         url: node.url,
@@ -249,6 +307,57 @@ function processAstNode(node, styles, context) {
   }
 }
 
+/**
+ * Сборка последовательности блоков документа
+ * Блок :::comment не выводится сам: комментарий привязывается к предшествующему блоку
+ * (если его нет - к следующему)
+ * @param {Array} nodes - Блоки (дочерние узлы root или :::landscape)
+ * @param {Object} styles - Конфигурация стилей
+ * @param {Object} context - Контекст
+ * @returns {string} XML строка
+ */
+function buildBlocks(nodes, styles, context) {
+  const parts = [];
+  let pending = [];
+  
+  for (const node of nodes) {
+    const data = node.directiveData;
+    if (data && data.type === DIRECTIVE_TYPES.COMMENT) {
+      if (data.commentId === undefined) continue;
+      
+      if (parts.length > 0) {
+        parts[parts.length - 1] = anchorComment(parts[parts.length - 1], data.commentId);
+      } else {
+        pending.push(data.commentId);
+      }
+      continue;
+    }
+    
+    const xml = processAstNode(node, styles, context);
+    if (!xml) continue;
+    
+    parts.push(pending.reduce((result, id) => anchorComment(result, id), xml));
+    pending = [];
+  }
+  
+  return parts.join('');
+}
+
+/**
+ * Проверка наличия директивы :::toc в AST
+ * @param {Object} node - AST узел
+ * @returns {boolean}
+ */
+function hasTocDirective(node) {
+  if (!node) return false;
+  
+  if (node.directiveData && node.directiveData.type === DIRECTIVE_TYPES.TOC) {
+    return true;
+  }
+  
+  return Array.isArray(node.children) && node.children.some(hasTocDirective);
+}
+
 /**
  * Сборка полного document.xml
  * @param {Object} parsedData - Распарсенные данные документа
@@ -259,6 +368,16 @@ function processAstNode(node, styles, context) {
 function buildDocument(parsedData, styles, context = {}) {
   const parts = [];
   
+  // Заголовки нужны директиве :::toc, подписи - рисункам внутри директив
+  const docContext = {
+    ...context,
+    headings: parsedData.headings || [],
+    captions: parsedData.captions || new Map()
+  };
+  
+  // Колонтитулы нужны всем разделам документа (в т.ч. альбомным)
+  docContext.sectionRefs = buildHeadersFooters(parsedData, styles, docContext);
+  
   // 1. XML заголовок и открывающие теги
   parts.push(documentHeader());
   
@@ -272,14 +391,21 @@ function buildDocument(parsedData, styles, context = {}) {
   // 3. Разрыв страницы после шапки
   parts.push(pageBreak());
   
-  // 4. Основной контент из AST
+  // 4. Оглавление по флагу toc в YAML (если место не задано директивой :::toc)
+  const tocOptions = normalizeTocOptions(parsedData.toc);
+  if (tocOptions && !hasTocDirective(parsedData.ast)) {
+    parts.push(buildTableOfContents(docContext.headings, styles, tocOptions));
+    parts.push(pageBreak());
+  }
+  
+  // 5. Основной контент из AST
   if (parsedData.ast) {
-    const contentXml = processAstNode(parsedData.ast, styles, context);
+    const contentXml = processAstNode(parsedData.ast, styles, docContext);
     parts.push(contentXml);
   }
   
-  // 5. Закрывающие теги и настройки секции
-  parts.push(documentFooter(styles));
+  // 6. Закрывающие теги и настройки последнего раздела
+  parts.push(documentFooter(styles, docContext.sectionRefs));
   
   return parts.join('\n');
 }
@@ -352,6 +478,9 @@ module.exports = {
   createBuildContext,
   processAstNode,
   processDirectiveNode,
+  buildBlocks,
+  hasTocDirective,
+  parseImageAttributes,
   buildNoteBlock,
   buildEmptySection
 };
@@ -0,0 +1,70 @@
+/**
+ * Footnote Builder - генерация сносок (ссылки в тексте и содержимое word/footnotes.xml)
+ */
+
+const { textRun, paragraph } = require('../utils/xml-utils');
+
+/**
+ * Ссылка на сноску в тексте документа
+ * @param {Object} node - Узел footnoteReference (footnoteId и footnoteRepeat назначает парсер)
+ * @returns {string} XML строка run
+ */
+function buildFootnoteReference(node) {
+  // Ссылка без определения остаётся текстом
+  if (!node.footnoteId) {
+    return textRun(`[^${node.label}]`);
+  }
+
+  const content = node.footnoteRepeat
+    ? `<w:t>${node.footnoteId}</w:t>`
+    : `<w:footnoteReference w:id="${node.footnoteId}"/>`;
+
+  return `<w:r><w:rPr><w:vertAlign w:val="superscript"/></w:rPr>${content}</w:r>`;
+}
+
+/**
+ * Генерация одной сноски для footnotes.xml
+ * Знак сноски (footnoteRef) ставится в начале первого параграфа
+ * @param {Object} footnote - Сноска {id, children}
+ * @param {Object} styles - Конфигурация стилей
+ * @returns {string} XML строка <w:footnote>
+ */
+function buildFootnote(footnote, styles) {
+  // Отложенная загрузка: content-builder использует этот модуль для ссылок в тексте
+  const { buildInlineContent } = require('./content-builder');
+
+  const footnoteRef = '<w:r><w:rPr><w:vertAlign w:val="superscript"/></w:rPr><w:footnoteRef/></w:r>' +
+    textRun(' ');
+
+  const blocks = (footnote.children || []).filter(node => node.children);
+
+  // Гиперссылки внутри сносок выводятся текстом: у footnotes.xml свои relationships
+  const paragraphs = blocks.map((node, index) => {
+    const runs = node.children.map(child => buildInlineContent(child, {})).join('');
+    return paragraph((index === 0 ? footnoteRef : '') + runs, {
+      style: styles.styleIds.footnoteText
+    });
+  });
+
+  if (paragraphs.length === 0) {
+    paragraphs.push(paragraph(footnoteRef, { style: styles.styleIds.footnoteText }));
+  }
+
+  return `<w:footnote w:id="${footnote.id}">${paragraphs.join('')}</w:footnote>`;
+}
+
+/**
+ * Генерация всех сносок документа
+ * @param {Array} footnotes - Сноски из парсера [{id, children}]
+ * @param {Object} styles - Конфигурация стилей
+ * @returns {string} XML строка (элементы <w:footnote> без корневого тега)
+ */
+function buildFootnotes(footnotes, styles) {
+  return (footnotes || []).map(footnote => buildFootnote(footnote, styles)).join('');
+}
+
+module.exports = {
+  buildFootnoteReference,
+  buildFootnote,
+  buildFootnotes
+};
@@ -6,6 +6,10 @@ const { escapeXml } = require('../utils/xml-utils');
 const { buildTable, buildTableRow, buildTableCell } = require('./table-builder');
 const { buildImageParagraph } = require('./image-builder');
 const { parseMarkdownTable } = require('../utils/markdown-table-parser');
+const { resolveCellMerges, unescapeMergeMarker } = require('../utils/table-merges');
+const { buildCrossReference } = require('./caption-builder');
+const { getCaptionBookmarkName, getCaptionReferenceText } = require('../parser/captions');
+const { formatTaskUrl } = require('../config');
 
 /**
  * Создаёт w:t элемент с правильной обработкой пробелов
@@ -48,8 +52,9 @@ function processTextFormatting(text, context = {}) {
   if (!text) return '';
 
   // Сначала обрабатываем ссылки, потом жирный текст
-  // Regex для markdown ссылок: [text](url) или [text](#anchor)
-  const linkRegex = /\[([^\]]+)\]\(([^)]+)\)/g;
+  // Regex для markdown ссылок: [text](url) или [text](#anchor),
+  // а также перекрёстных ссылок на подписи [@fig:id]
+  const linkRegex = /\[@((?:fig|tbl):[\w-]+)\]|\[([^\]]+)\]\(([^)]+)\)/g;
   const parts = [];
   let lastIndex = 0;
   let match;
@@ -59,12 +64,17 @@ function processTextFormatting(text, context = {}) {
     if (match.index > lastIndex) {
       parts.push({ type: 'text', content: text.substring(lastIndex, match.index) });
     }
-    // Ссылка
-    parts.push({
-      type: 'link',
-      text: match[1],
-      url: match[2]
-    });
+    if (match[1]) {
+      // Перекрёстная ссылка
+      parts.push({ type: 'crossReference', label: match[1] });
+    } else {
+      // Ссылка
+      parts.push({
+        type: 'link',
+        text: match[2],
+        url: match[3]
+      });
+    }
     lastIndex = match.index + match[0].length;
   }
 
@@ -83,6 +93,16 @@ function processTextFormatting(text, context = {}) {
     if (part.type === 'link') {
       return buildLinkRun(part.text, part.url, context);
     }
+    if (part.type === 'crossReference') {
+      const caption = context.captions && context.captions.get(part.label);
+      if (!caption) {
+        return processTextWithBold(`[@${part.label}]`);
+      }
+      return buildCrossReference({
+        bookmark: getCaptionBookmarkName(part.label),
+        value: getCaptionReferenceText(caption)
+      });
+    }
     return processTextWithBold(part.content);
   }).join('');
 }
@@ -267,9 +287,13 @@ function buildScenarioContent(scenarioText, styles, context = {}) {
       result.push(`<w:p>${runs}</w:p>`);
     }
     else if (item.type === 'numbered') {
+      // Каждый нумерованный список сценария начинается с 1 (см. buildList)
+      const numId = context.addListNumbering
+        ? context.addListNumbering(styles.numberingIds.decimal, 0, 1)
+        : styles.numberingIds.decimal;
       item.items.forEach((text) => {
         const runs = processTextFormatting(text, context);
-        result.push(`<w:p><w:pPr><w:numPr><w:ilvl w:val="0"/><w:numId w:val="${styles.numberingIds.decimal}"/></w:numPr></w:pPr>${runs}</w:p>`);
+        result.push(`<w:p><w:pPr><w:numPr><w:ilvl w:val="0"/><w:numId w:val="${numId}"/></w:numPr></w:pPr>${runs}</w:p>`);
       });
     }
     else if (item.type === 'bullet') {
@@ -304,19 +328,27 @@ function buildNestedTable(rows, styles, context = {}) {
   if (!rows || rows.length === 0) return '';
 
   const tableRows = [];
+  // Ячейки `<<` и `^^` объединяются с ячейкой слева и сверху
+  const layout = resolveCellMerges(rows);
 
   for (let i = 0; i < rows.length; i++) {
     const row = rows[i];
     const cells = [];
 
-    for (const cellText of row) {
+    for (const cell of layout[i]) {
+      const merge = { colspan: cell.colspan, rowspan: cell.rowspan };
+      if (cell.rowspan === 'continue') {
+        cells.push(buildTableCell('<w:p/>', merge));
+        continue;
+      }
+
       // Обрабатываем <br> как переводы строк
-      const paragraphs = cellText.split('<br>').map(text => {
+      const paragraphs = unescapeMergeMarker(row[cell.index]).split('<br>').map(text => {
         const runs = processTextFormatting(text.trim(), context);
         return `<w:p>${runs}</w:p>`;
       }).join('');
 
-      cells.push(buildTableCell(paragraphs));
+      cells.push(buildTableCell(paragraphs, merge));
     }
 
     tableRows.push(buildTableRow(cells));
@@ -341,10 +373,12 @@ function buildFunctionTable(directiveData, styles, context = {}) {
     id,
     function: funcDescription,
     task,
-    taskUrl,
     scenario
   } = directiveData;
 
+  // Без явного taskUrl ссылка строится по шаблону из конфигурации проекта
+  const taskUrl = directiveData.taskUrl || formatTaskUrl(context.taskUrlPattern, task);
+
   const padding = styles.table.cellPadding;
   const headerBg = styles.colors.tableHeaderBackground;
   const headerTextColor = styles.colors.tableHeaderText || 'FFFFFF';
@@ -412,7 +446,8 @@ function buildFunctionTable(directiveData, styles, context = {}) {
   const table = buildTable(rows, {
     columnWidths: [col1, col2],
     borders: true,
-    borderColor: styles.colors.tableBorder
+    borderColor: styles.colors.tableBorder,
+    scale: context.widthScale
   });
 
   return table;
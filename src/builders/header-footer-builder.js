@@ -0,0 +1,159 @@
+/**
+ * Header/Footer Builder - колонтитулы (word/header1.xml, word/footer1.xml)
+ */
+
+const { NAMESPACES, textRun, paragraph, complexField } = require('../utils/xml-utils');
+const { getLatestHistoryEntry } = require('../parser/yaml-parser');
+
+/**
+ * Колонтитулы для значения true
+ * Значение - строка (текст по центру) или объект {left, center, right}
+ */
+const HEADER_FOOTER_DEFAULTS = {
+  header: { left: '{metadata.shortName}', right: 'Версия {version}' },
+  footer: { right: 'стр. {page} из {pages}' }
+};
+
+/**
+ * Плейсхолдер в шаблоне колонтитула: {metadata.shortName}, {version}, {page}
+ */
+const PLACEHOLDER_REGEX = /\{([\w.]+)\}/g;
+
+/**
+ * Нормализация настройки колонтитула
+ * Колонтитулы выводятся только по явной настройке: без неё документ остаётся без колонтитулов
+ * @param {string|Object|boolean} value - Значение из YAML или конфигурации
+ * @param {Object} defaults - Колонтитул для значения true
+ * @returns {Object|null} {left, center, right} или null, если колонтитул не задан или выключен
+ */
+function normalizeHeaderFooter(value, defaults) {
+  if (value === true) return { ...defaults };
+  if (!value) return null;
+
+  if (typeof value === 'string') {
+    return { center: value };
+  }
+
+  return {
+    left: value.left,
+    center: value.center,
+    right: value.right
+  };
+}
+
+/**
+ * Значение плейсхолдера из данных документа
+ * @param {string} name - Имя (version или путь вида metadata.shortName)
+ * @param {Object} data - Распарсенные данные документа
+ * @returns {string}
+ */
+function resolvePlaceholder(name, data) {
+  if (name === 'version') {
+    const latest = getLatestHistoryEntry(data.history);
+    return latest ? String(latest.version) : String(data.version || '');
+  }
+
+  const value = name.split('.').reduce((acc, key) => acc && acc[key], data);
+  if (value === undefined || value === null) {
+    console.warn(`Неизвестное поле в колонтитуле: {${name}}`);
+    return '';
+  }
+
+  return Array.isArray(value) ? value.join(', ') : String(value);
+}
+
+/**
+ * Runs для шаблона колонтитула
+ * {page} и {pages} становятся полями PAGE и NUMPAGES, остальные плейсхолдеры - текстом
+ * @param {string} template - Шаблон ("стр. {page} из {pages}")
+ * @param {Object} data - Распарсенные данные документа
+ * @returns {string} XML строка runs
+ */
+function buildTemplateRuns(template, data) {
+  const runs = [];
+  let text = '';
+  let lastIndex = 0;
+  let match;
+
+  PLACEHOLDER_REGEX.lastIndex = 0;
+  while ((match = PLACEHOLDER_REGEX.exec(template)) !== null) {
+    text += template.substring(lastIndex, match.index);
+    lastIndex = match.index + match[0].length;
+
+    if (match[1] === 'page' || match[1] === 'pages') {
+      if (text) runs.push(textRun(text));
+      text = '';
+      runs.push(complexField(match[1] === 'page' ? 'PAGE' : 'NUMPAGES', '1'));
+    } else {
+      text += resolvePlaceholder(match[1], data);
+    }
+  }
+
+  text += template.substring(lastIndex);
+  if (text) runs.push(textRun(text));
+
+  return runs.join('');
+}
+
+/**
+ * Генерация части колонтитула
+ * Левая, центральная и правая части разделены табуляциями стиля header/footer
+ * @param {string} kind - header | footer
+ * @param {Object} config - {left, center, right}
+ * @param {Object} data - Распарсенные данные документа
+ * @param {Object} styles - Конфигурация стилей
+ * @returns {string} XML строка файла header/footer
+ */
+function buildHeaderFooterPart(kind, config, data, styles) {
+  const tab = '<w:r><w:tab/></w:r>';
+  const { left, center, right } = config;
+
+  let content = left ? buildTemplateRuns(left, data) : '';
+  if (center || right) {
+    content += tab + (center ? buildTemplateRuns(center, data) : '');
+  }
+  if (right) {
+    content += tab + buildTemplateRuns(right, data);
+  }
+
+  const tagName = kind === 'header' ? 'w:hdr' : 'w:ftr';
+
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<${tagName} xmlns:r="${NAMESPACES.r}" xmlns:w="${NAMESPACES.w}">${paragraph(content, { style: styles.styleIds[kind] })}</${tagName}>`;
+}
+
+/**
+ * Генерация колонтитулов документа и регистрация их в контексте сборки
+ * Поле header / footer из YAML имеет приоритет над конфигурацией проекта
+ * @param {Object} data - Распарсенные данные документа (header, footer, metadata, history)
+ * @param {Object} styles - Конфигурация стилей
+ * @param {Object} context - Контекст (addHeaderFooter, headerFooter из конфигурации)
+ * @returns {Object} Ссылки для sectPr {header: rId, footer: rId}
+ */
+function buildHeadersFooters(data, styles, context = {}) {
+  const refs = {};
+
+  if (!context.addHeaderFooter) {
+    return refs;
+  }
+
+  const configured = context.headerFooter || {};
+
+  for (const kind of ['header', 'footer']) {
+    const value = data[kind] !== undefined ? data[kind] : configured[kind];
+    const config = normalizeHeaderFooter(value, HEADER_FOOTER_DEFAULTS[kind]);
+    if (config && (config.left || config.center || config.right)) {
+      refs[kind] = context.addHeaderFooter(kind, buildHeaderFooterPart(kind, config, data, styles));
+    }
+  }
+
+  return refs;
+}
+
+module.exports = {
+  buildHeadersFooters,
+  buildHeaderFooterPart,
+  buildTemplateRuns,
+  normalizeHeaderFooter,
+  HEADER_FOOTER_DEFAULTS
+};
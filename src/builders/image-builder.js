@@ -5,6 +5,8 @@
 const fs = require('fs');
 const path = require('path');
 const { paragraph } = require('../utils/xml-utils');
+const { buildCaptionParagraph } = require('./caption-builder');
+const { createFileCache } = require('../utils/file-cache');
 
 // Попробуем загрузить image-size, если не получится - используем fallback
 let sizeOf;
@@ -14,12 +16,35 @@ try {
   sizeOf = null;
 }
 
+/**
+ * Размеры изображений с диска: пересчитываются только после изменения файла
+ */
+const dimensionsCache = createFileCache(readImageDimensions);
+
 /**
  * Получение размеров изображения
- * @param {string} imagePath - Путь к изображению
+ * @param {string|Buffer} imagePath - Путь к изображению или его содержимое
  * @returns {Object} {width, height} в пикселях
  */
 function getImageDimensions(imagePath) {
+  if (Buffer.isBuffer(imagePath)) {
+    return readImageDimensions(imagePath);
+  }
+  
+  try {
+    return dimensionsCache.get(imagePath);
+  } catch (e) {
+    // Файл недоступен - fallback размеры
+    return { width: 400, height: 300 };
+  }
+}
+
+/**
+ * Чтение размеров изображения (без кэша)
+ * @param {string|Buffer} imagePath - Путь к изображению или его содержимое
+ * @returns {Object} {width, height} в пикселях
+ */
+function readImageDimensions(imagePath) {
   if (sizeOf) {
     try {
       const dimensions = sizeOf(imagePath);
@@ -139,7 +164,7 @@ function buildImageParagraph(imageInfo, context, styles) {
   }
   
   // Добавляем изображение и получаем данные
-  const imageData = context.addImage(url, attributes);
+  const imageData = context.addImage(url, attributes, { widthScale: context.widthScale });
   
   if (!imageData) {
     return paragraph(`<w:r><w:t>[Изображение не найдено: ${url}]</w:t></w:r>`, {
@@ -157,15 +182,22 @@ function buildImageParagraph(imageInfo, context, styles) {
     docPrId: imageData.docPrId
   });
   
+  // Подпись рисунка с меткой {#fig:id}
+  const caption = attributes && attributes.id && context.captions
+    ? context.captions.get(attributes.id)
+    : null;
+  
   // Оборачиваем в параграф
-  return `<w:p>
+  const imageXml = `<w:p>
   <w:pPr>
-    <w:jc w:val="center"/>
+    ${caption ? '<w:keepNext/>' : ''}<w:jc w:val="center"/>
   </w:pPr>
   <w:r>
     ${drawingXml}
   </w:r>
 </w:p>`;
+  
+  return caption ? imageXml + buildCaptionParagraph(caption, styles, context) : imageXml;
 }
 
 /**
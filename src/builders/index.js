@@ -10,11 +10,20 @@ const { buildTermsTable } = require('./terms-builder');
 const { buildChangesTable } = require('./changes-builder');
 const { buildFunctionTable } = require('./function-table-builder');
 const { buildImageParagraph, buildImageXml, getImageDimensions, pixelsToEmu } = require('./image-builder');
+const { buildTableOfContents } = require('./toc-builder');
+const { buildCaptionParagraph, buildCrossReference } = require('./caption-builder');
+const { buildFootnotes } = require('./footnote-builder');
+const { buildComments } = require('./comment-builder');
+const { buildHeadersFooters } = require('./header-footer-builder');
+const { buildDocumentProperties } = require('./properties-builder');
+const { buildTrackedDocument, getRevisionInfo } = require('./revisions-builder');
 
 module.exports = {
   // Document
   buildDocument,
   createBuildContext,
+  buildTrackedDocument,
+  getRevisionInfo,
   
   // Meta
   buildDocumentHeader,
@@ -40,6 +49,25 @@ module.exports = {
   buildChangesTable,
   buildFunctionTable,
   
+  // TOC
+  buildTableOfContents,
+  
+  // Captions
+  buildCaptionParagraph,
+  buildCrossReference,
+  
+  // Footnotes
+  buildFootnotes,
+  
+  // Comments
+  buildComments,
+  
+  // Headers/footers
+  buildHeadersFooters,
+  
+  // Document properties
+  buildDocumentProperties,
+  
   // Images
   buildImageParagraph,
   buildImageXml,
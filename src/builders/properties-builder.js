@@ -0,0 +1,124 @@
+/**
+ * Properties Builder - свойства документа (docProps/core.xml, docProps/custom.xml)
+ * Заполняются из YAML метаданных, чтобы СЭД и поиск Windows видели реквизиты ЧТЗ
+ */
+
+const { escapeXml } = require('../utils/xml-utils');
+const { getLatestHistoryEntry, parseDate } = require('../parser/yaml-parser');
+
+/**
+ * Идентификатор набора пользовательских свойств (общий для всех документов Office)
+ */
+const CUSTOM_PROPERTIES_FMTID = '{D5CDD505-2E9C-101B-9397-08002B2CF9AE}';
+
+/**
+ * Пользовательские свойства: имя свойства -> функция получения значения
+ * Порядок определяет pid (начиная с 2)
+ */
+const CUSTOM_PROPERTIES = {
+  ShortName: data => data.metadata.shortName,
+  Consultant: data => data.metadata.consultant && data.metadata.consultant.name,
+  ConsultantEmail: data => data.metadata.consultant && data.metadata.consultant.email,
+  Organization: data => data.metadata.organization,
+  CreatedDate: data => data.metadata.createdDate,
+  Version: data => getDocumentVersion(data)
+};
+
+/**
+ * Версия документа - из последней записи истории изменений
+ * @param {Object} data - Распарсенные данные документа
+ * @returns {string}
+ */
+function getDocumentVersion(data) {
+  const latest = getLatestHistoryEntry(data.history);
+  return latest ? String(latest.version) : String(data.version || '');
+}
+
+/**
+ * Дата DD.MM.YYYY в формате W3CDTF (2025-01-31T00:00:00Z)
+ * @param {string} value - Дата
+ * @returns {string|null}
+ */
+function toW3CDate(value) {
+  const time = parseDate(value);
+  if (isNaN(time)) return null;
+  return new Date(time).toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+/**
+ * Генерация docProps/core.xml
+ * Даты берутся из metadata.createdDate и последней записи истории, а не из текущего
+ * времени - повторная генерация того же Markdown даёт те же свойства
+ * @param {Object} data - Распарсенные данные документа (metadata, history, version)
+ * @returns {string} XML строка
+ */
+function buildCoreProperties(data) {
+  const metadata = data.metadata || {};
+  const latest = getLatestHistoryEntry(data.history);
+  const consultant = (metadata.consultant && metadata.consultant.name) || '';
+
+  const created = toW3CDate(metadata.createdDate);
+  const modified = toW3CDate(latest && latest.date) || created;
+
+  const element = (name, value) => value ? `<${name}>${escapeXml(value)}</${name}>` : '';
+  const dateElement = (name, value) => value
+    ? `<${name} xsi:type="dcterms:W3CDTF">${value}</${name}>`
+    : '';
+
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    '<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" ' +
+    'xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" ' +
+    'xmlns:dcmitype="http://purl.org/dc/dcmitype/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">' +
+    element('dc:title', metadata.shortName) +
+    element('dc:subject', metadata.organization) +
+    element('dc:creator', consultant) +
+    element('cp:keywords', (metadata.itSystems || []).join(', ')) +
+    element('cp:lastModifiedBy', (latest && latest.author) || consultant) +
+    element('cp:version', getDocumentVersion(data)) +
+    dateElement('dcterms:created', created) +
+    dateElement('dcterms:modified', modified) +
+    '</cp:coreProperties>';
+}
+
+/**
+ * Генерация docProps/custom.xml
+ * Пустые значения не записываются
+ * @param {Object} data - Распарсенные данные документа
+ * @returns {string} XML строка
+ */
+function buildCustomProperties(data) {
+  let pid = 2;
+  const properties = Object.entries(CUSTOM_PROPERTIES)
+    .map(([name, getValue]) => [name, getValue(data)])
+    .filter(([, value]) => value)
+    .map(([name, value]) =>
+      `<property fmtid="${CUSTOM_PROPERTIES_FMTID}" pid="${pid++}" name="${name}">` +
+      `<vt:lpwstr>${escapeXml(String(value))}</vt:lpwstr></property>`
+    );
+
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    '<Properties xmlns="http://schemas.openxmlformats.org/officeDocument/2006/custom-properties" ' +
+    'xmlns:vt="http://schemas.openxmlformats.org/officeDocument/2006/docPropsVTypes">' +
+    properties.join('') +
+    '</Properties>';
+}
+
+/**
+ * Генерация свойств документа для сборщика
+ * @param {Object} data - Распарсенные данные документа
+ * @returns {Object} {coreXml, customXml}
+ */
+function buildDocumentProperties(data) {
+  return {
+    coreXml: buildCoreProperties(data),
+    customXml: buildCustomProperties(data)
+  };
+}
+
+module.exports = {
+  buildDocumentProperties,
+  buildCoreProperties,
+  buildCustomProperties,
+  toW3CDate,
+  CUSTOM_PROPERTIES
+};
@@ -0,0 +1,650 @@
+/**
+ * Revisions Builder - document.xml с исправлениями Word относительно предыдущей версии
+ *
+ * Сравнение структурное: разделы сопоставляются по заголовкам, блоки внутри раздела - по ID
+ * функциональной таблицы, заголовку таблицы или тексту. Изменённый блок сравнивается по
+ * абзацам и строкам таблиц, абзац - по словам. Добавленное выводится как w:ins, удалённое -
+ * как w:del (строки таблиц и знаки абзацев помечаются в trPr/pPr)
+ */
+
+const Diff = require('diff');
+const { documentHeader, documentFooter, pageBreak, escapeXml } = require('../utils/xml-utils');
+const { buildDocumentHeader } = require('./meta-builder');
+const { buildTableOfContents, normalizeTocOptions } = require('./toc-builder');
+const { buildHeadersFooters } = require('./header-footer-builder');
+const { processAstNode, hasTocDirective } = require('./document-builder');
+const { toW3CDate } = require('./properties-builder');
+const { anchorComment, removeComments } = require('./comment-builder');
+const { getLatestHistoryEntry } = require('../parser/yaml-parser');
+const { DIRECTIVE_TYPES } = require('../parser/directives');
+
+/**
+ * Автор исправлений, если в истории изменений он не указан
+ */
+const DEFAULT_REVISION_AUTHOR = 'chtz-generator';
+
+/**
+ * Автор и дата исправлений - из последней записи истории изменений
+ * @param {Object} parsedData - Распарсенные данные текущей версии
+ * @returns {Object} {author, date} (date - W3CDTF или null)
+ */
+function getRevisionInfo(parsedData) {
+  const latest = getLatestHistoryEntry(parsedData.history);
+  const consultant = parsedData.metadata && parsedData.metadata.consultant;
+
+  return {
+    author: (latest && latest.author) || (consultant && consultant.name) || DEFAULT_REVISION_AUTHOR,
+    date: toW3CDate(latest && latest.date)
+  };
+}
+
+/**
+ * Разбиение XML на элементы верхнего уровня (текст между элементами отбрасывается)
+ * @param {string} xml - XML фрагмент
+ * @returns {Array<string>}
+ */
+function splitElements(xml) {
+  const elements = [];
+  const tagRegex = /<(\/?)[\w:]+[^>]*?(\/?)>/g;
+  let depth = 0;
+  let start = 0;
+  let match;
+
+  while ((match = tagRegex.exec(xml)) !== null) {
+    const [, closing, selfClosing] = match;
+    if (depth === 0 && !closing) start = match.index;
+    if (closing) depth--;
+    else if (!selfClosing) depth++;
+    if (depth === 0) elements.push(xml.slice(start, tagRegex.lastIndex));
+  }
+
+  return elements;
+}
+
+/**
+ * Имя элемента (w:p, w:tbl, ...)
+ */
+function getElementName(xml) {
+  const match = /^<([\w:]+)/.exec(xml);
+  return match ? match[1] : '';
+}
+
+/**
+ * Открывающий тег, дочерние элементы и закрывающий тег элемента
+ * @param {string} xml - Элемент
+ * @returns {Object} {open, children, close}
+ */
+function parseElement(xml) {
+  const open = /^<[^>]*>/.exec(xml)[0];
+  if (open.endsWith('/>')) {
+    return { open: open.replace(/\s*\/>$/, '>'), children: [], close: `</${getElementName(xml)}>` };
+  }
+  const close = `</${getElementName(xml)}>`;
+  return { open, children: splitElements(xml.slice(open.length, -close.length)), close };
+}
+
+/**
+ * XML для сравнения: без идентификаторов, которые зависят от порядка сборки
+ * (закладки, рисунки, связи изображений)
+ */
+function normalizeXml(xml) {
+  return xml
+    .replace(/ (?:w:)?id="[^"]*"/g, '')
+    .replace(/ r:embed="[^"]*"/g, '');
+}
+
+/**
+ * Сравнение последовательностей
+ * Несовпадающие фрагменты между общими элементами группируются: удалённые и добавленные
+ * элементы, которые можно сравнить между собой (canPair), объединяются в изменение
+ * @param {Array} oldItems - Элементы предыдущей версии
+ * @param {Array} newItems - Элементы текущей версии
+ * @param {Function} getKey - (item) => string, ключ сопоставления
+ * @param {Function} canPair - (oldItem, newItem) => boolean
+ * @returns {Array<Object>} Операции {type: equal|delete|insert|modify, oldItem, newItem}
+ */
+function diffSequence(oldItems, newItems, getKey, canPair = () => false) {
+  const chunks = Diff.diffArrays(oldItems.map(getKey), newItems.map(getKey));
+  const operations = [];
+  let oldIndex = 0;
+  let newIndex = 0;
+  let deleted = [];
+  let inserted = [];
+
+  const flush = () => {
+    operations.push(...pairChanges(deleted, inserted, canPair));
+    deleted = [];
+    inserted = [];
+  };
+
+  for (const chunk of chunks) {
+    if (chunk.removed) {
+      deleted.push(...oldItems.slice(oldIndex, oldIndex + chunk.count));
+      oldIndex += chunk.count;
+    } else if (chunk.added) {
+      inserted.push(...newItems.slice(newIndex, newIndex + chunk.count));
+      newIndex += chunk.count;
+    } else {
+      flush();
+      for (let i = 0; i < chunk.count; i++) {
+        operations.push({ type: 'equal', oldItem: oldItems[oldIndex++], newItem: newItems[newIndex++] });
+      }
+    }
+  }
+  flush();
+
+  return operations;
+}
+
+/**
+ * Объединение удалённых и добавленных элементов одного фрагмента в изменения
+ * Порядок: удалённое выводится перед добавленным на его месте
+ */
+function pairChanges(deleted, inserted, canPair) {
+  const operations = [];
+  let nextDeleted = 0;
+
+  inserted.forEach((newItem, index) => {
+    let pairIndex = -1;
+    for (let i = nextDeleted; i < deleted.length; i++) {
+      if (canPair(deleted[i], newItem)) {
+        pairIndex = i;
+        break;
+      }
+    }
+
+    if (pairIndex === -1) {
+      // Удалённое, которое не с чем сравнить, выводится перед добавленным
+      const rest = inserted.slice(index);
+      while (nextDeleted < deleted.length && !rest.some(item => canPair(deleted[nextDeleted], item))) {
+        operations.push({ type: 'delete', oldItem: deleted[nextDeleted++] });
+      }
+      operations.push({ type: 'insert', newItem });
+      return;
+    }
+
+    for (; nextDeleted < pairIndex; nextDeleted++) {
+      operations.push({ type: 'delete', oldItem: deleted[nextDeleted] });
+    }
+    operations.push({ type: 'modify', oldItem: deleted[pairIndex], newItem });
+    nextDeleted = pairIndex + 1;
+  });
+
+  for (; nextDeleted < deleted.length; nextDeleted++) {
+    operations.push({ type: 'delete', oldItem: deleted[nextDeleted] });
+  }
+
+  return operations;
+}
+
+/**
+ * Разметка исправлений: w:ins/w:del с общим счётчиком идентификаторов
+ * @param {Object} info - {author, date}
+ * @param {Function} nextId - Генератор идентификаторов (общий с закладками)
+ * @returns {Object} {insert(xml), remove(xml), count()}
+ */
+function createRevisionMarker(info, nextId) {
+  let count = 0;
+
+  const revisionAttrs = () => {
+    count++;
+    const date = info.date ? ` w:date="${info.date}"` : '';
+    return ` w:id="${nextId()}" w:author="${escapeXml(info.author)}"${date}`;
+  };
+
+  /**
+   * Пометка знаков абзацев, строк таблиц и текста
+   */
+  function mark(xml, kind) {
+    return xml
+      .replace(/<w:p(\s[^>]*)?>(?:<w:pPr>([\s\S]*?)<\/w:pPr>)?/g, (match, pAttrs = '', pPr = '') => {
+        const markXml = `<w:${kind}${revisionAttrs()}/>`;
+        let properties;
+        if (pPr.includes('<w:rPr>')) {
+          properties = pPr.replace('<w:rPr>', `<w:rPr>${markXml}`);
+        } else if (pPr.includes('<w:sectPr')) {
+          properties = pPr.replace('<w:sectPr', `<w:rPr>${markXml}</w:rPr><w:sectPr`);
+        } else {
+          properties = `${pPr}<w:rPr>${markXml}</w:rPr>`;
+        }
+        return `<w:p${pAttrs}><w:pPr>${properties}</w:pPr>`;
+      })
+      .replace(/<w:tr(\s[^>]*)?>(?:<w:trPr>([\s\S]*?)<\/w:trPr>)?/g, (match, trAttrs = '', trPr = '') =>
+        `<w:tr${trAttrs}><w:trPr>${trPr}<w:${kind}${revisionAttrs()}/></w:trPr>`)
+      .replace(/(?:<w:r(?:\s[^>]*)?>[\s\S]*?<\/w:r>)+/g, runs =>
+        `<w:${kind}${revisionAttrs()}>${runs}</w:${kind}>`);
+  }
+
+  return {
+    insert(xml) {
+      return mark(xml, 'ins');
+    },
+
+    remove(xml) {
+      // Закладки, комментарии, ссылки на сноски и разрывы разделов предыдущей версии не переносятся
+      const cleaned = removeComments(xml)
+        .replace(/<w:bookmark(?:Start|End)[^>]*\/>/g, '')
+        .replace(/<w:r>(?:(?!<\/w:r>)[\s\S])*?<w:footnoteReference[^>]*\/>[\s\S]*?<\/w:r>/g, '')
+        .replace(/<w:sectPr>[\s\S]*?<\/w:sectPr>/g, '')
+        .replace(/<w:t(\s[^>]*)?>/g, '<w:delText$1>')
+        .replace(/<\/w:t>/g, '</w:delText>')
+        .replace(/<w:instrText(\s[^>]*)?>/g, '<w:delInstrText$1>')
+        .replace(/<\/w:instrText>/g, '</w:delInstrText>');
+      return mark(cleaned, 'del');
+    },
+
+    count() {
+      return count;
+    }
+  };
+}
+
+/**
+ * Элементы абзаца для сравнения по словам
+ * Простой фрагмент текста делится на слова и пробелы, остальные элементы (ссылки, поля,
+ * сноски) сравниваются целиком; закладки и границы комментариев предыдущей версии отбрасываются
+ * @param {Array<string>} children - Дочерние элементы абзаца (без pPr)
+ * @param {boolean} previous - Абзац предыдущей версии
+ * @returns {Array<Object>} {key, xml} или {key, rPr, text}
+ */
+function tokenizeParagraph(children, previous) {
+  const tokens = [];
+
+  children.forEach((child, index) => {
+    const name = getElementName(child);
+
+    const isCommentMark = name === 'w:commentRangeStart' || name === 'w:commentRangeEnd' ||
+      /^<w:r><w:commentReference[^>]*\/><\/w:r>$/.test(child);
+    if (name === 'w:bookmarkStart' || name === 'w:bookmarkEnd' || isCommentMark) {
+      if (!previous) tokens.push({ key: `bookmark:${index}`, xml: child, bookmark: true });
+      return;
+    }
+
+    const textRun = /^<w:r>(<w:rPr>[\s\S]*?<\/w:rPr>)?<w:t(?:\s[^>]*)?>([^<]*)<\/w:t><\/w:r>$/.exec(child);
+    if (textRun) {
+      const rPr = textRun[1] || '';
+      for (const text of textRun[2].match(/\s+|\S+/g) || []) {
+        tokens.push({ key: `${rPr}\u0000${text}`, rPr, text });
+      }
+      return;
+    }
+
+    tokens.push({ key: normalizeXml(child), xml: child });
+  });
+
+  return tokens;
+}
+
+/**
+ * XML последовательности элементов абзаца: соседние слова с одинаковым форматированием
+ * объединяются в один фрагмент текста
+ */
+function joinTokens(tokens) {
+  const parts = [];
+  let run = null;
+
+  const flushRun = () => {
+    if (run) parts.push(`<w:r>${run.rPr}<w:t xml:space="preserve">${run.text}</w:t></w:r>`);
+    run = null;
+  };
+
+  for (const token of tokens) {
+    if (token.xml !== undefined) {
+      flushRun();
+      parts.push(token.xml);
+    } else if (run && run.rPr === token.rPr) {
+      run.text += token.text;
+    } else {
+      flushRun();
+      run = { rPr: token.rPr, text: token.text };
+    }
+  }
+  flushRun();
+
+  return parts.join('');
+}
+
+/**
+ * Сравнение абзацев по словам
+ * @returns {string|null} XML абзаца или null, если общих слов нет (абзац заменён целиком)
+ */
+function diffParagraph(oldXml, newXml, marker) {
+  const oldParagraph = parseElement(oldXml);
+  const newParagraph = parseElement(newXml);
+  const splitProperties = (children) => getElementName(children[0] || '') === 'w:pPr'
+    ? [children[0], children.slice(1)]
+    : ['', children];
+
+  const [, oldChildren] = splitProperties(oldParagraph.children);
+  const [pPr, newChildren] = splitProperties(newParagraph.children);
+  const operations = diffSequence(
+    tokenizeParagraph(oldChildren, true),
+    tokenizeParagraph(newChildren, false),
+    token => token.key
+  );
+
+  const hasText = tokens => tokens.some(token => token.text && token.text.trim());
+  const common = operations.filter(op => op.type === 'equal').map(op => op.newItem);
+  if (!hasText(common) && hasText(operations.map(op => op.oldItem || op.newItem))) {
+    return null;
+  }
+
+  // Соседние операции одного типа выводятся одной группой
+  const groups = [];
+  for (const op of operations) {
+    const type = op.type === 'insert' && op.newItem.bookmark ? 'equal' : op.type;
+    const item = op.type === 'delete' ? op.oldItem : op.newItem;
+    const last = groups[groups.length - 1];
+    if (last && last.type === type) {
+      last.tokens.push(item);
+    } else {
+      groups.push({ type, tokens: [item] });
+    }
+  }
+
+  const content = groups.map(group => {
+    const xml = joinTokens(group.tokens);
+    if (group.type === 'insert') return marker.insert(xml);
+    if (group.type === 'delete') return marker.remove(xml);
+    return xml;
+  }).join('');
+
+  return `${newParagraph.open}${pPr}${content}${newParagraph.close}`;
+}
+
+/**
+ * Число столбцов таблицы (по tblGrid)
+ */
+function getGridSize(tableXml) {
+  return (tableXml.match(/<w:gridCol\b/g) || []).length;
+}
+
+/**
+ * Ячейки строки таблицы
+ */
+function getCells(rowXml) {
+  return parseElement(rowXml).children.filter(child => getElementName(child) === 'w:tc');
+}
+
+/**
+ * Сравнение строк таблицы по ячейкам (число ячеек совпадает)
+ */
+function diffRow(oldXml, newXml, marker) {
+  const oldCells = getCells(oldXml);
+  const newRow = parseElement(newXml);
+  let cellIndex = 0;
+
+  const children = newRow.children.map(child => {
+    if (getElementName(child) !== 'w:tc') return child;
+
+    const oldCell = parseElement(oldCells[cellIndex++]);
+    const newCell = parseElement(child);
+    const isContent = element => getElementName(element) !== 'w:tcPr';
+    const properties = newCell.children.filter(element => !isContent(element)).join('');
+    const content = diffElements(oldCell.children.filter(isContent), newCell.children.filter(isContent), marker);
+
+    return `${newCell.open}${properties}${content}${newCell.close}`;
+  });
+
+  return `${newRow.open}${children.join('')}${newRow.close}`;
+}
+
+/**
+ * Сравнение таблиц по строкам (число столбцов совпадает)
+ */
+function diffTable(oldXml, newXml, marker) {
+  const oldTable = parseElement(oldXml);
+  const newTable = parseElement(newXml);
+  const isRow = element => getElementName(element) === 'w:tr';
+
+  const operations = diffSequence(
+    oldTable.children.filter(isRow),
+    newTable.children.filter(isRow),
+    normalizeXml,
+    (oldRow, newRow) => getCells(oldRow).length === getCells(newRow).length
+  );
+
+  const rows = operations.map(op => {
+    switch (op.type) {
+      case 'insert':
+        return marker.insert(op.newItem);
+      case 'delete':
+        return marker.remove(op.oldItem);
+      case 'modify':
+        return diffRow(op.oldItem, op.newItem, marker);
+      default:
+        return op.newItem;
+    }
+  });
+
+  return `${newTable.open}${newTable.children.filter(element => !isRow(element)).join('')}${rows.join('')}${newTable.close}`;
+}
+
+/**
+ * Сравнение последовательностей абзацев и таблиц
+ * @param {Array<string>} oldElements - Элементы предыдущей версии
+ * @param {Array<string>} newElements - Элементы текущей версии
+ * @param {Object} marker - Разметка исправлений
+ * @returns {string} XML с исправлениями
+ */
+function diffElements(oldElements, newElements, marker) {
+  const operations = diffSequence(oldElements, newElements, normalizeXml, (oldXml, newXml) => {
+    const name = getElementName(newXml);
+    if (name !== getElementName(oldXml)) return false;
+    return name === 'w:p' || (name === 'w:tbl' && getGridSize(oldXml) === getGridSize(newXml));
+  });
+
+  return operations.map(op => {
+    switch (op.type) {
+      case 'insert':
+        return marker.insert(op.newItem);
+      case 'delete':
+        return marker.remove(op.oldItem);
+      case 'modify':
+        if (getElementName(op.newItem) === 'w:tbl') {
+          return diffTable(op.oldItem, op.newItem, marker);
+        }
+        return diffParagraph(op.oldItem, op.newItem, marker) ||
+          marker.remove(op.oldItem) + marker.insert(op.newItem);
+      default:
+        return op.newItem;
+    }
+  }).join('');
+}
+
+/**
+ * Текст блока для ключа сопоставления
+ */
+function getBlockText(node) {
+  if (!node) return '';
+  if (node.type === 'image') return `![${node.alt || ''}](${node.url})`;
+  if (typeof node.value === 'string') return node.value;
+  return (node.children || []).map(getBlockText).join('');
+}
+
+/**
+ * Ключ блока: по нему блоки двух версий считаются одним и тем же блоком
+ */
+function getBlockKey(node) {
+  const data = node.directiveData;
+
+  if (data) {
+    if (data.type === DIRECTIVE_TYPES.FUNCTION_TABLE) {
+      return `function-table:${data.id || data.function}`;
+    }
+    return `directive:${data.type}`;
+  }
+
+  switch (node.type) {
+    case 'heading':
+      return `heading:${node.depth}:${getBlockText(node)}`;
+    case 'table':
+      return `table:${getBlockText(node.children[0])}`;
+    default:
+      return `${node.type}:${getBlockText(node)}`;
+  }
+}
+
+/**
+ * Отпечаток узла без позиций в исходном тексте: равные отпечатки - блок не изменился
+ */
+function getFingerprint(value) {
+  return JSON.stringify(value, (key, item) => key === 'position' ? undefined : item);
+}
+
+/**
+ * Блоки документа (узлы верхнего уровня AST), сгруппированные по разделам
+ * XML блока строится по требованию: неизменённые блоки предыдущей версии не собираются.
+ * Комментарии :::comment привязываются к предыдущему блоку (как в buildBlocks);
+ * у предыдущей версии комментарии не выводятся
+ * @param {Object} parsedData - Распарсенные данные документа
+ * @param {Object} styles - Конфигурация стилей
+ * @param {Object} context - Контекст сборки документа
+ * @param {boolean} previous - Предыдущая версия
+ * @returns {Array<Object>} Разделы {key, blocks: [{key, kind, fingerprint, xml()}]}
+ */
+function getSections(parsedData, styles, context, previous = false) {
+  const sections = [{ key: '', level: 0, blocks: [] }];
+  let lastComments = null;
+  let pending = [];
+
+  for (const node of (parsedData.ast && parsedData.ast.children) || []) {
+    const data = node.directiveData;
+    if (data && data.type === DIRECTIVE_TYPES.COMMENT) {
+      if (previous || data.commentId === undefined) continue;
+
+      (lastComments || pending).push(data.commentId);
+      continue;
+    }
+
+    const comments = pending;
+    pending = [];
+    lastComments = comments;
+
+    let xml = null;
+    const build = () => {
+      const result = processAstNode(node, styles, context);
+      return previous
+        ? removeComments(result)
+        : comments.reduce((anchored, id) => anchorComment(anchored, id), result);
+    };
+    const block = {
+      key: getBlockKey(node),
+      kind: data ? data.type : node.type,
+      fingerprint: getFingerprint(node),
+      xml: () => xml === null ? (xml = build()) : xml
+    };
+
+    if (node.type === 'heading' && !node.directiveData) {
+      sections.push({ key: block.key, level: node.depth, blocks: [block] });
+    } else {
+      sections[sections.length - 1].blocks.push(block);
+    }
+  }
+
+  return sections;
+}
+
+/**
+ * Сравнение блоков раздела
+ */
+function diffBlocks(oldBlocks, newBlocks, marker) {
+  const operations = diffSequence(oldBlocks, newBlocks, block => block.key,
+    (oldBlock, newBlock) => oldBlock.kind === newBlock.kind);
+
+  return operations.map(op => {
+    const { oldItem, newItem } = op;
+
+    // Оглавление не сравнивается: Word пересчитывает его сам
+    if ((newItem || oldItem).kind === DIRECTIVE_TYPES.TOC) {
+      return newItem ? newItem.xml() : '';
+    }
+
+    switch (op.type) {
+      case 'insert':
+        return marker.insert(newItem.xml());
+      case 'delete':
+        return marker.remove(oldItem.xml());
+      default:
+        if (oldItem.fingerprint === newItem.fingerprint) {
+          return newItem.xml();
+        }
+        return diffElements(splitElements(oldItem.xml()), splitElements(newItem.xml()), marker);
+    }
+  }).join('');
+}
+
+/**
+ * Сборка document.xml с исправлениями относительно предыдущей версии
+ * Порядок частей совпадает с buildDocument; колонтитулы и оглавление строятся по текущей версии
+ * @param {Object} parsedData - Распарсенные данные текущей версии
+ * @param {Object} previousData - Распарсенные данные предыдущей версии
+ * @param {Object} styles - Конфигурация стилей
+ * @param {Object} context - Контекст сборки (addHyperlink, addImage, nextBookmarkId, ...)
+ * @returns {Object} {xml, revisions} - document.xml и число исправлений
+ */
+function buildTrackedDocument(parsedData, previousData, styles, context = {}) {
+  const marker = createRevisionMarker(getRevisionInfo(parsedData), context.nextBookmarkId);
+  const parts = [];
+
+  const docContext = {
+    ...context,
+    headings: parsedData.headings || [],
+    captions: parsedData.captions || new Map()
+  };
+  docContext.sectionRefs = buildHeadersFooters(parsedData, styles, docContext);
+
+  // Предыдущая версия собирается с теми же колонтитулами и связями, но своими подписями
+  const previousContext = {
+    ...docContext,
+    headings: previousData.headings || [],
+    captions: previousData.captions || new Map()
+  };
+
+  parts.push(documentHeader());
+
+  // Шапка: метаданные, история и связанные документы сравниваются по таблицам
+  const header = data => buildDocumentHeader({
+    metadata: data.metadata,
+    history: data.history,
+    relatedDocs: data.relatedDocs
+  }, styles);
+  parts.push(diffElements(splitElements(header(previousData)), splitElements(header(parsedData)), marker));
+
+  parts.push(pageBreak());
+
+  const tocOptions = normalizeTocOptions(parsedData.toc);
+  if (tocOptions && !hasTocDirective(parsedData.ast)) {
+    parts.push(buildTableOfContents(docContext.headings, styles, tocOptions));
+    parts.push(pageBreak());
+  }
+
+  // Разделы сопоставляются по заголовкам; переименованный раздел того же уровня - изменение
+  const sections = diffSequence(
+    getSections(previousData, styles, previousContext, true),
+    getSections(parsedData, styles, docContext),
+    section => section.key,
+    (oldSection, newSection) => oldSection.level === newSection.level
+  );
+
+  parts.push(sections.map(op => diffBlocks(
+    op.oldItem ? op.oldItem.blocks : [],
+    op.newItem ? op.newItem.blocks : [],
+    marker
+  )).join(''));
+
+  parts.push(documentFooter(styles, docContext.sectionRefs));
+
+  return {
+    xml: parts.join('\n'),
+    revisions: marker.count()
+  };
+}
+
+module.exports = {
+  buildTrackedDocument,
+  createRevisionMarker,
+  diffElements,
+  getRevisionInfo,
+  splitElements
+};
@@ -4,6 +4,7 @@
 
 const { escapeXml, textRun, paragraph } = require('../utils/xml-utils');
 const { buildInlineContent } = require('./content-builder');
+const { resolveCellMerges, getCellMarker, unescapeMergeMarker } = require('../utils/table-merges');
 
 /**
  * Генерация XML для границ ячейки
@@ -124,8 +125,23 @@ function buildTableRow(cells, options = {}) {
   return `<w:tr>${trPrXml}${cells.join('')}</w:tr>`;
 }
 
+/**
+ * Масштабирование ширин ячеек (w:tcW в twips) в готовых строках таблицы
+ * @param {string} xml - XML строк
+ * @param {number} scale - Коэффициент
+ * @returns {string} XML строка
+ */
+function scaleCellWidths(xml, scale) {
+  return xml.replace(
+    /<w:tcW w:w="(\d+)" w:type="dxa"\/>/g,
+    (match, value) => `<w:tcW w:w="${Math.round(value * scale)}" w:type="dxa"/>`
+  );
+}
+
 /**
  * Генерация XML для таблицы
+ * Опция scale растягивает фиксированные ширины (twips) под другую ширину
+ * области текста - например, в альбомном разделе
  */
 function buildTable(rows, options = {}) {
   const {
@@ -133,12 +149,14 @@ function buildTable(rows, options = {}) {
     width = 5000,
     widthType = 'pct',
     borders = true,
-    borderColor = '000000'
+    borderColor = '000000',
+    scale = 1
   } = options;
   
   const tblPr = [];
   
-  tblPr.push(`<w:tblW w:w="${width}" w:type="${widthType}"/>`);
+  const tableWidth = widthType === 'dxa' ? Math.round(width * scale) : width;
+  tblPr.push(`<w:tblW w:w="${tableWidth}" w:type="${widthType}"/>`);
   
   if (borders) {
     tblPr.push(`<w:tblBorders>
@@ -162,51 +180,71 @@ function buildTable(rows, options = {}) {
   
   let tblGrid = '';
   if (columnWidths && columnWidths.length > 0) {
-    const gridCols = columnWidths.map(w => `<w:gridCol w:w="${w}"/>`).join('');
+    const gridCols = columnWidths.map(w => `<w:gridCol w:w="${Math.round(w * scale)}"/>`).join('');
     tblGrid = `<w:tblGrid>${gridCols}</w:tblGrid>`;
   }
   
-  return `<w:tbl>${tblPrXml}${tblGrid}${rows.join('')}</w:tbl>`;
+  const rowsXml = scale !== 1 ? scaleCellWidths(rows.join(''), scale) : rows.join('');
+  
+  return `<w:tbl>${tblPrXml}${tblGrid}${rowsXml}</w:tbl>`;
+}
+
+/**
+ * Ширина объединённой ячейки - сумма ширин колонок, которые она занимает
+ */
+function getSpanWidth(columnWidths, cell) {
+  if (!columnWidths) return undefined;
+  
+  return columnWidths
+    .slice(cell.column, cell.column + cell.colspan)
+    .reduce((sum, width) => sum + width, 0) || undefined;
 }
 
 /**
  * Генерация простой таблицы из массива данных
+ * Ячейки `<<` и `^^` объединяются с ячейкой слева и сверху
  */
 function buildSimpleTable(headers, rows, styles, options = {}) {
   const {
     headerBackground = styles.colors.tableHeaderBackground,
     headerTextColor = styles.colors.tableHeaderText,
     borderColor = styles.colors.tableBorder,
-    columnWidths
+    columnWidths,
+    scale
   } = options;
   
   const padding = styles.table.cellPadding;
+  const layout = resolveCellMerges([headers, ...rows]);
   
   // Строка заголовка с белым жирным текстом
-  const headerCells = headers.map((header, index) => {
-    const textColorProp = headerTextColor ? `<w:color w:val="${headerTextColor}"/>` : '';
-    return buildTableCell(
-      `<w:p><w:r><w:rPr><w:b/>${textColorProp}</w:rPr><w:t>${escapeXml(header)}</w:t></w:r></w:p>`,
-      {
-        width: columnWidths ? columnWidths[index] : undefined,
-        background: headerBackground,
-        borderColor,
-        padding
-      }
-    );
-  });
+  const textColorProp = headerTextColor ? `<w:color w:val="${headerTextColor}"/>` : '';
+  const headerCells = layout[0].map(cell => buildTableCell(
+    cell.rowspan === 'continue'
+      ? '<w:p/>'
+      : `<w:p><w:r><w:rPr><w:b/>${textColorProp}</w:rPr><w:t>${escapeXml(unescapeMergeMarker(headers[cell.index]))}</w:t></w:r></w:p>`,
+    {
+      width: getSpanWidth(columnWidths, cell),
+      background: headerBackground,
+      borderColor,
+      padding,
+      colspan: cell.colspan,
+      rowspan: cell.rowspan
+    }
+  ));
   
   const headerRow = buildTableRow(headerCells, { isHeader: true });
   
   // Строки данных
-  const dataRows = rows.map(row => {
-    const cells = row.map((cell, index) => 
+  const dataRows = rows.map((row, rowIndex) => {
+    const cells = layout[rowIndex + 1].map(cell => 
       buildTableCell(
-        `<w:p><w:r><w:t>${escapeXml(cell)}</w:t></w:r></w:p>`,
+        cell.rowspan === 'continue' ? '<w:p/>' : `<w:p><w:r><w:t>${escapeXml(unescapeMergeMarker(row[cell.index]))}</w:t></w:r></w:p>`,
         {
-          width: columnWidths ? columnWidths[index] : undefined,
+          width: getSpanWidth(columnWidths, cell),
           borderColor,
-          padding
+          padding,
+          colspan: cell.colspan,
+          rowspan: cell.rowspan
         }
       )
     );
@@ -216,44 +254,52 @@ function buildSimpleTable(headers, rows, styles, options = {}) {
   return buildTable([headerRow, ...dataRows], {
     columnWidths,
     borders: true,
-    borderColor
+    borderColor,
+    scale
   });
 }
 
 /**
  * Генерация таблицы из AST узла table
+ * Ячейки `<<` и `^^` объединяются с ячейкой слева и сверху (w:gridSpan, w:vMerge)
  */
 function buildTableFromAst(node, styles, context = {}) {
   const tableRows = [];
   const padding = styles.table.cellPadding;
   
-  node.children.forEach((row, rowIndex) => {
-    if (row.type === 'tableRow') {
-      const cells = row.children
-        .filter(cell => cell.type === 'tableCell')
-        .map(cell => {
-          const content = cell.children
-            .map(child => buildInlineContent(child, context))
-            .join('');
-          
-          const isHeader = rowIndex === 0;
-          
-          return buildTableCell(
-            `<w:p>${content}</w:p>`,
-            {
-              background: isHeader ? styles.colors.tableHeaderBackground : undefined,
-              padding
-            }
-          );
-        });
+  const rows = node.children
+    .filter(row => row.type === 'tableRow')
+    .map(row => row.children.filter(cell => cell.type === 'tableCell'));
+  const layout = resolveCellMerges(rows.map(cells => cells.map(getCellMarker)));
+  
+  rows.forEach((cells, rowIndex) => {
+    const isHeader = rowIndex === 0;
+    
+    const cellsXml = layout[rowIndex].map(cell => {
+      const content = cell.rowspan === 'continue'
+        ? ''
+        : cells[cell.index].children
+          .map(child => buildInlineContent(child, context))
+          .join('');
       
-      tableRows.push(buildTableRow(cells, { isHeader: rowIndex === 0 }));
-    }
+      return buildTableCell(
+        `<w:p>${content}</w:p>`,
+        {
+          background: isHeader ? styles.colors.tableHeaderBackground : undefined,
+          padding,
+          colspan: cell.colspan,
+          rowspan: cell.rowspan
+        }
+      );
+    });
+    
+    tableRows.push(buildTableRow(cellsXml, { isHeader }));
   });
   
   return buildTable(tableRows, {
     borders: true,
-    borderColor: styles.colors.tableBorder
+    borderColor: styles.colors.tableBorder,
+    scale: context.widthScale
   });
 }
 
@@ -8,9 +8,10 @@ const { buildSimpleTable } = require('./table-builder');
  * Генерация таблицы терминов
  * @param {Object} directiveData - Данные директивы {table: {headers, rows}}
  * @param {Object} styles - Конфигурация стилей
+ * @param {Object} context - Контекст (widthScale в альбомном разделе)
  * @returns {string} XML строка таблицы
  */
-function buildTermsTable(directiveData, styles) {
+function buildTermsTable(directiveData, styles, context = {}) {
   const { table } = directiveData;
   
   if (!table || !table.rows || table.rows.length === 0) {
@@ -20,7 +21,8 @@ function buildTermsTable(directiveData, styles) {
   const headers = table.headers || ['Сокращение/Термин', 'Расшифровка / Определение'];
   
   return buildSimpleTable(headers, table.rows, styles, {
-    columnWidths: [3000, 6500] // 30% на термин, 70% на определение
+    columnWidths: [3000, 6500], // 30% на термин, 70% на определение
+    scale: context.widthScale
   });
 }
 
@@ -0,0 +1,105 @@
+/**
+ * TOC Builder - генерация оглавления (поле TOC с предрассчитанными пунктами)
+ */
+
+const { escapeXml, textRun, paragraph, fieldChar, fieldInstruction, complexField, getTextWidth } = require('../utils/xml-utils');
+
+/**
+ * Настройки оглавления по умолчанию
+ */
+const TOC_DEFAULTS = {
+  title: 'Содержание',
+  levels: 3
+};
+
+/**
+ * Нормализация настроек оглавления
+ * Принимает значение YAML-флага toc (true / объект) или данные директивы :::toc
+ * @param {boolean|Object} options - Настройки
+ * @returns {Object|null} {title, levels} или null, если оглавление выключено
+ */
+function normalizeTocOptions(options) {
+  if (!options) return null;
+
+  const custom = typeof options === 'object' ? options : {};
+  const levels = parseInt(custom.levels, 10);
+
+  return {
+    title: custom.title !== undefined ? String(custom.title) : TOC_DEFAULTS.title,
+    // Стили оглавления в шаблоне есть только для трёх уровней (toc1-toc3)
+    levels: isNaN(levels) ? TOC_DEFAULTS.levels : Math.min(Math.max(levels, 1), 3)
+  };
+}
+
+/**
+ * Генерация пункта оглавления
+ * Текст пункта - гиперссылка на закладку заголовка, номер страницы - поле PAGEREF
+ * @param {Object} heading - Заголовок {level, text, bookmark}
+ * @param {Object} styles - Конфигурация стилей
+ * @param {string} fieldStart - Начало поля TOC (только для первого пункта)
+ * @returns {string} XML строка параграфа
+ */
+function buildTocEntry(heading, styles, fieldStart = '') {
+  const styleId = styles.styleIds[`toc${heading.level}`];
+  // Правая табуляция для номеров страниц - по ширине текста страницы
+  const tabPos = getTextWidth(styles);
+
+  // Номер страницы неизвестен до вёрстки - Word обновит поля при открытии
+  const pageRef = complexField(`PAGEREF ${heading.bookmark} \\h`, '1');
+
+  const link = `<w:hyperlink w:anchor="${escapeXml(heading.bookmark)}" w:history="1">${textRun(heading.text)}<w:r><w:tab/></w:r>${pageRef}</w:hyperlink>`;
+
+  return `<w:p><w:pPr><w:pStyle w:val="${styleId}"/><w:tabs><w:tab w:val="right" w:leader="dot" w:pos="${tabPos}"/></w:tabs></w:pPr>${fieldStart}${link}</w:p>`;
+}
+
+/**
+ * Генерация оглавления
+ * @param {Array} headings - Заголовки из extractHeadings [{level, text, bookmark}]
+ * @param {Object} styles - Конфигурация стилей
+ * @param {Object} options - Настройки {title, levels}
+ * @returns {string} XML строка
+ */
+function buildTableOfContents(headings, styles, options = {}) {
+  const { title, levels } = normalizeTocOptions(options) || TOC_DEFAULTS;
+
+  const entries = (headings || []).filter(h =>
+    h.level <= levels && h.bookmark && h.text.trim()
+  );
+
+  const parts = [];
+
+  if (title) {
+    parts.push(paragraph(textRun(title, { bold: true }), {
+      style: styles.styleIds.normal,
+      keepNext: true,
+      spacing: { before: 0, after: 120 }
+    }));
+  }
+
+  const fieldStart = [
+    fieldChar('begin'),
+    fieldInstruction(`TOC \\o "1-${levels}" \\h \\z \\u`),
+    fieldChar('separate')
+  ].join('');
+
+  if (entries.length === 0) {
+    // Пустое поле - Word заполнит его при обновлении
+    parts.push(`<w:p>${fieldStart}${fieldChar('end')}</w:p>`);
+    return parts.join('');
+  }
+
+  entries.forEach((heading, index) => {
+    parts.push(buildTocEntry(heading, styles, index === 0 ? fieldStart : ''));
+  });
+
+  parts.push(`<w:p>${fieldChar('end')}</w:p>`);
+
+  return parts.join('');
+}
+
+module.exports = {
+  buildTableOfContents,
+  buildTocEntry,
+  normalizeTocOptions,
+  TOC_DEFAULTS
+};
@@ -0,0 +1,339 @@
+/**
+ * Config - конфигурация проекта (chtz.config.json / chtz.config.js)
+ *
+ * Файл ищется вверх по дереву каталогов от входного файла. Относительные пути
+ * (template, imagesDir, plugins) считаются от директории файла конфигурации.
+ * Явные опции CLI и API имеют приоритет над конфигурацией.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const baseStyles = require('./styles/gpn-styles');
+const { loadPlugins } = require('./plugins');
+const { FRONT_MATTER_SCHEMA, extendSchema } = require('./parser/front-matter-schema');
+
+/**
+ * Имена файла конфигурации в порядке приоритета
+ */
+const CONFIG_FILE_NAMES = ['chtz.config.js', 'chtz.config.json'];
+
+/**
+ * Подстановка номера задачи в шаблоне ссылки (taskUrlPattern)
+ */
+const TASK_PLACEHOLDER = '{task}';
+
+/**
+ * Ошибка файла конфигурации
+ */
+class ConfigError extends Error {
+  constructor(message, configPath) {
+    super(configPath ? `${configPath}: ${message}` : message);
+    this.name = 'ConfigError';
+    this.configPath = configPath || null;
+  }
+}
+
+/**
+ * Поиск файла конфигурации вверх по дереву каталогов
+ * @param {string} startDir - Директория, с которой начинается поиск
+ * @returns {string|null} Путь к файлу или null
+ */
+function findConfigFile(startDir = process.cwd()) {
+  let dir = path.resolve(startDir);
+
+  while (true) {
+    for (const name of CONFIG_FILE_NAMES) {
+      const candidate = path.join(dir, name);
+      if (fs.existsSync(candidate)) {
+        return candidate;
+      }
+    }
+
+    const parent = path.dirname(dir);
+    if (parent === dir) {
+      return null;
+    }
+    dir = parent;
+  }
+}
+
+/**
+ * Экранирование спецсимволов RegExp
+ */
+function escapeRegex(string) {
+  return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Нормализация каталога разделов
+ * Без pattern раздел распознаётся по заголовку без номера: "1. Термины" ~ /^\d+\.\s*Термины/i
+ * @param {Array} sections - [{id, title, pattern?, required?}]
+ * @param {string} configPath - Путь к конфигурации (для сообщений об ошибках)
+ * @returns {Array<{id, title, pattern: RegExp, required: boolean}>}
+ */
+function normalizeSections(sections, configPath) {
+  if (!Array.isArray(sections)) {
+    throw new ConfigError('поле sections должно быть массивом', configPath);
+  }
+
+  return sections.map((section, index) => {
+    if (!section || typeof section.id !== 'string' || typeof section.title !== 'string') {
+      throw new ConfigError(`sections[${index}]: обязательны строковые поля id и title`, configPath);
+    }
+
+    let pattern;
+    if (section.pattern instanceof RegExp) {
+      pattern = section.pattern;
+    } else if (typeof section.pattern === 'string') {
+      try {
+        pattern = new RegExp(section.pattern, 'i');
+      } catch (error) {
+        throw new ConfigError(`sections[${index}]: некорректный pattern (${error.message})`, configPath);
+      }
+    } else if (section.pattern === undefined) {
+      const title = section.title.replace(/^\d+\.\s*/, '');
+      pattern = new RegExp(`^\\d+\\.\\s*${escapeRegex(title)}`, 'i');
+    } else {
+      throw new ConfigError(`sections[${index}]: pattern должен быть строкой`, configPath);
+    }
+
+    return {
+      id: section.id,
+      title: section.title,
+      pattern,
+      required: section.required !== false
+    };
+  });
+}
+
+/**
+ * Схема front matter с собственными полями проекта
+ * @param {Object} frontMatter - {fields: {путь: JSON Schema}, required: [путь]}
+ * @param {string} configPath - Путь к конфигурации (для сообщений об ошибках)
+ * @returns {Object} Расширенная схема
+ */
+function buildFrontMatterSchema(frontMatter, configPath) {
+  const { fields = {}, required = [] } = frontMatter;
+
+  if (typeof fields !== 'object' || Array.isArray(fields) ||
+    Object.values(fields).some(value => !value || typeof value !== 'object')) {
+    throw new ConfigError('frontMatter.fields должно быть объектом {путь: JSON Schema}', configPath);
+  }
+  if (!Array.isArray(required)) {
+    throw new ConfigError('frontMatter.required должно быть массивом путей', configPath);
+  }
+
+  try {
+    return extendSchema(FRONT_MATTER_SCHEMA, { fields, required });
+  } catch (error) {
+    throw new ConfigError(`frontMatter: ${error.message}`, configPath);
+  }
+}
+
+/**
+ * Значение колонтитула: строка, true/false или части {left, center, right} (строки)
+ */
+function isHeaderFooter(value) {
+  if (typeof value === 'string' || typeof value === 'boolean') {
+    return true;
+  }
+
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value) &&
+    Object.entries(value).every(([key, part]) =>
+      ['left', 'center', 'right'].includes(key) && (part === null || typeof part === 'string'));
+}
+
+/**
+ * Проверка и нормализация содержимого конфигурации
+ * @param {Object} raw - Содержимое файла
+ * @param {string} baseDir - Директория для относительных путей
+ * @param {string} configPath - Путь к файлу (null для объекта из API)
+ * @returns {Object} Нормализованная конфигурация
+ */
+function normalizeConfig(raw, baseDir, configPath = null) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new ConfigError('конфигурация должна быть объектом', configPath);
+  }
+
+  const checkType = (field, type) => {
+    if (raw[field] !== undefined && typeof raw[field] !== type) {
+      throw new ConfigError(`поле ${field} должно иметь тип ${type}`, configPath);
+    }
+  };
+
+  checkType('template', 'string');
+  checkType('imagesDir', 'string');
+  checkType('taskUrlPattern', 'string');
+  checkType('strict', 'boolean');
+
+  if (raw.styles !== undefined && (typeof raw.styles !== 'object' || Array.isArray(raw.styles))) {
+    throw new ConfigError('поле styles должно быть объектом', configPath);
+  }
+
+  if (raw.styleMapping !== undefined && (
+    typeof raw.styleMapping !== 'object' || Array.isArray(raw.styleMapping) ||
+    Object.values(raw.styleMapping).some(value => typeof value !== 'string')
+  )) {
+    throw new ConfigError('поле styleMapping должно быть объектом {ключ стиля: styleId или имя стиля}', configPath);
+  }
+
+  const lintRules = raw.lint && raw.lint.rules;
+  if (raw.lint !== undefined && (typeof raw.lint !== 'object' ||
+    (lintRules !== undefined && (typeof lintRules !== 'object' || Array.isArray(lintRules))))) {
+    throw new ConfigError('поле lint должно быть объектом {rules: {правило: уровень}}', configPath);
+  }
+
+  if (raw.frontMatter !== undefined && (!raw.frontMatter || typeof raw.frontMatter !== 'object' ||
+    Array.isArray(raw.frontMatter))) {
+    throw new ConfigError('поле frontMatter должно быть объектом {fields, required}', configPath);
+  }
+
+  if (raw.plugins !== undefined && !Array.isArray(raw.plugins)) {
+    throw new ConfigError('поле plugins должно быть массивом', configPath);
+  }
+
+  for (const field of ['header', 'footer']) {
+    if (raw[field] !== undefined && !isHeaderFooter(raw[field])) {
+      throw new ConfigError(`поле ${field} должно быть строкой, true/false или объектом {left, center, right}`, configPath);
+    }
+  }
+
+  if (raw.taskUrlPattern !== undefined && !raw.taskUrlPattern.includes(TASK_PLACEHOLDER)) {
+    throw new ConfigError(`taskUrlPattern должен содержать ${TASK_PLACEHOLDER}`, configPath);
+  }
+
+  return {
+    path: configPath,
+    dir: baseDir,
+    template: raw.template ? path.resolve(baseDir, raw.template) : null,
+    imagesDir: raw.imagesDir ? path.resolve(baseDir, raw.imagesDir) : null,
+    styles: mergeStyles(baseStyles, raw.styles),
+    styleOverrides: raw.styles || {},
+    styleMapping: raw.styleMapping || {},
+    taskUrlPattern: raw.taskUrlPattern || null,
+    header: raw.header,
+    footer: raw.footer,
+    sections: raw.sections !== undefined ? normalizeSections(raw.sections, configPath) : null,
+    strict: raw.strict,
+    lint: { rules: lintRules || {} },
+    frontMatterSchema: raw.frontMatter ? buildFrontMatterSchema(raw.frontMatter, configPath) : FRONT_MATTER_SCHEMA,
+    plugins: raw.plugins || []
+  };
+}
+
+/**
+ * Глубокое слияние стилей: переопределения поверх корпоративных стилей
+ * @param {Object} base - Базовые стили
+ * @param {Object} overrides - Переопределения (частичные)
+ * @returns {Object} Новый объект стилей
+ */
+function mergeStyles(base, overrides) {
+  if (!overrides) {
+    return base;
+  }
+
+  const result = { ...base };
+  for (const [key, value] of Object.entries(overrides)) {
+    const isObject = value && typeof value === 'object' && !Array.isArray(value);
+    result[key] = isObject && base[key] && typeof base[key] === 'object'
+      ? mergeStyles(base[key], value)
+      : value;
+  }
+  return result;
+}
+
+/**
+ * Загрузка файла конфигурации
+ * @param {string} configPath - Путь к .json или .js файлу
+ * @returns {Object} Нормализованная конфигурация
+ * @throws {ConfigError} Если файл не найден или содержит ошибки
+ */
+function loadConfig(configPath) {
+  const resolvedPath = path.resolve(configPath);
+  if (!fs.existsSync(resolvedPath)) {
+    throw new ConfigError('файл конфигурации не найден', resolvedPath);
+  }
+
+  let raw;
+  try {
+    if (resolvedPath.endsWith('.js')) {
+      // Без кэша require: в режиме --watch изменённая конфигурация читается заново
+      delete require.cache[resolvedPath];
+      raw = require(resolvedPath);
+    } else {
+      raw = JSON.parse(fs.readFileSync(resolvedPath, 'utf-8'));
+    }
+  } catch (error) {
+    throw new ConfigError(`не удалось прочитать конфигурацию (${error.message})`, resolvedPath);
+  }
+
+  return normalizeConfig(raw, path.dirname(resolvedPath), resolvedPath);
+}
+
+/**
+ * Определение конфигурации для вызова CLI или API и загрузка её плагинов
+ * @param {Object} options
+ * @param {string|Object|false} [options.config] - Путь к файлу, объект с полями конфигурации
+ *   (относительные пути - от текущей директории) или false (не использовать конфигурацию)
+ * @param {string} [options.inputPath] - Входной файл: конфигурация ищется вверх от его директории
+ * @returns {Object} Нормализованная конфигурация (пустая, если файл не найден)
+ */
+function resolveConfig(options = {}) {
+  const { config, inputPath } = options;
+  let resolved;
+
+  if (config === false) {
+    resolved = normalizeConfig({}, process.cwd());
+  } else if (typeof config === 'string') {
+    resolved = loadConfig(config);
+  } else if (config && typeof config === 'object') {
+    resolved = normalizeConfig(config, process.cwd());
+  } else {
+    const found = findConfigFile(inputPath ? path.dirname(path.resolve(inputPath)) : process.cwd());
+    resolved = found ? loadConfig(found) : normalizeConfig({}, process.cwd());
+  }
+
+  if (resolved.plugins.length > 0) {
+    loadPlugins(resolved.plugins, resolved.dir);
+  }
+
+  return resolved;
+}
+
+/**
+ * Ссылка на задачу по шаблону из конфигурации
+ * @param {string} pattern - Шаблон, например "https://jira.example.com/browse/{task}"
+ * @param {string} task - Номер задачи
+ * @returns {string|null}
+ */
+function formatTaskUrl(pattern, task) {
+  if (!pattern || !task || !String(task).trim()) {
+    return null;
+  }
+  return pattern.split(TASK_PLACEHOLDER).join(encodeURIComponent(String(task).trim()));
+}
+
+/**
+ * Опции обратного конвертера, заданные конфигурацией
+ * @param {Object} config - Нормализованная конфигурация
+ * @returns {Object} {imagesDir, strict, sections, taskUrlPattern} - только заданные поля
+ */
+function getReverseOptions(config) {
+  const options = {};
+  if (config.imagesDir) options.imagesDir = config.imagesDir;
+  if (config.strict !== undefined) options.strict = config.strict;
+  if (config.sections) options.sections = config.sections;
+  if (config.taskUrlPattern) options.taskUrlPattern = config.taskUrlPattern;
+  return options;
+}
+
+module.exports = {
+  CONFIG_FILE_NAMES,
+  ConfigError,
+  findConfigFile,
+  loadConfig,
+  resolveConfig,
+  mergeStyles,
+  formatTaskUrl,
+  getReverseOptions
+};
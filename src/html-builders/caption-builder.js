@@ -0,0 +1,38 @@
+/**
+ * Caption Builder (HTML) - подписи рисунков и таблиц
+ */
+
+const { escapeHtml, tag } = require('../utils/html-utils');
+const { CAPTION_KINDS, getCaptionBookmarkName } = require('../parser/captions');
+
+/**
+ * Содержимое подписи: "Рисунок N. Текст"
+ * Фрагмент "Рисунок N" получает id закладки метки - на него ведут перекрёстные ссылки
+ * @param {Object} caption - Подпись {kind, number, label, text}
+ * @returns {string} HTML строка
+ */
+function buildCaptionContent(caption) {
+  const kind = CAPTION_KINDS[caption.kind];
+  const number = escapeHtml(`${kind.label} ${caption.number}`);
+
+  const content = caption.label
+    ? tag('span', { id: getCaptionBookmarkName(caption.label) }, number)
+    : number;
+
+  return caption.text ? `${content}. ${escapeHtml(caption.text)}` : content;
+}
+
+/**
+ * Абзац подписи
+ * Подпись рисунка - по центру под рисунком, подпись таблицы - справа над таблицей
+ * @param {Object} caption - Подпись {kind, number, label, text}
+ * @returns {string} HTML строка
+ */
+function buildCaptionParagraph(caption) {
+  return tag('p', { class: `caption caption-${caption.kind}` }, buildCaptionContent(caption));
+}
+
+module.exports = {
+  buildCaptionContent,
+  buildCaptionParagraph
+};
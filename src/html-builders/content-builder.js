@@ -0,0 +1,223 @@
+/**
+ * Content Builder (HTML) - текстовый контент: абзацы, заголовки, списки, код, цитаты
+ */
+
+const { escapeHtml, tag } = require('../utils/html-utils');
+const { getHeadingBookmarkName } = require('../parser/md-parser');
+const { isCommentDirective } = require('../parser/directives');
+const { buildCaptionContent } = require('./caption-builder');
+
+/**
+ * Генерация HTML для inline-элементов
+ * @param {Object} node - AST узел
+ * @param {Object} context - Контекст
+ * @returns {string} HTML строка
+ */
+function buildInlineContent(node, context = {}) {
+  if (!node) return '';
+
+  switch (node.type) {
+    case 'text':
+      return escapeHtml(node.value);
+
+    case 'strong':
+      return tag('strong', {}, buildChildren(node, context));
+
+    case 'emphasis':
+      return tag('em', {}, buildChildren(node, context));
+
+    case 'delete':
+      return tag('del', {}, buildChildren(node, context));
+
+    case 'inlineCode':
+      return tag('code', {}, escapeHtml(node.value));
+
+    case 'break':
+      return tag('br');
+
+    case 'link':
+      return buildLink(node, context);
+
+    case 'image':
+      // Изображения выводятся отдельными абзацами (см. image-builder), как в DOCX
+      return '';
+
+    case 'crossReference':
+      return tag('a', { href: `#${node.bookmark}` }, escapeHtml(node.value));
+
+    case 'footnoteReference':
+      return buildFootnoteReference(node);
+
+    default:
+      // Комментарии рецензентов в HTML не выводятся
+      if (isCommentDirective(node)) return '';
+      return buildChildren(node, context);
+  }
+}
+
+/**
+ * HTML дочерних inline-элементов
+ */
+function buildChildren(node, context) {
+  return (node.children || []).map(child => buildInlineContent(child, context)).join('');
+}
+
+/**
+ * Генерация HTML для ссылки
+ * @param {Object} node - AST узел link
+ * @param {Object} context - Контекст
+ * @returns {string} HTML строка
+ */
+function buildLink(node, context) {
+  const url = node.url || '';
+  const content = buildChildren(node, context) || escapeHtml(url);
+  return tag('a', { href: url }, content);
+}
+
+/**
+ * Ссылка на сноску: номер сноски верхним индексом со ссылкой на текст сноски
+ * @param {Object} node - Узел footnoteReference (footnoteId назначает парсер)
+ * @returns {string} HTML строка
+ */
+function buildFootnoteReference(node) {
+  // Ссылка без определения остаётся текстом
+  if (!node.footnoteId) {
+    return escapeHtml(`[^${node.label}]`);
+  }
+
+  return tag('sup', { class: 'footnote-ref' },
+    tag('a', { href: `#fn-${node.footnoteId}` }, String(node.footnoteId)));
+}
+
+/**
+ * Генерация HTML для параграфа
+ * @param {Object} node - AST узел paragraph
+ * @param {Object} context - Контекст
+ * @returns {string} HTML строка
+ */
+function buildParagraph(node, context = {}) {
+  return tag('p', {}, buildChildren(node, context));
+}
+
+/**
+ * Генерация HTML для заголовка
+ * id совпадает с именем закладки в DOCX, поэтому ссылки [текст](#якорь) работают одинаково
+ * @param {Object} node - AST узел heading
+ * @param {Object} context - Контекст
+ * @returns {string} HTML строка
+ */
+function buildHeading(node, context = {}) {
+  const content = node.caption
+    ? buildCaptionContent(node.caption)
+    : buildChildren(node, context);
+
+  const headingText = node.caption
+    ? `Таблица ${node.caption.number}. ${node.caption.text}`
+    : node.children
+      .filter(c => c.type === 'text')
+      .map(c => c.value)
+      .join('');
+
+  // Заголовки таблиц выравниваются по правому краю, как в корпоративном шаблоне
+  const isTableTitle = /^Таблица\s+\d+\./i.test(headingText);
+
+  return tag(`h${Math.min(node.depth, 6)}`, {
+    id: getHeadingBookmarkName(headingText) || undefined,
+    class: isTableTitle ? 'table-title' : undefined
+  }, content);
+}
+
+/**
+ * Генерация HTML для списка
+ * @param {Object} node - AST узел list
+ * @param {Object} context - Контекст
+ * @returns {string} HTML строка
+ */
+function buildList(node, context = {}) {
+  const items = node.children.map(item => {
+    const content = item.children.map(child => {
+      if (child.type === 'paragraph') {
+        return buildChildren(child, context);
+      }
+      if (child.type === 'list') {
+        return buildList(child, context);
+      }
+      return '';
+    });
+    return tag('li', {}, content);
+  });
+
+  return tag(node.ordered ? 'ol' : 'ul', {}, items);
+}
+
+/**
+ * Генерация HTML для блока кода
+ * @param {Object} node - AST узел code
+ * @returns {string} HTML строка
+ */
+function buildCodeBlock(node) {
+  return tag('pre', {}, tag('code', {}, escapeHtml(node.value)));
+}
+
+/**
+ * Генерация HTML для цитаты
+ * @param {Object} node - AST узел blockquote
+ * @param {Object} context - Контекст
+ * @returns {string} HTML строка
+ */
+function buildBlockquote(node, context) {
+  const paragraphs = node.children
+    .filter(child => child.type === 'paragraph')
+    .map(child => buildParagraph(child, context));
+
+  return tag('blockquote', {}, paragraphs);
+}
+
+/**
+ * Основная функция построения контента из AST узла
+ * @param {Object} node - AST узел
+ * @param {Object} context - Контекст
+ * @returns {string} HTML строка
+ */
+function buildContent(node, context = {}) {
+  if (!node) return '';
+
+  switch (node.type) {
+    case 'heading':
+      return buildHeading(node, context);
+
+    case 'paragraph':
+      return buildParagraph(node, context);
+
+    case 'list':
+      return buildList(node, context);
+
+    case 'code':
+      return buildCodeBlock(node);
+
+    case 'blockquote':
+      return buildBlockquote(node, context);
+
+    case 'thematicBreak':
+      // В DOCX - пустой параграф
+      return tag('p', {}, '');
+
+    default:
+      if (node.children) {
+        return node.children.map(child => buildContent(child, context)).join('');
+      }
+      return '';
+  }
+}
+
+module.exports = {
+  buildContent,
+  buildInlineContent,
+  buildParagraph,
+  buildHeading,
+  buildList,
+  buildCodeBlock,
+  buildBlockquote,
+  buildLink,
+  buildFootnoteReference
+};
@@ -0,0 +1,268 @@
+/**
+ * Document Builder (HTML) - сборка HTML страницы документа
+ *
+ * Обходит тот же результат parseDocument, что и билдеры DOCX, поэтому HTML и DOCX
+ * показывают один и тот же документ
+ */
+
+const { escapeHtml, tag } = require('../utils/html-utils');
+const { buildDocumentHeader } = require('./meta-builder');
+const { buildContent, buildInlineContent } = require('./content-builder');
+const { buildTableFromAst, buildTermsTable, buildChangesTable } = require('./table-builder');
+const { buildFunctionTable } = require('./function-table-builder');
+const { buildImageParagraph } = require('./image-builder');
+const { buildCaptionParagraph } = require('./caption-builder');
+const { buildTableOfContents } = require('./toc-builder');
+const { buildStylesheet } = require('./theme');
+const { DIRECTIVE_TYPES } = require('../parser/directives');
+const { getDirective } = require('../plugins/registry');
+const { parseImageAttributes, hasTocDirective } = require('../builders/document-builder');
+const { normalizeTocOptions } = require('../builders/toc-builder');
+
+/**
+ * Генерация блока примечания/предупреждения
+ * @param {Object} data - Данные директивы note {noteType, text}
+ * @returns {string} HTML строка
+ */
+function buildNoteBlock(data) {
+  const { noteType = 'info', text } = data;
+
+  const paragraphs = (text || '')
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => tag('p', {}, escapeHtml(line).replace(/\*\*([^*]+)\*\*/g, (match, bold) => tag('strong', {}, bold))));
+
+  const type = ['warning', 'danger'].includes(noteType) ? noteType : 'info';
+  return tag('div', { class: `note note-${type}` }, paragraphs);
+}
+
+/**
+ * Генерация пустого раздела
+ * @param {Object} data - Данные директивы empty-section
+ * @returns {string} HTML строка
+ */
+function buildEmptySection(data) {
+  return tag('p', { class: 'empty-section' }, escapeHtml(data.text || 'Раздел не применим для данного документа.'));
+}
+
+/**
+ * HTML дочерних узлов
+ */
+function processChildren(node, context) {
+  return (node.children || []).map(child => processAstNode(child, context)).join('');
+}
+
+/**
+ * Обработка узла AST с директивой
+ * @param {Object} node - AST узел с directiveData
+ * @param {Object} context - Контекст
+ * @returns {string} HTML строка
+ */
+function processDirectiveNode(node, context) {
+  const data = node.directiveData;
+
+  if (!data || !data.type) {
+    return '';
+  }
+
+  switch (data.type) {
+    case DIRECTIVE_TYPES.TERMS:
+      return buildTermsTable(data);
+
+    case DIRECTIVE_TYPES.CHANGES_TABLE:
+      return buildChangesTable(data);
+
+    case DIRECTIVE_TYPES.FUNCTION_TABLE:
+      return buildFunctionTable(data, context);
+
+    case DIRECTIVE_TYPES.NOTE:
+      return buildNoteBlock(data);
+
+    case DIRECTIVE_TYPES.EMPTY_SECTION:
+      return buildEmptySection(data);
+
+    case DIRECTIVE_TYPES.TOC:
+      return buildTableOfContents(context.headings, data);
+
+    case DIRECTIVE_TYPES.LANDSCAPE:
+      return tag('section', { class: 'landscape' }, processChildren(node, context));
+
+    case DIRECTIVE_TYPES.COMMENT:
+      // Комментарии рецензентов в HTML не выводятся
+      return '';
+
+    default: {
+      // Директива плагина: buildHtml необязателен, без него выводятся дочерние узлы
+      const directive = data.custom && getDirective(data.type);
+      if (directive && directive.buildHtml) {
+        return directive.buildHtml(data, context, node);
+      }
+      return processChildren(node, context);
+    }
+  }
+}
+
+/**
+ * Обработка узла AST
+ * @param {Object} node - AST узел
+ * @param {Object} context - Контекст
+ * @returns {string} HTML строка
+ */
+function processAstNode(node, context) {
+  if (!node) return '';
+
+  if (node.directiveData) {
+    return processDirectiveNode(node, context);
+  }
+
+  switch (node.type) {
+    case 'root':
+      return processChildren(node, context);
+
+    case 'paragraph':
+      if (node.caption) {
+        return buildCaptionParagraph(node.caption);
+      }
+
+      // Абзац с изображением выводится как изображения, как в DOCX
+      if (node.children && node.children.some(child => child.type === 'image')) {
+        return node.children
+          .filter(child => child.type === 'image')
+          .map(child => buildImageParagraph({
+            url: child.url,
+            alt: child.alt,
+            attributes: child.imageAttributes || parseImageAttributes(child.url)
+          }, context))
+          .join('');
+      }
+      return buildContent(node, context);
+
+    case 'heading':
+    case 'list':
+    case 'code':
+    case 'blockquote':
+    case 'thematicBreak':
+      return buildContent(node, context);
+
+    case 'table':
+      return buildTableFromAst(node, context);
+
+    case 'footnoteDefinition':
+      // Текст сносок выводится в конце документа (buildFootnotes)
+      return '';
+
+    case 'containerDirective':
+    case 'leafDirective':
+    case 'textDirective':
+      return '';
+
+    default:
+      return processChildren(node, context);
+  }
+}
+
+/**
+ * Список сносок в конце документа
+ * @param {Array} footnotes - Сноски из парсера [{id, children}]
+ * @param {Object} context - Контекст
+ * @returns {string} HTML строка
+ */
+function buildFootnotes(footnotes, context = {}) {
+  if (!footnotes || footnotes.length === 0) return '';
+
+  const items = footnotes.map(footnote => {
+    const content = (footnote.children || [])
+      .filter(node => node.children)
+      .map(node => node.children.map(child => buildInlineContent(child, context)).join(''))
+      .join(tag('br'));
+    return tag('li', { id: `fn-${footnote.id}`, value: footnote.id }, content);
+  });
+
+  return tag('section', { class: 'footnotes' }, tag('ol', {}, items));
+}
+
+/**
+ * Сборка содержимого документа: шапка, оглавление, основной текст, сноски
+ * Порядок частей совпадает с buildDocument для DOCX
+ * @param {Object} parsedData - Результат parseDocument
+ * @param {Object} context - Контекст (createHtmlContext)
+ * @returns {string} HTML строка (содержимое <body>)
+ */
+function buildHtmlDocument(parsedData, context = {}) {
+  const docContext = {
+    ...context,
+    headings: parsedData.headings || [],
+    captions: parsedData.captions || new Map()
+  };
+
+  const parts = [
+    buildDocumentHeader({
+      metadata: parsedData.metadata,
+      history: parsedData.history,
+      relatedDocs: parsedData.relatedDocs
+    }),
+    tag('hr', { class: 'page-break' })
+  ];
+
+  // Оглавление по флагу toc в YAML (если место не задано директивой :::toc)
+  const tocOptions = normalizeTocOptions(parsedData.toc);
+  if (tocOptions && !hasTocDirective(parsedData.ast)) {
+    parts.push(buildTableOfContents(docContext.headings, tocOptions));
+    parts.push(tag('hr', { class: 'page-break' }));
+  }
+
+  parts.push(processAstNode(parsedData.ast, docContext));
+  parts.push(buildFootnotes(parsedData.footnotes, docContext));
+
+  return tag('main', { class: 'page' }, parts);
+}
+
+/**
+ * Сборка полной HTML страницы
+ * @param {string} body - Содержимое <body>
+ * @param {Object} styles - Конфигурация стилей (для CSS)
+ * @param {Object} options - {title, head} - заголовок страницы и дополнительная разметка в <head>
+ * @returns {string} HTML документ
+ */
+function buildHtmlPage(body, styles, options = {}) {
+  const { title = '', head = '' } = options;
+
+  return [
+    '<!DOCTYPE html>',
+    '<html lang="ru">',
+    '<head>',
+    '<meta charset="utf-8">',
+    '<meta name="viewport" content="width=device-width, initial-scale=1">',
+    tag('title', {}, escapeHtml(title)),
+    tag('style', {}, buildStylesheet(styles)),
+    head,
+    '</head>',
+    tag('body', {}, body),
+    '</html>'
+  ].filter(Boolean).join('\n');
+}
+
+/**
+ * Создание контекста для сборки HTML
+ * @param {Object} options
+ * @param {Function} options.resolveImage - (путь из Markdown) => src изображения или null
+ * @param {string} options.taskUrlPattern - Шаблон ссылки на задачу
+ * @returns {Object} Контекст
+ */
+function createHtmlContext(options = {}) {
+  return {
+    resolveImage: options.resolveImage || (imagePath => imagePath),
+    taskUrlPattern: options.taskUrlPattern || null
+  };
+}
+
+module.exports = {
+  buildHtmlDocument,
+  buildHtmlPage,
+  createHtmlContext,
+  processAstNode,
+  processDirectiveNode,
+  buildNoteBlock,
+  buildEmptySection,
+  buildFootnotes
+};
@@ -0,0 +1,141 @@
+/**
+ * Function Table Builder (HTML) - функциональные таблицы ЧТЗ
+ * Сценарий разбирается тем же parseScenarioMarkdown, что и для DOCX
+ */
+
+const { escapeHtml, tag } = require('../utils/html-utils');
+const { buildImageParagraph } = require('./image-builder');
+const { parseScenarioMarkdown } = require('../builders/function-table-builder');
+const { getCaptionBookmarkName, getCaptionReferenceText } = require('../parser/captions');
+const { formatTaskUrl } = require('../config');
+const { unescapeMergeMarker } = require('../utils/table-merges');
+
+/**
+ * Обработка жирного текста (**текст**)
+ */
+function processTextWithBold(text) {
+  return escapeHtml(text).replace(/\*\*([^*]+)\*\*/g, (match, bold) => tag('strong', {}, bold));
+}
+
+/**
+ * Обработка форматирования текста: ссылки, перекрёстные ссылки, жирный
+ * @param {string} text - Исходный текст
+ * @param {Object} context - Контекст (captions)
+ * @returns {string} HTML строка
+ */
+function processTextFormatting(text, context = {}) {
+  if (!text) return '';
+
+  const linkRegex = /\[@((?:fig|tbl):[\w-]+)\]|\[([^\]]+)\]\(([^)]+)\)/g;
+  const parts = [];
+  let lastIndex = 0;
+  let match;
+
+  while ((match = linkRegex.exec(text)) !== null) {
+    if (match.index > lastIndex) {
+      parts.push(processTextWithBold(text.substring(lastIndex, match.index)));
+    }
+
+    if (match[1]) {
+      const caption = context.captions && context.captions.get(match[1]);
+      parts.push(caption
+        ? tag('a', { href: `#${getCaptionBookmarkName(match[1])}` }, escapeHtml(getCaptionReferenceText(caption)))
+        : processTextWithBold(match[0]));
+    } else {
+      parts.push(tag('a', { href: match[3] }, processTextWithBold(match[2])));
+    }
+
+    lastIndex = match.index + match[0].length;
+  }
+
+  if (lastIndex < text.length) {
+    parts.push(processTextWithBold(text.substring(lastIndex)));
+  }
+
+  return parts.join('');
+}
+
+/**
+ * Вложенная таблица из Markdown внутри сценария (<br> - перевод строки)
+ */
+function buildNestedTable(rows, context = {}) {
+  if (!rows || rows.length === 0) return '';
+
+  const tableRows = rows.map(row => tag('tr', {}, row.map(cellText => {
+    const lines = unescapeMergeMarker(cellText).split('<br>').map(line => processTextFormatting(line.trim(), context));
+    return tag('td', {}, lines.join(tag('br')));
+  })));
+
+  return tag('table', { class: 'nested-table' }, tag('tbody', {}, tableRows));
+}
+
+/**
+ * Генерация HTML для сценария
+ * @param {string} scenarioText - Markdown сценария
+ * @param {Object} context - Контекст
+ * @returns {string} HTML строка
+ */
+function buildScenarioContent(scenarioText, context = {}) {
+  if (!scenarioText) return '';
+
+  return parseScenarioMarkdown(scenarioText).map(item => {
+    switch (item.type) {
+      case 'text':
+        return tag('p', {}, processTextFormatting(item.content, context));
+      case 'numbered':
+      case 'bullet':
+        return tag(item.type === 'numbered' ? 'ol' : 'ul', {},
+          item.items.map(text => tag('li', {}, processTextFormatting(text, context))));
+      case 'image':
+        return buildImageParagraph(item, context);
+      case 'table':
+        return buildNestedTable(item.rows, context);
+      default:
+        return '';
+    }
+  }).join('');
+}
+
+/**
+ * Генерация функциональной таблицы ЧТЗ
+ * @param {Object} directiveData - Данные директивы {id, function, task, taskUrl, scenario}
+ * @param {Object} context - Контекст (taskUrlPattern, captions, resolveImage)
+ * @returns {string} HTML строка
+ */
+function buildFunctionTable(directiveData, context = {}) {
+  const { id, function: funcDescription, task, scenario } = directiveData;
+
+  // Без явного taskUrl ссылка строится по шаблону из конфигурации проекта
+  const taskUrl = directiveData.taskUrl || formatTaskUrl(context.taskUrlPattern, task);
+
+  let taskContent = '';
+  if (taskUrl && /^https?:\/\//.test(taskUrl)) {
+    taskContent = tag('a', { href: taskUrl }, escapeHtml(task || taskUrl));
+  } else if (task) {
+    taskContent = escapeHtml(task);
+  }
+
+  return tag('table', { class: 'function-table', id: id || undefined }, [
+    tag('colgroup', {}, [tag('col', { style: 'width: 15.8%' }), tag('col')]),
+    tag('tbody', {}, [
+      tag('tr', {}, [
+        tag('th', {}, 'Функция'),
+        tag('td', {}, `• ${processTextFormatting(funcDescription || '', context)}`)
+      ]),
+      tag('tr', {}, [
+        tag('th', {}, '№ задачи в реестре ФТТ'),
+        tag('td', {}, taskContent)
+      ]),
+      tag('tr', {}, [
+        tag('th', {}, 'Сценарий'),
+        tag('td', {}, buildScenarioContent(scenario, context))
+      ])
+    ])
+  ]);
+}
+
+module.exports = {
+  buildFunctionTable,
+  buildScenarioContent,
+  processTextFormatting
+};
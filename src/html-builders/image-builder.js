@@ -0,0 +1,74 @@
+/**
+ * Image Builder (HTML) - изображения
+ * Адрес изображения определяет контекст (resolveImage): в предпросмотре это URL
+ * локального сервера, в экспорте в HTML - data URI
+ */
+
+const path = require('path');
+const { escapeHtml, tag } = require('../utils/html-utils');
+const { buildCaptionParagraph } = require('./caption-builder');
+
+/**
+ * MIME типы поддерживаемых изображений по расширению
+ */
+const IMAGE_CONTENT_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.bmp': 'image/bmp'
+};
+
+/**
+ * Изображение как data URI для самодостаточного HTML
+ * @param {Buffer} data - Содержимое файла
+ * @param {string} imagePath - Путь (для определения типа по расширению)
+ * @returns {string} data:image/...;base64,...
+ */
+function toDataUri(data, imagePath) {
+  const contentType = IMAGE_CONTENT_TYPES[path.extname(imagePath).toLowerCase()] || 'application/octet-stream';
+  return `data:${contentType};base64,${data.toString('base64')}`;
+}
+
+/**
+ * CSS ширины из атрибута width: "70%" - от ширины текста, "400px" и "400" - в пикселях
+ * @param {string} width - Значение атрибута
+ * @returns {string|undefined} Значение style
+ */
+function getWidthStyle(width) {
+  if (!width) return undefined;
+
+  const number = parseInt(width, 10);
+  if (isNaN(number)) return undefined;
+
+  return width.endsWith('%') ? `width: ${number}%` : `width: ${number}px`;
+}
+
+/**
+ * Абзац с изображением и подписью, если у изображения есть метка {#fig:id}
+ * @param {Object} image - {url, alt, attributes}
+ * @param {Object} context - Контекст с resolveImage(path) => src или null и captions
+ * @returns {string} HTML строка
+ */
+function buildImageParagraph(image, context = {}) {
+  const attributes = image.attributes || {};
+  const cleanPath = image.url.replace(/\{[^}]+\}$/, '');
+  const src = context.resolveImage ? context.resolveImage(cleanPath) : cleanPath;
+
+  const caption = attributes.id && context.captions
+    ? context.captions.get(attributes.id)
+    : null;
+
+  const imageHtml = src
+    ? tag('p', { class: 'image' }, tag('img', { src, alt: image.alt || '', style: getWidthStyle(attributes.width) }))
+    : tag('p', { class: 'image-missing' }, `Изображение не найдено: ${escapeHtml(cleanPath)}`);
+
+  return caption ? imageHtml + buildCaptionParagraph(caption) : imageHtml;
+}
+
+module.exports = {
+  IMAGE_CONTENT_TYPES,
+  buildImageParagraph,
+  getWidthStyle,
+  toDataUri
+};
@@ -0,0 +1,52 @@
+/**
+ * HTML Builders Module - экспорт билдеров HTML (предпросмотр и экспорт в HTML)
+ * Семейство повторяет src/builders, но выводит HTML вместо OpenXML
+ */
+
+const { buildHtmlDocument, buildHtmlPage, createHtmlContext } = require('./document-builder');
+const { buildDocumentHeader, buildMetaTable, buildHistoryTable, buildRelatedDocsTable } = require('./meta-builder');
+const { buildContent, buildHeading, buildParagraph, buildList } = require('./content-builder');
+const { buildSimpleTable, buildTableFromAst, buildTermsTable, buildChangesTable } = require('./table-builder');
+const { buildFunctionTable } = require('./function-table-builder');
+const { buildImageParagraph } = require('./image-builder');
+const { buildCaptionParagraph } = require('./caption-builder');
+const { buildTableOfContents } = require('./toc-builder');
+const { buildStylesheet } = require('./theme');
+
+module.exports = {
+  // Document
+  buildHtmlDocument,
+  buildHtmlPage,
+  createHtmlContext,
+
+  // Meta
+  buildDocumentHeader,
+  buildMetaTable,
+  buildHistoryTable,
+  buildRelatedDocsTable,
+
+  // Content
+  buildContent,
+  buildHeading,
+  buildParagraph,
+  buildList,
+
+  // Tables
+  buildSimpleTable,
+  buildTableFromAst,
+  buildTermsTable,
+  buildChangesTable,
+  buildFunctionTable,
+
+  // TOC
+  buildTableOfContents,
+
+  // Captions
+  buildCaptionParagraph,
+
+  // Images
+  buildImageParagraph,
+
+  // Theme
+  buildStylesheet
+};
@@ -0,0 +1,119 @@
+/**
+ * Meta Builder (HTML) - шапка документа, история изменений и связанные документы
+ * Строки и подписи совпадают с meta-builder для DOCX
+ */
+
+const { escapeHtml, tag } = require('../utils/html-utils');
+const { buildColumnGroup, buildSimpleTable } = require('./table-builder');
+
+/**
+ * Строка шапки: заголовок и значение на оставшуюся ширину
+ */
+function metaRow(label, value) {
+  return tag('tr', {}, [
+    tag('th', {}, escapeHtml(label)),
+    tag('td', { colspan: 3 }, escapeHtml(value))
+  ]);
+}
+
+/**
+ * Значение-список через запятую
+ */
+function joinList(value) {
+  return Array.isArray(value) ? value.join(', ') : value || '';
+}
+
+/**
+ * Генерация таблицы метаданных (шапка ЧТЗ)
+ * @param {Object} metadata - Метаданные из YAML
+ * @returns {string} HTML строка
+ */
+function buildMetaTable(metadata) {
+  const rows = [
+    tag('tr', {}, tag('th', { colspan: 4 }, 'Общее описание изменения')),
+    metaRow('Краткое название изменения:', metadata.shortName || ''),
+    tag('tr', {}, [
+      tag('th', {}, 'Консультант:'),
+      tag('td', {}, escapeHtml(metadata.consultant?.name || '')),
+      tag('th', {}, 'E-mail:'),
+      tag('td', {}, escapeHtml(metadata.consultant?.email || ''))
+    ]),
+    metaRow('Наименование организации Заказчика:', metadata.organization || ''),
+    metaRow('Наименование ИТ-решений (ЕСИС):', joinList(metadata.itSolutions)),
+    metaRow('Наименование ИТ-систем (ЕСИС):', joinList(metadata.itSystems)),
+    metaRow('Планируется обработка данных КТ:', metadata.processKT ? 'Да' : 'Нет'),
+    metaRow('Планируется обработка данных ПДн:', metadata.processPDn ? 'Да' : 'Нет'),
+    metaRow('Дата создания ЧТЗ:', metadata.createdDate || '')
+  ];
+
+  return tag('table', { class: 'meta-table' }, [
+    buildColumnGroup([2500, 4500, 1000, 2500]),
+    tag('tbody', {}, rows)
+  ]);
+}
+
+/**
+ * Генерация таблицы истории изменений
+ * @param {Array} history - История из YAML
+ * @returns {string} HTML строка
+ */
+function buildHistoryTable(history) {
+  if (!history || history.length === 0) {
+    return '';
+  }
+
+  const rows = history.map(item => [
+    item.version || '',
+    item.date || '',
+    item.comment || '',
+    item.author || ''
+  ]);
+
+  return tag('p', { class: 'meta-title' }, 'История изменений:') +
+    buildSimpleTable(['Версия', 'Дата', 'Комментарий', 'Автор'], rows, {
+      columnWidths: [1000, 1500, 5000, 2000]
+    });
+}
+
+/**
+ * Генерация таблицы связанных документов
+ * @param {Array} relatedDocs - Связанные документы из YAML
+ * @returns {string} HTML строка
+ */
+function buildRelatedDocsTable(relatedDocs) {
+  if (!relatedDocs || relatedDocs.length === 0) {
+    return '';
+  }
+
+  const rows = relatedDocs.map(doc => [
+    doc.name || '',
+    doc.version || '',
+    doc.date || ''
+  ]);
+
+  return tag('p', { class: 'meta-title' }, 'Связанные документы') +
+    tag('p', {}, '(этот документ должен читаться вместе с):') +
+    buildSimpleTable(['Название документа', 'Номер версии / Имя файла', 'Дата'], rows, {
+      columnWidths: [5500, 2500, 1500]
+    });
+}
+
+/**
+ * Генерация полной шапки документа
+ * @param {Object} data - {metadata, history, relatedDocs}
+ * @returns {string} HTML строка
+ */
+function buildDocumentHeader(data) {
+  return tag('header', { class: 'document-header' }, [
+    buildMetaTable(data.metadata),
+    buildHistoryTable(data.history),
+    buildRelatedDocsTable(data.relatedDocs)
+  ]);
+}
+
+module.exports = {
+  buildMetaTable,
+  buildHistoryTable,
+  buildRelatedDocsTable,
+  buildDocumentHeader
+};
@@ -0,0 +1,144 @@
+/**
+ * Table Builder (HTML) - таблицы
+ */
+
+const { escapeHtml, tag } = require('../utils/html-utils');
+const { buildInlineContent } = require('./content-builder');
+const { resolveCellMerges, getCellMarker, unescapeMergeMarker } = require('../utils/table-merges');
+
+/**
+ * Ширины колонок (twips в DOCX) в процентах ширины таблицы
+ * @param {Array<number>} columnWidths - Ширины колонок
+ * @returns {string} HTML <colgroup>
+ */
+function buildColumnGroup(columnWidths) {
+  if (!columnWidths || columnWidths.length === 0) return '';
+
+  const total = columnWidths.reduce((sum, width) => sum + width, 0);
+  const cols = columnWidths.map(width =>
+    tag('col', { style: `width: ${(width / total * 100).toFixed(1)}%` }));
+
+  return tag('colgroup', {}, cols);
+}
+
+/**
+ * Атрибуты colspan/rowspan объединённой ячейки
+ * @param {Object} cell - Ячейка из resolveCellMerges
+ * @returns {Object} Атрибуты тега
+ */
+function getSpanAttributes(cell) {
+  return {
+    colspan: cell.colspan > 1 ? cell.colspan : undefined,
+    rowspan: cell.rows
+  };
+}
+
+/**
+ * Ячейки строки с учётом объединения; продолжения объединения сверху не выводятся
+ * @param {Array<Object>} layout - Ячейки строки из resolveCellMerges
+ * @param {string} cellTag - th или td
+ * @param {Function} getContent - Содержимое ячейки по индексу исходной ячейки
+ * @returns {Array<string>} HTML ячеек
+ */
+function buildMergedCells(layout, cellTag, getContent) {
+  return layout
+    .filter(cell => cell.rowspan !== 'continue')
+    .map(cell => tag(cellTag, getSpanAttributes(cell), getContent(cell.index)));
+}
+
+/**
+ * Генерация простой таблицы из массива данных
+ * Ячейки `<<` и `^^` объединяются с ячейкой слева и сверху
+ * @param {Array<string>} headers - Заголовки колонок
+ * @param {Array<Array<string>>} rows - Строки (текст ячеек)
+ * @param {Object} options - {columnWidths, className}
+ * @returns {string} HTML строка
+ */
+function buildSimpleTable(headers, rows, options = {}) {
+  const { columnWidths, className } = options;
+  const [headerLayout, ...rowsLayout] = resolveCellMerges([headers, ...rows]);
+
+  const headerRow = tag('tr', {}, buildMergedCells(headerLayout, 'th', index => escapeHtml(unescapeMergeMarker(headers[index]))));
+  const dataRows = rows.map((row, rowIndex) =>
+    tag('tr', {}, buildMergedCells(rowsLayout[rowIndex], 'td', index => escapeHtml(unescapeMergeMarker(row[index])))));
+
+  return tag('table', { class: className }, [
+    buildColumnGroup(columnWidths),
+    tag('thead', {}, headerRow),
+    tag('tbody', {}, dataRows)
+  ]);
+}
+
+/**
+ * Генерация таблицы из AST узла table (первая строка - заголовок)
+ * @param {Object} node - AST узел table
+ * @param {Object} context - Контекст
+ * @returns {string} HTML строка
+ */
+function buildTableFromAst(node, context = {}) {
+  const tableRows = node.children
+    .filter(row => row.type === 'tableRow')
+    .map(row => row.children.filter(cell => cell.type === 'tableCell'));
+  const layout = resolveCellMerges(tableRows.map(cells => cells.map(getCellMarker)));
+
+  const rows = tableRows.map((cells, rowIndex) => {
+    const cellTag = rowIndex === 0 ? 'th' : 'td';
+    return tag('tr', {}, buildMergedCells(layout[rowIndex], cellTag, index =>
+      cells[index].children.map(child => buildInlineContent(child, context))));
+  });
+
+  const [headerRow, ...dataRows] = rows;
+
+  return tag('table', {}, [
+    headerRow ? tag('thead', {}, headerRow) : '',
+    tag('tbody', {}, dataRows)
+  ]);
+}
+
+/**
+ * Генерация таблицы терминов (директива :::terms)
+ * @param {Object} directiveData - Данные директивы {table: {headers, rows}}
+ * @returns {string} HTML строка
+ */
+function buildTermsTable(directiveData) {
+  const { table } = directiveData;
+
+  if (!table || !table.rows || table.rows.length === 0) {
+    return '';
+  }
+
+  const headers = table.headers || ['Сокращение/Термин', 'Расшифровка / Определение'];
+
+  return buildSimpleTable(headers, table.rows, {
+    columnWidths: [3000, 6500],
+    className: 'terms-table'
+  });
+}
+
+/**
+ * Генерация таблицы "Как есть / Как будет" (директива :::changes-table)
+ * @param {Object} directiveData - Данные директивы {table: {headers, rows}}
+ * @returns {string} HTML строка
+ */
+function buildChangesTable(directiveData) {
+  const { table } = directiveData;
+
+  if (!table || !table.rows || table.rows.length === 0) {
+    return '';
+  }
+
+  const headers = table.headers || ['Описание функции «Как есть»', 'Описание функции «Как будет»'];
+
+  return buildSimpleTable(headers, table.rows, {
+    columnWidths: [4750, 4750],
+    className: 'changes-table'
+  });
+}
+
+module.exports = {
+  buildColumnGroup,
+  buildSimpleTable,
+  buildTableFromAst,
+  buildTermsTable,
+  buildChangesTable
+};
@@ -0,0 +1,111 @@
+/**
+ * Theme (HTML) - CSS по конфигурации стилей документа
+ * Цвета, шрифты, размеры и ширина текста берутся из тех же стилей, что и для DOCX
+ * (gpn-styles с переопределениями шаблона и конфигурации)
+ */
+
+const { cssColor } = require('../utils/html-utils');
+const { getTextWidth } = require('../utils/xml-utils');
+
+/**
+ * Twips -> pt
+ */
+function twipsToPt(twips) {
+  return `${Math.round(twips / 20)}pt`;
+}
+
+/**
+ * Half-points -> pt
+ */
+function halfPointsToPt(halfPoints) {
+  return `${halfPoints / 2}pt`;
+}
+
+/**
+ * Генерация CSS
+ * @param {Object} styles - Конфигурация стилей
+ * @returns {string} CSS
+ */
+function buildStylesheet(styles) {
+  const { colors, fonts, fontSizes, page } = styles;
+  const { margins } = page;
+
+  return `
+body {
+  margin: 0;
+  background: #E9ECEF;
+  color: #000000;
+  font-family: "${fonts.body}", serif;
+  font-size: ${halfPointsToPt(fontSizes.normal)};
+  line-height: 1.15;
+}
+.page {
+  box-sizing: content-box;
+  max-width: ${twipsToPt(getTextWidth(styles))};
+  margin: 24px auto;
+  padding: ${twipsToPt(margins.top)} ${twipsToPt(margins.right)} ${twipsToPt(margins.bottom)} ${twipsToPt(margins.left)};
+  background: #FFFFFF;
+  box-shadow: 0 1px 4px rgba(0, 0, 0, 0.2);
+}
+h1, h2, h3, h4, h5, h6 {
+  font-family: "${fonts.heading}", sans-serif;
+  margin: ${twipsToPt(styles.spacing.beforeHeading1)} 0 ${twipsToPt(styles.spacing.afterHeading1)};
+}
+h1 { font-size: ${halfPointsToPt(fontSizes.heading1)}; }
+h2 { font-size: ${halfPointsToPt(fontSizes.heading2)}; }
+h3, h4, h5, h6 { font-size: ${halfPointsToPt(fontSizes.heading3)}; }
+h1.table-title, h2.table-title, h3.table-title, h4.table-title { text-align: right; font-size: inherit; }
+p { margin: 0 0 ${twipsToPt(styles.spacing.afterParagraph)}; }
+a { color: ${cssColor(colors.hyperlink)}; }
+code, pre { font-family: "${fonts.code}", monospace; font-size: ${halfPointsToPt(fontSizes.small)}; }
+pre { margin: 0 0 ${twipsToPt(styles.spacing.afterParagraph)}; white-space: pre-wrap; }
+blockquote { margin: 0 0 0 ${twipsToPt(styles.list.indent)}; }
+table {
+  width: 100%;
+  border-collapse: collapse;
+  margin: 0 0 ${twipsToPt(styles.spacing.afterParagraph)};
+}
+th, td {
+  border: 1px solid ${cssColor(colors.tableBorder)};
+  padding: ${twipsToPt(styles.table.cellPadding.top)} ${twipsToPt(styles.table.cellPadding.right)};
+  vertical-align: top;
+  text-align: left;
+}
+th {
+  background: ${cssColor(colors.tableHeaderBackground)};
+  color: ${cssColor(colors.tableHeaderText)};
+  font-weight: bold;
+}
+td > p:last-child, th > p:last-child { margin-bottom: 0; }
+.nested-table td { border-color: #000000; }
+.meta-title { font-weight: bold; margin-top: 12pt; }
+.document-header { margin-bottom: 24pt; }
+.page-break { border: none; border-top: 1px dashed #ADB5BD; margin: 24pt 0; }
+.caption { font-weight: bold; font-size: ${halfPointsToPt(fontSizes.small)}; }
+.caption-fig { text-align: center; }
+.caption-tbl { text-align: right; }
+.image { text-align: center; }
+.image img { max-width: 100%; }
+.image-missing { color: #DC3545; font-style: italic; }
+.note { padding: 6pt 10pt; margin: 0 0 ${twipsToPt(styles.spacing.afterParagraph)}; }
+.note-info { background: #D1ECF1; }
+.note-warning { background: ${cssColor(colors.warning)}; }
+.note-danger { background: #F8D7DA; }
+.note p:last-child { margin-bottom: 0; }
+.empty-section { color: #808080; font-style: italic; }
+.landscape { border-left: 3px solid ${cssColor(colors.accent)}; padding-left: 8pt; }
+.toc ul { list-style: none; padding: 0; margin: 0 0 ${twipsToPt(styles.spacing.afterParagraph)}; }
+.toc-title { font-weight: bold; }
+.toc li { margin: 2pt 0; }
+.toc .toc-2 { padding-left: 12pt; }
+.toc .toc-3 { padding-left: 24pt; }
+.toc a { color: inherit; text-decoration: none; }
+.toc a:hover { text-decoration: underline; }
+.footnotes { border-top: 1px solid #000000; margin-top: 24pt; font-size: ${halfPointsToPt(fontSizes.small)}; }
+.footnotes ol { padding-left: 16pt; }
+`.trim();
+}
+
+module.exports = {
+  buildStylesheet
+};
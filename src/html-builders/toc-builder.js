@@ -0,0 +1,33 @@
+/**
+ * TOC Builder (HTML) - оглавление со ссылками на заголовки
+ * Настройки (title, levels) разбираются так же, как для DOCX; номеров страниц в HTML нет
+ */
+
+const { escapeHtml, tag } = require('../utils/html-utils');
+const { normalizeTocOptions, TOC_DEFAULTS } = require('../builders/toc-builder');
+
+/**
+ * Генерация оглавления
+ * @param {Array} headings - Заголовки из extractHeadings [{level, text, bookmark}]
+ * @param {Object} options - Настройки {title, levels}
+ * @returns {string} HTML строка
+ */
+function buildTableOfContents(headings, options = {}) {
+  const { title, levels } = normalizeTocOptions(options) || TOC_DEFAULTS;
+
+  const entries = (headings || []).filter(h =>
+    h.level <= levels && h.bookmark && h.text.trim()
+  );
+
+  const items = entries.map(heading =>
+    tag('li', { class: `toc-${heading.level}` }, tag('a', { href: `#${heading.bookmark}` }, escapeHtml(heading.text))));
+
+  return tag('nav', { class: 'toc' }, [
+    title ? tag('p', { class: 'toc-title' }, escapeHtml(title)) : '',
+    tag('ul', {}, items)
+  ]);
+}
+
+module.exports = {
+  buildTableOfContents
+};
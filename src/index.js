@@ -5,10 +5,159 @@
 
 const fs = require('fs');
 const path = require('path');
-const { parseDocument } = require('./parser');
-const { buildDocument } = require('./builders');
-const { assembleDocx, createAssemblyContext } = require('./assembler');
+const {
+  parseDocument,
+  YamlValidationError,
+  DirectiveValidationError,
+  DocumentValidationError
+} = require('./parser');
+const { buildDocument, buildTrackedDocument, buildFootnotes, buildComments, getRevisionInfo } = require('./builders');
+const { buildDocumentProperties } = require('./builders/properties-builder');
+const { hasTocDirective } = require('./builders/document-builder');
+const { assembleDocx, assembleDocxBuffer, createAssemblyContext, resolveImagePath } = require('./assembler');
+const { buildHtmlDocument, buildHtmlPage, createHtmlContext } = require('./html-builders');
+const { toDataUri } = require('./html-builders/image-builder');
 const styles = require('./styles/gpn-styles');
+const { loadTemplateStyles, TemplateStyleError } = require('./styles/template-styles');
+const { registerDirective, unregisterDirective, loadPlugins } = require('./plugins');
+const { resolveConfig, loadConfig, findConfigFile, ConfigError } = require('./config');
+const { watch } = require('./watch');
+const { preview } = require('./preview');
+const { batchGenerate, batchReverse } = require('./batch');
+
+/**
+ * Шаблон по умолчанию
+ */
+const DEFAULT_TEMPLATE_PATH = path.join(__dirname, '..', 'templates', 'gpn-template.docx');
+
+/**
+ * Форматы результата generate
+ */
+const OUTPUT_FORMATS = ['docx', 'html'];
+
+/**
+ * Стили документа для выбранного шаблона
+ * styleId и numId берутся из самого шаблона; конфигурация может переопределить их
+ * явно (styles.styleIds / styles.numberingIds) или через styleMapping
+ * @param {string|Buffer} template - Путь к шаблону или его содержимое
+ * @param {Object} config - Нормализованная конфигурация
+ * @param {Object} styleMapping - Дополнительное сопоставление из опций API
+ * @returns {Object} Стили для билдеров
+ * @throws {TemplateStyleError} Если в шаблоне нет обязательного стиля
+ */
+function resolveDocumentStyles(template, config, styleMapping = {}) {
+  return loadTemplateStyles(template, {
+    base: config.styles,
+    overrides: config.styleOverrides,
+    mapping: { ...config.styleMapping, ...styleMapping }
+  });
+}
+
+/**
+ * Ошибки разбора с позициями в исходном файле (YAML и директивы)
+ * @param {Error} error - Ошибка parseDocument
+ * @returns {Array|undefined} [{message, line, column}] или undefined, если позиций нет
+ */
+function getSourceErrors(error) {
+  const errors = (error.errors || []).filter(item => item.line);
+  if (errors.length === 0) return undefined;
+  
+  return errors.map(item => ({
+    message: item.message,
+    line: item.line,
+    column: item.column
+  }));
+}
+
+/**
+ * Опции сборки, общие для генерации в файл и в память
+ * @param {Object} parsedData - Распарсенные данные документа
+ * @param {Object} context - Контекст сборки после buildDocument
+ * @param {Object} documentStyles - Стили документа (с переопределениями из конфигурации)
+ * @returns {Object} Опции для assembleDocx / assembleDocxBuffer
+ */
+function getAssemblyOptions(parsedData, context, documentStyles) {
+  return {
+    hyperlinks: context.getHyperlinks(),
+    images: context.getImages(),
+    updateFields: Boolean(parsedData.toc) || hasTocDirective(parsedData.ast),
+    footnotesXml: buildFootnotes(parsedData.footnotes, documentStyles),
+    // Автор и дата комментариев без атрибутов - как у исправлений документа
+    commentsXml: buildComments(parsedData.comments, documentStyles, getRevisionInfo(parsedData)),
+    listNumbering: context.getListNumbering(),
+    headersFooters: context.getHeadersFooters(),
+    properties: buildDocumentProperties(parsedData)
+  };
+}
+
+/**
+ * Самодостаточная HTML страница документа: CSS встроен, изображения - data URI
+ * @param {Object} parsedData - Распарсенные данные документа
+ * @param {Object} documentStyles - Стили документа (цвета и шрифты для CSS)
+ * @param {Object} options
+ * @param {string} options.imagesDir - Директория с изображениями
+ * @param {Map<string, Buffer>} options.images - Изображения в памяти (вместо imagesDir)
+ * @param {string} options.taskUrlPattern - Шаблон ссылки на задачу
+ * @param {string} options.title - Заголовок страницы
+ * @returns {Object} {html, images} - страница и число встроенных изображений
+ */
+function buildStandaloneHtml(parsedData, documentStyles, options = {}) {
+  const { imagesDir = '.', images = null, taskUrlPattern, title } = options;
+  const dataUris = new Map();
+  
+  const context = createHtmlContext({
+    taskUrlPattern,
+    resolveImage(imagePath) {
+      if (dataUris.has(imagePath)) {
+        return dataUris.get(imagePath);
+      }
+      
+      // Поиск изображения - как при сборке DOCX (createAssemblyContext)
+      let data = null;
+      if (images) {
+        data = images.get(imagePath) || images.get(imagePath.replace(/^images\//, '')) || null;
+      } else {
+        const fullPath = resolveImagePath(imagePath, imagesDir);
+        data = fs.existsSync(fullPath) ? fs.readFileSync(fullPath) : null;
+      }
+      
+      if (!data) {
+        console.warn(`Изображение не найдено: ${imagePath}`);
+        dataUris.set(imagePath, null);
+        return null;
+      }
+      
+      dataUris.set(imagePath, toDataUri(data, imagePath));
+      return dataUris.get(imagePath);
+    }
+  });
+  
+  const body = buildHtmlDocument(parsedData, context);
+  
+  return {
+    html: buildHtmlPage(body, documentStyles, { title: title || parsedData.metadata.shortName }),
+    images: [...dataUris.values()].filter(Boolean).length
+  };
+}
+
+/**
+ * Разбор предыдущей версии документа для сравнения
+ * Ошибки в ней не содержат позиций: они относятся к другому файлу
+ * @param {string} filePath - Путь к Markdown файлу предыдущей версии
+ * @param {Object} config - Конфигурация проекта
+ * @returns {Promise<Object>} Распарсенные данные
+ */
+async function parsePreviousVersion(filePath, config) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Предыдущая версия не найдена: ${filePath}`);
+  }
+  
+  try {
+    return await parseDocument(fs.readFileSync(filePath, 'utf-8'), { schema: config.frontMatterSchema });
+  } catch (error) {
+    throw new Error(`Ошибка в предыдущей версии ${path.basename(filePath)}: ${error.message}`);
+  }
+}
 
 /**
  * Генерация документа ЧТЗ
@@ -17,8 +166,21 @@ const styles = require('./styles/gpn-styles');
  * @param {string} options.outputPath - Путь к выходному docx файлу
  * @param {string} options.templatePath - Путь к шаблону (опционально)
  * @param {string} options.imagesDir - Директория с изображениями (опционально)
+ * @param {Object} options.styleMapping - Ключ стиля -> styleId или имя стиля в шаблоне (опционально)
+ * @param {string|Object|false} options.config - Файл конфигурации или объект с её полями;
+ *   по умолчанию chtz.config.{js,json} ищется вверх от входного файла, false - не использовать
+ * @param {boolean} options.reproducible - Воспроизводимый результат (побайтово одинаковый для одного входа)
+ * @param {boolean} options.check - Не записывать файл, а проверить, что существующий docx актуален
+ *   (включает reproducible)
+ * @param {string} options.format - Формат результата: docx (по умолчанию) или html -
+ *   самодостаточная HTML страница (CSS и изображения встроены)
+ * @param {string} options.compareWith - Предыдущая версия Markdown: отличия от неё выводятся
+ *   исправлениями Word (w:ins/w:del), автор и дата - из последней записи истории изменений
  * @param {boolean} options.verbose - Подробный вывод
- * @returns {Object} Результат генерации
+ * @param {Function} options.onParsed - (parsedData, {styles, config, imagesDir}) => void - вызывается
+ *   после сборки document.xml с тем же разобранным документом (предпросмотр HTML)
+ * @returns {Object} Результат генерации (в режиме check - с полем upToDate; при ошибках в исходном
+ *   файле - с полем errors [{message, line, column}])
  */
 async function generate(options) {
   const {
@@ -26,56 +188,138 @@ async function generate(options) {
     outputPath,
     templatePath,
     imagesDir,
+    format = 'docx',
+    reproducible = false,
+    check = false,
     verbose = false
   } = options;
   
   const log = verbose ? console.log.bind(console) : () => {};
   
   try {
+    if (!OUTPUT_FORMATS.includes(format)) {
+      throw new Error(`Неизвестный формат: ${format}. Допустимо: ${OUTPUT_FORMATS.join(', ')}`);
+    }
+    
+    // 0. Конфигурация проекта (явные опции имеют приоритет)
+    const config = resolveConfig({ config: options.config, inputPath });
+    if (config.path) {
+      log(`⚙️  Конфигурация: ${config.path}`);
+    }
+    
     // 1. Читаем входной файл
     log(`📖 Чтение файла: ${inputPath}`);
     const fileContent = fs.readFileSync(inputPath, 'utf-8');
     
     // 2. Определяем директорию изображений
-    const resolvedImagesDir = imagesDir || path.dirname(inputPath);
+    const resolvedImagesDir = imagesDir || config.imagesDir || path.dirname(inputPath);
     log(`🖼️  Директория изображений: ${resolvedImagesDir}`);
     
     // 3. Парсим документ
     log('🔍 Парсинг Markdown...');
-    const parsedData = await parseDocument(fileContent);
+    const parsedData = await parseDocument(fileContent, { schema: config.frontMatterSchema });
     log(`   ✓ Метаданные загружены`);
     log(`   ✓ Найдено заголовков: ${parsedData.headings.length}`);
     log(`   ✓ Найдено изображений: ${parsedData.images.length}`);
     log(`   ✓ Найдено ссылок: ${parsedData.links.length}`);
     
-    // 4. Создаём контекст сборки
-    log('🔧 Подготовка контекста...');
-    const context = createAssemblyContext({ imagesDir: resolvedImagesDir });
-    
-    // 5. Строим document.xml
-    log('📝 Генерация document.xml...');
-    const documentXml = buildDocument(parsedData, styles, context);
+    // 3a. Предыдущая версия для документа с исправлениями
+    let previousData = null;
+    if (options.compareWith) {
+      if (format !== 'docx') {
+        throw new Error('Сравнение с предыдущей версией доступно только для формата docx');
+      }
+      log(`🔀 Предыдущая версия: ${options.compareWith}`);
+      previousData = await parsePreviousVersion(options.compareWith, config);
+    }
     
-    // 6. Определяем путь к шаблону
-    const resolvedTemplatePath = templatePath || path.join(__dirname, '..', 'templates', 'gpn-template.docx');
+    // 4. Определяем шаблон и его стили
+    const resolvedTemplatePath = templatePath || config.template || DEFAULT_TEMPLATE_PATH;
     
     if (!fs.existsSync(resolvedTemplatePath)) {
       throw new Error(`Шаблон не найден: ${resolvedTemplatePath}`);
     }
     log(`📋 Шаблон: ${resolvedTemplatePath}`);
+    const documentStyles = resolveDocumentStyles(resolvedTemplatePath, config, options.styleMapping);
+    
+    // 4a. HTML: тот же разобранный документ, билдеры src/html-builders
+    if (format === 'html') {
+      return writeHtml(parsedData, documentStyles, {
+        config,
+        inputPath,
+        outputPath: outputPath || inputPath.replace(/\.md$/, '.html'),
+        imagesDir: resolvedImagesDir,
+        check,
+        log,
+        onParsed: options.onParsed
+      });
+    }
+    
+    // 5. Создаём контекст сборки
+    log('🔧 Подготовка контекста...');
+    const context = createAssemblyContext({
+      imagesDir: resolvedImagesDir,
+      taskUrlPattern: config.taskUrlPattern,
+      headerFooter: { header: config.header, footer: config.footer }
+    });
+    
+    // 6. Строим document.xml
+    log('📝 Генерация document.xml...');
+    let documentXml;
+    let revisions;
+    if (previousData) {
+      ({ xml: documentXml, revisions } = buildTrackedDocument(parsedData, previousData, documentStyles, context));
+      log(`   ✓ Исправлений: ${revisions}`);
+    } else {
+      documentXml = buildDocument(parsedData, documentStyles, context);
+    }
+    
+    if (options.onParsed) {
+      options.onParsed(parsedData, { styles: documentStyles, config, imagesDir: resolvedImagesDir });
+    }
     
     // 7. Определяем выходной путь
     const resolvedOutputPath = outputPath || inputPath.replace(/\.md$/, '.docx');
     
     // 8. Собираем docx
     log('📦 Сборка docx...');
-    const result = await assembleDocx({
+    const assemblyOptions = {
+      documentXml,
+      reproducible: reproducible || check,
+      ...getAssemblyOptions(parsedData, context, documentStyles)
+    };
+    const stats = {
+      headings: parsedData.headings.length,
+      images: context.getImages().length,
+      hyperlinks: context.getHyperlinks().size
+    };
+    if (previousData) {
+      stats.revisions = revisions;
+    }
+    
+    // Режим проверки: сравниваем с существующим файлом, ничего не записывая
+    if (check) {
+      const { buffer } = await assembleDocxBuffer({
+        template: resolvedTemplatePath,
+        ...assemblyOptions
+      });
+      const upToDate = fs.existsSync(resolvedOutputPath) &&
+        fs.readFileSync(resolvedOutputPath).equals(buffer);
+      
+      log(upToDate ? `✅ Документ актуален: ${resolvedOutputPath}` : `⚠️  Документ устарел: ${resolvedOutputPath}`);
+      
+      return {
+        success: true,
+        upToDate,
+        outputPath: resolvedOutputPath,
+        stats
+      };
+    }
+    
+    await assembleDocx({
       templatePath: resolvedTemplatePath,
       outputPath: resolvedOutputPath,
-      documentXml,
-      hyperlinks: context.getHyperlinks(),
-      images: context.getImages(),
-      imagesDir: resolvedImagesDir
+      ...assemblyOptions
     });
     
     log(`✅ Документ создан: ${resolvedOutputPath}`);
@@ -83,51 +327,185 @@ async function generate(options) {
     return {
       success: true,
       outputPath: resolvedOutputPath,
-      stats: {
-        headings: parsedData.headings.length,
-        images: context.getImages().length,
-        hyperlinks: context.getHyperlinks().size
-      }
+      stats
     };
     
   } catch (error) {
     return {
       success: false,
       error: error.message,
+      // Ошибки в исходном файле - с позициями для вывода фрагмента кода
+      errors: getSourceErrors(error),
       stack: error.stack
     };
   }
 }
 
+/**
+ * Запись (или проверка актуальности) HTML страницы - часть generate для format: 'html'
+ * @param {Object} parsedData - Распарсенные данные документа
+ * @param {Object} documentStyles - Стили документа
+ * @param {Object} options - {config, inputPath, outputPath, imagesDir, check, log, onParsed}
+ * @returns {Object} Результат generate
+ */
+function writeHtml(parsedData, documentStyles, options) {
+  const { config, outputPath, imagesDir, check, log } = options;
+  
+  log('📝 Генерация HTML...');
+  const { html, images } = buildStandaloneHtml(parsedData, documentStyles, {
+    imagesDir,
+    taskUrlPattern: config.taskUrlPattern
+  });
+  
+  if (options.onParsed) {
+    options.onParsed(parsedData, { styles: documentStyles, config, imagesDir });
+  }
+  
+  const stats = {
+    headings: parsedData.headings.length,
+    images,
+    hyperlinks: parsedData.links.length
+  };
+  
+  // HTML не содержит даты сборки, поэтому проверка не требует --reproducible
+  if (check) {
+    const upToDate = fs.existsSync(outputPath) && fs.readFileSync(outputPath, 'utf-8') === html;
+    log(upToDate ? `✅ Документ актуален: ${outputPath}` : `⚠️  Документ устарел: ${outputPath}`);
+    return { success: true, upToDate, outputPath, stats };
+  }
+  
+  fs.writeFileSync(outputPath, html, 'utf-8');
+  log(`✅ Документ создан: ${outputPath}`);
+  
+  return { success: true, outputPath, stats };
+}
+
+/**
+ * Генерация документа ЧТЗ в памяти, без обращения к файловой системе
+ * @param {string|Buffer} markdown - Содержимое Markdown файла
+ * @param {Object} options - Опции генерации
+ * @param {Map<string, Buffer>} options.images - Изображения (путь из Markdown -> содержимое)
+ * @param {Buffer} options.template - Шаблон docx (по умолчанию - из конфигурации или встроенный)
+ * @param {string|Object} options.config - Файл конфигурации или объект с её полями
+ *   (в памяти конфигурация не ищется автоматически)
+ * @param {Object} options.styleMapping - Ключ стиля -> styleId или имя стиля в шаблоне
+ * @param {boolean} options.reproducible - Воспроизводимый результат (побайтово одинаковый для одного входа)
+ * @returns {Promise<Buffer>} Содержимое docx
+ * @throws {YamlValidationError|DirectiveValidationError|DocumentValidationError|ConfigError|TemplateStyleError|Error}
+ *   При ошибках разбора или сборки
+ */
+async function generateBuffer(markdown, options = {}) {
+  const { images = new Map(), reproducible = false } = options;
+  const config = resolveConfig({ config: options.config || false });
+  const template = options.template || config.template || DEFAULT_TEMPLATE_PATH;
+  const documentStyles = resolveDocumentStyles(template, config, options.styleMapping);
+  
+  const source = Buffer.isBuffer(markdown) ? markdown.toString('utf-8') : markdown;
+  const parsedData = await parseDocument(source, { schema: config.frontMatterSchema });
+  
+  const context = createAssemblyContext({
+    images,
+    taskUrlPattern: config.taskUrlPattern,
+    headerFooter: { header: config.header, footer: config.footer }
+  });
+  const documentXml = buildDocument(parsedData, documentStyles, context);
+  
+  const { buffer } = await assembleDocxBuffer({
+    template,
+    documentXml,
+    reproducible,
+    ...getAssemblyOptions(parsedData, context, documentStyles)
+  });
+  
+  return buffer;
+}
+
+/**
+ * Разбор документа для валидации
+ * @param {string} source - Содержимое Markdown файла
+ * @param {Object} config - Нормализованная конфигурация
+ * @returns {Promise<Object>} Результат успешной валидации
+ * @throws При ошибках в документе
+ */
+async function validateSource(source, config) {
+  const parsedData = await parseDocument(source, { schema: config.frontMatterSchema });
+  
+  return {
+    valid: true,
+    metadata: parsedData.metadata,
+    stats: {
+      headings: parsedData.headings.length,
+      images: parsedData.images.length,
+      links: parsedData.links.length
+    }
+  };
+}
+
+/**
+ * Результат неуспешной валидации
+ * @param {Error} error - Ошибка разбора
+ * @returns {Object} {valid: false, error, errors}
+ */
+function getValidationFailure(error) {
+  return {
+    valid: false,
+    error: error.message,
+    errors: getSourceErrors(error)
+  };
+}
+
 /**
  * Валидация входного файла без генерации
  * @param {string} inputPath - Путь к файлу
+ * @param {Object} options - {config} - как в generate (нужна для директив плагинов)
  * @returns {Object} Результат валидации
  */
-async function validate(inputPath) {
+async function validate(inputPath, options = {}) {
   try {
+    const config = resolveConfig({ config: options.config, inputPath });
     const fileContent = fs.readFileSync(inputPath, 'utf-8');
-    const parsedData = await parseDocument(fileContent);
-    
-    return {
-      valid: true,
-      metadata: parsedData.metadata,
-      stats: {
-        headings: parsedData.headings.length,
-        images: parsedData.images.length,
-        links: parsedData.links.length
-      }
-    };
+    return await validateSource(fileContent, config);
   } catch (error) {
-    return {
-      valid: false,
-      error: error.message
-    };
+    return getValidationFailure(error);
+  }
+}
+
+/**
+ * Валидация Markdown в памяти, без обращения к файловой системе
+ * @param {string|Buffer} markdown - Содержимое Markdown файла
+ * @param {Object} options - {config} - как в generateBuffer
+ * @returns {Promise<Object>} Результат валидации
+ */
+async function validateBuffer(markdown, options = {}) {
+  try {
+    const config = resolveConfig({ config: options.config || false });
+    const source = Buffer.isBuffer(markdown) ? markdown.toString('utf-8') : markdown;
+    return await validateSource(source, config);
+  } catch (error) {
+    return getValidationFailure(error);
   }
 }
 
 module.exports = {
   generate,
+  generateBuffer,
   validate,
+  validateBuffer,
+  buildStandaloneHtml,
+  OUTPUT_FORMATS,
+  watch,
+  preview,
+  batchGenerate,
+  batchReverse,
+  registerDirective,
+  unregisterDirective,
+  loadPlugins,
+  loadConfig,
+  findConfigFile,
+  ConfigError,
+  TemplateStyleError,
+  YamlValidationError,
+  DirectiveValidationError,
+  DocumentValidationError,
   styles
 };
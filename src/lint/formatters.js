@@ -0,0 +1,124 @@
+/**
+ * Форматы вывода chtz-lint: text, json, sarif
+ * Все форматтеры принимают массив результатов lintFile и возвращают строку
+ */
+
+const path = require('path');
+const { RULES, FRONT_MATTER_RULE, DIRECTIVE_RULE } = require('./index');
+
+/**
+ * Путь к файлу относительно текущей директории (в SARIF - с прямыми слешами)
+ */
+function relativePath(filePath) {
+  return path.relative(process.cwd(), path.resolve(filePath)).split(path.sep).join('/');
+}
+
+/**
+ * Текстовый вывод: file:line:column  уровень  сообщение  (правило)
+ * @param {Array} results - Результаты проверки файлов
+ * @returns {string}
+ */
+function formatText(results) {
+  const lines = [];
+  let errors = 0;
+  let warnings = 0;
+
+  for (const result of results) {
+    for (const d of result.diagnostics) {
+      const severity = d.severity === 'error' ? 'ошибка' : 'предупреждение';
+      lines.push(`${relativePath(result.filePath)}:${d.line}:${d.column}  ${severity}  ${d.message}  (${d.ruleId})`);
+    }
+    errors += result.errorCount;
+    warnings += result.warningCount;
+  }
+
+  if (lines.length > 0) {
+    lines.push('');
+  }
+  lines.push(`Проверено файлов: ${results.length}, ошибок: ${errors}, предупреждений: ${warnings}`);
+
+  return lines.join('\n');
+}
+
+/**
+ * JSON: массив {filePath, errorCount, warningCount, diagnostics}
+ * @param {Array} results - Результаты проверки файлов
+ * @returns {string}
+ */
+function formatJson(results) {
+  return JSON.stringify(results.map(result => ({
+    ...result,
+    filePath: relativePath(result.filePath)
+  })), null, 2);
+}
+
+/**
+ * SARIF 2.1.0 - для загрузки в GitHub code scanning и другие CI-системы
+ * @param {Array} results - Результаты проверки файлов
+ * @returns {string}
+ */
+function formatSarif(results) {
+  const rules = [
+    { id: FRONT_MATTER_RULE, description: 'YAML front matter соответствует схеме' },
+    { id: DIRECTIVE_RULE, description: 'Содержимое директив разбирается без ошибок' },
+    ...RULES
+  ];
+
+  const sarifResults = [];
+  for (const result of results) {
+    for (const d of result.diagnostics) {
+      const region = { startLine: d.line, startColumn: d.column };
+      if (d.endLine) {
+        region.endLine = d.endLine;
+        region.endColumn = d.endColumn;
+      }
+
+      sarifResults.push({
+        ruleId: d.ruleId,
+        ruleIndex: rules.findIndex(rule => rule.id === d.ruleId),
+        level: d.severity,
+        message: { text: d.message },
+        locations: [{
+          physicalLocation: {
+            artifactLocation: { uri: relativePath(result.filePath) },
+            region
+          }
+        }]
+      });
+    }
+  }
+
+  return JSON.stringify({
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: 'chtz-lint',
+          version: require('../../package.json').version,
+          rules: rules.map(rule => ({
+            id: rule.id,
+            shortDescription: { text: rule.description }
+          }))
+        }
+      },
+      results: sarifResults
+    }]
+  }, null, 2);
+}
+
+/**
+ * Форматтеры по имени
+ */
+const FORMATTERS = {
+  text: formatText,
+  json: formatJson,
+  sarif: formatSarif
+};
+
+module.exports = {
+  FORMATTERS,
+  formatText,
+  formatJson,
+  formatSarif
+};
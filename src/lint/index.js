@@ -0,0 +1,199 @@
+/**
+ * Lint - проверка Markdown документа ЧТЗ набором правил
+ * Диагностики привязаны к позициям remark AST и пересчитаны в строки исходного файла
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseYaml, locateYamlField } = require('../parser/yaml-parser');
+const { FRONT_MATTER_SCHEMA } = require('../parser/front-matter-schema');
+const { parseMarkdown } = require('../parser/md-parser');
+const { RULES } = require('./rules');
+
+/**
+ * Уровни диагностик; off отключает правило
+ */
+const SEVERITIES = ['off', 'warning', 'error'];
+
+/**
+ * Правило для ошибок YAML front matter (не отключается)
+ */
+const FRONT_MATTER_RULE = 'front-matter';
+
+/**
+ * Правило для ошибок содержимого директив, найденных парсером (не отключается)
+ */
+const DIRECTIVE_RULE = 'directive-syntax';
+
+/**
+ * Настройки правил: значения по умолчанию, затем конфигурация, затем переопределения CLI
+ * @param {Object} configured - {ruleId: 'off'|'warning'|'error'}
+ * @returns {Map<string, string>} ruleId -> уровень
+ * @throws {Error} Для неизвестного правила или уровня
+ */
+function resolveRuleSeverities(configured = {}) {
+  const severities = new Map(RULES.map(rule => [rule.id, rule.severity]));
+
+  for (const [ruleId, severity] of Object.entries(configured)) {
+    if (!severities.has(ruleId)) {
+      throw new Error(`Неизвестное правило: ${ruleId}. Доступны: ${RULES.map(rule => rule.id).join(', ')}`);
+    }
+    if (!SEVERITIES.includes(severity)) {
+      throw new Error(`Правило ${ruleId}: неизвестный уровень "${severity}" (ожидается ${SEVERITIES.join(', ')})`);
+    }
+    severities.set(ruleId, severity);
+  }
+
+  return severities;
+}
+
+/**
+ * Проверка одного документа
+ * @param {string} source - Содержимое Markdown файла
+ * @param {Object} options
+ * @param {string} options.filePath - Путь к файлу (для диагностик и поиска изображений)
+ * @param {Object} options.config - Нормализованная конфигурация (sections, taskUrlPattern, imagesDir,
+ *   frontMatterSchema)
+ * @param {Object} options.rules - Уровни правил {ruleId: 'off'|'warning'|'error'}
+ * @param {string} options.imagesDir - Директория изображений (по умолчанию - как у генератора)
+ * @returns {Promise<Object>} {filePath, diagnostics, errorCount, warningCount}
+ */
+async function lint(source, options = {}) {
+  const { filePath = '<input>', config = {}, rules = {} } = options;
+  const severities = resolveRuleSeverities(rules);
+  const diagnostics = [];
+
+  // Ошибки front matter: без него документ не разобрать, остальные - не мешают правилам
+  let yaml;
+  try {
+    yaml = parseYaml(source, { schema: config.frontMatterSchema });
+  } catch (error) {
+    for (const item of error.errors || [error]) {
+      diagnostics.push({
+        ruleId: FRONT_MATTER_RULE,
+        severity: 'error',
+        message: item.message,
+        line: item.line || 1,
+        column: item.column || 1
+      });
+    }
+
+    try {
+      yaml = parseYaml(source, { validate: false });
+    } catch {
+      return summarize(filePath, diagnostics);
+    }
+  }
+
+  const { content, lineOffset } = yaml;
+  const { ast, headings, captions, errors } = await parseMarkdown(content);
+
+  for (const error of errors) {
+    diagnostics.push({
+      ruleId: DIRECTIVE_RULE,
+      severity: 'error',
+      message: error.message,
+      line: error.line + lineOffset,
+      column: error.column
+    });
+  }
+
+  const doc = {
+    source,
+    filePath,
+    ast,
+    headings,
+    captions,
+    frontMatter: yaml.data,
+    config: {
+      sections: config.sections || null,
+      taskUrlPattern: config.taskUrlPattern || null,
+      frontMatterSchema: config.frontMatterSchema || FRONT_MATTER_SCHEMA
+    },
+    imagesDir: options.imagesDir || config.imagesDir ||
+      (filePath !== '<input>' ? path.dirname(path.resolve(filePath)) : null),
+
+    /**
+     * Обход узлов AST заданного типа
+     */
+    visit(type, callback) {
+      (function walk(node, parent) {
+        if (node.type === type) callback(node, parent);
+        if (node.children) node.children.forEach(child => walk(child, node));
+      })(ast, null);
+    },
+
+    /**
+     * Позиция поля front matter в исходном файле (для report вместо узла AST)
+     */
+    locateFrontMatterField(field) {
+      return locateYamlField(source, field);
+    },
+
+    /**
+     * Строка узла в исходном файле
+     */
+    lineOf(node) {
+      return node.position ? node.position.start.line + lineOffset : null;
+    }
+  };
+
+  for (const rule of RULES) {
+    const severity = severities.get(rule.id);
+    if (severity === 'off') continue;
+
+    // node - узел AST или позиция в файле {line, column}
+    rule.check(doc, (node, message) => {
+      const position = node && node.position;
+      if (node && node.line) {
+        diagnostics.push({ ruleId: rule.id, severity, message, line: node.line, column: node.column || 1 });
+        return;
+      }
+      diagnostics.push({
+        ruleId: rule.id,
+        severity,
+        message,
+        line: position ? position.start.line + lineOffset : 1,
+        column: position ? position.start.column : 1,
+        endLine: position ? position.end.line + lineOffset : undefined,
+        endColumn: position ? position.end.column : undefined
+      });
+    });
+  }
+
+  diagnostics.sort((a, b) => a.line - b.line || a.column - b.column);
+  return summarize(filePath, diagnostics);
+}
+
+/**
+ * Результат проверки файла
+ */
+function summarize(filePath, diagnostics) {
+  return {
+    filePath,
+    diagnostics,
+    errorCount: diagnostics.filter(d => d.severity === 'error').length,
+    warningCount: diagnostics.filter(d => d.severity === 'warning').length
+  };
+}
+
+/**
+ * Проверка файла на диске
+ * @param {string} filePath - Путь к Markdown файлу
+ * @param {Object} options - Как в lint (без filePath)
+ * @returns {Promise<Object>} {filePath, diagnostics, errorCount, warningCount}
+ */
+async function lintFile(filePath, options = {}) {
+  const source = fs.readFileSync(filePath, 'utf-8');
+  return lint(source, { ...options, filePath });
+}
+
+module.exports = {
+  RULES,
+  SEVERITIES,
+  FRONT_MATTER_RULE,
+  DIRECTIVE_RULE,
+  resolveRuleSeverities,
+  lint,
+  lintFile
+};
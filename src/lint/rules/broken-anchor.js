@@ -0,0 +1,56 @@
+/**
+ * broken-anchor - внутренние ссылки [текст](#якорь) ведут на существующие закладки
+ * Закладки создаются для заголовков, функциональных таблиц {#id} и подписей {#fig:id}
+ */
+
+const { DIRECTIVE_TYPES } = require('../../parser/directives');
+const { getCaptionBookmarkName } = require('../../parser/captions');
+
+/**
+ * Имена закладок, которые появятся в документе
+ */
+function collectBookmarks(doc) {
+  const bookmarks = new Set();
+
+  for (const heading of doc.headings) {
+    if (heading.bookmark) bookmarks.add(heading.bookmark);
+  }
+
+  for (const label of doc.captions.keys()) {
+    bookmarks.add(getCaptionBookmarkName(label));
+  }
+
+  doc.visit('containerDirective', node => {
+    const data = node.directiveData;
+    if (data && data.type === DIRECTIVE_TYPES.FUNCTION_TABLE && data.id) {
+      bookmarks.add(data.id);
+    }
+  });
+
+  return bookmarks;
+}
+
+module.exports = {
+  id: 'broken-anchor',
+  description: 'Внутренние ссылки #якорь ведут на существующий заголовок, таблицу или подпись',
+  severity: 'error',
+
+  check(doc, report) {
+    const bookmarks = collectBookmarks(doc);
+
+    doc.visit('link', node => {
+      if (!node.url || !node.url.startsWith('#')) return;
+
+      let anchor = node.url.substring(1);
+      try {
+        anchor = decodeURIComponent(anchor);
+      } catch {
+        // Оставляем якорь как есть
+      }
+
+      if (!bookmarks.has(anchor)) {
+        report(node, `Ссылка на несуществующий якорь: #${anchor}`);
+      }
+    });
+  }
+};
@@ -0,0 +1,28 @@
+/**
+ * duplicate-function-id - идентификаторы функциональных таблиц уникальны
+ * По идентификатору создаётся закладка, повтор ломает ссылки [текст](#id)
+ */
+
+const { DIRECTIVE_TYPES } = require('../../parser/directives');
+
+module.exports = {
+  id: 'duplicate-function-id',
+  description: 'Идентификаторы function-table {#id} не повторяются',
+  severity: 'error',
+
+  check(doc, report) {
+    const seen = new Map();
+
+    doc.visit('containerDirective', node => {
+      const data = node.directiveData;
+      if (!data || data.type !== DIRECTIVE_TYPES.FUNCTION_TABLE || !data.id) return;
+
+      if (seen.has(data.id)) {
+        const first = seen.get(data.id);
+        report(node, `Повторяющийся идентификатор function-table: #${data.id} (впервые - строка ${doc.lineOf(first)})`);
+      } else {
+        seen.set(data.id, node);
+      }
+    });
+  }
+};
@@ -0,0 +1,32 @@
+/**
+ * function-table-task-url - у функциональной таблицы есть ссылка на задачу
+ * Ссылка не нужна, если её можно построить по taskUrlPattern из конфигурации
+ */
+
+const { DIRECTIVE_TYPES } = require('../../parser/directives');
+
+module.exports = {
+  id: 'function-table-task-url',
+  description: 'У function-table указан taskUrl со ссылкой http(s)',
+  severity: 'warning',
+
+  check(doc, report) {
+    doc.visit('containerDirective', node => {
+      const data = node.directiveData;
+      if (!data || data.type !== DIRECTIVE_TYPES.FUNCTION_TABLE) return;
+
+      const name = data.id ? `function-table {#${data.id}}` : 'function-table';
+
+      if (!data.taskUrl) {
+        if (!(doc.config.taskUrlPattern && data.task)) {
+          report(node, `В ${name} не указан taskUrl`);
+        }
+        return;
+      }
+
+      if (!/^https?:\/\//.test(data.taskUrl)) {
+        report(node, `В ${name} taskUrl не является ссылкой http(s): ${data.taskUrl}`);
+      }
+    });
+  }
+};
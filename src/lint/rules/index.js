@@ -0,0 +1,26 @@
+/**
+ * Правила chtz-lint
+ * Правило: {id, description, severity, check(doc, report)}
+ */
+
+const sectionOrder = require('./section-order');
+const functionTableTaskUrl = require('./function-table-task-url');
+const unusedTerm = require('./unused-term');
+const brokenAnchor = require('./broken-anchor');
+const missingImage = require('./missing-image');
+const duplicateFunctionId = require('./duplicate-function-id');
+const unknownFrontMatterField = require('./unknown-front-matter-field');
+
+const RULES = [
+  sectionOrder,
+  functionTableTaskUrl,
+  unusedTerm,
+  brokenAnchor,
+  missingImage,
+  duplicateFunctionId,
+  unknownFrontMatterField
+];
+
+module.exports = {
+  RULES
+};
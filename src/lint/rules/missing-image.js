@@ -0,0 +1,26 @@
+/**
+ * missing-image - файлы изображений существуют на диске
+ * Путь разрешается так же, как при генерации (директория изображений, префикс images/)
+ */
+
+const fs = require('fs');
+const { resolveImagePath } = require('../../assembler');
+
+module.exports = {
+  id: 'missing-image',
+  description: 'Изображения, на которые ссылается документ, существуют',
+  severity: 'error',
+
+  check(doc, report) {
+    if (!doc.imagesDir) return;
+
+    doc.visit('image', node => {
+      if (!node.url || /^https?:\/\//.test(node.url)) return;
+
+      const fullPath = resolveImagePath(node.url, doc.imagesDir);
+      if (!fs.existsSync(fullPath)) {
+        report(node, `Изображение не найдено: ${node.url} (${fullPath})`);
+      }
+    });
+  }
+};
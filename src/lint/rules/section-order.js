@@ -0,0 +1,32 @@
+/**
+ * section-order - разделы первого уровня идут в порядке каталога разделов ЧТЗ
+ * Каталог - SectionRecognizer.KNOWN_SECTIONS или sections из конфигурации
+ */
+
+const { SectionRecognizer } = require('../../reverse/recognizers/sections');
+const { getNodeText } = require('../../parser/md-parser');
+
+module.exports = {
+  id: 'section-order',
+  description: 'Разделы первого уровня расположены в порядке каталога разделов ЧТЗ',
+  severity: 'error',
+
+  check(doc, report) {
+    const catalog = doc.config.sections || SectionRecognizer.KNOWN_SECTIONS;
+    let previous = null;
+
+    doc.visit('heading', node => {
+      if (node.depth !== 1) return;
+
+      const title = getNodeText(node).trim();
+      const index = catalog.findIndex(section => section.pattern.test(title));
+      if (index === -1) return;
+
+      if (previous && index < previous.index) {
+        report(node, `Раздел «${title}» должен идти перед разделом «${previous.title}»`);
+        return;
+      }
+      previous = { index, title };
+    });
+  }
+};
@@ -0,0 +1,21 @@
+/**
+ * unknown-front-matter-field - поля front matter описаны в схеме
+ * Генератор такие поля пропускает; чаще всего это опечатка в имени поля
+ * или собственное поле проекта, не добавленное в frontMatter конфигурации
+ */
+
+const { findUnknownFields } = require('../../parser/front-matter-schema');
+
+module.exports = {
+  id: 'unknown-front-matter-field',
+  description: 'Поля YAML front matter описаны в схеме (с учётом frontMatter в конфигурации)',
+  severity: 'warning',
+
+  check(doc, report) {
+    if (!doc.frontMatter) return;
+
+    for (const field of findUnknownFields(doc.config.frontMatterSchema, doc.frontMatter)) {
+      report(doc.locateFrontMatterField(field), `Поле ${field} не описано в схеме front matter`);
+    }
+  }
+};
@@ -0,0 +1,67 @@
+/**
+ * unused-term - термины из :::terms встречаются в тексте документа
+ * Сравнение учитывает окончания: слово термина совпадает по основе
+ * (без последних двух букв), чтобы "Контрагент" находился в "контрагентов"
+ */
+
+const { DIRECTIVE_TYPES } = require('../../parser/directives');
+const { getNodeText } = require('../../parser/md-parser');
+
+/**
+ * Регулярное выражение для поиска термина в тексте
+ * @param {string} term - Термин
+ * @returns {RegExp}
+ */
+function termPattern(term) {
+  const words = term
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(word => {
+      const stem = word.length > 5 ? word.slice(0, -2) : word;
+      return stem.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    });
+
+  return new RegExp(`(^|[^\\wа-яё])${words.join('\\S*\\s+')}`, 'i');
+}
+
+module.exports = {
+  id: 'unused-term',
+  description: 'Термины из таблицы :::terms используются в тексте документа',
+  severity: 'warning',
+
+  check(doc, report) {
+    const terms = [];
+    const textParts = [];
+
+    function walk(node) {
+      if (node.type === 'containerDirective' && node.name === DIRECTIVE_TYPES.TERMS) {
+        const table = (node.children || []).find(child => child.type === 'table');
+        if (table) {
+          // Первая строка - заголовок таблицы
+          for (const row of table.children.slice(1)) {
+            const cell = row.children[0];
+            const term = cell ? getNodeText(cell).trim() : '';
+            if (term) terms.push({ term, node: cell });
+          }
+        }
+        return;
+      }
+
+      if (node.type === 'text' || node.type === 'inlineCode') {
+        textParts.push(node.value);
+      }
+      if (node.children) {
+        node.children.forEach(walk);
+      }
+    }
+
+    walk(doc.ast);
+    const text = textParts.join('\n');
+
+    for (const { term, node } of terms) {
+      if (!termPattern(term).test(text)) {
+        report(node, `Термин «${term}» определён, но не используется в тексте`);
+      }
+    }
+  }
+};
@@ -0,0 +1,197 @@
+/**
+ * Captions - нумерация подписей рисунков и таблиц, перекрёстные ссылки [@fig:id]
+ */
+
+const { isDirective, DIRECTIVE_TYPES } = require('./directives');
+
+/**
+ * Виды подписей: префикс метки -> текст подписи и имя последовательности SEQ
+ */
+const CAPTION_KINDS = {
+  fig: { label: 'Рисунок', seq: 'Рисунок' },
+  tbl: { label: 'Таблица', seq: 'Таблица' }
+};
+
+/**
+ * Подпись таблицы: "Таблица: Название {#tbl:id}" (метка необязательна)
+ */
+const TABLE_CAPTION_REGEX = /^Таблица:\s*(.*?)\s*(?:\{#(tbl:[\w-]+)\})?\s*$/i;
+
+/**
+ * Перекрёстная ссылка: [@fig:login], [@tbl:limits]
+ */
+const CROSS_REFERENCE_REGEX = /\[@((?:fig|tbl):[\w-]+)\]/g;
+
+/**
+ * Имя закладки для метки подписи
+ * Word допускает в именах закладок только буквы, цифры и подчёркивание
+ * @param {string} label - Метка (fig:login)
+ * @returns {string} Имя закладки (fig_login)
+ */
+function getCaptionBookmarkName(label) {
+  return label.replace(/[^\wа-яё]/gi, '_');
+}
+
+/**
+ * Текст ссылки на подпись ("Рисунок 3")
+ * @param {Object} caption - Подпись {kind, number}
+ * @returns {string}
+ */
+function getCaptionReferenceText(caption) {
+  return `${CAPTION_KINDS[caption.kind].label} ${caption.number}`;
+}
+
+/**
+ * Разбор подписи таблицы из текста параграфа или заголовка
+ * @param {string} text - Текст
+ * @returns {Object|null} {text, label}
+ */
+function parseTableCaption(text) {
+  const match = (text || '').match(TABLE_CAPTION_REGEX);
+  if (!match) return null;
+
+  return {
+    text: match[1],
+    label: match[2] || null
+  };
+}
+
+/**
+ * Текст узла только из непосредственных текстовых детей
+ */
+function getDirectText(node) {
+  if (!node.children) return '';
+  return node.children
+    .filter(c => c.type === 'text')
+    .map(c => c.value)
+    .join('');
+}
+
+/**
+ * Нумерует подписи рисунков и таблиц в порядке следования в документе
+ * Рисунок получает подпись, если у изображения есть метка {#fig:id};
+ * таблица - если перед ней стоит параграф или заголовок "Таблица: Название".
+ * Номер сохраняется в node.caption = {kind, number, label, text}
+ * @param {Object} ast - AST дерево
+ * @returns {Map} Метка -> подпись
+ */
+function numberCaptions(ast) {
+  const captions = new Map();
+  const counters = { fig: 0, tbl: 0 };
+
+  function register(node, kind, label, text) {
+    const caption = {
+      kind,
+      number: ++counters[kind],
+      label: label || null,
+      text: text || ''
+    };
+    node.caption = caption;
+
+    if (label) {
+      if (captions.has(label)) {
+        console.warn(`Повторяющаяся метка подписи: ${label}`);
+      } else {
+        captions.set(label, caption);
+      }
+    }
+  }
+
+  function walk(node, insideDirective) {
+    if (node.type === 'image') {
+      const attributes = node.imageAttributes || {};
+      if (attributes.id && attributes.id.startsWith('fig:')) {
+        register(node, 'fig', attributes.id, attributes.caption || node.alt);
+      }
+    }
+
+    // Подписи таблиц распознаются только на уровне блоков документа -
+    // внутри директив текст обрабатывается их собственными билдерами
+    // (кроме :::landscape, содержимое которого - обычный Markdown)
+    if (!insideDirective && (node.type === 'paragraph' || node.type === 'heading')) {
+      const parsed = parseTableCaption(getDirectText(node));
+      if (parsed) {
+        register(node, 'tbl', parsed.label, parsed.text);
+      }
+    }
+
+    if (node.children) {
+      const nested = insideDirective || (isDirective(node) && node.name !== DIRECTIVE_TYPES.LANDSCAPE);
+      node.children.forEach(child => walk(child, nested));
+    }
+  }
+
+  walk(ast, false);
+  return captions;
+}
+
+/**
+ * Заменяет [@метка] в текстовых узлах на узлы crossReference
+ * Неизвестные метки остаются текстом
+ * @param {Object} ast - AST дерево
+ * @param {Map} captions - Метка -> подпись (из numberCaptions)
+ */
+function resolveCrossReferences(ast, captions) {
+  function splitText(value) {
+    const result = [];
+    let lastIndex = 0;
+    let match;
+
+    CROSS_REFERENCE_REGEX.lastIndex = 0;
+    while ((match = CROSS_REFERENCE_REGEX.exec(value)) !== null) {
+      const caption = captions.get(match[1]);
+      if (!caption) {
+        console.warn(`Перекрёстная ссылка на неизвестную метку: ${match[1]}`);
+        continue;
+      }
+
+      if (match.index > lastIndex) {
+        result.push({ type: 'text', value: value.substring(lastIndex, match.index) });
+      }
+      result.push({
+        type: 'crossReference',
+        label: match[1],
+        bookmark: getCaptionBookmarkName(match[1]),
+        value: getCaptionReferenceText(caption)
+      });
+      lastIndex = match.index + match[0].length;
+    }
+
+    if (lastIndex === 0) return null;
+
+    if (lastIndex < value.length) {
+      result.push({ type: 'text', value: value.substring(lastIndex) });
+    }
+    return result;
+  }
+
+  function walk(node) {
+    if (!node.children) return;
+
+    const children = [];
+    for (const child of node.children) {
+      if (child.type === 'text' && child.value.includes('[@')) {
+        const parts = splitText(child.value);
+        if (parts) {
+          children.push(...parts);
+          continue;
+        }
+      }
+      walk(child);
+      children.push(child);
+    }
+    node.children = children;
+  }
+
+  walk(ast);
+}
+
+module.exports = {
+  CAPTION_KINDS,
+  CROSS_REFERENCE_REGEX,
+  numberCaptions,
+  resolveCrossReferences,
+  parseTableCaption,
+  getCaptionBookmarkName,
+  getCaptionReferenceText
+};
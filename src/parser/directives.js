@@ -2,6 +2,8 @@
  * Directive Processor - обработка специальных блоков :::directive
  */
 
+const { escapeMergeMarker, isEscapedMarkerCell } = require('../utils/table-merges');
+
 /**
  * Типы поддерживаемых директив
  */
@@ -10,9 +12,32 @@ const DIRECTIVE_TYPES = {
   CHANGES_TABLE: 'changes-table',
   FUNCTION_TABLE: 'function-table',
   NOTE: 'note',
-  EMPTY_SECTION: 'empty-section'
+  EMPTY_SECTION: 'empty-section',
+  TOC: 'toc',
+  LANDSCAPE: 'landscape',
+  COMMENT: 'comment'
 };
 
+/**
+ * Поля директивы function-table
+ */
+const FUNCTION_TABLE_KEYS = ['function', 'task', 'taskUrl', 'scenario'];
+
+/**
+ * Ошибка в содержимом директивы
+ * line/column - позиция в исходном файле (с 1), если известна
+ */
+class DirectiveValidationError extends Error {
+  constructor(message, directive, location = {}) {
+    super(message);
+    this.name = 'DirectiveValidationError';
+    this.directive = directive;
+    this.line = location.line || null;
+    this.column = location.column || null;
+    this.errors = [this];
+  }
+}
+
 /**
  * Парсинг атрибутов директивы
  * Формат: {#id attr1="value1" attr2="value2"}
@@ -38,9 +63,11 @@ function parseDirectiveAttributes(node) {
 /**
  * Парсинг YAML-подобного содержимого директивы function-table
  * @param {string} content - Содержимое директивы
+ * @param {Array} problems - Сюда добавляются найденные ошибки {message, text},
+ *   где text - строка содержимого, к которой относится ошибка (опционально)
  * @returns {Object} Распарсенные данные
  */
-function parseFunctionTableContent(content) {
+function parseFunctionTableContent(content, problems = []) {
   const result = {
     function: '',
     task: '',
@@ -67,6 +94,12 @@ function parseFunctionTableContent(content) {
       }
       currentKey = multilineMatch[1];
       currentValue = [];
+      if (!FUNCTION_TABLE_KEYS.includes(currentKey)) {
+        problems.push({
+          message: `Неизвестное поле function-table: ${currentKey} (ожидается ${FUNCTION_TABLE_KEYS.join(', ')})`,
+          text: line
+        });
+      }
       inMultiline = true;
       continue;
     }
@@ -78,6 +111,12 @@ function parseFunctionTableContent(content) {
       if (currentKey) {
         result[currentKey] = currentValue.join('\n').trim();
       }
+      if (!FUNCTION_TABLE_KEYS.includes(simpleMatch[1])) {
+        problems.push({
+          message: `Неизвестное поле function-table: ${simpleMatch[1]} (ожидается ${FUNCTION_TABLE_KEYS.join(', ')})`,
+          text: line
+        });
+      }
       result[simpleMatch[1]] = simpleMatch[2].trim();
       currentKey = null;
       currentValue = [];
@@ -87,6 +126,11 @@ function parseFunctionTableContent(content) {
     // Добавляем строку к текущему многострочному значению
     if (inMultiline && currentKey) {
       currentValue.push(line);
+    } else if (line.trim()) {
+      problems.push({
+        message: `Строка function-table не распознана: "${line.trim()}". Ожидается "поле: значение"`,
+        text: line
+      });
     }
   }
   
@@ -95,6 +139,10 @@ function parseFunctionTableContent(content) {
     result[currentKey] = currentValue.join('\n').trim();
   }
   
+  if (!result.function) {
+    problems.push({ message: 'В function-table не указано поле function' });
+  }
+  
   return result;
 }
 
@@ -110,6 +158,9 @@ function extractText(children) {
     if (child.type === 'text') {
       return child.value;
     }
+    if (isCommentDirective(child)) {
+      return '';
+    }
     if (child.children) {
       return extractText(child.children);
     }
@@ -133,9 +184,10 @@ function extractTable(children) {
       for (let i = 0; i < child.children.length; i++) {
         const row = child.children[i];
         if (row.type === 'tableRow') {
+          // Экранированный маркер объединения остаётся экранированным: это текст, а не `<<`/`^^`
           const cells = row.children
             .filter(cell => cell.type === 'tableCell')
-            .map(cell => extractText(cell.children));
+            .map(cell => isEscapedMarkerCell(cell) ? escapeMergeMarker(extractText(cell.children)) : extractText(cell.children));
           
           if (i === 0) {
             headers = cells;
@@ -193,6 +245,11 @@ function extractMarkdownText(node, depth = 0) {
   if (node.type === 'text') {
     return node.value || '';
   }
+
+  // Комментарий рецензента не входит в текст директивы
+  if (isCommentDirective(node)) {
+    return '';
+  }
   
   // Изображение - возвращаем Markdown синтаксис
   if (node.type === 'image') {
@@ -227,6 +284,16 @@ function extractMarkdownText(node, depth = 0) {
     return `[${inner}](${url})`;
   }
 
+  // Перекрёстная ссылка на подпись - возвращаем исходный синтаксис [@fig:id]
+  if (node.type === 'crossReference') {
+    return `[@${node.label}]`;
+  }
+
+  // Ссылка на сноску - возвращаем исходный синтаксис [^label]
+  if (node.type === 'footnoteReference') {
+    return `[^${node.label}]`;
+  }
+
   // HTML (inline HTML like <br>, <span>, etc.)
   if (node.type === 'html') {
     // Сохраняем HTML как есть (особенно важно для <br> тегов)
@@ -292,9 +359,12 @@ function extractMarkdownText(node, depth = 0) {
             .filter(cell => cell.type === 'tableCell')
             .map(cell => {
               // Извлекаем текст из ячейки
-              const cellText = cell.children
+              let cellText = cell.children
                 ? cell.children.map(c => extractMarkdownText(c, depth)).join('').trim()
                 : '';
+              if (isEscapedMarkerCell(cell)) {
+                cellText = escapeMergeMarker(cellText);
+              }
               // Заменяем переводы строк на <br> и экранируем pipe
               return cellText.replace(/\n/g, '<br>').replace(/\|/g, '\\|');
             });
@@ -370,17 +440,21 @@ function processFunctionTableDirective(node) {
   }
   
   // Парсим YAML-подобный контент
-  const data = parseFunctionTableContent(textContent);
+  const problems = [];
+  const data = parseFunctionTableContent(textContent, problems);
   
   return {
     type: DIRECTIVE_TYPES.FUNCTION_TABLE,
     id: attrs.id || null,
     function: data.function,
     task: data.task,
-    taskUrl: data.taskUrl,
+    // GFM превращает голый URL в ссылку, и extractMarkdownText возвращает его как [url](url)
+    taskUrl: data.taskUrl.replace(/^\[[^\]]*\]\((\S+?)\)$/, '$1'),
     scenario: data.scenario,
     // Сохраняем оригинальные children для обработки Markdown в scenario
-    scenarioChildren: node.children
+    scenarioChildren: node.children,
+    // Ошибки содержимого; позиции вычисляет parseMarkdown по исходному тексту
+    problems
   };
 }
 
@@ -420,6 +494,65 @@ function processEmptySectionDirective(node) {
   };
 }
 
+/**
+ * Обработка директивы toc (оглавление)
+ * Формат: :::toc{title="Содержание" levels="3"}
+ * @param {Object} node - AST узел
+ * @returns {Object} Структура данных
+ */
+function processTocDirective(node) {
+  const attrs = parseDirectiveAttributes(node);
+  const levels = parseInt(attrs.levels, 10);
+  
+  return {
+    type: DIRECTIVE_TYPES.TOC,
+    title: attrs.title,
+    levels: isNaN(levels) ? undefined : levels
+  };
+}
+
+/**
+ * Обработка директивы landscape (альбомный раздел)
+ * Формат: :::landscape ... ::: - содержимое остаётся обычным Markdown
+ * @param {Object} node - AST узел
+ * @returns {Object} Структура данных
+ */
+function processLandscapeDirective(node) {
+  return {
+    type: DIRECTIVE_TYPES.LANDSCAPE
+  };
+}
+
+/**
+ * Обработка комментария рецензента
+ * Формат: :comment[текст]{author="..."} или блок :::comment{author="..." date="..."} ... :::
+ * Атрибуты quote и function, которые добавляет chtz-reverse, справочные и не используются
+ * @param {Object} node - AST узел (textDirective или containerDirective)
+ * @returns {Object} Структура данных (commentId назначает extractComments)
+ */
+function processCommentDirective(node) {
+  const attrs = parseDirectiveAttributes(node);
+
+  return {
+    type: DIRECTIVE_TYPES.COMMENT,
+    inline: node.type === 'textDirective',
+    author: attrs.author || null,
+    initials: attrs.initials || null,
+    date: attrs.date || null,
+    // Текст комментария: метка [текст] или содержимое блока
+    children: node.children || []
+  };
+}
+
+/**
+ * Проверка, является ли узел комментарием рецензента (:comment или :::comment)
+ * @param {Object} node - AST узел
+ * @returns {boolean}
+ */
+function isCommentDirective(node) {
+  return isDirective(node) && node.name === DIRECTIVE_TYPES.COMMENT;
+}
+
 /**
  * Основная функция обработки директивы
  * @param {Object} node - AST узел директивы (containerDirective)
@@ -444,14 +577,50 @@ function processDirective(node) {
     case 'empty-section':
       return processEmptySectionDirective(node);
     
+    case 'toc':
+      return processTocDirective(node);
+    
+    case 'landscape':
+      return processLandscapeDirective(node);
+    
+    case 'comment':
+      return processCommentDirective(node);
+    
     default:
-      // Неизвестная директива - возвращаем как есть
-      return {
-        type: 'unknown',
-        name: name,
-        children: node.children
-      };
+      return processCustomDirective(node);
+  }
+}
+
+/**
+ * Обработка директивы, зарегистрированной плагином
+ * Данные из parse дополняются типом (имя директивы); без parse - атрибуты и дочерние узлы
+ * @param {Object} node - AST узел директивы
+ * @returns {Object} Обработанная структура данных
+ */
+function processCustomDirective(node) {
+  // Отложенная загрузка: реестр использует DIRECTIVE_TYPES этого модуля
+  const { getDirective } = require('../plugins/registry');
+  const definition = getDirective(node.name);
+
+  if (!definition) {
+    // Неизвестная директива - возвращаем как есть
+    return {
+      type: 'unknown',
+      name: node.name,
+      children: node.children
+    };
   }
+
+  const attributes = parseDirectiveAttributes(node);
+  const data = definition.parse
+    ? definition.parse(node, { attributes, extractText, extractTable, extractMarkdownText })
+    : { attributes, children: node.children };
+
+  return {
+    ...data,
+    type: definition.name,
+    custom: true
+  };
 }
 
 /**
@@ -467,8 +636,11 @@ function isDirective(node) {
 
 module.exports = {
   DIRECTIVE_TYPES,
+  FUNCTION_TABLE_KEYS,
+  DirectiveValidationError,
   processDirective,
   isDirective,
+  isCommentDirective,
   parseDirectiveAttributes,
   parseFunctionTableContent,
   extractText,
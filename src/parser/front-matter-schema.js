@@ -0,0 +1,398 @@
+/**
+ * Front Matter Schema - JSON Schema (draft 2020-12) для YAML front matter документа ЧТЗ
+ *
+ * Схема используется парсером для валидации и выводится командой `chtz-generate schema`
+ * для автодополнения в редакторах. Ключевое слово errorMessage (как в ajv-errors) задаёт
+ * текст ошибки для поля; редакторы его игнорируют.
+ *
+ * Поля, которых нет в схеме, допустимы (документы с ними генерировались и раньше);
+ * chtz-lint предупреждает о них правилом unknown-front-matter-field.
+ */
+
+/**
+ * Формат даты DD.MM.YYYY
+ */
+const DATE_PATTERN = '^\\d{2}\\.\\d{2}\\.\\d{4}$';
+
+/**
+ * Версия: "1.0" или 1.0 без кавычек
+ */
+const VERSION_SCHEMA = {
+  type: ['string', 'number'],
+  description: 'Версия в формате X.Y'
+};
+
+/**
+ * Колонтитул: строка, false или части {left, center, right}
+ */
+function headerFooterSchema(description) {
+  return {
+    description,
+    anyOf: [
+      { type: 'string' },
+      { type: 'boolean' },
+      {
+        type: 'object',
+        properties: {
+          left: { type: ['string', 'null'] },
+          center: { type: ['string', 'null'] },
+          right: { type: ['string', 'null'] }
+        }
+      }
+    ]
+  };
+}
+
+/**
+ * Схема front matter
+ */
+const FRONT_MATTER_SCHEMA = {
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  title: 'Front matter документа ЧТЗ',
+  type: 'object',
+  required: ['type', 'metadata'],
+  properties: {
+    type: {
+      const: 'chtz',
+      description: 'Тип документа, всегда chtz',
+      errorMessage: 'Неверный тип документа: {value}. Ожидается: chtz'
+    },
+    version: VERSION_SCHEMA,
+    metadata: {
+      type: 'object',
+      description: 'Метаданные документа',
+      required: ['shortName', 'consultant', 'organization'],
+      properties: {
+        shortName: { type: 'string', minLength: 1, description: 'Краткое название изменения' },
+        consultant: {
+          type: 'object',
+          required: ['name'],
+          properties: {
+            name: { type: 'string', minLength: 1, description: 'ФИО консультанта' },
+            email: { type: 'string' }
+          }
+        },
+        organization: { type: 'string', minLength: 1, description: 'Организация-заказчик' },
+        itSolutions: {
+          description: 'ИТ-решения: строка или список',
+          type: ['string', 'array'],
+          items: { type: 'string' }
+        },
+        itSystems: {
+          description: 'ИТ-системы: строка или список',
+          type: ['string', 'array'],
+          items: { type: 'string' }
+        },
+        processKT: { type: 'boolean', description: 'Обработка коммерческой тайны' },
+        processPDn: { type: 'boolean', description: 'Обработка персональных данных' },
+        createdDate: {
+          type: 'string',
+          pattern: DATE_PATTERN,
+          description: 'Дата создания (DD.MM.YYYY)',
+          errorMessage: 'Неверный формат даты: {value}. Ожидается: DD.MM.YYYY'
+        }
+      }
+    },
+    history: {
+      type: 'array',
+      description: 'История изменений',
+      items: {
+        type: 'object',
+        required: ['version', 'date'],
+        properties: {
+          version: VERSION_SCHEMA,
+          date: {
+            type: 'string',
+            pattern: DATE_PATTERN,
+            errorMessage: 'Неверный формат даты: {value}. Ожидается: DD.MM.YYYY'
+          },
+          comment: { type: 'string' },
+          author: { type: 'string' }
+        }
+      }
+    },
+    relatedDocs: {
+      type: 'array',
+      description: 'Связанные документы',
+      items: {
+        type: 'object',
+        required: ['name'],
+        properties: {
+          name: { type: 'string', minLength: 1 },
+          version: VERSION_SCHEMA,
+          date: {
+            type: 'string',
+            pattern: DATE_PATTERN,
+            errorMessage: 'Неверный формат даты: {value}. Ожидается: DD.MM.YYYY'
+          }
+        }
+      }
+    },
+    toc: {
+      description: 'Оглавление: true/false или {title, levels}',
+      anyOf: [
+        { type: 'boolean' },
+        {
+          type: 'object',
+          properties: {
+            title: { type: 'string' },
+            levels: { type: 'integer', minimum: 1, maximum: 3 }
+          }
+        }
+      ],
+      errorMessage: 'Неверное значение toc: {value}. Ожидается true/false или объект {title, levels}'
+    },
+    header: {
+      ...headerFooterSchema('Верхний колонтитул'),
+      errorMessage: 'Неверное значение header. Ожидается строка, false или объект {left, center, right}'
+    },
+    footer: {
+      ...headerFooterSchema('Нижний колонтитул'),
+      errorMessage: 'Неверное значение footer. Ожидается строка, false или объект {left, center, right}'
+    }
+  }
+};
+
+/**
+ * Схема объекта по пути из сегментов: "metadata.project", "history[].reviewer"
+ * Недостающие промежуточные объекты создаются
+ * @param {Object} schema - Корневая схема (изменяется)
+ * @param {Array<string>} segments - Сегменты пути без последнего поля
+ * @returns {Object} Схема объекта, в который добавляется поле
+ */
+function getObjectSchema(schema, segments) {
+  let current = schema;
+
+  for (const segment of segments) {
+    const isArray = segment.endsWith('[]');
+    const name = isArray ? segment.slice(0, -2) : segment;
+
+    current.properties = current.properties || {};
+    if (!current.properties[name]) {
+      current.properties[name] = isArray
+        ? { type: 'array', items: { type: 'object', properties: {} } }
+        : { type: 'object', properties: {} };
+    }
+
+    current = current.properties[name];
+    if (isArray) {
+      if (current.type !== 'array' || !current.items) {
+        throw new Error(`${segment}: поле ${name} не является списком`);
+      }
+      current = current.items;
+    }
+    if (current.type !== 'object') {
+      throw new Error(`${name}: поле не является объектом`);
+    }
+  }
+
+  return current;
+}
+
+/**
+ * Расширение схемы собственными полями из конфигурации
+ * @param {Object} schema - Базовая схема (не изменяется)
+ * @param {Object} extension - {fields: {путь: JSON Schema}, required: [путь]}
+ *   Путь - через точку, элементы списка - через []: "metadata.projectCode", "history[].reviewer"
+ * @returns {Object} Новая схема
+ * @throws {Error} Если путь проходит через поле, не являющееся объектом или списком
+ */
+function extendSchema(schema, extension = {}) {
+  const extended = JSON.parse(JSON.stringify(schema));
+  const { fields = {}, required = [] } = extension;
+
+  const split = fieldPath => {
+    const segments = fieldPath.split('.');
+    return { parents: segments.slice(0, -1), name: segments[segments.length - 1] };
+  };
+
+  for (const [fieldPath, fieldSchema] of Object.entries(fields)) {
+    const { parents, name } = split(fieldPath);
+    const target = getObjectSchema(extended, parents);
+    target.properties = target.properties || {};
+    target.properties[name] = fieldSchema;
+  }
+
+  for (const fieldPath of required) {
+    const { parents, name } = split(fieldPath);
+    const target = getObjectSchema(extended, parents);
+    if (!target.properties || !target.properties[name]) {
+      throw new Error(`${fieldPath}: обязательное поле не описано в схеме`);
+    }
+    target.required = [...new Set([...(target.required || []), name])];
+  }
+
+  return extended;
+}
+
+/**
+ * Тип значения в терминах JSON Schema
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Соответствие значения ключевому слову type
+ */
+function matchesType(value, type) {
+  const types = Array.isArray(type) ? type : [type];
+  const actual = typeOf(value);
+  return types.some(expected => expected === actual || (expected === 'number' && actual === 'integer'));
+}
+
+/**
+ * Значение для сообщения об ошибке (дата без кавычек разбирается YAML как Date)
+ */
+function formatValue(value) {
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  if (value && typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+/**
+ * Отсутствующее значение: в YAML "поле:" без значения даёт null, пустая строка - тоже пропуск
+ */
+function isEmpty(value) {
+  return value === undefined || value === null || value === '';
+}
+
+/**
+ * Путь к полю для сообщений и поиска позиции: metadata.consultant.name, history[0].date
+ */
+function joinPath(base, key) {
+  if (typeof key === 'number') return `${base}[${key}]`;
+  return base ? `${base}.${key}` : key;
+}
+
+/**
+ * Валидация значения по схеме
+ * Поддерживается подмножество JSON Schema, используемое схемой front matter: type, const, enum,
+ * pattern, minLength, minimum, maximum, required, properties, additionalProperties, items, anyOf
+ * @param {Object} schema - Схема
+ * @param {*} value - Значение
+ * @param {string} fieldPath - Путь к значению (для сообщений)
+ * @returns {Array<{field: string, message: string}>} Ошибки
+ */
+function validateSchema(schema, value, fieldPath = '') {
+  const errors = [];
+  const fail = message => errors.push({
+    field: fieldPath || 'yaml',
+    message: schema.errorMessage ? schema.errorMessage.replace('{value}', formatValue(value)) : message
+  });
+
+  if (schema.anyOf) {
+    if (!schema.anyOf.some(option => validateSchema(option, value, fieldPath).length === 0)) {
+      fail(`Неверное значение ${fieldPath}: ${formatValue(value)}`);
+    }
+    return errors;
+  }
+
+  if (schema.const !== undefined && value !== schema.const) {
+    fail(`Неверное значение ${fieldPath}: ${formatValue(value)}. Ожидается: ${schema.const}`);
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(`Неверное значение ${fieldPath}: ${formatValue(value)}. Допустимо: ${schema.enum.join(', ')}`);
+    return errors;
+  }
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    const expected = [].concat(schema.type).join(' или ');
+    fail(`Неверный тип поля ${fieldPath}: ${typeOf(value)}. Ожидается: ${expected}`);
+    return errors;
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail(`Поле ${fieldPath} не может быть пустым`);
+    } else if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+      fail(`Значение ${fieldPath} не соответствует шаблону ${schema.pattern}: ${value}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if ((schema.minimum !== undefined && value < schema.minimum) ||
+        (schema.maximum !== undefined && value > schema.maximum)) {
+      fail(`Значение ${fieldPath} вне диапазона ${schema.minimum ?? ''}..${schema.maximum ?? ''}: ${value}`);
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateSchema(schema.items, item, joinPath(fieldPath, index)));
+    });
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+
+    for (const key of schema.required || []) {
+      if (isEmpty(value[key])) {
+        errors.push({ field: joinPath(fieldPath, key), message: `Отсутствует обязательное поле: ${joinPath(fieldPath, key)}` });
+      }
+    }
+
+    for (const [key, item] of Object.entries(value)) {
+      const itemPath = joinPath(fieldPath, key);
+      if (properties[key]) {
+        if (!isEmpty(item)) {
+          errors.push(...validateSchema(properties[key], item, itemPath));
+        }
+      } else if (schema.additionalProperties === false) {
+        errors.push({ field: itemPath, message: `Неизвестное поле: ${itemPath}` });
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Поля, не описанные в схеме (для предупреждений lint)
+ * Вложенные объекты и элементы списков проверяются, если их схема описывает properties
+ * (для anyOf - вариант-объект)
+ * @param {Object} schema - Схема
+ * @param {*} value - Значение
+ * @param {string} fieldPath - Путь к значению
+ * @returns {Array<string>} Пути неизвестных полей: metadata.project, history[0].reviewer
+ */
+function findUnknownFields(schema, value, fieldPath = '') {
+  const unknown = [];
+
+  if (schema.anyOf) {
+    const option = schema.anyOf.find(candidate => candidate.properties && matchesType(value, candidate.type));
+    return option ? findUnknownFields(option, value, fieldPath) : unknown;
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => {
+      unknown.push(...findUnknownFields(schema.items, item, joinPath(fieldPath, index)));
+    });
+  }
+
+  if (typeOf(value) === 'object' && schema.properties) {
+    for (const [key, item] of Object.entries(value)) {
+      const itemPath = joinPath(fieldPath, key);
+      if (schema.properties[key]) {
+        unknown.push(...findUnknownFields(schema.properties[key], item, itemPath));
+      } else {
+        unknown.push(itemPath);
+      }
+    }
+  }
+
+  return unknown;
+}
+
+module.exports = {
+  FRONT_MATTER_SCHEMA,
+  DATE_PATTERN,
+  extendSchema,
+  validateSchema,
+  findUnknownFields
+};
@@ -4,20 +4,72 @@
 
 const { parseYaml, YamlValidationError, formatValidationError } = require('./yaml-parser');
 const { parseMarkdown, getNodeText, extractImages, extractLinks, extractHeadings } = require('./md-parser');
-const { processDirective, isDirective, DIRECTIVE_TYPES, extractText, extractTable } = require('./directives');
+const {
+  processDirective,
+  isDirective,
+  DIRECTIVE_TYPES,
+  DirectiveValidationError,
+  extractText,
+  extractTable
+} = require('./directives');
+const { numberCaptions, resolveCrossReferences, CAPTION_KINDS } = require('./captions');
+
+/**
+ * Ошибки документа: YAML front matter и директивы вместе
+ * errors - все найденные ошибки с позициями (line/column в исходном файле)
+ */
+class DocumentValidationError extends Error {
+  constructor(errors) {
+    super(
+      `Ошибки в документе (${errors.length}):\n` +
+        errors.map(error => `  - ${error.line ? `${error.line}:${error.column} ` : ''}${error.message}`).join('\n')
+    );
+    this.name = 'DocumentValidationError';
+    this.errors = errors;
+    this.line = errors[0].line;
+    this.column = errors[0].column;
+  }
+}
 
 /**
  * Полный парсинг файла (YAML + Markdown)
+ * Ошибки front matter и директив собираются вместе: выбрасывается одна ошибка со всеми
  * @param {string} fileContent - Содержимое файла
  * @param {Object} options - Опции
  * @returns {Object} Полностью распарсенные данные
+ * @throws {YamlValidationError|DirectiveValidationError|DocumentValidationError}
  */
 async function parseDocument(fileContent, options = {}) {
-  // 1. Парсинг YAML front matter
-  const { data: yamlData, content: markdownContent } = parseYaml(fileContent, options);
+  // 1. Парсинг YAML front matter; при ошибке валидации продолжаем без неё,
+  // чтобы сообщить и об ошибках в директивах
+  let yaml;
+  let yamlError = null;
+  try {
+    yaml = parseYaml(fileContent, options);
+  } catch (error) {
+    if (!(error instanceof YamlValidationError) || error.field === 'yaml') {
+      throw error;
+    }
+    yamlError = error;
+    yaml = parseYaml(fileContent, { ...options, validate: false });
+  }
+  const { data: yamlData, content: markdownContent, lineOffset } = yaml;
   
   // 2. Парсинг Markdown
-  const { ast, images, links, headings } = await parseMarkdown(markdownContent);
+  const { ast, images, links, headings, captions, footnotes, comments, errors: directiveErrors } =
+    await parseMarkdown(markdownContent);
+  
+  for (const error of directiveErrors) {
+    if (error.line) error.line += lineOffset;
+  }
+  
+  if (directiveErrors.length > 0) {
+    const errors = [...(yamlError ? yamlError.errors : []), ...directiveErrors];
+    throw errors.length === 1 ? errors[0] : new DocumentValidationError(errors);
+  }
+  if (yamlError) {
+    throw yamlError;
+  }
   
   return {
     // Метаданные из YAML
@@ -26,6 +78,9 @@ async function parseDocument(fileContent, options = {}) {
     relatedDocs: yamlData.relatedDocs,
     version: yamlData.version,
     type: yamlData.type,
+    toc: yamlData.toc,
+    header: yamlData.header,
+    footer: yamlData.footer,
     
     // Контент из Markdown
     ast,
@@ -33,7 +88,10 @@ async function parseDocument(fileContent, options = {}) {
     // Извлечённые данные
     images,
     links,
-    headings
+    headings,
+    captions,
+    footnotes,
+    comments
   };
 }
 
@@ -44,6 +102,8 @@ module.exports = {
   // YAML
   parseYaml,
   YamlValidationError,
+  DirectiveValidationError,
+  DocumentValidationError,
   formatValidationError,
   
   // Markdown
@@ -58,5 +118,10 @@ module.exports = {
   isDirective,
   DIRECTIVE_TYPES,
   extractText,
-  extractTable
+  extractTable,
+  
+  // Подписи и перекрёстные ссылки
+  numberCaptions,
+  resolveCrossReferences,
+  CAPTION_KINDS
 };
@@ -2,7 +2,9 @@
  * Markdown Parser - парсинг Markdown в AST
  */
 
-const { processDirective, isDirective } = require('./directives');
+const { processDirective, isDirective, isCommentDirective, DIRECTIVE_TYPES, DirectiveValidationError } = require('./directives');
+const { numberCaptions, resolveCrossReferences } = require('./captions');
+const { getDirective } = require('../plugins/registry');
 
 // Динамический импорт ES модулей
 let unified, remarkParse, remarkGfm, remarkDirective;
@@ -40,6 +42,8 @@ function processAstNode(node) {
     const processed = processDirective(node);
     return {
       ...node,
+      // Вложенные директивы (например, внутри :::landscape) тоже обрабатываются
+      children: node.children ? node.children.map(child => processAstNode(child)) : node.children,
       directiveData: processed
     };
   }
@@ -52,6 +56,75 @@ function processAstNode(node) {
   return node;
 }
 
+/**
+ * Возвращает текстовые директивы, не известные генератору, обратно в текст
+ * remark-directive разбирает любое ":слово" в тексте как директиву, из-за чего
+ * пропадают фрагменты вроде "{#fig:login}" или "[@tbl:limits]"
+ * @param {Object} ast - AST дерево
+ * @param {string} markdown - Исходный Markdown (для восстановления по position)
+ */
+function restoreTextDirectives(ast, markdown) {
+  const known = Object.values(DIRECTIVE_TYPES);
+  
+  function walk(node) {
+    if (!node.children) return;
+    
+    const children = [];
+    for (const child of node.children) {
+      let current = child;
+      
+      if (child.type === 'textDirective' && !known.includes(child.name) &&
+          !getDirective(child.name) && child.position) {
+        current = {
+          type: 'text',
+          value: markdown.slice(child.position.start.offset, child.position.end.offset),
+          position: child.position
+        };
+      } else {
+        walk(child);
+      }
+      
+      // Склеиваем соседние текстовые узлы
+      const prev = children[children.length - 1];
+      if (current.type === 'text' && prev && prev.type === 'text') {
+        children[children.length - 1] = {
+          ...prev,
+          value: prev.value + current.value,
+          position: prev.position && current.position
+            ? { start: prev.position.start, end: current.position.end }
+            : prev.position
+        };
+      } else {
+        children.push(current);
+      }
+    }
+    node.children = children;
+  }
+  
+  walk(ast);
+}
+
+/**
+ * Разбор строки атрибутов {#id key="value" ...}
+ * @param {string} attrStr - Содержимое фигурных скобок
+ * @param {Object} attributes - Объект, в который добавляются атрибуты
+ * @returns {Object} attributes
+ */
+function parseAttributeString(attrStr, attributes = {}) {
+  const idMatch = attrStr.match(/(?:^|\s)#([\w:-]+)/);
+  if (idMatch) {
+    attributes.id = idMatch[1];
+  }
+  
+  const attrRegex = /(\w+)="([^"]+)"/g;
+  let match;
+  while ((match = attrRegex.exec(attrStr)) !== null) {
+    attributes[match[1]] = match[2];
+  }
+  
+  return attributes;
+}
+
 /**
  * Извлекает изображения из AST и обновляет узлы с атрибутами
  * @param {Object} ast - AST дерево
@@ -69,12 +142,7 @@ function extractImages(ast) {
       const attrMatch = url.match(/^(.+?)\{(.+?)\}$/);
       if (attrMatch) {
         url = attrMatch[1];
-        const attrStr = attrMatch[2];
-        const attrRegex = /(\w+)="([^"]+)"/g;
-        let match;
-        while ((match = attrRegex.exec(attrStr)) !== null) {
-          attributes[match[1]] = match[2];
-        }
+        parseAttributeString(attrMatch[2], attributes);
         // Обновляем URL в узле (убираем атрибуты)
         node.url = url;
       }
@@ -86,12 +154,7 @@ function extractImages(ast) {
         if (nextSibling && nextSibling.type === 'text') {
           const siblingMatch = nextSibling.value.match(/^\{(.+?)\}/);
           if (siblingMatch) {
-            const attrStr = siblingMatch[1];
-            const attrRegex = /(\w+)="([^"]+)"/g;
-            let match;
-            while ((match = attrRegex.exec(attrStr)) !== null) {
-              attributes[match[1]] = match[2];
-            }
+            parseAttributeString(siblingMatch[1], attributes);
             // Очищаем атрибуты из текста
             nextSibling.value = nextSibling.value.replace(/^\{.+?\}/, '');
           }
@@ -154,10 +217,183 @@ function extractLinks(ast) {
   return links;
 }
 
+/**
+ * Извлекает сноски GFM ([^label] и определения [^label]: текст)
+ * Номера сносок присваиваются в порядке первой ссылки на них в тексте
+ * и сохраняются в узлах ссылок как footnoteId
+ * @param {Object} ast - AST дерево
+ * @returns {Array} Сноски [{id, identifier, children}]
+ */
+function extractFootnotes(ast) {
+  const definitions = new Map();
+  const footnotes = [];
+  const ids = new Map();
+  
+  function collectDefinitions(node) {
+    if (node.type === 'footnoteDefinition') {
+      definitions.set(node.identifier, node);
+      return;
+    }
+    if (node.children) {
+      node.children.forEach(collectDefinitions);
+    }
+  }
+  
+  function walk(node) {
+    if (node.type === 'footnoteDefinition') return;
+    
+    if (node.type === 'footnoteReference') {
+      if (ids.has(node.identifier)) {
+        // Word допускает только одну ссылку на сноску - повтор выводится номером
+        node.footnoteRepeat = true;
+      } else {
+        const definition = definitions.get(node.identifier);
+        if (!definition) {
+          console.warn(`Ссылка на несуществующую сноску: [^${node.label}]`);
+          return;
+        }
+        
+        // id 0 и -1 в footnotes.xml заняты разделителями
+        const id = footnotes.length + 1;
+        ids.set(node.identifier, id);
+        footnotes.push({ id, identifier: node.identifier, children: definition.children });
+      }
+      node.footnoteId = ids.get(node.identifier);
+      return;
+    }
+    
+    if (node.children) {
+      node.children.forEach(walk);
+    }
+  }
+  
+  collectDefinitions(ast);
+  walk(ast);
+  
+  for (const [identifier, definition] of definitions) {
+    if (!ids.has(identifier)) {
+      console.warn(`Сноска [^${definition.label}] не используется в тексте`);
+    }
+  }
+  
+  return footnotes;
+}
+
+/**
+ * Извлекает комментарии рецензентов (:comment[текст]{...} и блоки :::comment)
+ * Номера присваиваются в порядке появления и сохраняются в данных директивы как commentId.
+ * Встроенный комментарий относится к предшествующему фрагменту текста - перед ним вставляется
+ * узел commentRangeStart; в начале абзаца комментарий относится ко всему абзацу.
+ * Блок :::comment относится к предшествующему блоку документа (см. document-builder)
+ * @param {Object} ast - Обработанное AST дерево
+ * @returns {Array} Комментарии [{id, inline, author, initials, date, children}]
+ */
+function extractComments(ast) {
+  const comments = [];
+  
+  function register(node) {
+    const data = node.directiveData;
+    data.commentId = comments.length;
+    comments.push({
+      id: data.commentId,
+      inline: data.inline,
+      author: data.author,
+      initials: data.initials,
+      date: data.date,
+      children: data.children
+    });
+  }
+  
+  function anchorInline(parent, node) {
+    collapseSpaces(parent, node);
+    const index = parent.children.indexOf(node);
+    const start = { type: 'commentRangeStart', commentId: node.directiveData.commentId };
+    
+    if (index > 0) {
+      parent.children.splice(index - 1, 0, start);
+    } else {
+      // Комментарий в начале абзаца - ко всему абзацу
+      parent.children.splice(index, 1);
+      parent.children.unshift(start);
+      parent.children.push(node);
+    }
+  }
+  
+  // Директива убирается из текста: пробелы с обеих сторон ("Абзац :comment[...] продолжение")
+  // не должны дать двойной пробел - остаётся один, после комментируемого фрагмента
+  function collapseSpaces(parent, node) {
+    const index = parent.children.indexOf(node);
+    const previous = parent.children[index - 1];
+    const next = parent.children[index + 1];
+    const trailing = previous && previous.type === 'text' && /\s$/.test(previous.value);
+    const leading = next && next.type === 'text' && /^\s/.test(next.value);
+    
+    if (trailing && (leading || !next)) {
+      previous.value = previous.value.trimEnd();
+    } else if (leading && !previous) {
+      next.value = next.value.trimStart();
+    }
+  }
+  
+  function walk(node, insideDirective) {
+    if (!node.children) return;
+    
+    // Блоки верхнего уровня документа (и альбомного раздела)
+    const isBlockContainer = node.type === 'root' ||
+      (node.directiveData && node.directiveData.type === DIRECTIVE_TYPES.LANDSCAPE);
+    
+    for (const child of [...node.children]) {
+      if (isCommentDirective(child)) {
+        const inline = child.directiveData.inline;
+        if (insideDirective || (!inline && !isBlockContainer)) {
+          // Внутри директив текст обрабатывается их собственными билдерами
+          console.warn('Комментарий внутри директивы или вложенного блока пропущен: ' +
+            'используйте блок :::comment после него');
+          continue;
+        }
+        
+        register(child);
+        if (inline) {
+          anchorInline(node, child);
+        }
+        continue;
+      }
+      
+      const nested = insideDirective || (isDirective(child) && child.name !== DIRECTIVE_TYPES.LANDSCAPE);
+      walk(child, nested);
+    }
+  }
+  
+  walk(ast, false);
+  return comments;
+}
+
+/**
+ * Генерирует имя закладки для заголовка
+ * Совпадает с закладками, которые создаёт buildHeading:
+ * для "Таблица 2. Условия..." получается "таблица-2", чтобы работали ссылки [текст](#таблица-2)
+ * @param {string} text - Текст заголовка
+ * @returns {string} Имя закладки (пустая строка, если текста нет)
+ */
+function getHeadingBookmarkName(text) {
+  const tableMatch = text.match(/^(Таблица\s+\d+)/i);
+  if (tableMatch) {
+    return tableMatch[1]
+      .toLowerCase()
+      .replace(/\s+/g, '-');
+  }
+
+  return text
+    .toLowerCase()
+    .replace(/[^\w\sа-яё-]/gi, '')
+    .replace(/\s+/g, '-')
+    .substring(0, 40);
+}
+
 /**
  * Извлекает структуру заголовков
  * @param {Object} ast - AST дерево
- * @returns {Array} Массив объектов {level, text, id}
+ * @returns {Array} Массив объектов {level, text, id, bookmark}
  */
 function extractHeadings(ast) {
   const headings = [];
@@ -173,6 +409,11 @@ function extractHeadings(ast) {
           .join('');
       }
       
+      // Заголовок-подпись "Таблица: ..." выводится с номером
+      if (node.caption) {
+        text = `Таблица ${node.caption.number}. ${node.caption.text}`;
+      }
+      
       // Генерируем ID из текста заголовка
       const id = text
         .toLowerCase()
@@ -183,7 +424,8 @@ function extractHeadings(ast) {
       headings.push({
         level: node.depth,
         text,
-        id
+        id,
+        bookmark: getHeadingBookmarkName(text) || null
       });
     }
     
@@ -196,33 +438,92 @@ function extractHeadings(ast) {
   return headings;
 }
 
+/**
+ * Собирает ошибки содержимого директив с позициями в исходном Markdown
+ * Строка с ошибкой ищется в тексте директивы по node.position; если не найдена -
+ * ошибка указывает на начало директивы
+ * @param {Object} ast - Обработанное AST дерево
+ * @param {string} markdown - Исходный Markdown
+ * @returns {Array<DirectiveValidationError>} Ошибки (line/column - в строках markdown)
+ */
+function collectDirectiveErrors(ast, markdown) {
+  const errors = [];
+  
+  function locate(offset) {
+    const before = markdown.slice(0, offset);
+    const lineStart = before.lastIndexOf('\n') + 1;
+    return {
+      line: before.split('\n').length,
+      column: offset - lineStart + 1
+    };
+  }
+  
+  function walk(node) {
+    const problems = node.directiveData && node.directiveData.problems;
+    if (problems && node.position) {
+      const { start, end } = node.position;
+      const source = markdown.slice(start.offset, end.offset);
+      
+      for (const problem of problems) {
+        let location = { line: start.line, column: start.column };
+        const text = problem.text && problem.text.trim();
+        const index = text ? source.indexOf(text) : -1;
+        if (index !== -1) {
+          location = locate(start.offset + index);
+        }
+        errors.push(new DirectiveValidationError(problem.message, node.name, location));
+      }
+    }
+    
+    if (node.children) {
+      node.children.forEach(walk);
+    }
+  }
+  
+  walk(ast);
+  return errors;
+}
+
 /**
  * Парсит Markdown контент
  * @param {string} markdown - Markdown текст
- * @returns {Object} { ast, images, links, headings }
+ * @returns {Object} { ast, images, links, headings, captions, footnotes, comments, errors }
  */
 async function parseMarkdown(markdown) {
   const parser = await createParser();
   
   // Парсинг в AST
   const ast = parser.parse(markdown);
+  restoreTextDirectives(ast, markdown);
   
   // ВАЖНО: Сначала извлекаем изображения и устанавливаем imageAttributes
   // чтобы они были доступны при обработке директив
   const images = extractImages(ast);
   
+  // Нумерация подписей и перекрёстные ссылки (до обработки директив,
+  // чтобы ссылки внутри директив попали в их данные)
+  const captions = numberCaptions(ast);
+  resolveCrossReferences(ast, captions);
+  
   // Обработка директив (после установки imageAttributes)
   const processedAst = processAstNode(ast);
   
   // Извлечение остальных метаданных
   const links = extractLinks(processedAst);
   const headings = extractHeadings(processedAst);
+  const footnotes = extractFootnotes(processedAst);
+  const comments = extractComments(processedAst);
+  const errors = collectDirectiveErrors(processedAst, markdown);
   
   return {
     ast: processedAst,
     images,  // Используем результат первого вызова
     links,
-    headings
+    headings,
+    captions,
+    footnotes,
+    comments,
+    errors
   };
 }
 
@@ -249,8 +550,13 @@ module.exports = {
   createParser,
   parseMarkdown,
   processAstNode,
+  restoreTextDirectives,
+  parseAttributeString,
   extractImages,
   extractLinks,
+  extractFootnotes,
+  extractComments,
   extractHeadings,
+  getHeadingBookmarkName,
   getNodeText
 };
@@ -3,103 +3,159 @@
  */
 
 const matter = require('gray-matter');
+const { FRONT_MATTER_SCHEMA, validateSchema } = require('./front-matter-schema');
 
 /**
  * Ошибка валидации YAML
+ * line/column - позиция в исходном файле (с 1); errors - все найденные ошибки,
+ * если их несколько (message первой ошибки дополняется их списком)
  */
 class YamlValidationError extends Error {
-  constructor(message, field) {
+  constructor(message, field, location = {}) {
     super(message);
     this.name = 'YamlValidationError';
     this.field = field;
+    this.line = location.line || null;
+    this.column = location.column || null;
+    this.errors = [this];
   }
 }
 
 /**
- * Схема обязательных полей
+ * Позиция поля в YAML front matter
+ * Поиск идёт по отступам блочного YAML; для отсутствующего поля возвращается
+ * позиция ближайшего существующего родителя (или строки ---)
+ * @param {string} source - Содержимое файла
+ * @param {string} field - Путь к полю ('metadata.consultant.name', 'history[0].date')
+ * @returns {{line: number, column: number}} Позиция (с 1)
  */
-const REQUIRED_FIELDS = [
-  'type',
-  'metadata.shortName',
-  'metadata.consultant.name',
-  'metadata.organization'
-];
+function locateYamlField(source, field) {
+  const lines = String(source || '').replace(/\r\n?/g, '\n').split('\n');
+  const location = { line: 1, column: 1 };
+  if (!lines[0] || lines[0].trim() !== '---') {
+    return location;
+  }
 
-/**
- * Получение значения по пути (например, 'metadata.consultant.name')
- * @param {Object} obj - Объект
- * @param {string} path - Путь к полю
- * @returns {*} Значение
- */
-function getByPath(obj, path) {
-  return path.split('.').reduce((acc, key) => acc && acc[key], obj);
+  let end = lines.findIndex((line, index) => index > 0 && /^(---|\.\.\.)\s*$/.test(line));
+  if (end === -1) end = lines.length;
+
+  const indentOf = line => line.match(/^\s*/)[0].length;
+  const isContent = line => line.trim() !== '' && !line.trim().startsWith('#');
+
+  let start = 1;
+  let stop = end;
+  const segments = field.replace(/\[(\d+)\]/g, '.$1').split('.');
+
+  for (const segment of segments) {
+    const first = lines.slice(start, stop).findIndex(isContent);
+    if (first === -1) break;
+    const indent = indentOf(lines[start + first]);
+
+    // Строки текущего уровня вложенности
+    const candidates = [];
+    for (let i = start; i < stop; i++) {
+      if (isContent(lines[i]) && indentOf(lines[i]) === indent) candidates.push(i);
+    }
+
+    let found = -1;
+    if (/^\d+$/.test(segment)) {
+      const items = candidates.filter(i => lines[i].trim().startsWith('- '));
+      found = items[Number(segment)] !== undefined ? items[Number(segment)] : -1;
+    } else {
+      const keyRegex = new RegExp(`^\\s*(?:- )?["']?${segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}["']?\\s*:`);
+      found = candidates.find(i => keyRegex.test(lines[i]));
+      if (found === undefined) found = -1;
+    }
+
+    if (found === -1) break;
+    location.line = found + 1;
+    location.column = indent + 1;
+
+    // Вложенный блок: до следующей строки с тем же или меньшим отступом
+    let next = found + 1;
+    while (next < stop && (!isContent(lines[next]) || indentOf(lines[next]) > indent)) next++;
+
+    if (/^\d+$/.test(segment)) {
+      // Первое поле элемента списка стоит в той же строке: "- version: 1.0"
+      lines[found] = lines[found].replace('- ', '  ');
+      start = found;
+    } else {
+      start = found + 1;
+    }
+    stop = next;
+  }
+
+  return location;
 }
 
 /**
- * Валидация данных YAML
+ * Валидация данных YAML по JSON Schema front matter
+ * Проверка не останавливается на первой ошибке: выбрасывается одна ошибка со списком всех
  * @param {Object} data - Данные из YAML
+ * @param {string} source - Исходный файл (для позиций ошибок)
+ * @param {Object} schema - Схема (по умолчанию - FRONT_MATTER_SCHEMA; расширенная - из конфигурации)
  * @throws {YamlValidationError}
  */
-function validateYaml(data) {
-  // Проверка обязательных полей
-  for (const field of REQUIRED_FIELDS) {
-    const value = getByPath(data, field);
-    if (value === undefined || value === null || value === '') {
-      throw new YamlValidationError(
-        `Отсутствует обязательное поле: ${field}`,
-        field
-      );
-    }
-  }
+function validateYaml(data, source = '', schema = FRONT_MATTER_SCHEMA) {
+  const errors = validateSchema(schema, data).map(({ message, field }) =>
+    new YamlValidationError(message, field, locateYamlField(source, field))
+  );
   
-  // Проверка типа документа
-  if (data.type !== 'chtz') {
-    throw new YamlValidationError(
-      `Неверный тип документа: ${data.type}. Ожидается: chtz`,
-      'type'
-    );
+  if (errors.length > 0) {
+    throw combineErrors(errors);
   }
-  
-  // Проверка формата даты
-  if (data.metadata.createdDate) {
-    const datePattern = /^\d{2}\.\d{2}\.\d{4}$/;
-    if (!datePattern.test(data.metadata.createdDate)) {
-      throw new YamlValidationError(
-        `Неверный формат даты: ${data.metadata.createdDate}. Ожидается: DD.MM.YYYY`,
-        'metadata.createdDate'
-      );
-    }
+}
+
+/**
+ * Одна ошибка со списком всех найденных: сообщение и позиция - первой ошибки
+ * @param {Array<YamlValidationError>} errors - Ошибки
+ * @returns {YamlValidationError}
+ */
+function combineErrors(errors) {
+  if (errors.length === 1) {
+    return errors[0];
   }
-  
-  // Проверка истории изменений
-  if (data.history && Array.isArray(data.history)) {
-    data.history.forEach((item, index) => {
-      if (!item.version) {
-        throw new YamlValidationError(
-          `Отсутствует версия в истории изменений [${index}]`,
-          `history[${index}].version`
-        );
-      }
-      if (!item.date) {
-        throw new YamlValidationError(
-          `Отсутствует дата в истории изменений [${index}]`,
-          `history[${index}].date`
-        );
-      }
-    });
+
+  const [first] = errors;
+  const combined = new YamlValidationError(
+    `Ошибки в YAML front matter (${errors.length}):\n` +
+      errors.map(error => `  - ${error.message}${error.line ? ` (строка ${error.line})` : ''}`).join('\n'),
+    first.field,
+    { line: first.line, column: first.column }
+  );
+  combined.errors = errors;
+  return combined;
+}
+
+/**
+ * Разбор даты DD.MM.YYYY
+ * @param {string} value - Дата
+ * @returns {number} Время в мс или NaN
+ */
+function parseDate(value) {
+  const match = String(value || '').match(/^(\d{2})\.(\d{2})\.(\d{4})$/);
+  if (!match) return NaN;
+  return Date.UTC(Number(match[3]), Number(match[2]) - 1, Number(match[1]));
+}
+
+/**
+ * Самая свежая запись истории изменений (по дате, при равенстве - последняя в списке)
+ * @param {Array} history - История изменений
+ * @returns {Object|null} Запись {version, date, comment, author}
+ */
+function getLatestHistoryEntry(history) {
+  if (!Array.isArray(history) || history.length === 0) {
+    return null;
   }
   
-  // Проверка связанных документов
-  if (data.relatedDocs && Array.isArray(data.relatedDocs)) {
-    data.relatedDocs.forEach((doc, index) => {
-      if (!doc.name) {
-        throw new YamlValidationError(
-          `Отсутствует название связанного документа [${index}]`,
-          `relatedDocs[${index}].name`
-        );
-      }
-    });
-  }
+  return history.reduce((latest, item) => {
+    const itemDate = parseDate(item.date);
+    const latestDate = parseDate(latest.date);
+    if (isNaN(latestDate) || itemDate >= latestDate) {
+      return item;
+    }
+    return latest;
+  });
 }
 
 /**
@@ -140,6 +196,9 @@ function normalizeData(data) {
   // Версия документа
   normalized.version = data.version || '1.0';
   
+  // Оглавление (выключено по умолчанию)
+  normalized.toc = data.toc || false;
+  
   return normalized;
 }
 
@@ -148,35 +207,66 @@ function normalizeData(data) {
  * @param {string} fileContent - Содержимое файла
  * @param {Object} options - Опции
  * @param {boolean} options.validate - Валидировать данные (default: true)
- * @returns {Object} { data, content }
+ * @param {Object} options.schema - Схема front matter (default: FRONT_MATTER_SCHEMA)
+ * @returns {Object} { data, content, lineOffset }
  */
 function parseYaml(fileContent, options = {}) {
   const { validate = true } = options;
   
   // Парсинг с помощью gray-matter
-  const parsed = matter(fileContent);
+  let parsed;
+  try {
+    parsed = matter(fileContent);
+  } catch (error) {
+    // Синтаксическая ошибка YAML: js-yaml сообщает позицию внутри front matter (с 0),
+    // в файле перед ней ещё строка ---
+    if (error.name === 'YAMLException' && error.mark) {
+      throw new YamlValidationError(
+        `Синтаксическая ошибка YAML: ${error.reason}`,
+        'yaml',
+        { line: error.mark.line + 2, column: error.mark.column + 1 }
+      );
+    }
+    throw error;
+  }
   
   if (!parsed.data || Object.keys(parsed.data).length === 0) {
     throw new YamlValidationError(
       'YAML front matter не найден. Убедитесь, что файл начинается с ---',
-      'yaml'
+      'yaml',
+      { line: 1, column: 1 }
     );
   }
   
   // Валидация
   if (validate) {
-    validateYaml(parsed.data);
+    validateYaml(parsed.data, fileContent, options.schema);
   }
   
   // Нормализация
   const normalizedData = normalizeData(parsed.data);
+  const content = parsed.content.trim();
   
   return {
     data: normalizedData,
-    content: parsed.content.trim()
+    content,
+    // Номер строки файла, предшествующей Markdown: позиции remark AST сдвигаются на него
+    lineOffset: getLineOffset(fileContent, content)
   };
 }
 
+/**
+ * Число строк файла перед Markdown контентом (front matter и пустые строки)
+ * @param {string} source - Содержимое файла
+ * @param {string} content - Markdown без front matter (после trim)
+ * @returns {number}
+ */
+function getLineOffset(source, content) {
+  const index = content ? source.indexOf(content) : -1;
+  if (index === -1) return 0;
+  return source.slice(0, index).split('\n').length - 1;
+}
+
 /**
  * Форматирует сообщение об ошибке с подсказкой
  * @param {YamlValidationError} error
@@ -188,13 +278,20 @@ function formatValidationError(error) {
     'metadata.shortName': `Добавьте:\n  metadata:\n    shortName: "Название изменения"`,
     'metadata.consultant.name': `Добавьте:\n  metadata:\n    consultant:\n      name: "ФИО консультанта"`,
     'metadata.organization': `Добавьте:\n  metadata:\n    organization: "Название организации"`,
-    'metadata.createdDate': `Используйте формат DD.MM.YYYY:\n  metadata:\n    createdDate: "01.01.2025"`
+    'metadata.createdDate': `Используйте формат DD.MM.YYYY:\n  metadata:\n    createdDate: "01.01.2025"`,
+    'header': `Задайте колонтитул строкой или частями:\n  header: "{metadata.shortName}"\n  footer:\n    left: "{metadata.organization}"\n    right: "стр. {page} из {pages}"`,
+    'footer': `Задайте колонтитул строкой или частями:\n  footer: "стр. {page} из {pages}"\n  # стандартный колонтитул:\n  footer: true\n  # или отключите:\n  footer: false`,
+    'toc': `Включите оглавление флагом или объектом:\n  toc: true\n  # или\n  toc:\n    title: "Содержание"\n    levels: 3`
   };
   
   let message = `[ОШИБКА] ${error.message}`;
   
-  if (error.field && hints[error.field]) {
-    message += `\n\nПодсказка:\n${hints[error.field]}`;
+  // Подсказки ко всем ошибкам, если их несколько
+  const fields = [...new Set((error.errors || [error]).map(item => item.field))];
+  for (const field of fields) {
+    if (field && hints[field]) {
+      message += `\n\nПодсказка (${field}):\n${hints[field]}`;
+    }
   }
   
   return message;
@@ -203,7 +300,10 @@ function formatValidationError(error) {
 module.exports = {
   parseYaml,
   validateYaml,
+  locateYamlField,
   normalizeData,
   formatValidationError,
+  getLatestHistoryEntry,
+  parseDate,
   YamlValidationError
 };
@@ -0,0 +1,96 @@
+/**
+ * Plugins - загрузка плагинов с пользовательскими директивами
+ *
+ * Модуль плагина экспортирует одно из:
+ * - определение директивы {name, parse, build, reverse};
+ * - массив определений или объект {directives: [...]};
+ * - функцию (api) => void, которая сама вызывает api.registerDirective.
+ */
+
+const path = require('path');
+const {
+  BUILTIN_DIRECTIVES,
+  DirectiveRegistrationError,
+  registerDirective,
+  unregisterDirective,
+  getDirective,
+  getDirectives
+} = require('./registry');
+
+/**
+ * Уже загруженные модули плагинов (полный путь)
+ * Повторная загрузка (пакетный режим, --watch) не регистрирует директивы заново
+ */
+const loadedPlugins = new Set();
+
+/**
+ * Разрешение пути к модулю плагина
+ * Относительные пути - от baseDir (директории конфигурации), иначе - имя npm-пакета
+ * @param {string} spec - Путь или имя пакета
+ * @param {string} baseDir - Базовая директория
+ * @returns {string} Полный путь к модулю
+ */
+function resolvePlugin(spec, baseDir) {
+  if (spec.startsWith('.') || path.isAbsolute(spec)) {
+    return require.resolve(path.resolve(baseDir, spec));
+  }
+  return require.resolve(spec, { paths: [baseDir] });
+}
+
+/**
+ * Загрузка одного плагина
+ * @param {string} spec - Путь к модулю или имя пакета
+ * @param {string} baseDir - Базовая директория для относительных путей
+ * @returns {Array<string>} Имена зарегистрированных директив
+ */
+function loadPlugin(spec, baseDir = process.cwd()) {
+  let modulePath;
+  try {
+    modulePath = resolvePlugin(spec, baseDir);
+  } catch (error) {
+    throw new Error(`Плагин не найден: ${spec} (${error.message.split('\n')[0]})`);
+  }
+
+  if (loadedPlugins.has(modulePath)) {
+    return [];
+  }
+
+  const exported = require(modulePath);
+  const before = new Set(getDirectives().map(directive => directive.name));
+
+  if (typeof exported === 'function') {
+    exported({ registerDirective });
+  } else {
+    const definitions = Array.isArray(exported)
+      ? exported
+      : (exported && exported.directives) || [exported];
+    definitions.forEach(definition => registerDirective(definition));
+  }
+
+  loadedPlugins.add(modulePath);
+
+  return getDirectives()
+    .map(directive => directive.name)
+    .filter(name => !before.has(name));
+}
+
+/**
+ * Загрузка списка плагинов
+ * @param {Array<string>} specs - Пути к модулям или имена пакетов
+ * @param {string} baseDir - Базовая директория для относительных путей
+ * @returns {Array<string>} Имена зарегистрированных директив
+ */
+function loadPlugins(specs = [], baseDir = process.cwd()) {
+  return specs.flatMap(spec => loadPlugin(spec, baseDir));
+}
+
+module.exports = {
+  BUILTIN_DIRECTIVES,
+  DirectiveRegistrationError,
+  registerDirective,
+  unregisterDirective,
+  getDirective,
+  getDirectives,
+  loadPlugin,
+  loadPlugins
+};
@@ -0,0 +1,125 @@
+/**
+ * Directive Registry - реестр пользовательских директив
+ * Директива плагина описывает весь цикл: разбор Markdown, генерацию DOCX
+ * и (необязательно) распознавание при обратной конвертации
+ */
+
+const { DIRECTIVE_TYPES } = require('../parser/directives');
+
+/**
+ * Имена встроенных директив - их нельзя переопределить плагином
+ */
+const BUILTIN_DIRECTIVES = Object.values(DIRECTIVE_TYPES);
+
+/**
+ * Имя директивы: латиница, цифры и дефис, начинается с буквы
+ */
+const DIRECTIVE_NAME_REGEX = /^[a-z][a-z0-9-]*$/;
+
+/**
+ * Зарегистрированные директивы: имя -> определение
+ */
+const directives = new Map();
+
+/**
+ * Ошибка регистрации директивы
+ */
+class DirectiveRegistrationError extends Error {
+  constructor(message, name) {
+    super(message);
+    this.name = 'DirectiveRegistrationError';
+    this.directive = name;
+  }
+}
+
+/**
+ * Регистрация пользовательской директивы
+ * @param {Object} definition - Определение директивы
+ * @param {string} definition.name - Имя (:::name в Markdown)
+ * @param {Function} [definition.parse] - (node, helpers) => данные директивы;
+ *   по умолчанию - {attributes, children}
+ * @param {Function} definition.build - (data, styles, context, node) => XML строка
+ * @param {Function} [definition.buildHtml] - (data, context, node) => HTML строка для предпросмотра;
+ *   по умолчанию выводятся дочерние узлы директивы
+ * @param {Object} [definition.reverse] - Распознаватель таблиц для обратной конвертации:
+ *   {canRecognize(table), recognize(table, context) => данные, toMarkdown(данные) => Markdown}
+ * @returns {Object} Зарегистрированное определение
+ * @throws {DirectiveRegistrationError} При некорректном определении или конфликте имён
+ */
+function registerDirective(definition) {
+  const { name, parse, build, buildHtml, reverse } = definition || {};
+
+  if (typeof name !== 'string' || !DIRECTIVE_NAME_REGEX.test(name)) {
+    throw new DirectiveRegistrationError(
+      `Некорректное имя директивы: ${name}. Допустимы латинские буквы, цифры и дефис`,
+      name
+    );
+  }
+
+  if (BUILTIN_DIRECTIVES.includes(name)) {
+    throw new DirectiveRegistrationError(`Директива :::${name} встроенная и не может быть переопределена`, name);
+  }
+
+  if (directives.has(name)) {
+    throw new DirectiveRegistrationError(`Директива :::${name} уже зарегистрирована`, name);
+  }
+
+  if (typeof build !== 'function') {
+    throw new DirectiveRegistrationError(`Директива :::${name}: не задана функция build`, name);
+  }
+
+  if (parse !== undefined && typeof parse !== 'function') {
+    throw new DirectiveRegistrationError(`Директива :::${name}: parse должна быть функцией`, name);
+  }
+
+  if (buildHtml !== undefined && typeof buildHtml !== 'function') {
+    throw new DirectiveRegistrationError(`Директива :::${name}: buildHtml должна быть функцией`, name);
+  }
+
+  if (reverse) {
+    for (const method of ['canRecognize', 'recognize', 'toMarkdown']) {
+      if (typeof reverse[method] !== 'function') {
+        throw new DirectiveRegistrationError(`Директива :::${name}: в reverse не задана функция ${method}`, name);
+      }
+    }
+  }
+
+  const registered = { name, parse, build, buildHtml: buildHtml || null, reverse: reverse || null };
+  directives.set(name, registered);
+  return registered;
+}
+
+/**
+ * Удаление директивы из реестра
+ * @param {string} name - Имя директивы
+ * @returns {boolean} true, если директива была зарегистрирована
+ */
+function unregisterDirective(name) {
+  return directives.delete(name);
+}
+
+/**
+ * Определение зарегистрированной директивы
+ * @param {string} name - Имя директивы
+ * @returns {Object|null}
+ */
+function getDirective(name) {
+  return directives.get(name) || null;
+}
+
+/**
+ * Все зарегистрированные директивы
+ * @returns {Array<Object>}
+ */
+function getDirectives() {
+  return Array.from(directives.values());
+}
+
+module.exports = {
+  BUILTIN_DIRECTIVES,
+  DirectiveRegistrationError,
+  registerDirective,
+  unregisterDirective,
+  getDirective,
+  getDirectives
+};
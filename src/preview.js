@@ -0,0 +1,229 @@
+/**
+ * Preview - предпросмотр документа в браузере с автообновлением
+ *
+ * Работает поверх watch: при каждой пересборке DOCX тот же разобранный документ
+ * (хук onParsed в generate) выводится в HTML билдерами src/html-builders, поэтому
+ * предпросмотр и DOCX не расходятся. Открытая страница получает событие об обновлении
+ * через Server-Sent Events и перезагружается, сохраняя позицию прокрутки.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { watch } = require('./watch');
+const { buildHtmlDocument, buildHtmlPage, createHtmlContext } = require('./html-builders');
+const { IMAGE_CONTENT_TYPES } = require('./html-builders/image-builder');
+const { resolveImagePath } = require('./assembler');
+const { codeFrame } = require('./utils/code-frame');
+const { escapeHtml, tag } = require('./utils/html-utils');
+const defaultStyles = require('./styles/gpn-styles');
+
+/**
+ * Порт по умолчанию
+ */
+const DEFAULT_PREVIEW_PORT = 4000;
+
+/**
+ * Служебные пути сервера предпросмотра
+ */
+const EVENTS_PATH = '/__events';
+const IMAGES_PATH = '/__images/';
+
+/**
+ * Скрипт автообновления: перезагрузка по событию reload с сохранением прокрутки
+ */
+const RELOAD_SCRIPT = `<script>
+window.addEventListener('load', () => {
+  const key = 'chtz-preview-scroll';
+  const saved = sessionStorage.getItem(key);
+  if (saved) {
+    sessionStorage.removeItem(key);
+    window.scrollTo(0, Number(saved));
+  }
+  new EventSource('${EVENTS_PATH}').addEventListener('reload', () => {
+    sessionStorage.setItem(key, String(window.scrollY));
+    location.reload();
+  });
+});
+</script>`;
+
+/**
+ * Страница с ошибками генерации: сообщения и фрагменты исходного файла
+ * @param {Object} result - Результат generate с success: false
+ * @param {string} inputPath - Путь к Markdown файлу
+ * @returns {string} HTML содержимое <body>
+ */
+function buildErrorBody(result, inputPath) {
+  const file = path.basename(inputPath);
+  let source = '';
+  try {
+    source = fs.readFileSync(inputPath, 'utf-8');
+  } catch {
+    // Файл удалён или переименован - выводим только сообщения
+  }
+
+  const items = result.errors
+    ? result.errors.map(error => [
+      tag('p', {}, tag('strong', {}, escapeHtml(`${file}:${error.line}:${error.column}`)) + ` ${escapeHtml(error.message)}`),
+      source ? tag('pre', {}, escapeHtml(codeFrame(source, error.line, error.column))) : ''
+    ].join(''))
+    : [tag('pre', {}, escapeHtml(result.error))];
+
+  return tag('main', { class: 'page' }, [
+    tag('h1', {}, 'Ошибка генерации'),
+    ...items
+  ]);
+}
+
+/**
+ * Предпросмотр документа: HTTP сервер и наблюдение за исходниками
+ * @param {Object} options - Опции watch/generate (inputPath обязателен)
+ * @param {string} options.host - Адрес сервера (по умолчанию 127.0.0.1)
+ * @param {number} options.port - Порт (по умолчанию 4000, 0 - любой свободный)
+ * @param {Object} handlers - {onStart, onResult} - как в watch
+ * @returns {Promise<Object>} {url, close()}
+ */
+async function preview(options, handlers = {}) {
+  const { host = '127.0.0.1', port = DEFAULT_PREVIEW_PORT, ...watchOptions } = options;
+  const { onStart, onResult = () => {} } = handlers;
+  const inputPath = path.resolve(watchOptions.inputPath);
+  const title = path.basename(inputPath);
+  const clients = new Set();
+
+  let imagesDir = path.dirname(inputPath);
+  let rendered = null;
+  let page = buildHtmlPage(
+    tag('main', { class: 'page' }, tag('p', {}, 'Сборка документа...')),
+    defaultStyles,
+    { title, head: RELOAD_SCRIPT }
+  );
+
+  /**
+   * Новое содержимое страницы и уведомление открытых вкладок
+   */
+  function update(html) {
+    page = html;
+    for (const client of clients) {
+      client.write('event: reload\ndata: \n\n');
+    }
+  }
+
+  /**
+   * Изображение из директории изображений документа (другие файлы сервер не отдаёт)
+   */
+  function serveImage(res, imagePath) {
+    const contentType = IMAGE_CONTENT_TYPES[path.extname(imagePath).toLowerCase()];
+    if (!contentType) {
+      res.writeHead(404);
+      res.end();
+      return;
+    }
+
+    // Путь с .. или абсолютный не должен выводить за пределы директории изображений
+    const fullPath = path.resolve(imagesDir, resolveImagePath(imagePath, imagesDir));
+    const relativePath = path.relative(path.resolve(imagesDir), fullPath);
+    if (!relativePath || relativePath.startsWith('..') || path.isAbsolute(relativePath)) {
+      res.writeHead(404);
+      res.end();
+      return;
+    }
+
+    fs.readFile(fullPath, (error, data) => {
+      if (error) {
+        res.writeHead(404);
+        res.end();
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': contentType, 'Cache-Control': 'no-cache' });
+      res.end(data);
+    });
+  }
+
+  const server = http.createServer((req, res) => {
+    let url;
+    let imagePath = null;
+    try {
+      url = new URL(req.url, 'http://localhost');
+      if (url.pathname.startsWith(IMAGES_PATH)) {
+        imagePath = decodeURIComponent(url.pathname.slice(IMAGES_PATH.length));
+      }
+    } catch (error) {
+      // Неразбираемый адрес или некорректная %-последовательность
+      res.writeHead(400, { 'Content-Type': 'text/plain; charset=utf-8' });
+      res.end('Некорректный адрес');
+      return;
+    }
+
+    if (req.method !== 'GET') {
+      res.writeHead(405, { Allow: 'GET' });
+      res.end();
+    } else if (url.pathname === EVENTS_PATH) {
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+      });
+      res.write(': connected\n\n');
+      clients.add(res);
+      req.on('close', () => clients.delete(res));
+    } else if (imagePath !== null) {
+      serveImage(res, imagePath);
+    } else if (url.pathname === '/') {
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-cache' });
+      res.end(page);
+    } else {
+      res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+      res.end('Не найдено');
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolve);
+  });
+
+  const watcher = watch({
+    ...watchOptions,
+    onParsed: (parsedData, { styles, config, imagesDir: documentImagesDir }) => {
+      imagesDir = documentImagesDir;
+      const context = createHtmlContext({
+        // Отсутствующее изображение выводится заглушкой (в DOCX - предупреждение)
+        resolveImage: imagePath => fs.existsSync(resolveImagePath(imagePath, documentImagesDir))
+          ? IMAGES_PATH + imagePath.split('/').map(encodeURIComponent).join('/')
+          : null,
+        taskUrlPattern: config.taskUrlPattern
+      });
+      rendered = { styles, body: buildHtmlDocument(parsedData, context) };
+    }
+  }, {
+    onStart,
+    onResult: (result) => {
+      if (result.success && rendered) {
+        update(buildHtmlPage(rendered.body, rendered.styles, { title, head: RELOAD_SCRIPT }));
+      } else if (!result.success) {
+        update(buildHtmlPage(buildErrorBody(result, inputPath), rendered ? rendered.styles : defaultStyles, {
+          title: `Ошибка: ${title}`,
+          head: RELOAD_SCRIPT
+        }));
+      }
+      rendered = null;
+      onResult(result);
+    }
+  });
+
+  return {
+    url: `http://${host}:${server.address().port}`,
+    close() {
+      watcher.close();
+      for (const client of clients) {
+        client.end();
+      }
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+module.exports = {
+  preview,
+  DEFAULT_PREVIEW_PORT
+};
@@ -0,0 +1,63 @@
+/**
+ * CommentsBuilder - файл с комментариями рецензентов (рядом с Markdown)
+ */
+
+class CommentsBuilder {
+  constructor(options = {}) {
+    this.options = options;
+  }
+
+  /**
+   * Собирает Markdown со списком комментариев, сгруппированных по разделам
+   * @param {Array<Comment>} comments - распознанные комментарии
+   * @param {string} [source] - имя исходного документа для заголовка
+   * @returns {string}
+   */
+  build(comments, source) {
+    const parts = [source ? `# Комментарии рецензентов: ${source}` : '# Комментарии рецензентов'];
+
+    if (comments.length === 0) {
+      parts.push('Комментариев нет.');
+      return parts.join('\n\n') + '\n';
+    }
+
+    // Разделы в порядке появления комментариев
+    const groups = new Map();
+    for (const comment of comments) {
+      const section = comment.section || 'Шапка документа';
+      if (!groups.has(section)) groups.set(section, []);
+      groups.get(section).push(comment);
+    }
+
+    for (const [section, items] of groups) {
+      parts.push(`## ${section}`);
+      for (const comment of items) {
+        parts.push(this.buildComment(comment));
+      }
+    }
+
+    return parts.join('\n\n') + '\n';
+  }
+
+  /**
+   * Строит запись комментария: автор и дата, место, цитата фрагмента, текст
+   */
+  buildComment(comment) {
+    const title = [comment.author || 'Без автора', comment.date].filter(Boolean).join(', ');
+    const place = comment.functionId
+      ? ` — функция \`${comment.functionId}\``
+      : (comment.heading && comment.heading !== comment.section ? ` — ${comment.heading}` : '');
+
+    const lines = [`### ${title}${place}`];
+    if (comment.quote) {
+      lines.push('', `> ${comment.quote}`);
+    }
+    if (comment.text) {
+      lines.push('', comment.text);
+    }
+
+    return lines.join('\n');
+  }
+}
+
+module.exports = { CommentsBuilder };
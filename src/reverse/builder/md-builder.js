@@ -4,6 +4,9 @@
 
 const { YamlBuilder } = require('./yaml-builder');
 const { FormattingRecognizer } = require('../recognizers/formatting');
+const { getDirective } = require('../../plugins/registry');
+const { formatTaskUrl } = require('../../config');
+const { expandMergedCells } = require('../recognizers/tables/table-to-markdown');
 
 class MdBuilder {
   constructor(options = {}) {
@@ -12,6 +15,7 @@ class MdBuilder {
     this.formatter = new FormattingRecognizer();
     this.relations = {};
     this.images = [];
+    this.comments = new Map();
   }
 
   /**
@@ -26,17 +30,54 @@ class MdBuilder {
     this.relations = doc.relations || {};
     this.images = doc.images || [];
 
+    // Комментарии рецензентов выводятся блоками :::comment только в режиме inline
+    this.comments = new Map(this.options.comments === 'inline'
+      ? (doc.comments || []).map(comment => [comment.id, comment])
+      : []);
+
     // 1. YAML front matter
-    parts.push(this.yamlBuilder.build(doc.metadata, doc.history, doc.relatedDocs));
+    parts.push(this.yamlBuilder.build(doc.metadata, doc.history, doc.relatedDocs, {
+      toc: doc.toc,
+      revisions: doc.metadataRevisions
+    }));
+
+    // Комментарии к шапке и оглавлению - перед первым разделом
+    const unplaced = this.buildUnplacedComments(doc.sections);
+    if (unplaced) {
+      parts.push(unplaced);
+    }
 
     // 2. Разделы
     for (const section of doc.sections) {
       parts.push(this.buildSection(section));
     }
 
+    // 3. Сноски
+    const footnotes = this.buildFootnotes(doc.footnotes);
+    if (footnotes) {
+      parts.push(footnotes);
+    }
+
     return parts.join('\n\n');
   }
 
+  /**
+   * Строит определения сносок [^n]: текст
+   * Последующие параграфы сноски выводятся с отступом (продолжение по GFM)
+   */
+  buildFootnotes(footnotes) {
+    if (!footnotes || footnotes.length === 0) {
+      return '';
+    }
+
+    return footnotes.map(footnote => {
+      const paragraphs = footnote.paragraphs
+        .map(p => this.formatter.formatRuns(p.runs, this.relations, this.images).trim())
+        .filter(Boolean);
+      return `[^${footnote.id}]: ${paragraphs.join('\n\n    ')}`;
+    }).join('\n');
+  }
+
   /**
    * Строит раздел
    */
@@ -46,18 +87,79 @@ class MdBuilder {
     // Заголовок
     const prefix = '#'.repeat(section.level);
     parts.push(`${prefix} ${section.title}`);
+    parts.push(...this.buildComments(section.commentIds));
+
+    // Контент; подряд идущие пункты списков выводятся одним блоком
+    const content = section.content;
+    for (let i = 0; i < content.length; i++) {
+      if (content[i].type === 'list-item') {
+        const items = [];
+        while (i < content.length && content[i].type === 'list-item') {
+          items.push(content[i++]);
+        }
+        i--;
+        parts.push(this.buildList(items));
+        items.forEach(item => parts.push(...this.buildComments(item.commentIds)));
+        continue;
+      }
 
-    // Контент
-    for (const element of section.content) {
-      const built = this.buildElement(element);
+      const built = this.buildElement(content[i]);
       if (built) {
         parts.push(built);
       }
+      parts.push(...this.buildComments(content[i].commentIds));
     }
 
     return parts.join('\n\n');
   }
 
+  /**
+   * Строит блоки :::comment для комментариев элемента
+   * @param {Array<string>} ids - ID комментариев
+   * @returns {Array<string>}
+   */
+  buildComments(ids) {
+    return (ids || [])
+      .filter(id => this.comments.has(id))
+      .map(id => this.buildComment(this.comments.get(id)));
+  }
+
+  /**
+   * Строит комментарии, не привязанные к разделам (оставленные в шапке или оглавлении)
+   */
+  buildUnplacedComments(sections) {
+    const placed = new Set();
+    for (const section of sections) {
+      (section.commentIds || []).forEach(id => placed.add(id));
+      for (const element of section.content) {
+        (element.commentIds || []).forEach(id => placed.add(id));
+      }
+    }
+
+    return [...this.comments.keys()]
+      .filter(id => !placed.has(id))
+      .map(id => this.buildComment(this.comments.get(id)))
+      .join('\n\n');
+  }
+
+  /**
+   * Строит блок комментария рецензента
+   * :::comment{author="..." date="..." quote="..." function="..."}
+   */
+  buildComment(comment) {
+    const attributes = [
+      ['author', comment.author],
+      ['date', comment.date],
+      ['quote', comment.quote],
+      ['function', comment.functionId]
+    ]
+      .filter(([, value]) => value)
+      .map(([name, value]) => `${name}="${value.replace(/"/g, '&quot;')}"`);
+
+    const header = attributes.length > 0 ? `:::comment{${attributes.join(' ')}}` : ':::comment';
+    return `${header}\n${comment.text}\n:::`;
+  }
+
   /**
    * Строит элемент контента
    */
@@ -70,7 +172,7 @@ class MdBuilder {
       case 'table':
         return this.buildTable(element);
       case 'list-item':
-        return this.buildListItem(element);
+        return this.buildList([element]);
       case 'empty-section':
         return this.buildEmptySection(element);
       default:
@@ -117,11 +219,21 @@ class MdBuilder {
         return this.buildChangesTable(table);
       case 'function':
         return this.buildFunctionTable(table);
+      case 'directive':
+        return this.buildDirectiveTable(table);
       default:
         return this.buildRegularTable(table);
     }
   }
 
+  /**
+   * Строит директиву плагина (Markdown формирует сам плагин)
+   */
+  buildDirectiveTable(table) {
+    const directive = getDirective(table.directive);
+    return directive.reverse.toMarkdown(table.data).trim();
+  }
+
   /**
    * Строит таблицу терминов
    */
@@ -176,11 +288,17 @@ class MdBuilder {
     lines.push(`:::function-table${id ? `{#${id}}` : ''}`);
     lines.push(`function: ${table.function || ''}`);
 
+    // Ссылку, совпадающую с шаблоном из конфигурации, генератор восстановит сам
+    const taskLink = (table.task || '').match(/^\[([^\]]+)\]\(([^)]+)\)$/);
+    const taskText = taskLink ? taskLink[1] : table.task;
+    const byPattern = Boolean(table.taskUrl) &&
+      table.taskUrl === formatTaskUrl(this.options.taskUrlPattern, taskText);
+
     if (table.task) {
-      lines.push(`task: ${table.task}`);
+      lines.push(`task: ${byPattern ? taskText : table.task}`);
     }
 
-    if (table.taskUrl) {
+    if (table.taskUrl && !byPattern) {
       lines.push(`taskUrl: ${table.taskUrl}`);
     }
 
@@ -200,6 +318,7 @@ class MdBuilder {
 
   /**
    * Строит обычную таблицу
+   * Объединённые ячейки записываются маркерами `<<` и `^^`
    */
   buildRegularTable(table) {
     if (!table.rows || table.rows.length === 0) {
@@ -210,7 +329,7 @@ class MdBuilder {
 
     // Заголовок
     const headerRow = table.rows[0];
-    const headers = headerRow.cells.map(c => this.escapeTableCell(c.text));
+    const headers = expandMergedCells(headerRow.cells).map(c => this.escapeTableCell(c.text));
     lines.push(`| ${headers.join(' | ')} |`);
 
     // Разделитель
@@ -220,7 +339,7 @@ class MdBuilder {
     // Данные
     for (let i = 1; i < table.rows.length; i++) {
       const row = table.rows[i];
-      const cells = row.cells.map(c => this.escapeTableCell(c.text));
+      const cells = expandMergedCells(row.cells).map(c => this.escapeTableCell(c.text));
       lines.push(`| ${cells.join(' | ')} |`);
     }
 
@@ -228,20 +347,55 @@ class MdBuilder {
   }
 
   /**
-   * Строит элемент списка
+   * Строит список из подряд идущих пунктов
+   * Тип и номера пунктов - по нумерации Word (ListRecognizer), без неё - по тексту пункта.
+   * Вложенный пункт сдвигается на ширину маркера родительского: с меньшим отступом
+   * Markdown не считает его вложенным
    */
-  buildListItem(item) {
-    const indent = '  '.repeat(item.level || 0);
+  buildList(items) {
+    const lines = [];
+    const contentColumns = [];
+    let previousLevel = -1;
+    let delimiter = '.';
+    let previousOrdered = null;
+
+    for (const item of items) {
+      const level = Math.min(item.level || 0, previousLevel + 1);
+      let text = (item.runs && item.runs.length > 0
+        ? this.formatter.formatRuns(item.runs, this.relations, this.images)
+        : item.text || '').trim();
+
+      let ordered = item.ordered;
+      let number = item.number;
+      if (ordered === undefined) {
+        ordered = this.formatter.isNumberedItem(text);
+        number = this.formatter.extractNumber(text);
+        text = this.formatter.stripListMarker(text);
+      }
+
+      // Новый нумерованный список сразу после предыдущего: другой разделитель (1. -> 1)),
+      // иначе Markdown продолжит предыдущий список
+      if (level === 0) {
+        const newList = previousOrdered !== null && (ordered !== previousOrdered || (ordered && item.restart));
+        if (newList) {
+          if (ordered && previousOrdered) {
+            delimiter = delimiter === '.' ? ')' : '.';
+          }
+          lines.push('');
+        }
+        previousOrdered = ordered;
+      }
 
-    // Определяем тип списка по содержимому
-    const text = item.text.trim();
-    const isNumbered = this.formatter.isNumberedItem(text);
+      const marker = ordered ? `${number || 1}${delimiter}` : '-';
+      const indent = level === 0 ? 0 : contentColumns[level - 1];
+      contentColumns[level] = indent + marker.length + 1;
+      contentColumns.length = level + 1;
+      previousLevel = level;
 
-    if (isNumbered) {
-      return `${indent}${text}`;
+      lines.push(`${' '.repeat(indent)}${marker} ${text}`);
     }
 
-    return `${indent}- ${this.formatter.stripListMarker(text)}`;
+    return lines.join('\n');
   }
 
   /**
@@ -12,18 +12,34 @@ class YamlBuilder {
    * @param {Metadata} metadata - метаданные документа
    * @param {Array<HistoryEntry>} history - история изменений
    * @param {Array<RelatedDoc>} relatedDocs - связанные документы
+   * @param {Object} options - дополнительные флаги документа
+   * @param {boolean} options.toc - в документе было оглавление
+   * @param {Object} options.revisions - исправления в таблицах шапки {metadata, history, relatedDocs}
+   *   (режим annotate): выводятся комментариями YAML перед строкой, к которой относятся
    * @returns {string} YAML front matter
    */
-  build(metadata, history = [], relatedDocs = []) {
+  build(metadata, history = [], relatedDocs = [], options = {}) {
     const lines = ['---'];
+    const revisions = options.revisions || {};
+    const pushRevisions = (notes = [], matches = () => true) => {
+      for (const note of notes.filter(matches)) {
+        lines.push(`  # Исправление: ${note.text}`);
+      }
+    };
 
     // Тип и версия
     lines.push('type: chtz');
     lines.push('version: "1.0"');
+
+    // Оглавление
+    if (options.toc) {
+      lines.push('toc: true');
+    }
     lines.push('');
 
     // Метаданные
     lines.push('metadata:');
+    pushRevisions(revisions.metadata);
     lines.push(`  shortName: "${this.escape(metadata.shortName || '')}"`);
 
     // Консультант
@@ -66,13 +82,16 @@ class YamlBuilder {
     lines.push('history:');
 
     if (history && history.length > 0) {
-      for (const entry of history) {
+      history.forEach((entry, index) => {
+        pushRevisions(revisions.history, note => note.index === index);
         lines.push(`  - version: "${this.escape(entry.version || '1.0')}"`);
         lines.push(`    date: "${this.escape(entry.date || '')}"`);
         lines.push(`    comment: "${this.escape(entry.comment || '')}"`);
         lines.push(`    author: "${this.escape(entry.author || '')}"`);
-      }
+      });
+      pushRevisions(revisions.history, note => note.index >= history.length);
     } else {
+      pushRevisions(revisions.history);
       lines.push('  - version: "1.0"');
       lines.push(`    date: "${this.formatDate(new Date())}"`);
       lines.push('    comment: "Конвертировано из DOCX"');
@@ -83,11 +102,18 @@ class YamlBuilder {
     if (relatedDocs && relatedDocs.length > 0) {
       lines.push('');
       lines.push('relatedDocs:');
-      for (const doc of relatedDocs) {
+      relatedDocs.forEach((doc, index) => {
+        pushRevisions(revisions.relatedDocs, note => note.index === index);
         lines.push(`  - name: "${this.escape(doc.name || '')}"`);
         lines.push(`    version: "${this.escape(doc.version || '')}"`);
         lines.push(`    date: "${this.escape(doc.date || '')}"`);
-      }
+      });
+      pushRevisions(revisions.relatedDocs, note => note.index >= relatedDocs.length);
+    } else if (revisions.relatedDocs && revisions.relatedDocs.length > 0) {
+      // Все связанные документы удалены исправлениями
+      lines.push('');
+      lines.push('relatedDocs: []');
+      pushRevisions(revisions.relatedDocs);
     }
 
     lines.push('---');
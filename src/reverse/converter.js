@@ -6,8 +6,14 @@
 const { DocxReader } = require('./reader/docx-reader');
 const { RecognizerPipeline } = require('./recognizers');
 const { MdBuilder } = require('./builder/md-builder');
+const { CommentsBuilder } = require('./builder/comments-builder');
 const { DocumentValidator } = require('./validator');
 
+/**
+ * Режимы обработки исправлений Word (options.revisions)
+ */
+const REVISION_MODES = ['accept', 'reject', 'annotate'];
+
 class ReverseConverter {
   constructor(options = {}) {
     this.options = {
@@ -15,12 +21,14 @@ class ReverseConverter {
       imagesDir: 'images',
       strict: false,
       verbose: false,
+      revisions: 'accept',
       ...options
     };
 
     this.reader = new DocxReader(this.options);
     this.recognizers = new RecognizerPipeline(this.options);
     this.builder = new MdBuilder(this.options);
+    this.commentsBuilder = new CommentsBuilder(this.options);
     this.validator = new DocumentValidator(this.options);
 
     this.warnings = [];
@@ -67,9 +75,17 @@ class ReverseConverter {
       this.log('Генерация Markdown...');
       const markdown = this.builder.build(recognized);
 
+      // Комментарии рецензентов отдельным файлом (options.comments = 'file')
+      const source = typeof input === 'string' ? require('path').basename(input) : null;
+      const review = this.options.comments === 'file'
+        ? this.commentsBuilder.build(recognized.comments, source)
+        : undefined;
+
       return {
         success: true,
         markdown,
+        review,
+        comments: recognized.comments,
         metadata: recognized.metadata,
         history: recognized.history,
         relatedDocs: recognized.relatedDocs,
@@ -77,7 +93,8 @@ class ReverseConverter {
         warnings: this.warnings,
         stats: {
           sections: recognized.sections.length,
-          images: (ast.images || []).length
+          images: (ast.images || []).length,
+          comments: recognized.comments.length
         }
       };
     } catch (error) {
@@ -210,4 +227,4 @@ class ReverseConverter {
   }
 }
 
-module.exports = { ReverseConverter };
+module.exports = { ReverseConverter, REVISION_MODES };
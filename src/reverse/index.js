@@ -3,19 +3,29 @@
  * Конвертация DOCX → Markdown
  */
 
-const { ReverseConverter } = require('./converter');
+const { ReverseConverter, REVISION_MODES } = require('./converter');
+const { resolveConfig, getReverseOptions } = require('../config');
 
 module.exports = {
   ReverseConverter,
+  REVISION_MODES,
 
   /**
    * Быстрая конвертация DOCX в Markdown
    * @param {string|Buffer} input - путь к файлу или Buffer
-   * @param {Object} options - опции конвертации
+   * @param {Object} options - опции конвертации; options.config - файл конфигурации,
+   *   объект с её полями или false (для пути к файлу chtz.config ищется вверх от него)
    * @returns {Promise<Object>} результат конвертации
    */
   async reverse(input, options = {}) {
-    const converter = new ReverseConverter(options);
+    const { config, ...converterOptions } = options;
+    const isPath = typeof input === 'string';
+    const resolved = resolveConfig({
+      config: config === undefined && !isPath ? false : config,
+      inputPath: isPath ? input : undefined
+    });
+
+    const converter = new ReverseConverter({ ...getReverseOptions(resolved), ...converterOptions });
     return converter.convert(input);
   }
 };
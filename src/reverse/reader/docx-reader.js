@@ -28,6 +28,10 @@ class DocxReader {
     const stylesXml = this.getFileContent(zip, 'word/styles.xml');
     const relsXml = this.getFileContent(zip, 'word/_rels/document.xml.rels');
     const numberingXml = this.getFileContent(zip, 'word/numbering.xml');
+    const footnotesXml = this.getFileContent(zip, 'word/footnotes.xml');
+    const commentsXml = this.getFileContent(zip, 'word/comments.xml');
+    const coreXml = this.getFileContent(zip, 'docProps/core.xml');
+    const customXml = this.getFileContent(zip, 'docProps/custom.xml');
 
     if (!documentXml) {
       throw new Error('Файл не является корректным DOCX: отсутствует word/document.xml');
@@ -38,6 +42,8 @@ class DocxReader {
     const styles = stylesXml ? this.xmlParser.parse(stylesXml) : null;
     const relations = relsXml ? this.parseRelations(relsXml) : {};
     const numbering = numberingXml ? this.xmlParser.parse(numberingXml) : null;
+    const footnotes = footnotesXml ? this.xmlParser.parse(footnotesXml) : null;
+    const comments = commentsXml ? this.xmlParser.parse(commentsXml) : null;
 
     // Извлекаем изображения
     const images = this.options.extractImages !== false
@@ -55,6 +61,12 @@ class DocxReader {
       styles: stylesMap,
       relations,
       numbering: this.parseNumbering(numbering),
+      footnotes: this.parseFootnotes(footnotes),
+      comments: this.parseComments(comments),
+      properties: this.parseProperties(
+        coreXml ? this.xmlParser.parse(coreXml) : null,
+        customXml ? this.xmlParser.parse(customXml) : null
+      ),
       images,
       rawDocument: document
     };
@@ -196,6 +208,7 @@ class DocxReader {
 
   /**
    * Парсит настройки нумерации
+   * @returns {{abstractNum: Object, num: Object}} num[numId] - {abstractNumId, startOverrides: {ilvl: start}}
    */
   parseNumbering(numberingDoc) {
     if (!numberingDoc) return {};
@@ -233,7 +246,8 @@ class DocxReader {
         if (numId) {
           const absRef = num['w:abstractNumId'];
           result.num[numId] = {
-            abstractNumId: absRef ? absRef['@_w:val'] : null
+            abstractNumId: absRef ? absRef['@_w:val'] : null,
+            startOverrides: this.parseStartOverrides(num['w:lvlOverride'])
           };
         }
       }
@@ -242,6 +256,111 @@ class DocxReader {
     return result;
   }
 
+  /**
+   * Начальные номера уровней, переопределённые в w:num (w:lvlOverride/w:startOverride)
+   * @returns {Object} ilvl -> start
+   */
+  parseStartOverrides(overrides) {
+    const result = {};
+    for (const override of [].concat(overrides || [])) {
+      const start = override['w:startOverride'];
+      if (start && start['@_w:val'] !== undefined) {
+        result[override['@_w:ilvl']] = parseInt(start['@_w:val'], 10);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Парсит сноски (word/footnotes.xml)
+   * Разделители (w:type="separator" и т.п.) пропускаются
+   * @returns {Array<{id: string, content: Object}>} content - элемент w:footnote с параграфами
+   */
+  parseFootnotes(footnotesDoc) {
+    if (!footnotesDoc) return [];
+
+    const root = footnotesDoc['w:footnotes'];
+    if (!root || !root['w:footnote']) return [];
+
+    const list = Array.isArray(root['w:footnote'])
+      ? root['w:footnote']
+      : [root['w:footnote']];
+
+    return list
+      .filter(footnote => !footnote['@_w:type'] && parseInt(footnote['@_w:id'], 10) > 0)
+      .map(footnote => ({
+        id: footnote['@_w:id'],
+        content: footnote
+      }));
+  }
+
+  /**
+   * Парсит комментарии рецензентов (word/comments.xml)
+   * Фрагмент текста, к которому относится комментарий, размечен в document.xml
+   * (w:commentRangeStart / w:commentRangeEnd)
+   * @returns {Array<{id, author, initials, date, content}>} content - элемент w:comment с параграфами
+   */
+  parseComments(commentsDoc) {
+    if (!commentsDoc) return [];
+
+    const root = commentsDoc['w:comments'];
+    if (!root || !root['w:comment']) return [];
+
+    const list = Array.isArray(root['w:comment'])
+      ? root['w:comment']
+      : [root['w:comment']];
+
+    return list.map(comment => ({
+      id: comment['@_w:id'],
+      author: comment['@_w:author'] || '',
+      initials: comment['@_w:initials'] || '',
+      date: comment['@_w:date'] || '',
+      content: comment
+    }));
+  }
+
+  /**
+   * Парсит свойства документа (docProps/core.xml и docProps/custom.xml)
+   * @returns {{core: Object, custom: Object}} core - элементы без префикса (title, creator...),
+   *   custom - пользовательские свойства по имени
+   */
+  parseProperties(coreDoc, customDoc) {
+    const getText = value => {
+      if (value && typeof value === 'object') return value['#text'] || '';
+      return typeof value === 'string' ? value : '';
+    };
+
+    const core = {};
+    const coreRoot = coreDoc && coreDoc['cp:coreProperties'];
+    if (coreRoot) {
+      for (const child of coreRoot.__children__ || []) {
+        const [name, value] = Object.entries(child)[0];
+        const text = getText(value).trim();
+        if (text) {
+          core[name.replace(/^\w+:/, '')] = text;
+        }
+      }
+    }
+
+    const custom = {};
+    const customRoot = customDoc && customDoc['Properties'];
+    if (customRoot && customRoot['property']) {
+      const list = Array.isArray(customRoot['property'])
+        ? customRoot['property']
+        : [customRoot['property']];
+
+      for (const property of list) {
+        const valueEntry = (property.__children__ || [])[0];
+        const text = valueEntry ? getText(Object.values(valueEntry)[0]).trim() : '';
+        if (property['@_name'] && text) {
+          custom[property['@_name']] = text;
+        }
+      }
+    }
+
+    return { core, custom };
+  }
+
   /**
    * Извлекает изображения из DOCX
    */
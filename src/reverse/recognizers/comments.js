@@ -0,0 +1,142 @@
+/**
+ * CommentRecognizer - распознавание комментариев рецензентов
+ * Связывает комментарии из word/comments.xml с фрагментом текста, разделом и функциональной
+ * таблицей, в которых они оставлены
+ */
+
+const { FunctionTableRecognizer } = require('./tables/function-table');
+const { FormattingRecognizer } = require('./formatting');
+
+class CommentRecognizer {
+  constructor(options = {}) {
+    this.options = options;
+    this.functionTableRecognizer = new FunctionTableRecognizer(options);
+    this.formatter = new FormattingRecognizer(options);
+  }
+
+  /**
+   * Распознаёт комментарии
+   * Элементу, в котором заканчивается фрагмент комментария, добавляется commentIds -
+   * по нему комментарий выводится в Markdown рядом с этим элементом
+   * @param {Array<Element>} elements - все элементы документа (включая шапку и оглавление)
+   * @param {DocumentAST} ast - AST (comments, relations, images)
+   * @param {ElementExtractor} extractor - для извлечения параграфов комментариев
+   * @returns {Array<Comment>} {id, author, date, text, quote, section, heading, functionId}
+   */
+  recognize(elements, ast, extractor) {
+    const comments = ast.comments || [];
+    if (comments.length === 0) {
+      return [];
+    }
+
+    const context = { relations: ast.relations || {}, images: ast.images || [] };
+    const anchors = this.collectAnchors(elements, context);
+
+    return comments.map(comment => {
+      const anchor = anchors.get(comment.id) || {};
+      const paragraphs = extractor.extract(comment.content, ast)
+        .filter(el => el.type === 'paragraph')
+        .map(p => this.formatter.formatRuns(p.runs, {}, []).trim())
+        .filter(Boolean);
+
+      return {
+        id: comment.id,
+        author: comment.author,
+        date: this.formatDate(comment.date),
+        text: paragraphs.join('\n\n'),
+        quote: (anchor.parts || []).join('').replace(/\s+/g, ' ').trim(),
+        section: anchor.section || null,
+        heading: anchor.heading || null,
+        functionId: anchor.functionId || null
+      };
+    });
+  }
+
+  /**
+   * Проходит по элементам и собирает фрагменты текста комментариев и их расположение
+   * @returns {Map<string, {parts, section, heading, functionId}>}
+   */
+  collectAnchors(elements, context) {
+    const anchors = new Map();
+    const open = new Set();
+    const location = { section: null, heading: null, functionId: null };
+
+    const anchorOf = id => {
+      if (!anchors.has(id)) anchors.set(id, { parts: [] });
+      return anchors.get(id);
+    };
+
+    // Расположение фиксируется по концу фрагмента (или по знаку комментария без фрагмента)
+    const place = (id, element) => {
+      const anchor = anchorOf(id);
+      if (anchor.placed) return;
+      Object.assign(anchor, location, { placed: true });
+      element.commentIds = element.commentIds || [];
+      element.commentIds.push(id);
+    };
+
+    const visitParagraph = (p, element) => {
+      let position = 0;
+      const append = (end) => {
+        const text = p.text.slice(position, end);
+        for (const id of open) anchorOf(id).parts.push(text);
+        position = end;
+      };
+
+      for (const range of p.commentRanges || []) {
+        append(range.offset);
+        if (range.type === 'start') {
+          open.add(range.id);
+          anchorOf(range.id);
+        } else {
+          open.delete(range.id);
+          place(range.id, element);
+        }
+      }
+      append(p.text.length);
+
+      // Фрагмент на несколько параграфов
+      for (const id of open) anchorOf(id).parts.push(' ');
+    };
+
+    const visitTable = (table, element) => {
+      for (const row of table.rows) {
+        for (const cell of row.cells) {
+          cell.paragraphs.forEach(p => visitParagraph(p, element));
+          (cell.tables || []).forEach(nested => visitTable(nested, element));
+        }
+      }
+    };
+
+    for (const element of elements) {
+      if (element.type === 'paragraph') {
+        if (element.isHeading && element.headingLevel > 0) {
+          const text = element.text.trim();
+          if (element.headingLevel === 1) location.section = text;
+          location.heading = text;
+          location.functionId = null;
+        }
+        visitParagraph(element, element);
+      } else if (element.type === 'table') {
+        // ID функциональной таблицы совпадает с тем, что получит :::function-table
+        location.functionId = this.functionTableRecognizer.canRecognize(element)
+          ? this.functionTableRecognizer.recognize(element, context).id
+          : null;
+        visitTable(element, element);
+        location.functionId = null;
+      }
+    }
+
+    return anchors;
+  }
+
+  /**
+   * Дата комментария (W3CDTF) в формате документа DD.MM.YYYY
+   */
+  formatDate(value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(value || '');
+    return match ? `${match[3]}.${match[2]}.${match[1]}` : '';
+  }
+}
+
+module.exports = { CommentRecognizer };
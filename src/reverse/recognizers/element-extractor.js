@@ -3,9 +3,23 @@
  * Преобразует сырой XML в удобный формат
  */
 
+const { CRITIC_MARKUP } = require('./formatting');
+
+/**
+ * Обёртки исправлений Word: добавленный и удалённый (в т.ч. перемещённый) текст
+ */
+const REVISION_WRAPPERS = {
+  'w:ins': 'insert',
+  'w:moveTo': 'insert',
+  'w:del': 'delete',
+  'w:moveFrom': 'delete'
+};
+
 class ElementExtractor {
   constructor(options = {}) {
     this.options = options;
+    // Исправления Word: accept - принять, reject - отклонить, annotate - CriticMarkup
+    this.revisions = options.revisions || 'accept';
   }
 
   /**
@@ -121,6 +135,7 @@ class ElementExtractor {
       formatting: [],
       runs: [],
       isHeading: false,
+      isTocEntry: false,
       headingLevel: 0,
       listInfo: null
     };
@@ -132,13 +147,16 @@ class ElementExtractor {
       const pStyle = pPr['w:pStyle'];
       if (pStyle) {
         result.style = pStyle['@_w:val'] || null;
-        result.isHeading = this.isHeadingStyle(result.style);
-        result.headingLevel = this.getHeadingLevel(result.style);
+        // Стили оглавления ("toc 1" = "12") тоже числовые - не путаем их с заголовками
+        result.isTocEntry = this.isTocStyle(result.style, ast);
+        result.isHeading = !result.isTocEntry && this.isHeadingStyle(result.style);
+        result.headingLevel = result.isHeading ? this.getHeadingLevel(result.style) : 0;
       }
 
       // Нумерация (списки)
+      // numId="0" - нумерация снята (параграф не является пунктом списка)
       const numPr = pPr['w:numPr'];
-      if (numPr) {
+      if (numPr && !(numPr['w:numId'] && numPr['w:numId']['@_w:val'] === '0')) {
         result.listInfo = {
           numId: numPr['w:numId'] ? numPr['w:numId']['@_w:val'] : null,
           level: numPr['w:ilvl'] ? numPr['w:ilvl']['@_w:val'] : '0'
@@ -149,7 +167,18 @@ class ElementExtractor {
     // Извлекаем runs (текстовые фрагменты)
     const runs = this.extractRuns(p);
     result.runs = runs;
-    result.text = runs.map(r => r.text).join('');
+    result.text = this.getRunsText(runs);
+
+    // Абзац, целиком добавленный (при reject) или удалённый (при accept) исправлением
+    if (this.isRevisedAway(pPr && pPr['w:rPr']) && !result.text.trim() && !runs.some(r => r.image)) {
+      return null;
+    }
+
+    // Границы комментариев рецензентов (позиция - смещение в тексте параграфа)
+    const commentRanges = this.extractCommentRanges(p);
+    if (commentRanges.length > 0) {
+      result.commentRanges = commentRanges;
+    }
 
     return result;
   }
@@ -173,6 +202,8 @@ class ElementExtractor {
         } else if (key === 'w:hyperlink') {
           const hyperRuns = this.extractHyperlink(child[key]);
           runs.push(...hyperRuns);
+        } else if (REVISION_WRAPPERS[key]) {
+          runs.push(...this.extractRevisionRuns(child[key], REVISION_WRAPPERS[key]));
         }
       }
       return runs;
@@ -201,9 +232,109 @@ class ElementExtractor {
       }
     }
 
+    // Исправления (порядок относительно остальных runs может быть нарушен)
+    for (const [key, type] of Object.entries(REVISION_WRAPPERS)) {
+      const wrappers = p[key];
+      if (!wrappers) continue;
+      for (const wrapper of Array.isArray(wrappers) ? wrappers : [wrappers]) {
+        runs.push(...this.extractRevisionRuns(wrapper, type));
+      }
+    }
+
+    return runs;
+  }
+
+  /**
+   * Извлекает runs из исправления (w:ins, w:del, w:moveTo, w:moveFrom) по режиму revisions:
+   * accept - только добавленные, reject - только удалённые, annotate - все с пометкой revision
+   * @param {Object} wrapper - элемент исправления
+   * @param {string} type - insert или delete
+   * @returns {Array} массив runs
+   */
+  extractRevisionRuns(wrapper, type) {
+    if ((this.revisions === 'accept' && type === 'delete') ||
+        (this.revisions === 'reject' && type === 'insert')) {
+      return [];
+    }
+
+    const runs = this.extractRuns(wrapper);
+    if (this.revisions === 'annotate') {
+      for (const run of runs) {
+        run.revision = type;
+      }
+    }
+
     return runs;
   }
 
+  /**
+   * Текст runs; в режиме annotate исправления выделяются CriticMarkup ({++ ++}, {-- --})
+   * @param {Array} runs - массив runs
+   * @returns {string}
+   */
+  getRunsText(runs) {
+    let text = '';
+    let revision = null;
+
+    for (const run of runs) {
+      const current = run.revision || null;
+      if (current !== revision) {
+        if (revision) text += CRITIC_MARKUP[revision][1];
+        if (current) text += CRITIC_MARKUP[current][0];
+        revision = current;
+      }
+      text += run.text;
+    }
+    if (revision) text += CRITIC_MARKUP[revision][1];
+
+    return text;
+  }
+
+  /**
+   * Элемент (знак абзаца, строка таблицы) убирается при выбранном режиме исправлений:
+   * удалённый - при accept, добавленный - при reject
+   * @param {Object} properties - w:rPr знака абзаца или w:trPr строки
+   * @returns {boolean}
+   */
+  isRevisedAway(properties) {
+    if (!properties) return false;
+    if (this.revisions === 'accept') return properties['w:del'] !== undefined;
+    if (this.revisions === 'reject') return properties['w:ins'] !== undefined;
+    return false;
+  }
+
+  /**
+   * Извлекает границы комментариев: w:commentRangeStart, w:commentRangeEnd и
+   * w:commentReference (знак комментария в тексте)
+   * @param {Object} p - w:p элемент
+   * @returns {Array<{id: string, type: string, offset: number}>} type - start, end или reference
+   */
+  extractCommentRanges(p) {
+    const ranges = [];
+    let offset = 0;
+
+    for (const child of p['__children__'] || []) {
+      const key = Object.keys(child)[0];
+      const value = child[key];
+
+      if (key === 'w:commentRangeStart' || key === 'w:commentRangeEnd') {
+        ranges.push({ id: value['@_w:id'], type: key === 'w:commentRangeStart' ? 'start' : 'end', offset });
+      } else if (key === 'w:r') {
+        if (value['w:commentReference']) {
+          ranges.push({ id: value['w:commentReference']['@_w:id'], type: 'reference', offset });
+        }
+        const run = this.extractRun(value);
+        offset += run ? run.text.length : 0;
+      } else if (key === 'w:hyperlink') {
+        offset += this.extractHyperlink(value).reduce((length, run) => length + run.text.length, 0);
+      } else if (REVISION_WRAPPERS[key]) {
+        offset += this.extractRevisionRuns(value, REVISION_WRAPPERS[key]).reduce((length, run) => length + run.text.length, 0);
+      }
+    }
+
+    return ranges;
+  }
+
   /**
    * Извлекает runs из гиперссылки
    * @param {Object} hyperlink - w:hyperlink элемент
@@ -282,8 +413,16 @@ class ElementExtractor {
       }
     }
 
-    // Текст
-    const wT = run['w:t'];
+    // Ссылка на сноску - в Markdown это [^n], текст сноски выводится в конце документа
+    const footnoteReference = run['w:footnoteReference'];
+    if (footnoteReference) {
+      result.footnoteReference = footnoteReference['@_w:id'];
+      result.text = `[^${result.footnoteReference}]`;
+      return result;
+    }
+
+    // Текст (w:delText - текст внутри удалённого исправления)
+    const wT = run['w:t'] || run['w:delText'];
     if (wT) {
       result.text = typeof wT === 'string' ? wT : (wT['#text'] || '');
     }
@@ -365,6 +504,8 @@ class ElementExtractor {
     if (rows) {
       const rowArray = Array.isArray(rows) ? rows : [rows];
       for (const row of rowArray) {
+        // Строка, добавленная или удалённая исправлением, при accept/reject пропускается
+        if (this.isRevisedAway(row['w:trPr'])) continue;
         result.rows.push(this.extractTableRow(row, ast));
       }
     }
@@ -444,6 +585,20 @@ class ElementExtractor {
     // Собираем текст из параграфов
     cell.text = cell.paragraphs.map(p => p.text).join('\n');
 
+    // Объединение: w:gridSpan - число колонок, w:vMerge без значения - продолжение ячейки сверху
+    const tcPr = tc['w:tcPr'];
+    if (tcPr) {
+      const gridSpan = tcPr['w:gridSpan'] ? parseInt(tcPr['w:gridSpan']['@_w:val'], 10) : 1;
+      if (gridSpan > 1) {
+        cell.gridSpan = gridSpan;
+      }
+
+      const vMerge = tcPr['w:vMerge'];
+      if (vMerge !== undefined) {
+        cell.vMerge = vMerge && vMerge['@_w:val'] === 'restart' ? 'restart' : 'continue';
+      }
+    }
+
     return cell;
   }
 
@@ -456,6 +611,14 @@ class ElementExtractor {
     return /^(Heading\d+|\d+)$/i.test(styleId);
   }
 
+  /**
+   * Проверяет, является ли стиль стилем пункта оглавления (toc 1, toc 2, ...)
+   */
+  isTocStyle(styleId, ast) {
+    if (!styleId || !ast || !ast.styles || !ast.styles[styleId]) return false;
+    return /^toc \d+$/i.test(ast.styles[styleId].name || '');
+  }
+
   /**
    * Определяет уровень заголовка по стилю
    */
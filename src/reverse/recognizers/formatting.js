@@ -2,6 +2,14 @@
  * FormattingRecognizer - распознавание форматирования текста
  */
 
+/**
+ * Разметка CriticMarkup для исправлений Word (режим revisions = annotate)
+ */
+const CRITIC_MARKUP = {
+  insert: ['{++', '++}'],
+  delete: ['{--', '--}']
+};
+
 class FormattingRecognizer {
   constructor(options = {}) {
     this.options = options;
@@ -19,6 +27,10 @@ class FormattingRecognizer {
       return '';
     }
 
+    if (runs.some(run => run.revision)) {
+      return this.formatRevisions(runs, relations, images);
+    }
+
     const parts = [];
 
     for (const run of runs) {
@@ -31,6 +43,12 @@ class FormattingRecognizer {
         continue;
       }
 
+      // Ссылка на сноску не форматируется
+      if (run.footnoteReference) {
+        parts.push(run.text);
+        continue;
+      }
+
       let text = run.text;
       if (!text) continue;
 
@@ -73,6 +91,30 @@ class FormattingRecognizer {
     return result;
   }
 
+  /**
+   * Форматирует runs с исправлениями: соседние runs одного исправления форматируются
+   * вместе и оборачиваются CriticMarkup ({++добавлено++}, {--удалено--})
+   */
+  formatRevisions(runs, relations, images) {
+    const groups = [];
+    for (const run of runs) {
+      const revision = run.revision || null;
+      const last = groups[groups.length - 1];
+      if (last && last.revision === revision) {
+        last.runs.push({ ...run, revision: null });
+      } else {
+        groups.push({ revision, runs: [{ ...run, revision: null }] });
+      }
+    }
+
+    return groups.map(group => {
+      const text = this.formatRuns(group.runs, relations, images);
+      if (!group.revision || !text) return text;
+      const [open, close] = CRITIC_MARKUP[group.revision];
+      return `${open}${text}${close}`;
+    }).join('');
+  }
+
   /**
    * Объединяет соседние одинаковые форматирования
    */
@@ -268,4 +310,4 @@ class FormattingRecognizer {
   }
 }
 
-module.exports = { FormattingRecognizer };
+module.exports = { FormattingRecognizer, CRITIC_MARKUP };
@@ -7,6 +7,8 @@ const { ElementExtractor } = require('./element-extractor');
 const { SectionRecognizer } = require('./sections');
 const { FormattingRecognizer } = require('./formatting');
 const { MetadataRecognizer } = require('./metadata');
+const { CommentRecognizer } = require('./comments');
+const { ListRecognizer } = require('./lists');
 
 class RecognizerPipeline {
   constructor(options = {}) {
@@ -15,6 +17,8 @@ class RecognizerPipeline {
     this.sectionRecognizer = new SectionRecognizer(options);
     this.formattingRecognizer = new FormattingRecognizer(options);
     this.metadataRecognizer = new MetadataRecognizer(options);
+    this.commentRecognizer = new CommentRecognizer(options);
+    this.listRecognizer = new ListRecognizer(options);
 
     this.warnings = [];
   }
@@ -30,14 +34,23 @@ class RecognizerPipeline {
     // 1. Извлекаем элементы из body
     const elements = this.elementExtractor.extract(ast.body, ast);
 
-    // 2. Распознаём метаданные и историю из таблиц
-    const metadataResult = this.metadataRecognizer.recognize(elements);
+    // Тип и номера пунктов списков - по numbering.xml (счёт идёт по всему документу)
+    this.listRecognizer.recognize(elements, ast.numbering);
+
+    // Комментарии привязываются к элементам до того, как шапка и оглавление будут отброшены
+    const comments = this.commentRecognizer.recognize(elements, ast, this.elementExtractor);
+
+    // 2. Распознаём метаданные и историю из таблиц (запасной источник - свойства документа)
+    const metadataResult = this.metadataRecognizer.recognize(elements, ast.properties);
 
     // 3. Фильтруем элементы - убираем таблицы метаданных для SectionRecognizer
-    const contentElements = elements.filter((el, i) =>
+    const withoutMetadata = elements.filter((el, i) =>
       !metadataResult.metadataIndices.includes(i)
     );
 
+    // Оглавление не переносится в текст: оно генерируется заново по флагу toc
+    const { elements: contentElements, hasToc } = this.removeToc(withoutMetadata);
+
     // 4. Распознаём разделы (без таблиц метаданных)
     const sections = this.sectionRecognizer.recognize(contentElements, ast);
     this.warnings.push(...this.sectionRecognizer.warnings);
@@ -46,13 +59,68 @@ class RecognizerPipeline {
       metadata: metadataResult.metadata,
       history: metadataResult.history,
       relatedDocs: metadataResult.relatedDocs,
+      metadataRevisions: metadataResult.revisions,
+      toc: hasToc,
       sections,
+      footnotes: this.recognizeFootnotes(ast),
+      comments,
       relations: ast.relations || {},
       images: ast.images || [],
       warnings: this.warnings
     };
   }
 
+  /**
+   * Убирает пункты оглавления и его заголовок ("Содержание") из элементов
+   * @param {Array<Element>} elements - элементы документа
+   * @returns {{elements: Array<Element>, hasToc: boolean}}
+   */
+  removeToc(elements) {
+    const firstEntry = elements.findIndex(el => el.isTocEntry);
+    if (firstEntry === -1) {
+      return { elements, hasToc: false };
+    }
+
+    const skip = new Set();
+    elements.forEach((el, i) => {
+      if (el.isTocEntry) skip.add(i);
+    });
+
+    // Заголовок оглавления - обычный параграф прямо перед первым пунктом
+    const title = elements[firstEntry - 1];
+    if (title && title.type === 'paragraph' && /^(содержание|оглавление)$/i.test((title.text || '').trim())) {
+      skip.add(firstEntry - 1);
+    }
+
+    // Параграф с закрытием поля TOC после последнего пункта не содержит текста
+    let last = firstEntry;
+    elements.forEach((el, i) => {
+      if (el.isTocEntry) last = i;
+    });
+    const fieldEnd = elements[last + 1];
+    if (fieldEnd && fieldEnd.type === 'paragraph' && !fieldEnd.text.trim()) {
+      skip.add(last + 1);
+    }
+
+    return {
+      elements: elements.filter((el, i) => !skip.has(i)),
+      hasToc: true
+    };
+  }
+
+  /**
+   * Извлекает параграфы сносок
+   * @param {DocumentAST} ast - AST документа
+   * @returns {Array<{id: string, paragraphs: Array<Element>}>}
+   */
+  recognizeFootnotes(ast) {
+    return (ast.footnotes || []).map(footnote => ({
+      id: footnote.id,
+      paragraphs: this.elementExtractor.extract(footnote.content, ast)
+        .filter(el => el.type === 'paragraph')
+    }));
+  }
+
   /**
    * Добавляет предупреждение
    */
@@ -0,0 +1,111 @@
+/**
+ * ListRecognizer - восстановление списков по нумерации Word (word/numbering.xml)
+ * Тип списка (маркированный / нумерованный) и номер пункта определяются по w:numPr
+ * параграфа (numId + ilvl) и формату уровня в abstractNum, а не по тексту
+ */
+
+class ListRecognizer {
+  constructor(options = {}) {
+    this.options = options;
+  }
+
+  /**
+   * Дополняет listInfo параграфов-пунктов списка: ordered, number, restart
+   * Номера считаются как в Word: счётчик уровня общий для всех w:num одного abstractNum,
+   * startOverride начинает уровень заново, пункт верхнего уровня сбрасывает вложенные
+   * @param {Array<Element>} elements - элементы документа (таблицы обходятся рекурсивно)
+   * @param {Object} numbering - {abstractNum, num} из DocxReader.parseNumbering
+   */
+  recognize(elements, numbering) {
+    if (!numbering || !numbering.num) {
+      return;
+    }
+
+    this.numbering = numbering;
+    this.counters = new Map();
+    this.usedOverrides = new Set();
+
+    for (const paragraph of this.collectParagraphs(elements)) {
+      if (paragraph.listInfo && paragraph.listInfo.numId) {
+        this.numberItem(paragraph.listInfo);
+      }
+    }
+  }
+
+  /**
+   * Параграфы в порядке документа, включая параграфы ячеек таблиц
+   */
+  collectParagraphs(elements, result = []) {
+    for (const element of elements) {
+      if (element.type === 'paragraph') {
+        result.push(element);
+      } else if (element.type === 'table') {
+        for (const row of element.rows) {
+          for (const cell of row.cells) {
+            this.collectParagraphs(cell.paragraphs, result);
+            this.collectParagraphs(cell.tables, result);
+          }
+        }
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Определяет тип и номер пункта списка
+   * @param {Object} listInfo - {numId, level}
+   */
+  numberItem(listInfo) {
+    const num = this.numbering.num[listInfo.numId];
+    // numId="0" - нумерация снята
+    if (!num || num.abstractNumId === null) {
+      return;
+    }
+
+    const ilvl = parseInt(listInfo.level, 10) || 0;
+    const level = this.getLevel(num.abstractNumId, ilvl);
+    const counters = this.counters.get(num.abstractNumId) || [];
+    this.counters.set(num.abstractNumId, counters);
+
+    const overrideKey = `${listInfo.numId}:${ilvl}`;
+    const override = num.startOverrides ? num.startOverrides[ilvl] : undefined;
+
+    let restart = false;
+    if (override !== undefined && !this.usedOverrides.has(overrideKey)) {
+      this.usedOverrides.add(overrideKey);
+      counters[ilvl] = override;
+      restart = true;
+    } else if (counters[ilvl] === undefined) {
+      counters[ilvl] = level.start;
+      restart = true;
+    } else {
+      counters[ilvl]++;
+    }
+
+    // Пункт уровня начинает вложенные уровни заново
+    counters.length = ilvl + 1;
+
+    listInfo.ordered = level.numFmt !== 'bullet' && level.numFmt !== 'none';
+    listInfo.number = counters[ilvl];
+    listInfo.restart = restart;
+  }
+
+  /**
+   * Формат и начальный номер уровня abstractNum
+   * @returns {{numFmt: string, start: number}}
+   */
+  getLevel(abstractNumId, ilvl) {
+    const abstract = this.numbering.abstractNum[abstractNumId];
+    const levels = abstract ? [].concat(abstract['w:lvl'] || []) : [];
+    const level = levels.find(lvl => parseInt(lvl['@_w:ilvl'], 10) === ilvl);
+    if (!level) {
+      return { numFmt: 'decimal', start: 1 };
+    }
+
+    const numFmt = level['w:numFmt'] ? level['w:numFmt']['@_w:val'] : 'decimal';
+    const start = level['w:start'] ? parseInt(level['w:start']['@_w:val'], 10) : 1;
+    return { numFmt: numFmt || 'decimal', start: isNaN(start) ? 1 : start };
+  }
+}
+
+module.exports = { ListRecognizer };
@@ -3,6 +3,11 @@
  * Извлекает данные из таблиц в начале документа
  */
 
+/**
+ * CriticMarkup в тексте ячейки (режим revisions = annotate)
+ */
+const CRITIC_MARKUP_PATTERN = /\{\+\+|\{--/;
+
 class MetadataRecognizer {
   constructor(options = {}) {
     this.options = options;
@@ -10,25 +15,91 @@ class MetadataRecognizer {
 
   /**
    * Извлекает метаданные из элементов документа
+   * Если таблицы метаданных или истории не найдены, данные берутся из свойств документа
    * @param {Array<Element>} elements - все элементы документа
-   * @returns {{metadata: Object, history: Array, relatedDocs: Array, metadataIndices: Array}}
+   * @param {Object} properties - свойства документа из DocxReader {core, custom}
+   * @returns {{metadata: Object, history: Array, relatedDocs: Array, revisions: Object, metadataIndices: Array}}
+   *   revisions - исправления в таблицах шапки по строкам (режим annotate), см. acceptTableRevisions
    */
-  recognize(elements) {
+  recognize(elements, properties = null) {
     // Ищем таблицы метаданных в начале документа (до первого заголовка)
-    const metadataTables = this.findMetadataTables(elements);
+    const found = this.findMetadataTables(elements);
+
+    // Значения YAML - с принятыми исправлениями: CriticMarkup в них ломает формат полей
+    const revisions = { metadata: [], history: [], relatedDocs: [] };
+    const metadataTables = {
+      ...found,
+      main: this.acceptTableRevisions(found.main, revisions.metadata),
+      history: this.acceptTableRevisions(found.history, revisions.history),
+      related: this.acceptTableRevisions(found.related, revisions.relatedDocs)
+    };
 
-    const metadata = this.extractMetadata(metadataTables.main);
-    const history = this.extractHistory(metadataTables.history);
+    const metadata = !metadataTables.main && this.hasProperties(properties)
+      ? this.extractMetadataFromProperties(properties)
+      : this.extractMetadata(metadataTables.main);
+    const history = !metadataTables.history && this.hasProperties(properties)
+      ? this.extractHistoryFromProperties(properties)
+      : this.extractHistory(metadataTables.history);
     const relatedDocs = this.extractRelatedDocs(metadataTables.related);
 
     return {
       metadata,
       history,
       relatedDocs,
+      revisions,
       metadataIndices: metadataTables.indices
     };
   }
 
+  /**
+   * Принимает исправления в таблице шапки (режим revisions = annotate)
+   * Строка, в которой после принятия не осталось текста (удалённая), убирается.
+   * Для каждой строки с исправлениями в notes добавляется {index, text}: index - номер
+   * строки данных (без заголовка) среди оставшихся, text - текст строки с CriticMarkup
+   * @param {Object|null} table - таблица из findMetadataTables
+   * @param {Array} notes - список исправлений (дополняется)
+   * @returns {Object|null} таблица с принятыми исправлениями
+   */
+  acceptTableRevisions(table, notes) {
+    if (!table || this.options.revisions !== 'annotate') {
+      return table;
+    }
+
+    const rows = [];
+    for (const row of table.rows) {
+      const cells = row.cells || [];
+      if (!cells.some(cell => CRITIC_MARKUP_PATTERN.test(cell.text || ''))) {
+        rows.push(row);
+        continue;
+      }
+
+      notes.push({
+        index: Math.max(rows.length - 1, 0),
+        text: cells.map(cell => (cell.text || '').replace(/\s*\n\s*/g, ' ').trim()).join(' | ').trim()
+      });
+
+      const accepted = cells.map(cell => ({ ...cell, text: this.acceptRevisions(cell.text || '') }));
+      if (accepted.some(cell => cell.text)) {
+        rows.push({ ...row, cells: accepted });
+      }
+    }
+
+    return { ...table, rows };
+  }
+
+  /**
+   * Текст с принятыми исправлениями: {--удалено--} убирается, {++добавлено++} остаётся
+   */
+  acceptRevisions(text) {
+    return text
+      .replace(/\{--[\s\S]*?--\}/g, '')
+      .replace(/\{\+\+([\s\S]*?)\+\+\}/g, '$1')
+      .split('\n')
+      .map(line => line.trim())
+      .filter(Boolean)
+      .join('\n');
+  }
+
   /**
    * Находит таблицы метаданных в начале документа
    */
@@ -150,6 +221,66 @@ class MetadataRecognizer {
     return metadata;
   }
 
+  /**
+   * Проверяет, есть ли в свойствах документа данные для метаданных
+   * Учитываются только пользовательские свойства: core.xml есть в любом DOCX
+   * и обычно содержит данные шаблона, а не документа
+   */
+  hasProperties(properties) {
+    if (!properties) return false;
+    const { custom = {} } = properties;
+    return Boolean(custom.ShortName || custom.Version || custom.Consultant || custom.Organization);
+  }
+
+  /**
+   * Извлекает метаданные из свойств документа (docProps/custom.xml, docProps/core.xml)
+   * Используется, когда таблица метаданных не распознана
+   */
+  extractMetadataFromProperties(properties) {
+    const { core = {}, custom = {} } = properties;
+    const metadata = this.getDefaultMetadata();
+
+    metadata.shortName = custom.ShortName || core.title || '';
+    metadata.consultant.name = custom.Consultant || core.creator || '';
+    metadata.consultant.email = custom.ConsultantEmail || '';
+    metadata.organization = custom.Organization || core.subject || '';
+    metadata.itSystems = this.parseList(core.keywords || '');
+
+    const createdDate = custom.CreatedDate || this.formatW3CDate(core.created);
+    if (createdDate) {
+      metadata.createdDate = createdDate;
+    }
+
+    return metadata;
+  }
+
+  /**
+   * Восстанавливает историю из свойств документа: одна запись с текущей версией
+   */
+  extractHistoryFromProperties(properties) {
+    const { core = {}, custom = {} } = properties;
+    const version = custom.Version || core.version;
+
+    if (!version) {
+      return this.getDefaultHistory();
+    }
+
+    return [{
+      version,
+      date: this.formatW3CDate(core.modified) || this.formatDate(new Date()),
+      comment: 'Восстановлено из свойств документа',
+      author: core.lastModifiedBy || ''
+    }];
+  }
+
+  /**
+   * Преобразует дату W3CDTF (2025-01-31T00:00:00Z) в DD.MM.YYYY
+   */
+  formatW3CDate(value) {
+    const match = String(value || '').match(/^(\d{4})-(\d{2})-(\d{2})/);
+    return match ? `${match[3]}.${match[2]}.${match[1]}` : '';
+  }
+
   /**
    * Извлекает историю изменений
    */
@@ -23,6 +23,8 @@ class SectionRecognizer {
 
   constructor(options = {}) {
     this.options = options;
+    // Каталог разделов из конфигурации проекта заменяет встроенный
+    this.knownSections = options.sections || SectionRecognizer.KNOWN_SECTIONS;
     this.warnings = [];
     this.tableRecognizer = new TableRecognizer(options);
   }
@@ -75,29 +77,29 @@ class SectionRecognizer {
             contentBuffer = [];
           }
 
-          currentSection = this.createSection(text, level);
+          currentSection = this.withComments(this.createSection(text, level), element);
         } else if (currentSection) {
           // Подзаголовок - добавляем как вложенный контент
-          contentBuffer.push({
+          contentBuffer.push(this.withComments({
             type: 'heading',
             level,
             text
-          });
+          }, element));
         } else {
           // Заголовок до первого раздела
-          contentBuffer.push({
+          contentBuffer.push(this.withComments({
             type: 'heading',
             level,
             text
-          });
+          }, element));
         }
       } else if (currentSection) {
         // Обычный контент
-        contentBuffer.push(this.processElement(element));
+        contentBuffer.push(this.withComments(this.processElement(element), element));
       } else {
         // Контент до первого раздела - добавляем в буфер
         // (будет обработан если создали виртуальный раздел)
-        contentBuffer.push(this.processElement(element));
+        contentBuffer.push(this.withComments(this.processElement(element), element));
       }
     }
 
@@ -126,11 +128,21 @@ class SectionRecognizer {
     };
   }
 
+  /**
+   * Переносит ID комментариев рецензентов с исходного элемента на распознанный
+   */
+  withComments(item, element) {
+    if (element.commentIds) {
+      item.commentIds = element.commentIds;
+    }
+    return item;
+  }
+
   /**
    * Идентифицирует известный раздел по тексту
    */
   identifySection(text) {
-    for (const section of SectionRecognizer.KNOWN_SECTIONS) {
+    for (const section of this.knownSections) {
       if (section.pattern.test(text)) {
         return section;
       }
@@ -173,6 +185,9 @@ class SectionRecognizer {
       return {
         type: 'list-item',
         level: parseInt(p.listInfo.level, 10),
+        ordered: p.listInfo.ordered,
+        number: p.listInfo.number,
+        restart: p.listInfo.restart,
         text: p.text,
         runs: p.runs
       };
@@ -3,6 +3,8 @@
  * Формат: | Как есть | Как будет |
  */
 
+const { expandMergedCells } = require('./table-to-markdown');
+
 class ChangesTableRecognizer {
   constructor(options = {}) {
     this.options = options;
@@ -57,9 +59,11 @@ class ChangesTableRecognizer {
     // Пропускаем заголовок (первую строку)
     for (let i = 1; i < table.rows.length; i++) {
       const row = table.rows[i];
-      if (row.cells && row.cells.length >= 2) {
-        const asIs = this.cleanText(row.cells[0].text);
-        const toBe = this.cleanText(row.cells[1].text);
+      // Объединённые ячейки - маркерами `<<` и `^^`, как в обычной таблице
+      const cells = row.cells ? expandMergedCells(row.cells) : [];
+      if (cells.length >= 2) {
+        const asIs = this.cleanText(cells[0].text);
+        const toBe = this.cleanText(cells[1].text);
 
         if (asIs || toBe) {
           changes.push({ asIs, toBe });
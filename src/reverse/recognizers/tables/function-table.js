@@ -64,7 +64,7 @@ class FunctionTableRecognizer {
     const taskCell = table.rows[1].cells[1];
 
     const functionText = this.cleanText(this.formatCell(functionCell, relations, images));
-    const taskText = this.cleanText(this.formatCell(taskCell, relations, images));
+    let taskText = this.cleanText(this.formatCell(taskCell, relations, images));
 
     // Обрабатываем сценарий с возможными вложенными таблицами
     const scenarioCell = table.rows[2].cells[1];
@@ -97,6 +97,10 @@ class FunctionTableRecognizer {
     const mdLinkMatch = taskText.match(/\[([^\]]+)\]\((https?:\/\/[^)]+)\)/);
     if (mdLinkMatch) {
       taskUrl = mdLinkMatch[2];
+      // Ячейка-гиперссылка: номер задачи - текст ссылки, адрес уходит в taskUrl
+      if (mdLinkMatch[0] === taskText) {
+        taskText = mdLinkMatch[1];
+      }
     } else {
       const plainUrlMatch = taskText.match(/(https?:\/\/\S+)/i);
       taskUrl = plainUrlMatch ? plainUrlMatch[1] : null;
@@ -187,7 +191,9 @@ class FunctionTableRecognizer {
           // В Markdown используем "1." для всех пунктов списка
           // Markdown процессоры автоматически нумеруют пункты при рендеринге
           // Это стандартная практика, которая делает списки более устойчивыми к редактированию
-          return `${indent}1. ${text}`;
+          // Маркированный пункт (по формату уровня в numbering.xml) - "-"
+          const marker = p.listInfo.ordered === false ? '-' : '1.';
+          return `${indent}${marker} ${text}`;
         }
 
         return text;
@@ -6,6 +6,7 @@
 const { TermsTableRecognizer } = require('./terms-table');
 const { ChangesTableRecognizer } = require('./changes-table');
 const { FunctionTableRecognizer } = require('./function-table');
+const { getDirectives } = require('../../../plugins/registry');
 
 class TableRecognizer {
   constructor(options = {}) {
@@ -24,6 +25,18 @@ class TableRecognizer {
    * @returns {Object} распознанная таблица
    */
   recognize(table, context = {}) {
+    // Директивы плагинов проверяются первыми: их признаки специфичнее встроенных
+    for (const directive of this.getPluginDirectives()) {
+      if (directive.reverse.canRecognize(table)) {
+        return {
+          type: 'table',
+          tableType: 'directive',
+          directive: directive.name,
+          data: directive.reverse.recognize(table, context)
+        };
+      }
+    }
+
     // Пробуем каждый распознаватель
     for (const recognizer of this.recognizers) {
       if (recognizer.canRecognize(table)) {
@@ -45,6 +58,12 @@ class TableRecognizer {
    * @returns {string} тип таблицы
    */
   identifyType(table) {
+    for (const directive of this.getPluginDirectives()) {
+      if (directive.reverse.canRecognize(table)) {
+        return directive.name;
+      }
+    }
+
     for (const recognizer of this.recognizers) {
       if (recognizer.canRecognize(table)) {
         return recognizer.getType();
@@ -52,6 +71,15 @@ class TableRecognizer {
     }
     return 'regular';
   }
+
+  /**
+   * Директивы плагинов с распознавателем для обратной конвертации
+   * Читаются из реестра при каждом вызове - плагины могут быть загружены позже
+   * @returns {Array<Object>}
+   */
+  getPluginDirectives() {
+    return getDirectives().filter(directive => directive.reverse);
+  }
 }
 
 module.exports = { TableRecognizer };
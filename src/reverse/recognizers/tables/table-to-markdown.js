@@ -2,6 +2,46 @@
  * Утилита для конвертации таблицы в Markdown формат
  */
 
+const { MERGE_LEFT, MERGE_UP, escapeMergeMarker } = require('../../../utils/table-merges');
+
+/**
+ * Ячейка-маркер объединения
+ */
+function markerCell(marker) {
+  return { paragraphs: [{ text: marker }], tables: [], text: marker };
+}
+
+/**
+ * Ячейка с текстом `<<` или `^^` - экранируется, чтобы не стать объединением
+ */
+function literalCell(cell) {
+  if (!cell.text || escapeMergeMarker(cell.text) === cell.text) {
+    return cell;
+  }
+  const text = escapeMergeMarker(cell.text);
+  return { ...cell, paragraphs: [{ text }], text };
+}
+
+/**
+ * Разворачивает объединённые ячейки строки в маркеры Markdown, чтобы колонки не сдвигались:
+ * ячейка с w:gridSpan дополняется ячейками `<<`, продолжение w:vMerge заменяется на `^^`,
+ * а текст `<<`/`^^` обычной ячейки записывается экранированным (`\<<`, `\^^`)
+ * @param {Array<Object>} cells - ячейки строки из extractTableRow
+ * @returns {Array<Object>} ячейки по колонкам сетки
+ */
+function expandMergedCells(cells) {
+  const result = [];
+
+  for (const cell of cells) {
+    result.push(cell.vMerge === 'continue' ? markerCell(MERGE_UP) : literalCell(cell));
+    for (let i = 1; i < (cell.gridSpan || 1); i++) {
+      result.push(markerCell(MERGE_LEFT));
+    }
+  }
+
+  return result;
+}
+
 /**
  * Конвертирует таблицу в Markdown
  * @param {Object} table - таблица из extractTable
@@ -24,7 +64,7 @@ function tableToMarkdown(table, options = {}) {
     if (!row.cells || row.cells.length === 0) continue;
 
     // Собираем ячейки
-    const cells = row.cells.map(cell => {
+    const cells = expandMergedCells(row.cells).map(cell => {
       let cellText = '';
 
       // Текст из параграфов
@@ -100,7 +140,7 @@ function tableToMarkdownIndented(table, baseIndent = 1) {
     if (!row.cells || row.cells.length === 0) continue;
 
     // Собираем ячейки
-    const cells = row.cells.map(cell => {
+    const cells = expandMergedCells(row.cells).map(cell => {
       let cellText = '';
 
       // Текст из параграфов
@@ -141,6 +181,7 @@ function tableToMarkdownIndented(table, baseIndent = 1) {
 }
 
 module.exports = {
+  expandMergedCells,
   tableToMarkdown,
   tableToMarkdownIndented,
   escapeTableCell
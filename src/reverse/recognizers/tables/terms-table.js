@@ -3,6 +3,8 @@
  * Формат: | Термин | Определение |
  */
 
+const { expandMergedCells } = require('./table-to-markdown');
+
 class TermsTableRecognizer {
   constructor(options = {}) {
     this.options = options;
@@ -57,9 +59,11 @@ class TermsTableRecognizer {
     // Пропускаем заголовок (первую строку)
     for (let i = 1; i < table.rows.length; i++) {
       const row = table.rows[i];
-      if (row.cells && row.cells.length >= 2) {
-        const term = this.cleanText(row.cells[0].text);
-        const definition = this.cleanText(row.cells[1].text);
+      // Объединённые ячейки - маркерами `<<` и `^^`, как в обычной таблице
+      const cells = row.cells ? expandMergedCells(row.cells) : [];
+      if (cells.length >= 2) {
+        const term = this.cleanText(cells[0].text);
+        const definition = this.cleanText(cells[1].text);
 
         if (term || definition) {
           terms.push({ term, definition });
@@ -3,9 +3,26 @@
  * Проверяет соответствие документа требованиям CHTZ
  */
 
+/**
+ * 10 обязательных разделов ЧТЗ
+ */
+const REQUIRED_SECTIONS = [
+  { pattern: /^\d+\.\s*(Термины и определения|Глоссарий)/i, name: '1. Термины и определения' },
+  { pattern: /^\d+\.\s*Исходные данные задания/i, name: '2. Исходные данные задания' },
+  { pattern: /^\d+\.\s*Изменение функционала системы/i, name: '3. Изменение функционала системы' },
+  { pattern: /^\d+\.\s*Описание изменений в ИТ[- ]?системе/i, name: '4. Описание изменений в ИТ-системе' },
+  { pattern: /^\d+\.\s*Описание изменений в интеграционных механизмах/i, name: '5. Описание изменений в интеграционных механизмах' },
+  { pattern: /^\d+\.\s*Описание изменений.*ПДн/i, name: '6. Описание изменений, состава обрабатываемых ПДн' },
+  { pattern: /^\d+\.\s*Входные формы/i, name: '7. Входные формы' },
+  { pattern: /^\d+\.\s*Выходные формы/i, name: '8. Выходные формы' },
+  { pattern: /^\d+\.\s*Описание изменений в ролевой модели/i, name: '9. Описание изменений в ролевой модели' },
+  { pattern: /^\d+\.\s*Приложени[яе]/i, name: '10. Приложения' }
+];
+
 class DocumentValidator {
   constructor(options = {}) {
     this.strict = options.strict || false;
+    this.sections = options.sections || null;
     this.errors = [];
     this.warnings = [];
   }
@@ -137,19 +154,10 @@ class DocumentValidator {
       return;
     }
 
-    // 10 обязательных разделов ЧТЗ
-    const requiredSections = [
-      { pattern: /^\d+\.\s*(Термины и определения|Глоссарий)/i, name: '1. Термины и определения' },
-      { pattern: /^\d+\.\s*Исходные данные задания/i, name: '2. Исходные данные задания' },
-      { pattern: /^\d+\.\s*Изменение функционала системы/i, name: '3. Изменение функционала системы' },
-      { pattern: /^\d+\.\s*Описание изменений в ИТ[- ]?системе/i, name: '4. Описание изменений в ИТ-системе' },
-      { pattern: /^\d+\.\s*Описание изменений в интеграционных механизмах/i, name: '5. Описание изменений в интеграционных механизмах' },
-      { pattern: /^\d+\.\s*Описание изменений.*ПДн/i, name: '6. Описание изменений, состава обрабатываемых ПДн' },
-      { pattern: /^\d+\.\s*Входные формы/i, name: '7. Входные формы' },
-      { pattern: /^\d+\.\s*Выходные формы/i, name: '8. Выходные формы' },
-      { pattern: /^\d+\.\s*Описание изменений в ролевой модели/i, name: '9. Описание изменений в ролевой модели' },
-      { pattern: /^\d+\.\s*Приложени[яе]/i, name: '10. Приложения' }
-    ];
+    // Обязательные разделы: из каталога конфигурации или 10 разделов ЧТЗ
+    const requiredSections = this.sections
+      ? this.sections.filter(s => s.required).map(s => ({ pattern: s.pattern, name: s.title }))
+      : REQUIRED_SECTIONS;
 
     const foundSections = new Set();
 
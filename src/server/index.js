@@ -0,0 +1,395 @@
+/**
+ * Server - HTTP API генератора и обратного конвертера
+ *
+ * POST /generate  Markdown (+ изображения в multipart) -> DOCX
+ * POST /reverse   DOCX -> zip (document.md + images/) или JSON (?format=json);
+ *                 исправления Word - ?revisions=accept|reject|annotate
+ * POST /validate  Markdown -> результат валидации
+ * POST /diff      original (Markdown) + converted (Markdown) или document (DOCX) -> unified diff
+ *
+ * Ошибки возвращаются в JSON: {error: {code, message, details?}}
+ */
+
+const http = require('http');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const { generateBuffer, validateBuffer } = require('../index');
+const { ReverseConverter, REVISION_MODES } = require('../reverse');
+const { resolveConfig, getReverseOptions } = require('../config');
+const { parseMultipart, MultipartError } = require('./multipart');
+
+/**
+ * Максимальный размер тела запроса по умолчанию, байт
+ */
+const DEFAULT_MAX_BODY_SIZE = 20 * 1024 * 1024;
+
+/**
+ * MIME тип DOCX
+ */
+const DOCX_CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+/**
+ * Ошибка запроса с HTTP статусом и кодом для JSON ответа
+ */
+class HttpError extends Error {
+  constructor(status, code, message, details) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Чтение тела запроса с ограничением размера
+ * После превышения тело больше не читается: соединение закрывается после ответа 413
+ * @param {http.IncomingMessage} req - Запрос
+ * @param {number} maxSize - Максимальный размер, байт
+ * @returns {Promise<Buffer>}
+ * @throws {HttpError} 413, если тело больше maxSize
+ */
+function readBody(req, maxSize) {
+  const tooLarge = () => new HttpError(413, 'PAYLOAD_TOO_LARGE',
+    `Размер запроса превышает ограничение ${maxSize} байт`, { maxSize });
+
+  if (Number(req.headers['content-length']) > maxSize) {
+    return Promise.reject(tooLarge());
+  }
+
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    const onData = chunk => {
+      size += chunk.length;
+      if (size > maxSize) {
+        req.removeListener('data', onData);
+        req.pause();
+        chunks.length = 0;
+        reject(tooLarge());
+        return;
+      }
+      chunks.push(chunk);
+    };
+
+    req.on('data', onData);
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Части запроса: multipart/form-data или тело целиком как одна часть без имени
+ * @returns {Array<{name, filename, contentType, data}>}
+ */
+function getParts(req, body) {
+  const contentType = req.headers['content-type'] || '';
+
+  if (contentType.toLowerCase().startsWith('multipart/form-data')) {
+    try {
+      return parseMultipart(body, contentType);
+    } catch (error) {
+      if (error instanceof MultipartError) {
+        throw new HttpError(400, 'BAD_REQUEST', error.message);
+      }
+      throw error;
+    }
+  }
+
+  return [{ name: null, filename: null, contentType, data: body }];
+}
+
+/**
+ * Часть запроса по имени поля; без multipart - тело целиком
+ * @param {Array} parts - Части запроса
+ * @param {string} name - Имя поля
+ * @param {string} extension - Расширение файла, по которому часть ищется, если поля нет
+ * @returns {Object|null}
+ */
+function findPart(parts, name, extension) {
+  return parts.find(part => part.name === name) ||
+    parts.find(part => part.name === null) ||
+    parts.find(part => part.filename && part.filename.toLowerCase().endsWith(extension)) ||
+    null;
+}
+
+/**
+ * Обязательная часть запроса
+ * @throws {HttpError} 400, если части нет или она пустая
+ */
+function requirePart(parts, name, extension) {
+  const part = findPart(parts, name, extension);
+  if (!part || part.data.length === 0) {
+    throw new HttpError(400, 'BAD_REQUEST', `Не передано поле ${name} (${extension})`);
+  }
+  return part;
+}
+
+/**
+ * Ошибка в документе: 422 с позициями, если они есть
+ */
+function toDocumentError(error, code) {
+  const errors = (error.errors || []).filter(item => item.line).map(item => ({
+    message: item.message,
+    line: item.line,
+    column: item.column
+  }));
+
+  return new HttpError(422, code, error.message, errors.length > 0 ? { errors } : undefined);
+}
+
+/**
+ * Отправка JSON
+ */
+function sendJson(res, status, data) {
+  const body = Buffer.from(JSON.stringify(data, null, 2), 'utf-8');
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': body.length
+  });
+  res.end(body);
+}
+
+/**
+ * Отправка файла
+ */
+function sendFile(res, data, contentType, filename, headers = {}) {
+  res.writeHead(200, {
+    'Content-Type': contentType,
+    'Content-Length': data.length,
+    'Content-Disposition': `attachment; filename*=UTF-8''${encodeURIComponent(filename)}`,
+    ...headers
+  });
+  res.end(data);
+}
+
+/**
+ * Конвертер для обратной конвертации с опциями из конфигурации
+ */
+function createConverter(context, query) {
+  const revisions = query.get('revisions') || 'accept';
+  if (!REVISION_MODES.includes(revisions)) {
+    throw new HttpError(400, 'BAD_REQUEST', `Неизвестный режим исправлений: ${revisions}. Допустимо: ${REVISION_MODES.join(', ')}`);
+  }
+
+  return new ReverseConverter({
+    ...context.reverseOptions,
+    imagesDir: 'images',
+    strict: query.get('strict') === 'true' || context.reverseOptions.strict || false,
+    revisions
+  });
+}
+
+/**
+ * POST /generate
+ * multipart: document - Markdown, остальные файлы - изображения (ключ - имя файла, как в Markdown);
+ * или Markdown в теле запроса. ?reproducible=true - воспроизводимый DOCX
+ */
+async function handleGenerate(parts, query, context, res) {
+  const documentPart = requirePart(parts, 'document', '.md');
+  const images = new Map();
+  for (const part of parts) {
+    if (part !== documentPart && part.filename) {
+      images.set(part.filename, part.data);
+    }
+  }
+
+  let buffer;
+  try {
+    buffer = await generateBuffer(documentPart.data, {
+      images,
+      config: context.config,
+      reproducible: query.get('reproducible') === 'true'
+    });
+  } catch (error) {
+    throw toDocumentError(error, 'GENERATION_FAILED');
+  }
+
+  const name = path.basename(documentPart.filename || 'document.md', path.extname(documentPart.filename || '.md'));
+  sendFile(res, buffer, DOCX_CONTENT_TYPE, `${name}.docx`);
+}
+
+/**
+ * POST /reverse
+ * multipart: document - DOCX; или DOCX в теле запроса.
+ * Ответ - zip с document.md и images/, с ?format=json - JSON с изображениями в base64
+ */
+async function handleReverse(parts, query, context, res) {
+  const documentPart = requirePart(parts, 'document', '.docx');
+  const converter = createConverter(context, query);
+  const result = await converter.convert(documentPart.data);
+
+  if (!result.success) {
+    throw new HttpError(422, 'CONVERSION_FAILED', result.error);
+  }
+
+  const warnings = result.warnings.map(warning => warning.message || String(warning));
+
+  if (query.get('format') === 'json') {
+    sendJson(res, 200, {
+      markdown: result.markdown,
+      metadata: result.metadata,
+      history: result.history,
+      relatedDocs: result.relatedDocs,
+      stats: result.stats,
+      warnings,
+      images: result.images.map(image => ({
+        filename: image.filename,
+        contentType: image.contentType,
+        data: image.data.toString('base64')
+      }))
+    });
+    return;
+  }
+
+  const name = path.basename(documentPart.filename || 'document.docx', path.extname(documentPart.filename || '.docx'));
+  const zip = new AdmZip();
+  zip.addFile(`${name}.md`, Buffer.from(result.markdown, 'utf-8'));
+  for (const image of result.images) {
+    zip.addFile(`images/${image.filename}`, image.data);
+  }
+
+  sendFile(res, zip.toBuffer(), 'application/zip', `${name}.zip`, {
+    'X-Chtz-Warnings': String(warnings.length)
+  });
+}
+
+/**
+ * POST /validate
+ * multipart: document - Markdown; или Markdown в теле запроса.
+ * Ответ 200 и при ошибках в документе: {valid, error?, errors?, stats?}
+ */
+async function handleValidate(parts, query, context, res) {
+  const documentPart = requirePart(parts, 'document', '.md');
+  const result = await validateBuffer(documentPart.data, { config: context.config });
+  sendJson(res, 200, result);
+}
+
+/**
+ * POST /diff
+ * multipart: original - исходный Markdown; converted - Markdown для сравнения
+ * или document - DOCX, который сначала конвертируется в Markdown
+ */
+async function handleDiff(parts, query, context, res) {
+  const original = parts.find(part => part.name === 'original');
+  if (!original) {
+    throw new HttpError(400, 'BAD_REQUEST', 'Не передано поле original (.md)');
+  }
+
+  const converter = createConverter(context, query);
+  let converted = parts.find(part => part.name === 'converted');
+  let markdown;
+
+  if (converted) {
+    markdown = converted.data.toString('utf-8');
+  } else {
+    converted = parts.find(part => part.name === 'document');
+    if (!converted) {
+      throw new HttpError(400, 'BAD_REQUEST', 'Не передано поле converted (.md) или document (.docx)');
+    }
+    const result = await converter.convert(converted.data);
+    if (!result.success) {
+      throw new HttpError(422, 'CONVERSION_FAILED', result.error);
+    }
+    markdown = result.markdown;
+  }
+
+  const { diff, stats } = converter.diff(original.data.toString('utf-8'), markdown, {
+    stats: true,
+    contextLines: Number(query.get('context')) || 3
+  });
+
+  sendJson(res, 200, { identical: stats.identical, stats, diff });
+}
+
+/**
+ * Разбор адреса запроса
+ * @param {string} requestUrl - req.url
+ * @returns {URL}
+ * @throws {HttpError} 400, если адрес не разбирается (например, `//`)
+ */
+function parseRequestUrl(requestUrl) {
+  try {
+    return new URL(requestUrl, 'http://localhost');
+  } catch (error) {
+    throw new HttpError(400, 'BAD_REQUEST', `Некорректный адрес запроса: ${requestUrl}`);
+  }
+}
+
+/**
+ * Маршруты API (все - POST)
+ */
+const ROUTES = {
+  '/generate': handleGenerate,
+  '/reverse': handleReverse,
+  '/validate': handleValidate,
+  '/diff': handleDiff
+};
+
+/**
+ * Создание HTTP сервера
+ * @param {Object} options
+ * @param {string|Object|false} options.config - Файл конфигурации или объект с её полями
+ *   (для запросов конфигурация не ищется автоматически)
+ * @param {number} options.maxBodySize - Максимальный размер запроса, байт (по умолчанию 20 МБ)
+ * @param {Function} options.log - (message) => void, журнал запросов
+ * @returns {http.Server} Сервер (не запущен - вызовите listen)
+ * @throws {ConfigError} При ошибке в конфигурации
+ */
+function createServer(options = {}) {
+  const { maxBodySize = DEFAULT_MAX_BODY_SIZE, log = () => {} } = options;
+  const config = options.config || false;
+  // Конфигурация читается один раз при запуске: ошибка в ней - ошибка запуска, а не запроса
+  const context = {
+    config,
+    reverseOptions: getReverseOptions(resolveConfig({ config }))
+  };
+
+  return http.createServer(async (req, res) => {
+    const started = Date.now();
+    let pathname = req.url;
+
+    try {
+      const url = parseRequestUrl(req.url);
+      const handler = ROUTES[url.pathname];
+      pathname = url.pathname;
+
+      if (!handler) {
+        throw new HttpError(404, 'NOT_FOUND', `Неизвестный путь: ${url.pathname}`, {
+          endpoints: Object.keys(ROUTES)
+        });
+      }
+      if (req.method !== 'POST') {
+        res.setHeader('Allow', 'POST');
+        throw new HttpError(405, 'METHOD_NOT_ALLOWED', `Метод ${req.method} не поддерживается, используйте POST`);
+      }
+
+      const body = await readBody(req, maxBodySize);
+      await handler(getParts(req, body), url.searchParams, context, res);
+    } catch (error) {
+      const httpError = error instanceof HttpError
+        ? error
+        : new HttpError(500, 'INTERNAL_ERROR', error.message);
+      const payload = { code: httpError.code, message: httpError.message };
+      if (httpError.details) payload.details = httpError.details;
+
+      if (!res.headersSent) {
+        if (httpError.status === 413) {
+          // Непрочитанный остаток тела не принимаем: соединение закрывается после ответа
+          res.setHeader('Connection', 'close');
+          res.on('finish', () => req.destroy());
+        }
+        sendJson(res, httpError.status, { error: payload });
+      }
+    }
+
+    log(`${req.method} ${pathname} ${res.statusCode} ${Date.now() - started} мс`);
+  });
+}
+
+module.exports = {
+  createServer,
+  HttpError,
+  DEFAULT_MAX_BODY_SIZE
+};
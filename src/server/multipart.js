@@ -0,0 +1,98 @@
+/**
+ * Multipart - разбор тела запроса multipart/form-data
+ * Тело уже прочитано целиком (с ограничением размера), поэтому разбор идёт по Buffer
+ */
+
+/**
+ * Ошибка разбора тела запроса
+ */
+class MultipartError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MultipartError';
+  }
+}
+
+/**
+ * Граница частей из заголовка Content-Type
+ * @param {string} contentType - Значение заголовка
+ * @returns {string|null}
+ */
+function getBoundary(contentType) {
+  const match = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType || '');
+  return match ? (match[1] || match[2]).trim() : null;
+}
+
+/**
+ * Параметры заголовка Content-Disposition: name, filename
+ */
+function parseDisposition(value) {
+  const params = {};
+  const regex = /;\s*([\w*]+)=(?:"((?:[^"\\]|\\.)*)"|([^;]*))/g;
+  let match;
+  while ((match = regex.exec(value)) !== null) {
+    params[match[1].toLowerCase()] = match[2] !== undefined ? match[2].replace(/\\(.)/g, '$1') : match[3].trim();
+  }
+  return params;
+}
+
+/**
+ * Разбор multipart/form-data
+ * @param {Buffer} body - Тело запроса
+ * @param {string} contentType - Заголовок Content-Type
+ * @returns {Array<{name, filename, contentType, data: Buffer}>} Части в порядке следования
+ * @throws {MultipartError} Если тело не соответствует формату
+ */
+function parseMultipart(body, contentType) {
+  const boundary = getBoundary(contentType);
+  if (!boundary) {
+    throw new MultipartError('В Content-Type не указан boundary');
+  }
+
+  const delimiter = Buffer.from(`--${boundary}`);
+  const parts = [];
+  let position = body.indexOf(delimiter);
+  if (position === -1) {
+    throw new MultipartError('Тело запроса не содержит частей multipart');
+  }
+
+  while (true) {
+    position += delimiter.length;
+    // "--" после границы - конец тела
+    if (body.slice(position, position + 2).toString() === '--') break;
+    position += 2; // CRLF после границы
+
+    const headersEnd = body.indexOf('\r\n\r\n', position);
+    if (headersEnd === -1) {
+      throw new MultipartError('Часть multipart без заголовков');
+    }
+    const next = body.indexOf(Buffer.from(`\r\n--${boundary}`), headersEnd);
+    if (next === -1) {
+      throw new MultipartError('Тело multipart оборвано');
+    }
+
+    const headers = {};
+    for (const line of body.slice(position, headersEnd).toString('utf-8').split('\r\n')) {
+      const colon = line.indexOf(':');
+      if (colon > 0) headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+    }
+
+    const disposition = parseDisposition(headers['content-disposition'] || '');
+    parts.push({
+      name: disposition.name || null,
+      filename: disposition.filename || null,
+      contentType: headers['content-type'] || null,
+      data: body.slice(headersEnd + 4, next)
+    });
+
+    position = next + 2;
+  }
+
+  return parts;
+}
+
+module.exports = {
+  MultipartError,
+  getBoundary,
+  parseMultipart
+};
@@ -30,6 +30,19 @@ module.exports = {
     quote: "21",            // Quote
     intenseQuote: "a6",     // Intense Quote
     
+    // Подписи рисунков и таблиц
+    caption: "a8",          // Caption
+    
+    // Сноски
+    footnoteText: "ab",     // footnote text
+    
+    // Комментарии рецензентов
+    commentText: "afc",     // annotation text
+    
+    // Колонтитулы
+    header: "af2",          // header
+    footer: "aa",           // footer
+    
     // Оглавление
     toc1: "12",
     toc2: "24", 
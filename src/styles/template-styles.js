@@ -1,32 +1,77 @@
 /**
  * Template Styles - извлечение и использование стилей из шаблона
- * Позволяет не хардкодить стили в коде, а брать их из gpn-template.docx
+ * Позволяет не хардкодить стили в коде, а брать их из шаблона docx:
+ * styleId параграфов ищутся по имени стиля, numId списков - по формату нумерации
  */
 
-const fs = require('fs');
-const path = require('path');
-const AdmZip = require('adm-zip');
+const { loadTemplate, readEntry, TEMPLATE_PARTS } = require('../assembler/template-handler');
+const { createFileCache } = require('../utils/file-cache');
+
+/**
+ * Стили, которые использует генератор: ключ styleIds -> имена стиля в styles.xml
+ * Word хранит встроенные стили под английскими именами; русские - для шаблонов,
+ * где стили созданы вручную. Без обязательных стилей документ собрать нельзя,
+ * необязательные заменяются стилем Normal
+ */
+const STYLE_NAMES = {
+  heading1: { names: ['heading 1', 'заголовок 1'], label: 'Heading 1', required: true },
+  heading2: { names: ['heading 2', 'заголовок 2'], label: 'Heading 2', required: true },
+  heading3: { names: ['heading 3', 'заголовок 3'], label: 'Heading 3', required: true },
+  heading4: { names: ['heading 4', 'заголовок 4'], label: 'Heading 4', required: true },
+  heading5: { names: ['heading 5', 'заголовок 5'], label: 'Heading 5' },
+  normal: { names: ['normal', 'обычный'], label: 'Normal', required: true },
+  title: { names: ['title', 'название'], label: 'Title' },
+  listParagraph: { names: ['list paragraph', 'абзац списка'], label: 'List Paragraph', required: true },
+  hyperlink: { names: ['hyperlink', 'гиперссылка'], label: 'Hyperlink' },
+  tableGrid: { names: ['table grid', 'сетка таблицы'], label: 'Table Grid' },
+  quote: { names: ['quote', 'цитата 2'], label: 'Quote' },
+  intenseQuote: { names: ['intense quote', 'выделенная цитата'], label: 'Intense Quote' },
+  caption: { names: ['caption', 'название объекта'], label: 'Caption' },
+  footnoteText: { names: ['footnote text', 'текст сноски'], label: 'Footnote Text' },
+  commentText: { names: ['annotation text', 'текст примечания'], label: 'Comment Text' },
+  header: { names: ['header', 'верхний колонтитул'], label: 'Header' },
+  footer: { names: ['footer', 'нижний колонтитул'], label: 'Footer' },
+  toc1: { names: ['toc 1', 'оглавление 1'], label: 'TOC 1' },
+  toc2: { names: ['toc 2', 'оглавление 2'], label: 'TOC 2' },
+  toc3: { names: ['toc 3', 'оглавление 3'], label: 'TOC 3' }
+};
+
+/**
+ * Стили, вычисленные для шаблонов с диска (путь -> результат extractStylesFromTemplate)
+ */
+const stylesCache = createFileCache(filePath => parseTemplateStyles(loadTemplate(filePath)));
+
+/**
+ * Ошибка соответствия шаблона и стилей генератора
+ */
+class TemplateStyleError extends Error {
+  constructor(message, missing = []) {
+    super(message);
+    this.name = 'TemplateStyleError';
+    this.missing = missing;
+  }
+}
 
 /**
  * Извлечь стили из шаблона
- * @param {string} templatePath - Путь к шаблону docx
- * @returns {Object} Конфигурация стилей
+ * @param {string|Buffer} template - Путь к шаблону docx или его содержимое
+ * @returns {Object} {styleIds, numbering, allStyles}; ненайденные стили и нумерации - null
+ */
+function extractStylesFromTemplate(template) {
+  return Buffer.isBuffer(template)
+    ? parseTemplateStyles(loadTemplate(template))
+    : stylesCache.get(template);
+}
+
+/**
+ * Стили и нумерация из архива шаблона
+ * @param {AdmZip} zip - Архив шаблона
+ * @returns {Object} {styleIds, numbering, allStyles}
  */
-function extractStylesFromTemplate(templatePath) {
-  const zip = new AdmZip(templatePath);
-  
-  // Читаем styles.xml
-  const stylesEntry = zip.getEntry('word/styles.xml');
-  const stylesXml = stylesEntry ? stylesEntry.getData().toString('utf-8') : '';
-  
-  // Читаем numbering.xml
-  const numberingEntry = zip.getEntry('word/numbering.xml');
-  const numberingXml = numberingEntry ? numberingEntry.getData().toString('utf-8') : '';
-  
-  // Парсим стили
-  const styles = parseStyles(stylesXml);
-  const numbering = parseNumbering(numberingXml);
-  
+function parseTemplateStyles(zip) {
+  const styles = parseStyles(readEntry(zip, TEMPLATE_PARTS.styles) || '');
+  const numbering = parseNumbering(readEntry(zip, TEMPLATE_PARTS.numbering) || '');
+
   return {
     ...styles,
     numbering
@@ -35,58 +80,44 @@ function extractStylesFromTemplate(templatePath) {
 
 /**
  * Парсинг styles.xml
+ * @param {string} xml - Содержимое styles.xml
+ * @returns {Object} {styleIds, allStyles}
  */
 function parseStyles(xml) {
   const styleMap = {};
-  
+
   // Регулярка для извлечения стилей
-  const styleRegex = /<w:style[^>]*w:styleId="([^"]+)"[^>]*>(.*?)<\/w:style>/gs;
+  const styleRegex = /<w:style\b([^>]*)>(.*?)<\/w:style>/gs;
   let match;
-  
+
   while ((match = styleRegex.exec(xml)) !== null) {
-    const styleId = match[1];
-    const body = match[2];
-    
-    const nameMatch = body.match(/<w:name w:val="([^"]+)"/);
-    const name = nameMatch ? nameMatch[1].toLowerCase() : '';
-    
+    const idMatch = match[1].match(/w:styleId="([^"]+)"/);
+    if (!idMatch) {
+      continue;
+    }
+
+    const styleId = idMatch[1];
+    const typeMatch = match[1].match(/w:type="([^"]+)"/);
+    const nameMatch = match[2].match(/<w:name w:val="([^"]+)"/);
+
     styleMap[styleId] = {
       id: styleId,
-      name: name,
+      type: typeMatch ? typeMatch[1] : 'paragraph',
+      name: nameMatch ? nameMatch[1].toLowerCase() : '',
       originalName: nameMatch ? nameMatch[1] : ''
     };
   }
-  
-  // Находим нужные стили по имени
-  const findStyleId = (searchNames) => {
-    for (const [id, style] of Object.entries(styleMap)) {
-      if (searchNames.some(n => style.name.includes(n.toLowerCase()))) {
-        return id;
-      }
-    }
-    return null;
-  };
-  
+
+  const styleIds = {};
+  for (const [key, { names }] of Object.entries(STYLE_NAMES)) {
+    styleIds[key] = names.map(name => findStyleByName(styleMap, name)).find(Boolean) || null;
+  }
+
   return {
     // Идентификаторы стилей параграфов
-    styleIds: {
-      heading1: findStyleByName(styleMap, 'heading 1') || '1',
-      heading2: findStyleByName(styleMap, 'heading 2') || '2',
-      heading3: findStyleByName(styleMap, 'heading 3') || '3',
-      heading4: findStyleByName(styleMap, 'heading 4') || '4',
-      heading5: findStyleByName(styleMap, 'heading 5') || '5',
-      normal: findStyleByName(styleMap, 'normal') || 'a',
-      listParagraph: findStyleByName(styleMap, 'list paragraph') || 'aff2',
-      hyperlink: findStyleByName(styleMap, 'hyperlink') || 'aff5',
-      title: findStyleByName(styleMap, 'title') || 'af6',
-      tableGrid: findStyleByName(styleMap, 'table grid') || 'afa',
-      toc1: findStyleByName(styleMap, 'toc 1') || '12',
-      toc2: findStyleByName(styleMap, 'toc 2') || '24',
-      toc3: findStyleByName(styleMap, 'toc 3') || '32',
-      quote: findStyleByName(styleMap, 'quote') || '21'
-    },
-    
-    // Все стили для отладки
+    styleIds,
+
+    // Все стили для отладки и явного сопоставления
     allStyles: styleMap
   };
 }
@@ -106,85 +137,133 @@ function findStyleByName(styleMap, name) {
 
 /**
  * Парсинг numbering.xml для списков
+ * Для маркированного и нумерованного списков берётся первый w:num (в порядке numbering.xml),
+ * у которого первый уровень имеет формат bullet / decimal
+ * @param {string} xml - Содержимое numbering.xml
+ * @returns {{bullet: string|null, decimal: string|null}}
  */
 function parseNumbering(xml) {
-  // Ищем abstractNum с bullet и decimal
-  const abstractNums = [];
-  const abstractRegex = /<w:abstractNum[^>]*w:abstractNumId="(\d+)"[^>]*>(.*?)<\/w:abstractNum>/gs;
-  
+  // Формат первого уровня каждого abstractNum
+  const abstractFormats = new Map();
+  const abstractRegex = /<w:abstractNum\b[^>]*w:abstractNumId="(\d+)"[^>]*>(.*?)<\/w:abstractNum>/gs;
+
   let match;
   while ((match = abstractRegex.exec(xml)) !== null) {
-    const id = match[1];
-    const body = match[2];
-    
-    // Проверяем тип нумерации
-    const numFmtMatch = body.match(/<w:numFmt w:val="([^"]+)"/);
-    const numFmt = numFmtMatch ? numFmtMatch[1] : '';
-    
-    abstractNums.push({ id, numFmt, body });
+    const firstLevel = match[2].match(/<w:lvl\b[^>]*w:ilvl="0"[^>]*>(.*?)<\/w:lvl>/s);
+    const numFmtMatch = (firstLevel ? firstLevel[1] : match[2]).match(/<w:numFmt w:val="([^"]+)"/);
+    abstractFormats.set(match[1], numFmtMatch ? numFmtMatch[1] : '');
   }
-  
-  // Ищем numId которые ссылаются на abstractNum
-  const nums = [];
+
+  const result = { bullet: null, decimal: null };
   const numRegex = /<w:num w:numId="(\d+)"[^>]*>.*?<w:abstractNumId w:val="(\d+)".*?<\/w:num>/gs;
-  
+
   while ((match = numRegex.exec(xml)) !== null) {
-    nums.push({
-      numId: match[1],
-      abstractNumId: match[2]
-    });
-  }
-  
-  // Находим numId для bullet и decimal
-  let bulletNumId = '1';
-  let decimalNumId = '2';
-  
-  for (const num of nums) {
-    const abstract = abstractNums.find(a => a.id === num.abstractNumId);
-    if (abstract) {
-      if (abstract.numFmt === 'bullet') {
-        bulletNumId = num.numId;
-      } else if (abstract.numFmt === 'decimal') {
-        decimalNumId = num.numId;
-      }
+    const numFmt = abstractFormats.get(match[2]);
+    if ((numFmt === 'bullet' || numFmt === 'decimal') && result[numFmt] === null) {
+      result[numFmt] = match[1];
     }
   }
-  
-  return {
-    bullet: bulletNumId,
-    decimal: decimalNumId
-  };
+
+  return result;
+}
+
+/**
+ * Поиск стиля шаблона по явному сопоставлению: styleId или имя стиля
+ * @param {Object} allStyles - Стили шаблона (styleId -> {name})
+ * @param {string} value - styleId или имя стиля
+ * @returns {string|null} styleId
+ */
+function resolveMappedStyle(allStyles, value) {
+  if (allStyles[value]) {
+    return value;
+  }
+  return findStyleByName(allStyles, value);
 }
 
 /**
  * Загрузить стили из шаблона и объединить с базовыми настройками
+ * Порядок приоритета: явное сопоставление (mapping) > styleIds/numberingIds из overrides >
+ * стили, найденные в шаблоне по имени. Необязательные ненайденные стили заменяются Normal
+ * @param {string|Buffer} template - Путь к шаблону или его содержимое
+ * @param {Object} options
+ * @param {Object} options.base - Базовые стили (по умолчанию gpn-styles)
+ * @param {Object} options.overrides - Явные styleIds / numberingIds (из конфигурации)
+ * @param {Object} options.mapping - Ключ styleIds -> styleId или имя стиля в шаблоне
+ * @returns {Object} Стили для билдеров
+ * @throws {TemplateStyleError} Если в шаблоне нет обязательного стиля или нумерации списков
  */
-function loadTemplateStyles(templatePath) {
-  const baseStyles = require('./gpn-styles');
-  
-  try {
-    const templateStyles = extractStylesFromTemplate(templatePath);
-    
-    return {
-      ...baseStyles,
-      styleIds: {
-        ...baseStyles.styleIds,
-        ...templateStyles.styleIds
-      },
-      numberingIds: {
-        ...baseStyles.numberingIds,
-        ...templateStyles.numbering
-      },
-      // Флаг что стили загружены из шаблона
-      fromTemplate: true
-    };
-  } catch (error) {
-    console.warn('Не удалось загрузить стили из шаблона:', error.message);
-    return baseStyles;
+function loadTemplateStyles(template, options = {}) {
+  const { base = require('./gpn-styles'), overrides = {}, mapping = {} } = options;
+  const templateName = Buffer.isBuffer(template) ? 'Шаблон' : `Шаблон ${template}`;
+  const templateStyles = extractStylesFromTemplate(template);
+
+  const styleIds = {
+    ...templateStyles.styleIds,
+    ...(overrides.styleIds || {})
+  };
+
+  for (const [key, value] of Object.entries(mapping)) {
+    const styleId = resolveMappedStyle(templateStyles.allStyles, value);
+    if (!styleId) {
+      throw new TemplateStyleError(
+        `${templateName}: стиль "${value}", указанный в styleMapping для ${key}, не найден`,
+        [key]
+      );
+    }
+    styleIds[key] = styleId;
+  }
+
+  const numberingIds = {
+    ...templateStyles.numbering,
+    ...(overrides.numberingIds || {})
+  };
+
+  // Обязательные стили и нумерация списков
+  const missing = Object.entries(STYLE_NAMES)
+    .filter(([key, { required }]) => required && !styleIds[key])
+    .map(([key, { label }]) => `${label} (${key})`);
+
+  for (const [key, label] of [['bullet', 'маркированный список'], ['decimal', 'нумерованный список']]) {
+    if (!numberingIds[key]) {
+      missing.push(`нумерация: ${label} (numberingIds.${key})`);
+    }
+  }
+
+  if (missing.length > 0) {
+    throw new TemplateStyleError(
+      `${templateName}: не найдены обязательные стили:\n  - ${missing.join('\n  - ')}\n` +
+      'Добавьте их в шаблон или укажите соответствие в styleMapping файла конфигурации',
+      missing
+    );
+  }
+
+  // Необязательные стили - Normal
+  const fallbacks = Object.keys(STYLE_NAMES).filter(key => !styleIds[key]);
+  for (const key of fallbacks) {
+    styleIds[key] = styleIds.normal;
+  }
+  if (fallbacks.length > 0) {
+    console.warn(`${templateName}: стили ${fallbacks.join(', ')} не найдены - используется Normal`);
   }
+
+  return {
+    ...base,
+    styleIds: {
+      ...base.styleIds,
+      ...styleIds
+    },
+    numberingIds: {
+      ...base.numberingIds,
+      ...numberingIds
+    },
+    // Флаг что стили загружены из шаблона
+    fromTemplate: true
+  };
 }
 
 module.exports = {
+  STYLE_NAMES,
+  TemplateStyleError,
   extractStylesFromTemplate,
   loadTemplateStyles,
   parseStyles,
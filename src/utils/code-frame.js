@@ -0,0 +1,49 @@
+/**
+ * Code frame - фрагмент исходного текста вокруг позиции ошибки
+ */
+
+/**
+ * Строки исходного файла вокруг line с указателем на column
+ *
+ *     4 |   shortName: "Test"
+ *   > 5 |   createdDate: 2025-01-01
+ *       |   ^
+ *     6 | history:
+ *
+ * @param {string} source - Исходный текст
+ * @param {number} line - Строка (с 1)
+ * @param {number} column - Колонка (с 1)
+ * @param {Object} options - {context: число строк до и после, по умолчанию 2}
+ * @returns {string} Фрагмент (пустая строка, если позиция вне текста)
+ */
+function codeFrame(source, line, column = 1, options = {}) {
+  const { context = 2 } = options;
+  const lines = String(source).replace(/\r\n?/g, '\n').split('\n');
+  
+  if (!line || line < 1 || line > lines.length) {
+    return '';
+  }
+  
+  const first = Math.max(1, line - context);
+  const last = Math.min(lines.length, line + context);
+  const width = String(last).length;
+  const frame = [];
+  
+  for (let number = first; number <= last; number++) {
+    const gutter = String(number).padStart(width);
+    const text = lines[number - 1];
+    frame.push(`${number === line ? '>' : ' '} ${gutter} |${text ? ' ' + text : ''}`);
+    
+    if (number === line) {
+      // Табуляции сохраняются, чтобы указатель совпал с колонкой
+      const padding = text.slice(0, Math.max(0, column - 1)).replace(/[^\t]/g, ' ');
+      frame.push(`  ${' '.repeat(width)} | ${padding}^`);
+    }
+  }
+  
+  return frame.join('\n');
+}
+
+module.exports = {
+  codeFrame
+};
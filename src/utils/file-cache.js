@@ -0,0 +1,51 @@
+/**
+ * File Cache - кэш значений, вычисленных по файлам на диске
+ * Значение пересчитывается, когда у файла меняется время изменения или размер,
+ * поэтому кэш безопасен и при повторной генерации в режиме --watch
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Создание кэша
+ * @param {Function} load - (filePath) => значение; вызывается при первом обращении и после изменения файла
+ * @returns {Object} {get(filePath), clear()}
+ */
+function createFileCache(load) {
+  const entries = new Map();
+
+  return {
+    /**
+     * Значение для файла (путь нормализуется)
+     * @param {string} filePath - Путь к файлу
+     * @returns {*}
+     * @throws {Error} Если файл не удалось прочитать
+     */
+    get(filePath) {
+      const resolvedPath = path.resolve(filePath);
+      const stat = fs.statSync(resolvedPath);
+      const stamp = `${stat.mtimeMs}:${stat.size}`;
+
+      const entry = entries.get(resolvedPath);
+      if (entry && entry.stamp === stamp) {
+        return entry.value;
+      }
+
+      const value = load(resolvedPath);
+      entries.set(resolvedPath, { stamp, value });
+      return value;
+    },
+
+    /**
+     * Очистка кэша
+     */
+    clear() {
+      entries.clear();
+    }
+  };
+}
+
+module.exports = {
+  createFileCache
+};
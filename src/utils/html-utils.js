@@ -0,0 +1,65 @@
+/**
+ * HTML утилиты для предпросмотра и экспорта документов в HTML
+ */
+
+/**
+ * Экранирование специальных символов HTML
+ * @param {string} text - Исходный текст
+ * @returns {string} Экранированный текст
+ */
+function escapeHtml(text) {
+  if (text == null) return '';
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Создание HTML атрибутов из объекта
+ * Атрибуты со значением undefined, null и false пропускаются, true - выводится без значения
+ * @param {Object} obj - Объект с атрибутами
+ * @returns {string} Строка атрибутов
+ */
+function attrs(obj) {
+  if (!obj) return '';
+  return Object.entries(obj)
+    .filter(([_, v]) => v !== undefined && v !== null && v !== false)
+    .map(([k, v]) => (v === true ? ` ${k}` : ` ${k}="${escapeHtml(v)}"`))
+    .join('');
+}
+
+/**
+ * Создание HTML тега
+ * @param {string} name - Имя тега
+ * @param {Object} attributes - Атрибуты
+ * @param {string|Array} content - Содержимое (уже HTML); null - пустой элемент (img, br)
+ * @returns {string} HTML строка
+ */
+function tag(name, attributes = {}, content = null) {
+  const attrStr = attrs(attributes);
+
+  if (content === null || content === undefined) {
+    return `<${name}${attrStr}>`;
+  }
+
+  const contentStr = Array.isArray(content) ? content.join('') : content;
+  return `<${name}${attrStr}>${contentStr}</${name}>`;
+}
+
+/**
+ * Цвет из конфигурации стилей (hex без #) для CSS
+ * @param {string} hex - Цвет, например "0072C6"
+ * @returns {string} "#0072C6"
+ */
+function cssColor(hex) {
+  return `#${hex}`;
+}
+
+module.exports = {
+  escapeHtml,
+  attrs,
+  tag,
+  cssColor
+};
@@ -0,0 +1,131 @@
+/**
+ * Объединённые ячейки таблиц Markdown
+ * Ячейка с текстом `<<` объединяется с ячейкой слева (w:gridSpan),
+ * ячейка с текстом `^^` - с ячейкой сверху (w:vMerge).
+ * Экранированный маркер (`\<<`, `\^^`) - обычный текст ячейки
+ */
+
+const MERGE_LEFT = '<<';
+const MERGE_UP = '^^';
+const MARKER_ESCAPE = '\\';
+
+/**
+ * Текст совпадает с маркером объединения
+ */
+function isMergeMarker(text) {
+  return text === MERGE_LEFT || text === MERGE_UP;
+}
+
+/**
+ * Экранирование текста ячейки, совпадающего с маркером (при записи Markdown)
+ * @param {string} text - Текст ячейки
+ * @returns {string}
+ */
+function escapeMergeMarker(text) {
+  return typeof text === 'string' && isMergeMarker(text.trim()) ? MARKER_ESCAPE + text.trim() : text;
+}
+
+/**
+ * Текст ячейки без экранирования маркера (при выводе в DOCX и HTML)
+ * @param {string} text - Текст ячейки
+ * @returns {string}
+ */
+function unescapeMergeMarker(text) {
+  if (typeof text !== 'string') return text;
+  const trimmed = text.trim();
+  return trimmed.startsWith(MARKER_ESCAPE) && isMergeMarker(trimmed.slice(1)) ? trimmed.slice(1) : text;
+}
+
+/**
+ * Раскладка ячеек таблицы с учётом маркеров объединения
+ * Маркер без ячейки, с которой можно объединиться (`<<` в первой колонке,
+ * `^^` в первой строке или под поглощённой ячейкой), остаётся обычным текстом
+ * @param {Array<Array<string|null>>} rows - Текст ячеек по строкам (null - не маркер)
+ * @returns {Array<Array<Object>>} Ячейки строк {index, column, colspan, rowspan, rows}:
+ *   index - индекс исходной ячейки, column - первая колонка сетки,
+ *   rowspan - 'restart' | 'continue' как в buildTableCell, rows - число строк объединения
+ */
+function resolveCellMerges(rows) {
+  const result = [];
+
+  rows.forEach((row, rowIndex) => {
+    const cells = [];
+    let column = 0;
+
+    row.forEach((text, index) => {
+      const marker = typeof text === 'string' ? text.trim() : null;
+      const previous = cells[cells.length - 1];
+
+      if (marker === MERGE_LEFT && previous) {
+        previous.colspan++;
+        column++;
+        return;
+      }
+
+      const cell = { index, column, colspan: 1 };
+
+      if (marker === MERGE_UP) {
+        const above = rowIndex > 0
+          ? result[rowIndex - 1].find(candidate => candidate.column === column)
+          : undefined;
+
+        if (above) {
+          const origin = above.origin || above;
+          origin.rowspan = origin.rowspan || 'restart';
+          origin.rows = (origin.rows || 1) + 1;
+          cell.rowspan = 'continue';
+          cell.origin = origin;
+        } else {
+          console.warn(`Маркер ${MERGE_UP} в строке ${rowIndex + 1} таблицы не над чем объединять`);
+        }
+      } else if (marker === MERGE_LEFT) {
+        console.warn(`Маркер ${MERGE_LEFT} в первой колонке строки ${rowIndex + 1} таблицы`);
+      }
+
+      cells.push(cell);
+      column++;
+    });
+
+    result.push(cells);
+  });
+
+  return result;
+}
+
+/**
+ * Ячейка AST (tableCell) записана экранированным маркером
+ * remark убирает `\` из значения текста, но его позиция в исходнике остаётся длиннее значения
+ * @param {Object} cell - AST узел tableCell
+ * @returns {boolean}
+ */
+function isEscapedMarkerCell(cell) {
+  const children = cell.children || [];
+  if (children.length !== 1 || children[0].type !== 'text' || !isMergeMarker(children[0].value)) {
+    return false;
+  }
+  const { position, value } = children[0];
+  return Boolean(position) && position.end.offset - position.start.offset > value.length;
+}
+
+/**
+ * Маркер объединения, если ячейка AST (tableCell) состоит только из него
+ * @param {Object} cell - AST узел tableCell
+ * @returns {string|null}
+ */
+function getCellMarker(cell) {
+  const children = cell.children || [];
+  if (children.length !== 1 || children[0].type !== 'text' || isEscapedMarkerCell(cell)) {
+    return null;
+  }
+  return children[0].value;
+}
+
+module.exports = {
+  MERGE_LEFT,
+  MERGE_UP,
+  escapeMergeMarker,
+  unescapeMergeMarker,
+  resolveCellMerges,
+  isEscapedMarkerCell,
+  getCellMarker
+};
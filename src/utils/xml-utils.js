@@ -118,16 +118,39 @@ function textRun(text, options = {}) {
 function paragraph(content, options = {}) {
   const pPr = [];
   
+  // Порядок элементов pPr задан схемой WordprocessingML
+  
   // Стиль параграфа
   if (options.style) {
     pPr.push(`<w:pStyle w:val="${options.style}"/>`);
   }
   
+  // Сохранять с следующим
+  if (options.keepNext) {
+    pPr.push('<w:keepNext/>');
+  }
+  
+  // Разрыв страницы перед
+  if (options.pageBreakBefore) {
+    pPr.push('<w:pageBreakBefore/>');
+  }
+  
   // Нумерация (списки)
   if (options.numId !== undefined) {
     pPr.push(`<w:numPr><w:ilvl w:val="${options.level || 0}"/><w:numId w:val="${options.numId}"/></w:numPr>`);
   }
   
+  // Интервалы
+  if (options.spacing) {
+    const spacingAttrs = [];
+    if (options.spacing.before !== undefined) spacingAttrs.push(`w:before="${options.spacing.before}"`);
+    if (options.spacing.after !== undefined) spacingAttrs.push(`w:after="${options.spacing.after}"`);
+    if (options.spacing.line !== undefined) spacingAttrs.push(`w:line="${options.spacing.line}"`);
+    if (spacingAttrs.length > 0) {
+      pPr.push(`<w:spacing ${spacingAttrs.join(' ')}/>`);
+    }
+  }
+  
   // Отступы
   if (options.indent) {
     const indentAttrs = [];
@@ -146,27 +169,6 @@ function paragraph(content, options = {}) {
     pPr.push(`<w:jc w:val="${alignMap[options.align] || options.align}"/>`);
   }
   
-  // Интервалы
-  if (options.spacing) {
-    const spacingAttrs = [];
-    if (options.spacing.before !== undefined) spacingAttrs.push(`w:before="${options.spacing.before}"`);
-    if (options.spacing.after !== undefined) spacingAttrs.push(`w:after="${options.spacing.after}"`);
-    if (options.spacing.line !== undefined) spacingAttrs.push(`w:line="${options.spacing.line}"`);
-    if (spacingAttrs.length > 0) {
-      pPr.push(`<w:spacing ${spacingAttrs.join(' ')}/>`);
-    }
-  }
-  
-  // Сохранять с следующим
-  if (options.keepNext) {
-    pPr.push('<w:keepNext/>');
-  }
-  
-  // Разрыв страницы перед
-  if (options.pageBreakBefore) {
-    pPr.push('<w:pageBreakBefore/>');
-  }
-  
   const pPrXml = pPr.length > 0 ? `<w:pPr>${pPr.join('')}</w:pPr>` : '';
   const contentStr = Array.isArray(content) ? content.join('') : (content || '');
   
@@ -216,6 +218,42 @@ function internalLink(anchor, text) {
   return `<w:hyperlink w:anchor="${anchor}">${runContent}</w:hyperlink>`;
 }
 
+/**
+ * Run с символом поля (fldChar)
+ * @param {string} type - begin | separate | end
+ * @returns {string} XML строка
+ */
+function fieldChar(type) {
+  return `<w:r><w:fldChar w:fldCharType="${type}"/></w:r>`;
+}
+
+/**
+ * Run с инструкцией поля
+ * @param {string} instruction - Текст инструкции (например, PAGEREF bookmark \h)
+ * @returns {string} XML строка
+ */
+function fieldInstruction(instruction) {
+  return `<w:r><w:instrText xml:space="preserve"> ${escapeXml(instruction)} </w:instrText></w:r>`;
+}
+
+/**
+ * Сложное поле Word (begin - instrText - separate - результат - end)
+ * Результат - предрассчитанное значение, которое Word заменит при обновлении полей
+ * @param {string} instruction - Инструкция поля (SEQ, REF, PAGEREF ...)
+ * @param {string} cachedText - Текст результата
+ * @param {Object} runOptions - Опции форматирования результата (см. textRun)
+ * @returns {string} XML строка
+ */
+function complexField(instruction, cachedText, runOptions = {}) {
+  return [
+    fieldChar('begin'),
+    fieldInstruction(instruction),
+    fieldChar('separate'),
+    textRun(cachedText, runOptions),
+    fieldChar('end')
+  ].join('');
+}
+
 /**
  * Генерация заголовка документа XML
  * @returns {string} XML declaration и открывающий тег document
@@ -227,20 +265,60 @@ function documentHeader() {
 }
 
 /**
- * Генерация закрывающей части документа с настройками секции
+ * Настройки раздела (w:sectPr)
  * @param {Object} styles - Конфигурация стилей
+ * @param {Object} options - Опции
+ * @param {string} options.orientation - portrait | landscape
+ * @param {Object} options.sectionRefs - rId колонтитулов {header, footer}
  * @returns {string} XML строка
  */
-function documentFooter(styles) {
+function sectionProperties(styles, options = {}) {
+  const { orientation = 'portrait', sectionRefs = {} } = options;
   const page = styles.page;
-  const rels = styles.templateRels;
+  const isLandscape = orientation === 'landscape';
+  
+  // Ссылки на колонтитулы идут первыми в w:sectPr
+  const refs = [];
+  if (sectionRefs.header) {
+    refs.push(`<w:headerReference w:type="default" r:id="${sectionRefs.header}"/>\n`);
+  }
+  if (sectionRefs.footer) {
+    refs.push(`<w:footerReference w:type="default" r:id="${sectionRefs.footer}"/>\n`);
+  }
+  
+  // Альбомная страница - те же размеры с переставленными сторонами, поля сохраняются
+  const pgSz = isLandscape
+    ? `<w:pgSz w:w="${page.height}" w:h="${page.width}" w:orient="landscape"/>`
+    : `<w:pgSz w:w="${page.width}" w:h="${page.height}"/>`;
   
   return `<w:sectPr>
-<w:pgSz w:w="${page.width}" w:h="${page.height}"/>
+${refs.join('')}${pgSz}
 <w:pgMar w:top="${page.margins.top}" w:right="${page.margins.right}" w:bottom="${page.margins.bottom}" w:left="${page.margins.left}" w:header="${page.margins.header}" w:footer="${page.margins.footer}" w:gutter="0"/>
 <w:cols w:space="708"/>
 <w:docGrid w:linePitch="360"/>
-</w:sectPr>
+</w:sectPr>`;
+}
+
+/**
+ * Ширина области текста страницы
+ * @param {Object} styles - Конфигурация стилей
+ * @param {string} orientation - portrait | landscape
+ * @returns {number} Ширина в twips
+ */
+function getTextWidth(styles, orientation = 'portrait') {
+  const { width, height, margins } = styles.page;
+  const pageWidth = orientation === 'landscape' ? height : width;
+  return pageWidth - margins.left - margins.right;
+}
+
+/**
+ * Генерация закрывающей части документа с настройками секции
+ * @param {Object} styles - Конфигурация стилей
+ * @param {Object} sectionRefs - rId колонтитулов {header, footer} (опционально)
+ * @returns {string} XML строка
+ */
+function documentFooter(styles, sectionRefs = {}) {
+  return `${sectionProperties(styles, { sectionRefs })}
 </w:body>
 </w:document>`;
 }
@@ -264,7 +342,12 @@ module.exports = {
   hyperlink,
   bookmark,
   internalLink,
+  fieldChar,
+  fieldInstruction,
+  complexField,
   documentHeader,
   documentFooter,
+  sectionProperties,
+  getTextWidth,
   pageBreak
 };
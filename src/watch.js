@@ -0,0 +1,180 @@
+/**
+ * Watch - повторная генерация документа при изменении исходников
+ *
+ * Отслеживаются Markdown файл, директория изображений, шаблон и файл конфигурации.
+ * Директории наблюдаются без рекурсии (recursive в fs.watch недоступен в Linux до Node 20):
+ * вложенные директории изображений добавляются по ссылкам на изображения в документе.
+ * События файловой системы собираются с задержкой (debounce): сохранение в редакторе
+ * часто порождает несколько событий подряд. Шаблон и размеры изображений кэшируются
+ * между запусками (см. utils/file-cache), поэтому повторная генерация быстрее первой.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { resolveConfig } = require('./config');
+const { resolveImagePath } = require('./assembler');
+
+/**
+ * Задержка перед генерацией после последнего изменения, мс
+ */
+const DEFAULT_DEBOUNCE = 200;
+
+/**
+ * Расширения файлов, изменение которых в директории изображений запускает генерацию
+ */
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.gif', '.bmp', '.tif', '.tiff'];
+
+/**
+ * Ссылки на изображения в Markdown: ![alt](url), ![alt](url){attrs}, ![alt](url{attrs})
+ * Сценарии функциональных таблиц - текст директивы, поэтому ищем по исходнику, а не по AST
+ */
+const IMAGE_LINK_PATTERN = /!\[[^\]]*\]\(([^)\s{]+)/g;
+
+/**
+ * Директории изображений, на которые ссылается документ
+ * @param {string} inputPath - Markdown файл
+ * @param {string} imagesDir - Директория изображений
+ * @returns {Array<string>} Абсолютные пути директорий
+ */
+function getImageDirs(inputPath, imagesDir) {
+  let markdown = '';
+  try {
+    markdown = fs.readFileSync(inputPath, 'utf-8');
+  } catch {
+    // Файл удалён или переименован - наблюдаем за директорией изображений
+  }
+
+  const dirs = new Set([path.resolve(imagesDir)]);
+  for (const match of markdown.matchAll(IMAGE_LINK_PATTERN)) {
+    if (/^https?:\/\//.test(match[1])) continue;
+    dirs.add(path.dirname(path.resolve(resolveImagePath(match[1], imagesDir))));
+  }
+
+  return [...dirs];
+}
+
+/**
+ * Наблюдение за документом и повторная генерация
+ * Ошибки генерации не останавливают наблюдение - они передаются в onResult
+ * @param {Object} options - Опции generate (inputPath обязателен)
+ * @param {number} options.debounce - Задержка после последнего изменения, мс
+ * @param {Object} handlers
+ * @param {Function} handlers.onStart - (changedFiles) => void, перед каждой генерацией
+ * @param {Function} handlers.onResult - (result) => void, результат generate и duration (мс)
+ * @returns {Object} {close()} - остановка наблюдения
+ */
+function watch(options, handlers = {}) {
+  // Отложенная загрузка: index экспортирует watch
+  const { generate } = require('./index');
+  const { debounce = DEFAULT_DEBOUNCE, ...generateOptions } = options;
+  const { onStart = () => {}, onResult = () => {} } = handlers;
+  const inputPath = path.resolve(generateOptions.inputPath);
+  const outputPath = path.resolve(generateOptions.outputPath || inputPath.replace(/\.md$/, `.${generateOptions.format || 'docx'}`));
+
+  const watchers = new Map();
+  let files = new Set();
+  let imageDirs = [];
+  let timer = null;
+  let running = false;
+  let pending = new Set();
+  let closed = false;
+
+  /**
+   * Отслеживаемые файлы и директории по текущей конфигурации
+   */
+  function resolveTargets() {
+    let config = {};
+    try {
+      config = resolveConfig({ config: generateOptions.config, inputPath });
+    } catch {
+      // Ошибку конфигурации сообщит generate; наблюдаем хотя бы за входным файлом
+    }
+
+    const template = generateOptions.templatePath || config.template;
+    const imagesDir = generateOptions.imagesDir || config.imagesDir || path.dirname(inputPath);
+
+    files = new Set([inputPath, template, config.path].filter(Boolean).map(file => path.resolve(file)));
+    imageDirs = getImageDirs(inputPath, imagesDir);
+
+    const dirs = new Set([...[...files].map(file => path.dirname(file)), ...imageDirs]);
+
+    // Снимаем наблюдение с директорий, которые больше не нужны
+    for (const [dir, watcher] of watchers) {
+      if (!dirs.has(dir)) {
+        watcher.close();
+        watchers.delete(dir);
+      }
+    }
+
+    for (const dir of dirs) {
+      if (watchers.has(dir) || !fs.existsSync(dir)) continue;
+
+      const watcher = fs.watch(dir, (event, filename) => {
+        if (filename) onChange(path.join(dir, filename.toString()));
+      });
+      watcher.on('error', () => {
+        watcher.close();
+        watchers.delete(dir);
+      });
+      watchers.set(dir, watcher);
+    }
+  }
+
+  /**
+   * Событие файловой системы: отбор относящихся к документу изменений
+   */
+  function onChange(filePath) {
+    if (closed || filePath === outputPath) return;
+
+    const isImage = IMAGE_EXTENSIONS.includes(path.extname(filePath).toLowerCase()) &&
+      imageDirs.includes(path.dirname(filePath));
+    if (!files.has(filePath) && !isImage) return;
+
+    pending.add(filePath);
+    clearTimeout(timer);
+    timer = setTimeout(run, debounce);
+  }
+
+  /**
+   * Генерация; изменения во время генерации запускают следующую после её окончания
+   */
+  async function run() {
+    if (closed) return;
+    if (running) {
+      timer = setTimeout(run, debounce);
+      return;
+    }
+
+    running = true;
+    const changed = [...pending];
+    pending = new Set();
+    onStart(changed);
+
+    const started = Date.now();
+    const result = await generate({ ...generateOptions, inputPath });
+    running = false;
+
+    if (closed) return;
+    resolveTargets();
+    onResult({ ...result, changed, duration: Date.now() - started });
+  }
+
+  resolveTargets();
+  timer = setTimeout(run, 0);
+
+  return {
+    close() {
+      closed = true;
+      clearTimeout(timer);
+      for (const watcher of watchers.values()) {
+        watcher.close();
+      }
+      watchers.clear();
+    }
+  };
+}
+
+module.exports = {
+  watch,
+  DEFAULT_DEBOUNCE
+};
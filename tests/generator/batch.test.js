@@ -0,0 +1,85 @@
+/**
+ * Тесты для пакетной конвертации
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { batchGenerate, batchReverse, expandInputs, globToRegExp, runBatch, writeBatchReport } = require('../../src/batch');
+
+const markdown = `---
+type: chtz
+metadata:
+  shortName: "Test"
+  consultant:
+    name: "John"
+  organization: "Test Org"
+---
+
+# 1. Раздел
+
+Текст
+`;
+
+function withProject(callback) {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'chtz-batch-'));
+  fs.mkdirSync(path.join(tempDir, 'specs', 'sub'), { recursive: true });
+  fs.writeFileSync(path.join(tempDir, 'specs', 'a.md'), markdown);
+  fs.writeFileSync(path.join(tempDir, 'specs', 'sub', 'b.md'), markdown.replace('Текст', '![Схема](images/missing.png)'));
+  fs.writeFileSync(path.join(tempDir, 'specs', 'sub', 'broken.md'), markdown.replace('type: chtz', 'type: other'));
+
+  return Promise.resolve(callback(tempDir))
+    .finally(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+}
+
+test('Glob patterns should match nested paths', () => {
+  assert.ok(globToRegExp('**/*.md').test('a.md'));
+  assert.ok(globToRegExp('**/*.md').test('sub/deep/a.md'));
+  assert.ok(!globToRegExp('*.md').test('sub/a.md'));
+  assert.ok(globToRegExp('{a,b}.docx').test('b.docx'));
+});
+
+test('Directories and globs should expand to files', () => withProject((tempDir) => {
+  const specs = path.join(tempDir, 'specs');
+  const names = items => items.map(item => path.relative(specs, item.file).split(path.sep).join('/'));
+
+  assert.deepStrictEqual(names(expandInputs([specs], ['.md'])), ['a.md', 'sub/b.md', 'sub/broken.md']);
+  assert.deepStrictEqual(names(expandInputs([path.join(specs, 'sub', 'b*.md')], ['.md'])), ['sub/b.md', 'sub/broken.md']);
+}));
+
+test('Batch should convert both directions and report each item', () => withProject(async (tempDir) => {
+  const outDir = path.join(tempDir, 'out');
+  const report = await batchGenerate([path.join(tempDir, 'specs')], { outDir, config: false, jobs: 2 });
+
+  assert.deepStrictEqual(report.summary, { total: 3, succeeded: 1, warnings: 1, failed: 1 });
+  assert.deepStrictEqual(report.items.map(item => item.status), ['success', 'warning', 'failed']);
+  assert.match(report.items[1].warnings[0], /Изображение не найдено/);
+  assert.match(report.items[2].error, /Неверный тип документа/);
+  assert.ok(fs.existsSync(path.join(outDir, 'sub', 'b.docx')));
+
+  const reportPath = path.join(outDir, 'report.json');
+  writeBatchReport(report, reportPath);
+  assert.strictEqual(JSON.parse(fs.readFileSync(reportPath, 'utf-8')).items[0].output, 'a.docx');
+
+  const reversed = await batchReverse([path.join(outDir, '**', '*.docx')], {
+    outDir: path.join(tempDir, 'md'),
+    config: false
+  });
+  assert.strictEqual(reversed.summary.failed, 0);
+  assert.ok(fs.readFileSync(path.join(tempDir, 'md', 'sub', 'b.md'), 'utf-8').includes('type: chtz'));
+}));
+
+test('Default number of jobs should fall back to CPU count without availableParallelism', async () => {
+  const { availableParallelism } = os;
+  delete os.availableParallelism;
+
+  try {
+    const items = [{ file: 'a.md' }, { file: 'b.md' }];
+    const report = await runBatch(items, async item => ({ output: item.file.replace('.md', '.docx') }));
+    assert.deepStrictEqual(report.items.map(item => item.output), ['a.docx', 'b.docx']);
+  } finally {
+    os.availableParallelism = availableParallelism;
+  }
+});
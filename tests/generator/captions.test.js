@@ -0,0 +1,82 @@
+/**
+ * Тесты для подписей рисунков/таблиц и перекрёстных ссылок
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseDocument } = require('../../src/parser');
+const { buildDocument } = require('../../src/builders');
+const styles = require('../../src/styles/gpn-styles');
+
+const yaml = `---
+type: chtz
+metadata:
+  shortName: "Test"
+  consultant:
+    name: "John"
+  organization: "Test Org"
+---
+`;
+
+test('Figures and tables should be numbered in document order', async () => {
+  const md = yaml + `
+![Первый](a.png){#fig:first}
+
+Таблица: Лимиты {#tbl:limits}
+
+| a | b |
+|---|---|
+| 1 | 2 |
+
+![Второй](b.png){#fig:second width="50%"}
+`;
+
+  const parsed = await parseDocument(md);
+
+  assert.deepStrictEqual(parsed.captions.get('fig:first'), {
+    kind: 'fig', number: 1, label: 'fig:first', text: 'Первый'
+  });
+  assert.strictEqual(parsed.captions.get('fig:second').number, 2);
+  assert.strictEqual(parsed.captions.get('tbl:limits').number, 1);
+  assert.strictEqual(parsed.captions.get('tbl:limits').text, 'Лимиты');
+});
+
+test('Cross-references should become REF fields to caption bookmarks', async () => {
+  const md = yaml + `
+См. [@tbl:limits], время 10:30.
+
+Таблица: Лимиты {#tbl:limits}
+
+| a | b |
+|---|---|
+| 1 | 2 |
+`;
+
+  const parsed = await parseDocument(md);
+  const xml = buildDocument(parsed, styles, { nextBookmarkId: (() => { let i = 1; return () => String(i++); })() });
+
+  assert.ok(xml.includes('REF tbl_limits \\h'));
+  assert.ok(xml.includes('<w:t>Таблица 1</w:t>'));
+  assert.ok(xml.includes('SEQ Таблица \\* ARABIC'));
+  assert.ok(xml.includes('w:name="tbl_limits"'));
+  assert.ok(xml.includes(`<w:pStyle w:val="${styles.styleIds.caption}"/>`));
+  // Текст с двоеточием не должен теряться при разборе директив
+  assert.ok(xml.includes(', время 10:30.'));
+});
+
+test('Unknown cross-reference labels should stay as text', async () => {
+  const md = yaml + `
+См. [@fig:missing].
+`;
+
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    const parsed = await parseDocument(md);
+    const xml = buildDocument(parsed, styles, {});
+    assert.ok(xml.includes('[@fig:missing]'));
+    assert.ok(!xml.includes('REF fig_missing'));
+  } finally {
+    console.warn = warn;
+  }
+});
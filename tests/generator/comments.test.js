@@ -0,0 +1,109 @@
+/**
+ * Тесты для комментариев рецензентов (:comment и :::comment)
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const AdmZip = require('adm-zip');
+const { generateBuffer } = require('../../src');
+const { parseDocument } = require('../../src/parser');
+const { buildTrackedDocument, createBuildContext } = require('../../src/builders');
+const { ReverseConverter } = require('../../src/reverse');
+const styles = require('../../src/styles/gpn-styles');
+
+const yaml = `---
+type: chtz
+metadata:
+  shortName: "Test"
+  consultant:
+    name: "John"
+  organization: "Test Org"
+history:
+  - version: "1.0"
+    date: "01.02.2025"
+    comment: "Создание"
+    author: "Иванов И.И."
+---
+`;
+
+const md = yaml + `
+# 1. Раздел
+
+Срок хранения данных:comment[Уточнить срок]{author="Петров П.П." date="05.03.2025"} - пять лет.
+
+Второй абзац раздела.
+
+:::comment
+Проверить с **заказчиком**.
+:::
+`;
+
+const readPart = (zip, name) => zip.getEntry(name).getData().toString('utf-8');
+
+test('Comments should be written to comments.xml with relationship and content type', async () => {
+  const zip = new AdmZip(await generateBuffer(md));
+
+  const comments = readPart(zip, 'word/comments.xml');
+  assert.ok(comments.includes('<w:comment w:id="0" w:author="Петров П.П." w:date="2025-03-05T00:00:00Z" w:initials="ПП"'));
+  assert.ok(comments.includes('Уточнить срок'));
+  assert.ok(comments.includes('<w:annotationRef/>'));
+  assert.ok(comments.includes(`<w:pStyle w:val="${styles.styleIds.commentText}"/>`));
+  // Без атрибутов автор - из последней записи истории изменений
+  assert.ok(comments.includes('<w:comment w:id="1" w:author="Иванов И.И."'));
+  assert.ok(comments.includes('<w:b/></w:rPr><w:t>заказчиком</w:t>'));
+
+  assert.ok(readPart(zip, 'word/_rels/document.xml.rels').includes('relationships/comments" Target="comments.xml"'));
+  assert.ok(readPart(zip, '[Content_Types].xml').includes('PartName="/word/comments.xml"'));
+
+  const documentXml = readPart(zip, 'word/document.xml');
+  for (const id of [0, 1]) {
+    assert.ok(documentXml.includes(`<w:commentRangeStart w:id="${id}"/>`));
+    assert.ok(documentXml.includes(`<w:commentRangeEnd w:id="${id}"/><w:r><w:commentReference w:id="${id}"/></w:r>`));
+  }
+  // Текст комментария не попадает в основной текст
+  assert.ok(!documentXml.includes('Уточнить срок'));
+  // :::comment привязан к предыдущему абзацу целиком
+  assert.ok(/<w:commentRangeStart w:id="1"\/>(?:(?!<\/w:p>)[\s\S])*Второй абзац/.test(documentXml));
+});
+
+test('Document without comments should not get comments.xml', async () => {
+  const zip = new AdmZip(await generateBuffer(yaml + '\n# 1. Раздел\n\nТекст.\n'));
+
+  assert.strictEqual(zip.getEntry('word/comments.xml'), null);
+  assert.ok(!readPart(zip, '[Content_Types].xml').includes('comments+xml'));
+});
+
+test('Comments should not become revisions in tracked document', async () => {
+  const previous = await parseDocument(yaml + '\n# 1. Раздел\n\nСрок хранения данных - три года.\n\nВторой абзац раздела.\n');
+  const current = await parseDocument(md.replace('пять лет', 'три года'));
+
+  const { xml, revisions } = buildTrackedDocument(current, previous, styles, createBuildContext());
+
+  assert.strictEqual(revisions, 0);
+  assert.ok(xml.includes('<w:commentRangeStart w:id="0"/>'));
+  assert.ok(xml.includes('<w:commentRangeStart w:id="1"/>'));
+  assert.ok(!xml.includes('<w:ins '));
+});
+
+test('Generated comments should be recognized by reverse conversion', async () => {
+  const converted = await new ReverseConverter({ comments: 'file' }).convert(await generateBuffer(md));
+
+  assert.ok(converted.success, converted.error);
+  assert.deepStrictEqual(
+    converted.comments.map(comment => [comment.author, comment.date, comment.text]),
+    [['Петров П.П.', '05.03.2025', 'Уточнить срок'], ['Иванов И.И.', '01.02.2025', 'Проверить с заказчиком.']]
+  );
+  assert.strictEqual(converted.comments[1].quote, 'Второй абзац раздела.');
+});
+
+test('Inline comment between spaces should not leave a double space', async () => {
+  const buffer = await generateBuffer(yaml + '\n# 1. Раздел\n\nАбзац :comment[Замечание]{author="Петров П.П."} продолжение.\n');
+  const documentXml = readPart(new AdmZip(buffer), 'word/document.xml');
+  const paragraph = documentXml.split('</w:p>').find(part => part.includes('<w:commentRangeStart'));
+  const text = (paragraph.match(/<w:t(?: [^>]*)?>[^<]*<\/w:t>/g) || []).map(run => run.replace(/<[^>]+>/g, '')).join('');
+  assert.strictEqual(text, 'Абзац продолжение.');
+
+  const converted = await new ReverseConverter({ extractImages: false }).convert(buffer);
+  assert.ok(converted.success, converted.error);
+  assert.ok(converted.markdown.includes('Абзац продолжение.'), converted.markdown);
+});
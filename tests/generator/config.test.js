@@ -0,0 +1,138 @@
+/**
+ * Тесты для конфигурации проекта (chtz.config.json / chtz.config.js)
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const { generate } = require('../../src');
+const { reverse } = require('../../src/reverse');
+const { findConfigFile, loadConfig, ConfigError } = require('../../src/config');
+const styles = require('../../src/styles/gpn-styles');
+
+const markdown = `---
+type: chtz
+metadata:
+  shortName: "Test"
+  consultant:
+    name: "John"
+  organization: "Test Org"
+---
+
+# 1. Требования
+
+:::function-table{#func-1}
+function: Загрузка заказов
+task: SHOP-42
+scenario: |
+  Пользователь загружает заказы
+:::
+`;
+
+function withProject(config, callback) {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'chtz-config-'));
+  const docsDir = path.join(tempDir, 'docs', 'chtz');
+  fs.mkdirSync(docsDir, { recursive: true });
+  fs.writeFileSync(path.join(tempDir, 'chtz.config.json'), JSON.stringify(config));
+
+  return Promise.resolve(callback(tempDir, docsDir))
+    .finally(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+}
+
+test('Config should be discovered upward from the input file', () => withProject({}, (tempDir, docsDir) => {
+  assert.strictEqual(findConfigFile(docsDir), path.join(tempDir, 'chtz.config.json'));
+}));
+
+test('Config should override styles and build task links from the pattern', () => withProject({
+  styles: { colors: { tableHeaderBackground: 'AA0000' } },
+  taskUrlPattern: 'https://jira.example.com/browse/{task}'
+}, async (tempDir, docsDir) => {
+  const inputPath = path.join(docsDir, 'document.md');
+  const outputPath = path.join(docsDir, 'document.docx');
+  fs.writeFileSync(inputPath, markdown);
+
+  const result = await generate({ inputPath, outputPath });
+  assert.ok(result.success, result.error);
+
+  const zip = new AdmZip(outputPath);
+  const documentXml = zip.readAsText('word/document.xml');
+  const rels = zip.readAsText('word/_rels/document.xml.rels');
+  assert.ok(documentXml.includes('w:fill="AA0000"'));
+  assert.ok(rels.includes('Target="https://jira.example.com/browse/SHOP-42"'));
+
+  // Корпоративные стили не изменяются
+  assert.strictEqual(styles.colors.tableHeaderBackground, '0072C6');
+
+  // Ссылка по шаблону не попадает в Markdown - генератор восстановит её сам
+  const converted = await reverse(outputPath);
+  assert.ok(converted.success, converted.error);
+  assert.ok(converted.markdown.includes('task: SHOP-42'));
+  assert.ok(!converted.markdown.includes('taskUrl:'));
+}));
+
+test('Section catalog from config should drive strict validation', () => withProject({
+  sections: [{ id: 'requirements', title: '1. Требования' }],
+  strict: true
+}, async (tempDir, docsDir) => {
+  const inputPath = path.join(docsDir, 'document.md');
+  const outputPath = path.join(docsDir, 'document.docx');
+  fs.writeFileSync(inputPath, markdown);
+
+  const result = await generate({ inputPath, outputPath });
+  assert.ok(result.success, result.error);
+
+  // Без каталога строгий режим требует 10 разделов ЧТЗ
+  const withoutConfig = await reverse(outputPath, { config: false, strict: true });
+  assert.strictEqual(withoutConfig.success, false);
+
+  const converted = await reverse(outputPath);
+  assert.ok(converted.success, converted.error);
+}));
+
+test('Invalid config should raise ConfigError with the file path', () => withProject({
+  taskUrlPattern: 'https://jira.example.com/browse/'
+}, tempDir => {
+  const configPath = path.join(tempDir, 'chtz.config.json');
+  assert.throws(() => loadConfig(configPath), error =>
+    error instanceof ConfigError && error.message.startsWith(configPath)
+  );
+}));
+
+test('Edited JS config should be loaded again', () => withProject({}, tempDir => {
+  const configPath = path.join(tempDir, 'chtz.config.js');
+  const writeConfig = task => fs.writeFileSync(configPath,
+    `module.exports = { taskUrlPattern: 'https://${task}.example.com/browse/{task}' };`);
+
+  writeConfig('jira');
+  assert.strictEqual(loadConfig(configPath).taskUrlPattern, 'https://jira.example.com/browse/{task}');
+
+  writeConfig('youtrack');
+  assert.strictEqual(loadConfig(configPath).taskUrlPattern, 'https://youtrack.example.com/browse/{task}');
+}));
+
+test('Header and footer from config should be written to DOCX', () => withProject({
+  header: { left: '{metadata.shortName}', right: 'Версия {version}' }
+}, async (tempDir, docsDir) => {
+  const inputPath = path.join(docsDir, 'document.md');
+  const outputPath = path.join(docsDir, 'document.docx');
+  fs.writeFileSync(inputPath, markdown);
+
+  const result = await generate({ inputPath, outputPath });
+  assert.ok(result.success, result.error);
+
+  const zip = new AdmZip(outputPath);
+  assert.ok(zip.readAsText('word/header1.xml').includes('<w:t>Test</w:t>'));
+  assert.strictEqual(zip.getEntry('word/footer1.xml'), null);
+  assert.ok(zip.readAsText('word/document.xml').includes('<w:headerReference'));
+}));
+
+test('Invalid header in config should raise ConfigError', () => withProject({
+  footer: { middle: 'стр. {page}' }
+}, tempDir => {
+  assert.throws(() => loadConfig(path.join(tempDir, 'chtz.config.json')), error =>
+    error instanceof ConfigError && error.message.includes('footer')
+  );
+}));
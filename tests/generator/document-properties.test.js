@@ -0,0 +1,53 @@
+/**
+ * Тесты для свойств документа (docProps/core.xml, docProps/custom.xml)
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseDocument } = require('../../src/parser');
+const { buildCoreProperties, buildCustomProperties } = require('../../src/builders/properties-builder');
+
+const md = `---
+type: chtz
+metadata:
+  shortName: "Учёт & отчётность"
+  consultant:
+    name: "John"
+    email: "john@example.com"
+  organization: "Test Org"
+  createdDate: "15.01.2025"
+history:
+  - version: "1.0"
+    date: "15.01.2025"
+    comment: "Создание"
+    author: "John"
+  - version: "1.1"
+    date: "20.02.2025"
+    comment: "Правки"
+    author: "Mary"
+---
+`;
+
+test('Core properties should be filled from metadata and latest history entry', async () => {
+  const parsed = await parseDocument(md);
+  const xml = buildCoreProperties(parsed);
+
+  assert.ok(xml.includes('<dc:title>Учёт &amp; отчётность</dc:title>'));
+  assert.ok(xml.includes('<dc:creator>John</dc:creator>'));
+  assert.ok(xml.includes('<dc:subject>Test Org</dc:subject>'));
+  assert.ok(xml.includes('<cp:lastModifiedBy>Mary</cp:lastModifiedBy>'));
+  assert.ok(xml.includes('<cp:version>1.1</cp:version>'));
+  assert.ok(xml.includes('<dcterms:created xsi:type="dcterms:W3CDTF">2025-01-15T00:00:00Z</dcterms:created>'));
+  assert.ok(xml.includes('<dcterms:modified xsi:type="dcterms:W3CDTF">2025-02-20T00:00:00Z</dcterms:modified>'));
+});
+
+test('Custom properties should skip empty values and number pids from 2', async () => {
+  const parsed = await parseDocument(md.replace('    email: "john@example.com"\n', ''));
+  const xml = buildCustomProperties(parsed);
+
+  assert.ok(xml.includes('pid="2" name="ShortName"'));
+  assert.ok(xml.includes('pid="3" name="Consultant"'));
+  assert.ok(!xml.includes('ConsultantEmail'));
+  assert.ok(xml.includes('name="Version"><vt:lpwstr>1.1</vt:lpwstr>'));
+  assert.ok(xml.includes('name="CreatedDate"><vt:lpwstr>15.01.2025</vt:lpwstr>'));
+});
@@ -0,0 +1,28 @@
+/**
+ * Тесты для генерации примеров из examples/
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const { generate } = require('../../src');
+
+test('examples/template.md should be generated end to end', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'chtz-examples-'));
+
+  try {
+    const outputPath = path.join(dir, 'template.docx');
+    const result = await generate({
+      inputPath: path.join(__dirname, '..', '..', 'examples', 'template.md'),
+      outputPath
+    });
+
+    assert.ok(result.success, result.error);
+    assert.ok(new AdmZip(outputPath).readAsText('word/document.xml').includes('<w:body>'));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
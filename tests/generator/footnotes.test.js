@@ -0,0 +1,55 @@
+/**
+ * Тесты для сносок
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseDocument } = require('../../src/parser');
+const { buildDocument, buildFootnotes } = require('../../src/builders');
+const styles = require('../../src/styles/gpn-styles');
+
+const yaml = `---
+type: chtz
+metadata:
+  shortName: "Test"
+  consultant:
+    name: "John"
+  organization: "Test Org"
+---
+`;
+
+test('Footnotes should be numbered by first reference', async () => {
+  const md = yaml + `
+Текст[^b] и ещё[^a], повтор[^b].
+
+[^a]: Вторая сноска.
+
+[^b]: Первая **сноска**.
+`;
+
+  const parsed = await parseDocument(md);
+
+  assert.deepStrictEqual(parsed.footnotes.map(f => [f.id, f.identifier]), [[1, 'b'], [2, 'a']]);
+
+  const xml = buildDocument(parsed, styles, {});
+  assert.strictEqual((xml.match(/<w:footnoteReference w:id="1"\/>/g) || []).length, 1);
+  assert.ok(xml.includes('<w:footnoteReference w:id="2"/>'));
+  // Определения сносок не попадают в основной текст
+  assert.ok(!xml.includes('Вторая сноска'));
+});
+
+test('Footnote bodies should be rendered for footnotes.xml', async () => {
+  const md = yaml + `
+Текст[^note].
+
+[^note]: Текст **сноски**.
+`;
+
+  const parsed = await parseDocument(md);
+  const xml = buildFootnotes(parsed.footnotes, styles);
+
+  assert.ok(xml.startsWith('<w:footnote w:id="1">'));
+  assert.ok(xml.includes('<w:footnoteRef/>'));
+  assert.ok(xml.includes(`<w:pStyle w:val="${styles.styleIds.footnoteText}"/>`));
+  assert.ok(xml.includes('<w:b/></w:rPr><w:t>сноски</w:t>'));
+});
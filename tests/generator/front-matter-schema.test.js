@@ -0,0 +1,98 @@
+/**
+ * Тесты для JSON Schema front matter
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const matter = require('gray-matter');
+const { FRONT_MATTER_SCHEMA, validateSchema } = require('../../src/parser/front-matter-schema');
+const { parseYaml } = require('../../src/parser/yaml-parser');
+const { lint } = require('../../src/lint');
+const { resolveConfig, ConfigError } = require('../../src/config');
+
+const source = `---
+type: chtz
+metadata:
+  shortName: "Test"
+  consultant:
+    name: "John"
+  organization: "Test Org"
+  projectCode: "PRJ-7"
+history:
+  - version: 1.0
+    date: "2025-01-15"
+---
+
+# 1. Раздел
+`;
+
+test('Example documents should match the schema', () => {
+  const examples = path.join(__dirname, '..', '..', 'examples');
+  for (const file of ['full/document.md', 'demo/document.md', 'template.md']) {
+    const { data } = matter(fs.readFileSync(path.join(examples, file), 'utf-8'));
+    assert.deepStrictEqual(validateSchema(FRONT_MATTER_SCHEMA, data), [], file);
+  }
+});
+
+test('Schema should report date format and allow unknown fields', () => {
+  assert.throws(() => parseYaml(source), error => {
+    assert.deepStrictEqual(error.errors.map(e => `${e.field}:${e.line}`), ['history[0].date:11']);
+    assert.match(error.message, /Неверный формат даты: 2025-01-15/);
+    return true;
+  });
+
+  // Поля вне схемы генерировались и до её появления
+  assert.doesNotThrow(() => parseYaml(source.replace('"2025-01-15"', '"15.01.2025"').replace('projectCode', 'project')));
+  assert.deepStrictEqual(
+    validateSchema(FRONT_MATTER_SCHEMA, { type: 'chtz', metadata: { shortName: 'A', consultant: { name: 'B' }, organization: 'C' }, toc: { levels: 4 } })
+      .map(error => error.field),
+    ['toc']
+  );
+});
+
+test('Lint should warn about fields missing from the schema', async () => {
+  const fixed = source.replace('"2025-01-15"', '"15.01.2025"').replace('  - version: 1.0', '  - version: 1.0\n    reviewer: "Ann"');
+  const result = await lint(fixed, { rules: { 'section-order': 'off' } });
+
+  assert.deepStrictEqual(
+    result.diagnostics.map(d => `${d.ruleId}:${d.severity}:${d.line}:${d.column}`),
+    ['unknown-front-matter-field:warning:8:3', 'unknown-front-matter-field:warning:11:5']
+  );
+  assert.match(result.diagnostics[0].message, /metadata\.projectCode/);
+  assert.match(result.diagnostics[1].message, /history\[0\]\.reviewer/);
+
+  // Поле, добавленное в конфигурации, известно
+  const config = resolveConfig({ config: { frontMatter: { fields: { 'metadata.projectCode': { type: 'string' } } } } });
+  const configured = await lint(fixed, { config, rules: { 'section-order': 'off' } });
+  assert.deepStrictEqual(configured.diagnostics.map(d => d.message), ['Поле history[0].reviewer не описано в схеме front matter']);
+});
+
+test('Config fields should extend the schema', () => {
+  const config = resolveConfig({
+    config: {
+      frontMatter: {
+        fields: {
+          'metadata.projectCode': { type: 'string', pattern: '^PRJ-\\d+$' },
+          'metadata.reviewer': { type: 'string' }
+        },
+        required: ['metadata.reviewer']
+      }
+    }
+  });
+  const schema = config.frontMatterSchema;
+
+  assert.deepStrictEqual(schema.properties.metadata.properties.projectCode.pattern, '^PRJ-\\d+$');
+  // Базовая схема не изменяется
+  assert.ok(!FRONT_MATTER_SCHEMA.properties.metadata.properties.projectCode);
+
+  const fixed = source.replace('"2025-01-15"', '"15.01.2025"');
+  assert.throws(() => parseYaml(fixed, { schema }), /Отсутствует обязательное поле: metadata.reviewer/);
+  assert.doesNotThrow(() => parseYaml(fixed.replace('organization:', 'reviewer: "Ann"\n  organization:'), { schema }));
+
+  assert.throws(
+    () => resolveConfig({ config: { frontMatter: { fields: { 'type.code': { type: 'string' } } } } }),
+    ConfigError
+  );
+});
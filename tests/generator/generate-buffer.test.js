@@ -0,0 +1,59 @@
+/**
+ * Тесты для генерации документа в памяти (generateBuffer)
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const { generateBuffer } = require('../../src');
+
+const md = `---
+type: chtz
+metadata:
+  shortName: "Test"
+  consultant:
+    name: "John"
+  organization: "Test Org"
+---
+
+# 1. Раздел
+
+![Скриншот](images/screen.png){width="50%"}
+`;
+
+test('generateBuffer should build DOCX from a string with images and template in memory', async () => {
+  const image = fs.readFileSync(path.join(__dirname, '..', 'test-images', 'images', 'test-screenshot.png'));
+  const template = fs.readFileSync(path.join(__dirname, '..', '..', 'templates', 'gpn-template.docx'));
+
+  const buffer = await generateBuffer(md, {
+    images: new Map([['images/screen.png', image]]),
+    template
+  });
+
+  assert.ok(Buffer.isBuffer(buffer));
+
+  const zip = new AdmZip(buffer);
+  const media = zip.getEntries().filter(entry => entry.entryName.startsWith('word/media/'));
+  assert.ok(media.some(entry => entry.getData().equals(image)));
+
+  const documentXml = zip.getEntry('word/document.xml').getData().toString('utf-8');
+  const rels = zip.getEntry('word/_rels/document.xml.rels').getData().toString('utf-8');
+  const rId = documentXml.match(/r:embed="(rId\d+)"/)[1];
+  assert.ok(rels.includes(`Id="${rId}"`));
+});
+
+test('generateBuffer should warn about images missing from the map', async () => {
+  const warnings = [];
+  const warn = console.warn;
+  console.warn = message => warnings.push(message);
+  try {
+    const buffer = await generateBuffer(Buffer.from(md));
+    const documentXml = new AdmZip(buffer).getEntry('word/document.xml').getData().toString('utf-8');
+    assert.ok(!documentXml.includes('r:embed'));
+    assert.ok(warnings.some(message => message.includes('images/screen.png')));
+  } finally {
+    console.warn = warn;
+  }
+});
@@ -0,0 +1,69 @@
+/**
+ * Тесты для колонтитулов
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { buildHeadersFooters, buildTemplateRuns } = require('../../src/builders/header-footer-builder');
+const styles = require('../../src/styles/gpn-styles');
+
+const data = {
+  metadata: { shortName: 'Интеграция ЭДО', organization: 'ООО «Компания»' },
+  version: '1.0',
+  history: [
+    { version: '1.2', date: '20.02.2025' },
+    { version: '1.1', date: '01.02.2025' }
+  ]
+};
+
+function createContext() {
+  const parts = [];
+  return {
+    parts,
+    addHeaderFooter(kind, xml) {
+      parts.push({ kind, xml });
+      return `rId${kind}`;
+    }
+  };
+}
+
+test('Header/footer templates should resolve metadata, latest version and page fields', () => {
+  const runs = buildTemplateRuns('{metadata.shortName}, версия {version}, стр. {page} из {pages}', data);
+
+  assert.ok(runs.includes('Интеграция ЭДО, версия 1.2, стр. '));
+  assert.ok(runs.includes(' PAGE '));
+  assert.ok(runs.includes(' NUMPAGES '));
+});
+
+test('Document without header and footer settings should get no header or footer', () => {
+  const context = createContext();
+
+  assert.deepStrictEqual(buildHeadersFooters(data, styles, context), {});
+  assert.strictEqual(context.parts.length, 0);
+});
+
+test('Standard header and footer should be registered in context for true', () => {
+  const context = createContext();
+  const refs = buildHeadersFooters({ ...data, header: true, footer: true }, styles, context);
+
+  assert.deepStrictEqual(refs, { header: 'rIdheader', footer: 'rIdfooter' });
+  assert.ok(context.parts[0].xml.includes('<w:hdr '));
+  assert.ok(context.parts[0].xml.includes(`<w:pStyle w:val="${styles.styleIds.header}"/>`));
+  assert.ok(context.parts[1].xml.includes('<w:ftr '));
+});
+
+test('Disabled header should not be generated', () => {
+  const context = createContext();
+  const refs = buildHeadersFooters({ ...data, header: false, footer: 'стр. {page}' }, styles, context);
+
+  assert.deepStrictEqual(Object.keys(refs), ['footer']);
+  assert.strictEqual(context.parts.length, 1);
+});
+
+test('Header and footer from config should apply unless YAML overrides them', () => {
+  const context = { ...createContext(), headerFooter: { header: '{metadata.organization}', footer: true } };
+  const refs = buildHeadersFooters({ ...data, footer: false }, styles, context);
+
+  assert.deepStrictEqual(Object.keys(refs), ['header']);
+  assert.ok(context.parts[0].xml.includes('ООО «Компания»'));
+});
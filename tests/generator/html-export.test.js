@@ -0,0 +1,139 @@
+/**
+ * Тесты для экспорта в HTML (generate с format: 'html')
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { generate } = require('../../src');
+
+// PNG 1x1
+const PNG = Buffer.from(
+  'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==',
+  'base64'
+);
+
+const markdown = `---
+type: chtz
+metadata:
+  shortName: "Экспорт"
+  consultant:
+    name: "John"
+    email: "john@example.com"
+  organization: "Test Org"
+history:
+  - version: "1.0"
+    date: "01.02.2025"
+    comment: "Создание"
+toc: true
+---
+
+# 1. Термины
+
+:::terms
+| Термин | Определение |
+|--------|-------------|
+| ЧТЗ | Частное техническое задание |
+:::
+
+# 2. Изменения
+
+## 2.1. Сравнение
+
+:::changes-table
+| Как есть | Как будет |
+|----------|-----------|
+| Вручную | Автоматически |
+:::
+
+![Схема](scheme.png){#fig:scheme caption="Общая схема"}
+
+:::function-table{#func-1}
+function: Подписание документа
+task: TASK-1
+scenario: |
+  1. Открыть документ
+:::
+`;
+
+/**
+ * Временная директория с документом
+ */
+function createDocument(source, files = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'chtz-html-'));
+  const inputPath = path.join(dir, 'document.md');
+  fs.writeFileSync(inputPath, source, 'utf-8');
+  for (const [name, data] of Object.entries(files)) {
+    fs.writeFileSync(path.join(dir, name), data);
+  }
+  return { dir, inputPath };
+}
+
+test('HTML export should write a self-contained page next to the document', async () => {
+  const { dir, inputPath } = createDocument(markdown, { 'scheme.png': PNG });
+
+  try {
+    const result = await generate({ inputPath, config: false, format: 'html' });
+
+    assert.strictEqual(result.success, true, result.error);
+    assert.strictEqual(result.outputPath, path.join(dir, 'document.html'));
+    assert.deepStrictEqual(result.stats, { headings: 3, images: 1, hyperlinks: 0 });
+
+    const html = fs.readFileSync(result.outputPath, 'utf-8');
+    assert.match(html, /^<!DOCTYPE html>/);
+    assert.match(html, /<title>Экспорт<\/title>/);
+    assert.match(html, /<img src="data:image\/png;base64,[A-Za-z0-9+/=]+" alt="Схема">/);
+    assert.doesNotMatch(html, /src="(?!data:)/);
+
+    // Тема: цвета и шрифты gpn-styles
+    assert.match(html, /<style>[^]*#0072C6[^]*<\/style>/);
+    assert.match(html, /font-family: "Times New Roman"/);
+
+    // Шапка, оглавление и таблицы директив
+    assert.match(html, /<th colspan="4">Общее описание изменения<\/th>/);
+    assert.match(html, /<nav class="toc">/);
+    assert.match(html, /<li class="toc-2"><a href="#[^"]+">2\.1\. Сравнение<\/a><\/li>/);
+    assert.match(html, /<table class="terms-table">/);
+    assert.match(html, /<table class="changes-table">/);
+    assert.match(html, /<table class="function-table" id="func-1">/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('HTML export should support check mode and missing images', async () => {
+  const { dir, inputPath } = createDocument(markdown);
+  const warn = console.warn;
+  const warnings = [];
+  console.warn = message => warnings.push(message);
+
+  try {
+    const outputPath = path.join(dir, 'out', 'page.html');
+    fs.mkdirSync(path.dirname(outputPath));
+
+    const stale = await generate({ inputPath, outputPath, config: false, format: 'html', check: true });
+    assert.strictEqual(stale.upToDate, false);
+    assert.strictEqual(fs.existsSync(outputPath), false);
+
+    const result = await generate({ inputPath, outputPath, config: false, format: 'html' });
+    assert.strictEqual(result.success, true, result.error);
+    assert.strictEqual(result.stats.images, 0);
+    assert.match(fs.readFileSync(outputPath, 'utf-8'), /<p class="image-missing">/);
+    assert.ok(warnings.some(message => message.includes('scheme.png')));
+
+    const fresh = await generate({ inputPath, outputPath, config: false, format: 'html', check: true });
+    assert.strictEqual(fresh.upToDate, true);
+  } finally {
+    console.warn = warn;
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('Unknown output format should fail', async () => {
+  const result = await generate({ inputPath: 'document.md', format: 'pdf' });
+
+  assert.strictEqual(result.success, false);
+  assert.match(result.error, /Неизвестный формат: pdf/);
+});
@@ -0,0 +1,152 @@
+/**
+ * Тесты для HTML билдеров и предпросмотра (--preview)
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { preview } = require('../../src');
+const { parseDocument } = require('../../src/parser');
+const { buildHtmlDocument, buildHtmlPage, createHtmlContext } = require('../../src/html-builders');
+const styles = require('../../src/styles/gpn-styles');
+
+const markdown = `---
+type: chtz
+metadata:
+  shortName: "Test <preview>"
+  consultant:
+    name: "John"
+    email: "john@example.com"
+  organization: "Test Org"
+history:
+  - version: "1.0"
+    date: "01.02.2025"
+    comment: "Создание"
+---
+
+# 1. Раздел
+
+Текст со сноской[^1] и ссылкой на [@fig:scheme].
+
+![Схема](images/scheme.png){#fig:scheme caption="Общая схема"}
+
+:::note{type="warning"}
+**Важно:** проверить права
+:::
+
+:::function-table{#func-1}
+function: Подписание документа
+task: TASK-1
+scenario: |
+  1. Открыть документ
+  2. Нажать **Подписать**
+:::
+
+[^1]: Текст сноски
+`;
+
+test('HTML builders should render header tables, directives and captions', async () => {
+  const parsedData = await parseDocument(markdown);
+  const context = createHtmlContext({
+    resolveImage: imagePath => `/media/${imagePath}`,
+    taskUrlPattern: 'https://tracker.example.com/{task}'
+  });
+  const html = buildHtmlDocument(parsedData, context);
+
+  assert.match(html, /<th colspan="4">Общее описание изменения<\/th>/);
+  assert.match(html, /<td colspan="3">Test &lt;preview&gt;<\/td>/);
+  assert.match(html, /<td>john@example\.com<\/td>/);
+  assert.match(html, /История изменений:.*<td>01\.02\.2025<\/td>/s);
+  assert.match(html, /<h1 id="1-раздел">1\. Раздел<\/h1>/);
+  assert.match(html, /<img src="\/media\/images\/scheme\.png" alt="Схема">/);
+  assert.match(html, /<a href="#fig_scheme">Рисунок 1<\/a>/);
+  assert.match(html, /<p class="caption caption-fig"><span id="fig_scheme">Рисунок 1<\/span>\. Общая схема<\/p>/);
+  assert.match(html, /<div class="note note-warning"><p><strong>Важно:<\/strong> проверить права<\/p><\/div>/);
+  assert.match(html, /<table class="function-table" id="func-1">/);
+  assert.match(html, /<a href="https:\/\/tracker\.example\.com\/TASK-1">TASK-1<\/a>/);
+  assert.match(html, /<ol><li>Открыть документ<\/li><li>Нажать <strong>Подписать<\/strong><\/li><\/ol>/);
+  assert.match(html, /<li id="fn-1" value="1">Текст сноски<\/li>/);
+
+  const page = buildHtmlPage(html, styles, { title: 'doc.md' });
+  assert.match(page, /^<!DOCTYPE html>/);
+  assert.match(page, /th, td \{[^}]*border: 1px solid #000000/);
+  assert.match(page, /th \{\s*background: #0072C6;/);
+});
+
+test('Missing images should render a placeholder', async () => {
+  const parsedData = await parseDocument(markdown);
+  const html = buildHtmlDocument(parsedData, createHtmlContext({ resolveImage: () => null }));
+
+  assert.match(html, /<p class="image-missing">Изображение не найдено: images\/scheme\.png<\/p>/);
+});
+
+test('Preview should serve the document and notify the page on changes', async () => {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'chtz-preview-'));
+  const inputPath = path.join(tempDir, 'document.md');
+  fs.mkdirSync(path.join(tempDir, 'images'));
+  fs.writeFileSync(path.join(tempDir, 'images', 'scheme.png'), Buffer.from(
+    'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg==',
+    'base64'
+  ));
+  fs.writeFileSync(inputPath, markdown);
+
+  const results = [];
+  let notify = () => {};
+  const server = await preview(
+    { inputPath, imagesDir: path.join(tempDir, 'images'), config: false, port: 0, debounce: 50 },
+    { onResult: result => { results.push(result); notify(); } }
+  );
+  const nextResult = () => new Promise(resolve => { notify = resolve; });
+
+  try {
+    await nextResult();
+    assert.ok(results[0].success, results[0].error);
+
+    const page = await (await fetch(server.url)).text();
+    assert.match(page, /Test &lt;preview&gt;/);
+    assert.match(page, /new EventSource\('\/__events'\)/);
+
+    const image = await fetch(`${server.url}/__images/images/scheme.png`);
+    assert.strictEqual(image.status, 200);
+    assert.strictEqual(image.headers.get('content-type'), 'image/png');
+
+    // Файлы вне директории изображений не отдаются
+    fs.copyFileSync(path.join(tempDir, 'images', 'scheme.png'), path.join(tempDir, 'secret.png'));
+    for (const imagePath of ['..%2Fsecret.png', 'images%2F..%2F..%2Fsecret.png', encodeURIComponent(path.join(tempDir, 'secret.png'))]) {
+      const outside = await fetch(`${server.url}/__images/${imagePath}`);
+      assert.strictEqual(outside.status, 404, imagePath);
+    }
+
+    // Некорректный адрес - ответ 400, а не падение сервера
+    const malformed = await fetch(`${server.url}/__images/%E0%A4%A`);
+    assert.strictEqual(malformed.status, 400);
+    const unparsable = await new Promise((resolve, reject) => {
+      http.get(server.url, { path: '//' }, res => {
+        res.resume();
+        resolve(res.statusCode);
+      }).on('error', reject);
+    });
+    assert.strictEqual(unparsable, 400);
+    assert.strictEqual((await fetch(server.url)).status, 200);
+
+    // Событие reload приходит открытой странице после пересборки
+    const events = await fetch(`${server.url}/__events`);
+    const reader = events.body.getReader();
+    await reader.read();
+
+    fs.writeFileSync(inputPath, markdown.replace('type: chtz', 'type: other'));
+    const { value } = await reader.read();
+    assert.match(Buffer.from(value).toString(), /event: reload/);
+    await reader.cancel();
+
+    const errorPage = await (await fetch(server.url)).text();
+    assert.match(errorPage, /Ошибка генерации/);
+    assert.match(errorPage, /document\.md:2:1/);
+  } finally {
+    await server.close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+});
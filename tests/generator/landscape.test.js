@@ -0,0 +1,69 @@
+/**
+ * Тесты для альбомных разделов
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseDocument } = require('../../src/parser');
+const { buildDocument } = require('../../src/builders');
+const { buildTable } = require('../../src/builders/table-builder');
+const styles = require('../../src/styles/gpn-styles');
+
+const yaml = `---
+type: chtz
+metadata:
+  shortName: "Test"
+  consultant:
+    name: "John"
+  organization: "Test Org"
+---
+`;
+
+test('Landscape directive should wrap content in section breaks', async () => {
+  const md = yaml + `
+Книжный текст.
+
+::::landscape
+:::terms
+| Термин | Определение |
+|--------|-------------|
+| ЭДО    | Электронный документооборот |
+:::
+::::
+
+Снова книжный.
+`;
+
+  const parsed = await parseDocument(md);
+  const xml = buildDocument(parsed, styles, {
+    addHeaderFooter: kind => `rId${kind}`,
+    headerFooter: { header: true, footer: true }
+  });
+
+  const sections = xml.match(/<w:sectPr>[\s\S]*?<\/w:sectPr>/g);
+  assert.strictEqual(sections.length, 3);
+  assert.ok(!sections[0].includes('w:orient'));
+  assert.ok(sections[1].includes('<w:pgSz w:w="16838" w:h="11906" w:orient="landscape"/>'));
+  assert.ok(!sections[2].includes('w:orient'));
+
+  // Колонтитулы сохраняются во всех разделах
+  sections.forEach(section => {
+    assert.ok(section.includes('r:id="rIdheader"'));
+    assert.ok(section.includes('r:id="rIdfooter"'));
+  });
+
+  // Таблица терминов растянута на ширину альбомного листа
+  const landscapeStart = xml.indexOf(sections[0]);
+  const landscapeEnd = xml.indexOf(sections[1]);
+  const landscapeXml = xml.substring(landscapeStart, landscapeEnd);
+  assert.ok(landscapeXml.includes('<w:gridCol w:w="4582"/>'));
+  assert.ok(xml.indexOf('Снова книжный') > landscapeEnd);
+});
+
+test('buildTable should scale fixed widths', () => {
+  const row = '<w:tr><w:tc><w:tcPr><w:tcW w:w="1000" w:type="dxa"/></w:tcPr><w:p/></w:tc></w:tr>';
+  const xml = buildTable([row], { columnWidths: [1000], scale: 1.5 });
+
+  assert.ok(xml.includes('<w:gridCol w:w="1500"/>'));
+  assert.ok(xml.includes('<w:tcW w:w="1500" w:type="dxa"/>'));
+});
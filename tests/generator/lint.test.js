@@ -0,0 +1,102 @@
+/**
+ * Тесты для chtz-lint
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { lint } = require('../../src/lint');
+const { formatSarif, formatText } = require('../../src/lint/formatters');
+
+const source = `---
+type: chtz
+metadata:
+  shortName: "Test"
+  consultant:
+    name: "John"
+  organization: "Test Org"
+---
+
+# 1. Термины и определения
+
+:::terms
+| Термин | Определение |
+|--------|-------------|
+| Контрагент | Сторона договора |
+| ЭДО | Электронный документооборот |
+:::
+
+# 3. Изменение функционала системы
+
+Загрузка данных контрагентов, см. [функцию](#func-1) и [раздел](#нет-такого).
+
+# 2. Исходные данные задания
+
+:::function-table{#func-1}
+function: Загрузка
+task: TASK-1
+scenario: |
+  Сценарий
+:::
+
+:::function-table{#func-1}
+function: Выгрузка
+task: TASK-2
+taskUrl: https://jira.example.com/browse/TASK-2
+scenario: |
+  Сценарий
+:::
+
+![Схема](images/missing.png)
+`;
+
+async function lintSource(options = {}) {
+  return lint(source, { filePath: '/tmp/chtz-lint/document.md', ...options });
+}
+
+test('Lint should report every rule with file line and column', async () => {
+  const result = await lintSource();
+  const found = result.diagnostics.map(d => `${d.ruleId}:${d.line}:${d.column}`);
+
+  assert.deepStrictEqual(found, [
+    'unused-term:16:1',
+    'broken-anchor:21:56',
+    'section-order:23:1',
+    'function-table-task-url:25:1',
+    'duplicate-function-id:32:1',
+    'missing-image:40:1'
+  ]);
+  assert.strictEqual(result.errorCount, 4);
+  assert.strictEqual(result.warningCount, 2);
+});
+
+test('Rules should be configurable', async () => {
+  const result = await lintSource({
+    rules: { 'unused-term': 'off', 'missing-image': 'warning' },
+    config: { taskUrlPattern: 'https://jira.example.com/browse/{task}' }
+  });
+  const ruleIds = result.diagnostics.map(d => d.ruleId);
+
+  assert.ok(!ruleIds.includes('unused-term'));
+  // Ссылку на задачу можно построить по шаблону из конфигурации
+  assert.ok(!ruleIds.includes('function-table-task-url'));
+  assert.strictEqual(result.diagnostics.find(d => d.ruleId === 'missing-image').severity, 'warning');
+
+  await assert.rejects(lintSource({ rules: { 'no-such-rule': 'error' } }), /Неизвестное правило/);
+});
+
+test('Broken front matter should be reported as a diagnostic', async () => {
+  const result = await lint(source.replace('type: chtz', 'type: other'), { filePath: 'doc.md' });
+  assert.strictEqual(result.diagnostics[0].ruleId, 'front-matter');
+  assert.ok(formatText([result]).startsWith('doc.md:2:1  ошибка  Неверный тип документа'));
+});
+
+test('SARIF output should reference rules and regions', async () => {
+  const sarif = JSON.parse(formatSarif([await lintSource()]));
+  const run = sarif.runs[0];
+  const duplicate = run.results.find(r => r.ruleId === 'duplicate-function-id');
+
+  assert.strictEqual(sarif.version, '2.1.0');
+  assert.strictEqual(run.tool.driver.rules[duplicate.ruleIndex].id, 'duplicate-function-id');
+  assert.strictEqual(duplicate.level, 'error');
+  assert.strictEqual(duplicate.locations[0].physicalLocation.region.startLine, 32);
+});
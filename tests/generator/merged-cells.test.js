@@ -0,0 +1,107 @@
+/**
+ * Тесты для объединённых ячеек таблиц (маркеры `<<` и `^^`)
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const AdmZip = require('adm-zip');
+const { generateBuffer } = require('../../src');
+const { buildSimpleTable } = require('../../src/html-builders');
+const { ReverseConverter } = require('../../src/reverse');
+
+const yaml = `---
+type: chtz
+metadata:
+  shortName: "Test"
+  consultant:
+    name: "John"
+  organization: "Test Org"
+---
+`;
+
+const terms = `:::terms
+| Термин | Определение |
+|--------|-------------|
+| ФТТ | Функционально-техническое требование |
+| ^^ | Требование к доработке |
+:::`;
+
+const table = `| Поле | Тип | Длина |
+| --- | --- | --- |
+| ИНН | Строка | 12 |
+| ^^ | Число | << |
+| Итого | << | << |`;
+
+const md = `${yaml}\n# 1. Раздел\n\n${terms}\n\n${table}\n`;
+
+const getBody = (buffer) => {
+  const xml = new AdmZip(buffer).readAsText('word/document.xml');
+  return xml.slice(xml.indexOf('1. Раздел'));
+};
+
+test('Merge markers should become gridSpan and vMerge', async () => {
+  const body = getBody(await generateBuffer(md));
+
+  assert.deepStrictEqual(body.match(/<w:gridSpan w:val="\d+"\/>|<w:vMerge(?: w:val="restart")?\/>/g), [
+    '<w:vMerge w:val="restart"/>', '<w:vMerge/>',
+    '<w:vMerge w:val="restart"/>', '<w:vMerge/>', '<w:gridSpan w:val="2"/>', '<w:gridSpan w:val="3"/>'
+  ]);
+  // Маркеры не попадают в текст документа
+  assert.ok(!body.includes('^^'));
+  assert.ok(!body.includes('&lt;&lt;'));
+  // Ширина объединённой ячейки директивы - сумма ширин колонок
+  assert.ok(!/<w:tcW w:w="0"/.test(body));
+});
+
+test('Merge marker without a cell to merge with should stay as text', async () => {
+  const body = getBody(await generateBuffer(`${yaml}\n# 1. Раздел\n\n| ^^ | Б |\n| --- | --- |\n| << | Г |\n`));
+
+  assert.ok(body.includes('<w:t>^^</w:t>'));
+  assert.ok(body.includes('<w:t>&lt;&lt;</w:t>'));
+  assert.ok(!body.includes('<w:gridSpan'));
+  assert.ok(!body.includes('<w:vMerge'));
+});
+
+test('HTML tables should get colspan and rowspan', () => {
+  const html = buildSimpleTable(['А', 'Б'], [['1', '2'], ['^^', '3'], ['4', '<<']]);
+
+  assert.ok(html.includes('<td rowspan="2">1</td><td>2</td></tr><tr><td>3</td>'));
+  assert.ok(html.includes('<td colspan="2">4</td>'));
+  assert.ok(!html.includes('^^'));
+});
+
+test('Merged cells should be converted back to markers and regenerate identically', async () => {
+  const original = await generateBuffer(md, { reproducible: true });
+  const result = await new ReverseConverter({ extractImages: false }).convert(original);
+  assert.ok(result.success, result.error);
+
+  assert.ok(result.markdown.includes(terms), result.markdown);
+  assert.ok(result.markdown.includes(table), result.markdown);
+
+  const regenerated = await generateBuffer(result.markdown, { reproducible: true });
+  assert.strictEqual(getBody(regenerated), getBody(original));
+});
+
+test('Escaped markers should stay literal text in both directions', async () => {
+  const literalTerms = terms.replace('| ^^ | Требование к доработке |', '| \\^^ | \\<< |');
+  const literalTable = '| Поле | Тип |\n| --- | --- |\n| \\^^ | \\<< |';
+  const source = `${yaml}\n# 1. Раздел\n\n${literalTerms}\n\n${literalTable}\n`;
+
+  const original = await generateBuffer(source, { reproducible: true });
+  const body = getBody(original);
+  assert.ok(!body.includes('<w:gridSpan'));
+  assert.ok(!body.includes('<w:vMerge'));
+  assert.strictEqual(body.split('<w:t>^^</w:t>').length - 1, 2);
+  assert.strictEqual(body.split('<w:t>&lt;&lt;</w:t>').length - 1, 2);
+
+  const html = buildSimpleTable(['А', 'Б'], [['1', '2'], ['\\^^', '\\<<']]);
+  assert.ok(html.includes('<td>^^</td><td>&lt;&lt;</td>'));
+
+  const result = await new ReverseConverter({ extractImages: false }).convert(original);
+  assert.ok(result.success, result.error);
+  assert.ok(result.markdown.includes(literalTerms), result.markdown);
+  assert.ok(result.markdown.includes(literalTable), result.markdown);
+
+  const regenerated = await generateBuffer(result.markdown, { reproducible: true });
+  assert.strictEqual(getBody(regenerated), body);
+});
@@ -0,0 +1,91 @@
+/**
+ * Тесты для пользовательских директив (плагинов)
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseDocument } = require('../../src/parser');
+const { buildDocument } = require('../../src/builders');
+const { generate, registerDirective, unregisterDirective, loadPlugins, loadConfig } = require('../../src');
+const { ReverseConverter } = require('../../src/reverse');
+const styles = require('../../src/styles/gpn-styles');
+
+const yaml = `---
+type: chtz
+metadata:
+  shortName: "Test"
+  consultant:
+    name: "John"
+  organization: "Test Org"
+---
+`;
+
+test('Registered directive should be parsed and built by its plugin', async () => {
+  registerDirective({
+    name: 'integration-spec',
+    parse: (node, { attributes, extractText }) => ({
+      system: attributes.system,
+      text: extractText(node.children)
+    }),
+    build: data => `<w:p><w:r><w:t>${data.system}: ${data.text}</w:t></w:r></w:p>`
+  });
+
+  try {
+    const parsed = await parseDocument(yaml + `
+:::integration-spec{system="SAP"}
+Обмен заказами
+:::
+`);
+    const xml = buildDocument(parsed, styles, {});
+    assert.ok(xml.includes('<w:t>SAP: Обмен заказами</w:t>'));
+  } finally {
+    unregisterDirective('integration-spec');
+  }
+});
+
+test('Built-in directives cannot be overridden', () => {
+  assert.throws(
+    () => registerDirective({ name: 'terms', build: () => '' }),
+    { name: 'DirectiveRegistrationError' }
+  );
+});
+
+test('Plugin from config should survive Markdown → DOCX → Markdown round trip', async () => {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'chtz-test-'));
+
+  try {
+    const configPath = path.join(tempDir, 'chtz.config.json');
+    const pluginPath = path.join(__dirname, '..', '..', 'examples', 'plugins', 'approval-matrix.js');
+    fs.writeFileSync(configPath, JSON.stringify({ plugins: [pluginPath] }));
+
+    const config = loadConfig(configPath);
+    assert.deepStrictEqual(loadPlugins(config.plugins, config.dir), ['approval-matrix']);
+    // Повторная загрузка того же плагина не регистрирует директиву заново
+    assert.deepStrictEqual(loadPlugins(config.plugins, config.dir), []);
+
+    const inputPath = path.join(tempDir, 'document.md');
+    const outputPath = path.join(tempDir, 'document.docx');
+    fs.writeFileSync(inputPath, yaml + `
+# 1. Согласование
+
+:::approval-matrix
+| Роль | ФИО | Решение |
+|------|-----|---------|
+| Владелец процесса | Иванов И.И. | Согласовано |
+:::
+`);
+
+    const result = await generate({ inputPath, outputPath });
+    assert.ok(result.success, result.error);
+
+    const converted = await new ReverseConverter().convert(outputPath);
+    assert.ok(converted.success, converted.error);
+    assert.ok(converted.markdown.includes(':::approval-matrix\n| Роль | ФИО | Решение |'));
+    assert.ok(converted.markdown.includes('| Владелец процесса | Иванов И.И. | Согласовано |'));
+  } finally {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+});
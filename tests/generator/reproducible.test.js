@@ -0,0 +1,62 @@
+/**
+ * Тесты для воспроизводимой сборки и режима проверки актуальности (--check)
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const { generate, generateBuffer } = require('../../src');
+
+const md = `---
+type: chtz
+metadata:
+  shortName: "Test"
+  consultant:
+    name: "John"
+  organization: "Test Org"
+---
+
+# 1. Раздел
+
+Текст со [ссылкой](https://example.com) и сноской[^a].
+
+[^a]: Сноска.
+`;
+
+test('Reproducible output should be byte-identical with fixed entry timestamps', async () => {
+  const first = await generateBuffer(md, { reproducible: true });
+  const second = await generateBuffer(md, { reproducible: true });
+
+  assert.ok(first.equals(second));
+
+  for (const entry of new AdmZip(first).getEntries()) {
+    assert.strictEqual(entry.header.time.getFullYear(), 1980, entry.entryName);
+  }
+});
+
+test('Check mode should report whether the existing DOCX is up to date', async () => {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'chtz-test-'));
+
+  try {
+    const inputPath = path.join(tempDir, 'document.md');
+    const outputPath = path.join(tempDir, 'document.docx');
+    fs.writeFileSync(inputPath, md);
+
+    const missing = await generate({ inputPath, check: true });
+    assert.strictEqual(missing.upToDate, false);
+    assert.ok(!fs.existsSync(outputPath));
+
+    await generate({ inputPath, reproducible: true });
+    const fresh = await generate({ inputPath, check: true });
+    assert.strictEqual(fresh.upToDate, true);
+
+    fs.writeFileSync(inputPath, md.replace('Текст', 'Новый текст'));
+    const stale = await generate({ inputPath, check: true });
+    assert.strictEqual(stale.upToDate, false);
+  } finally {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,226 @@
+/**
+ * Тесты для HTTP сервиса
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const net = require('net');
+const AdmZip = require('adm-zip');
+const { createServer } = require('../../src/server');
+const { parseMultipart } = require('../../src/server/multipart');
+
+const markdown = `---
+type: chtz
+metadata:
+  shortName: "Test"
+  consultant:
+    name: "John"
+  organization: "Test Org"
+---
+
+# 1. Раздел
+
+Текст раздела
+`;
+
+// PNG 1x1
+const png = Buffer.from(
+  'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg==',
+  'base64'
+);
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = createServer({ maxBodySize: 64 * 1024 });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+function form(fields) {
+  const data = new FormData();
+  for (const [name, value, filename] of fields) {
+    data.append(name, new Blob([value]), filename);
+  }
+  return data;
+}
+
+async function generateDocx() {
+  const response = await fetch(`${baseUrl}/generate`, { method: 'POST', body: markdown });
+  return Buffer.from(await response.arrayBuffer());
+}
+
+test('Multipart parser should split fields and files', () => {
+  const body = Buffer.from([
+    '--b1',
+    'Content-Disposition: form-data; name="document"; filename="spec.md"',
+    'Content-Type: text/markdown',
+    '',
+    '# Title',
+    '--b1',
+    'Content-Disposition: form-data; name="note"',
+    '',
+    'text',
+    '--b1--',
+    ''
+  ].join('\r\n'));
+
+  const parts = parseMultipart(body, 'multipart/form-data; boundary=b1');
+
+  assert.strictEqual(parts.length, 2);
+  assert.strictEqual(parts[0].filename, 'spec.md');
+  assert.strictEqual(parts[0].contentType, 'text/markdown');
+  assert.strictEqual(parts[0].data.toString(), '# Title');
+  assert.strictEqual(parts[1].name, 'note');
+  assert.strictEqual(parts[1].filename, null);
+});
+
+test('POST /generate should return DOCX with embedded images', async () => {
+  const response = await fetch(`${baseUrl}/generate`, {
+    method: 'POST',
+    body: form([
+      ['document', markdown.replace('Текст раздела', '![Схема](images/scheme.png)'), 'spec.md'],
+      ['images', png, 'scheme.png']
+    ])
+  });
+
+  assert.strictEqual(response.status, 200);
+  assert.match(response.headers.get('content-type'), /wordprocessingml/);
+  assert.match(response.headers.get('content-disposition'), /spec\.docx/);
+
+  const zip = new AdmZip(Buffer.from(await response.arrayBuffer()));
+  assert.ok(zip.getEntries().some(entry => entry.entryName.startsWith('word/media/')));
+});
+
+test('POST /generate should return 422 with positions for invalid document', async () => {
+  const response = await fetch(`${baseUrl}/generate`, {
+    method: 'POST',
+    body: markdown.replace('type: chtz', 'type: other')
+  });
+  const body = await response.json();
+
+  assert.strictEqual(response.status, 422);
+  assert.strictEqual(body.error.code, 'GENERATION_FAILED');
+  assert.strictEqual(body.error.details.errors[0].line, 2);
+});
+
+test('POST /validate should report validity as JSON', async () => {
+  const valid = await (await fetch(`${baseUrl}/validate`, { method: 'POST', body: markdown })).json();
+  assert.strictEqual(valid.valid, true);
+  assert.strictEqual(valid.metadata.shortName, 'Test');
+
+  const invalid = await (await fetch(`${baseUrl}/validate`, {
+    method: 'POST',
+    body: markdown.replace('  organization: "Test Org"\n', '')
+  })).json();
+  assert.strictEqual(invalid.valid, false);
+  assert.match(invalid.errors[0].message, /metadata\.organization/);
+});
+
+test('POST /reverse should return zip or JSON', async () => {
+  const docx = await generateDocx();
+
+  const zipResponse = await fetch(`${baseUrl}/reverse`, {
+    method: 'POST',
+    body: form([['document', docx, 'spec.docx']])
+  });
+  assert.strictEqual(zipResponse.status, 200);
+  assert.strictEqual(zipResponse.headers.get('content-type'), 'application/zip');
+  const zip = new AdmZip(Buffer.from(await zipResponse.arrayBuffer()));
+  assert.match(zip.readAsText('spec.md'), /Текст раздела/);
+
+  const jsonResponse = await fetch(`${baseUrl}/reverse?format=json`, { method: 'POST', body: docx });
+  const result = await jsonResponse.json();
+  assert.strictEqual(result.metadata.shortName, 'Test');
+  assert.match(result.markdown, /# 1\. Раздел/);
+});
+
+test('POST /diff should compare Markdown with converted DOCX', async () => {
+  const docx = await generateDocx();
+  const response = await fetch(`${baseUrl}/diff`, {
+    method: 'POST',
+    body: form([
+      ['original', markdown.replace('Текст раздела', 'Другой текст'), 'spec.md'],
+      ['document', docx, 'spec.docx']
+    ])
+  });
+  const body = await response.json();
+
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(body.identical, false);
+  assert.match(body.diff, /Другой текст/);
+});
+
+test('Server should return structured errors', async () => {
+  const tooLarge = await fetch(`${baseUrl}/generate`, { method: 'POST', body: Buffer.alloc(65 * 1024, 'a') });
+  assert.strictEqual(tooLarge.status, 413);
+  assert.strictEqual((await tooLarge.json()).error.code, 'PAYLOAD_TOO_LARGE');
+
+  const notFound = await fetch(`${baseUrl}/convert`, { method: 'POST', body: '' });
+  assert.strictEqual(notFound.status, 404);
+  assert.deepStrictEqual((await notFound.json()).error.details.endpoints, ['/generate', '/reverse', '/validate', '/diff']);
+
+  const wrongMethod = await fetch(`${baseUrl}/generate`);
+  assert.strictEqual(wrongMethod.status, 405);
+  assert.strictEqual(wrongMethod.headers.get('allow'), 'POST');
+
+  const empty = await fetch(`${baseUrl}/reverse`, { method: 'POST', body: '' });
+  assert.strictEqual(empty.status, 400);
+  assert.strictEqual((await empty.json()).error.code, 'BAD_REQUEST');
+});
+
+test('Oversized upload should get 413 without the rest of the body being read', async () => {
+  const chunk = Buffer.alloc(256 * 1024, 'a');
+  const total = 200;
+  let written = 0;
+
+  const status = await new Promise((resolve, reject) => {
+    const req = http.request(`${baseUrl}/generate`, { method: 'POST' }, res => {
+      res.resume();
+      resolve(res.statusCode);
+    });
+    req.on('error', reject);
+
+    // Тело без Content-Length: превышение видно только при чтении
+    const write = () => {
+      while (written < total) {
+        written++;
+        if (!req.write(chunk)) {
+          req.once('drain', write);
+          return;
+        }
+      }
+      req.end();
+    };
+    write();
+  });
+
+  assert.strictEqual(status, 413);
+  // Сервер перестал читать тело: клиент не смог отправить его целиком
+  assert.ok(written < total, `отправлено ${written} из ${total} частей`);
+});
+
+test('Unparsable request path should get 400 instead of crashing the server', async () => {
+  const { port } = server.address();
+  // fetch нормализует адрес, поэтому строка запроса отправляется через сокет
+  const response = await new Promise((resolve, reject) => {
+    const socket = net.connect(port, '127.0.0.1', () => {
+      socket.end('POST // HTTP/1.1\r\nHost: localhost\r\nContent-Length: 0\r\nConnection: close\r\n\r\n');
+    });
+    let data = '';
+    socket.on('data', chunk => { data += chunk; });
+    socket.on('end', () => resolve(data));
+    socket.on('error', reject);
+  });
+
+  assert.match(response, /^HTTP\/1\.1 400 /);
+  assert.strictEqual(JSON.parse(response.slice(response.indexOf('\r\n\r\n') + 4)).error.code, 'BAD_REQUEST');
+
+  // Сервер продолжает работать
+  const next = await fetch(`${baseUrl}/validate`, { method: 'POST', body: markdown });
+  assert.strictEqual(next.status, 200);
+});
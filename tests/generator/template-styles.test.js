@@ -0,0 +1,77 @@
+/**
+ * Тесты для определения стилей по шаблону
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const { generateBuffer } = require('../../src');
+const { extractStylesFromTemplate } = require('../../src/styles/template-styles');
+const styles = require('../../src/styles/gpn-styles');
+
+const TEMPLATE_PATH = path.join(__dirname, '..', '..', 'templates', 'gpn-template.docx');
+
+const markdown = `---
+type: chtz
+metadata:
+  shortName: "Test"
+  consultant:
+    name: "John"
+  organization: "Test Org"
+---
+
+# 1. Раздел
+
+### 1.1.1 Подраздел
+
+- Пункт списка
+`;
+
+/**
+ * Копия эталонного шаблона с изменённым styles.xml
+ */
+function patchTemplate(patch) {
+  const zip = new AdmZip(TEMPLATE_PATH);
+  zip.updateFile('word/styles.xml', Buffer.from(patch(zip.readAsText('word/styles.xml')), 'utf-8'));
+  return zip.toBuffer();
+}
+
+function renameHeading3(xml, styleId, name) {
+  return xml.replace(
+    /<w:style ([^>]*)w:styleId="3"([^>]*)>(.*?)<w:name w:val="heading 3"\/>/s,
+    `<w:style $1w:styleId="${styleId}"$2>$3<w:name w:val="${name}"/>`
+  );
+}
+
+test('Styles derived from the reference template should match gpn-styles', () => {
+  const derived = extractStylesFromTemplate(TEMPLATE_PATH);
+
+  for (const key of ['heading1', 'heading2', 'heading3', 'heading4', 'normal', 'listParagraph', 'caption']) {
+    assert.strictEqual(derived.styleIds[key], styles.styleIds[key], key);
+  }
+  assert.deepStrictEqual(derived.numbering, styles.numberingIds);
+});
+
+test('Heading style IDs should be taken from the template in use', async () => {
+  const template = patchTemplate(xml => renameHeading3(xml, 'CorpHeading3', 'heading 3'));
+
+  const docx = await generateBuffer(markdown, { template });
+  const documentXml = new AdmZip(docx).readAsText('word/document.xml');
+
+  assert.ok(documentXml.includes('<w:pStyle w:val="CorpHeading3"/>'));
+});
+
+test('Missing required style should fail with a clear message', async () => {
+  const template = patchTemplate(xml => renameHeading3(xml, 'CorpHeading3', 'Corp Heading 3'));
+
+  await assert.rejects(generateBuffer(markdown, { template }), error => {
+    assert.strictEqual(error.name, 'TemplateStyleError');
+    assert.ok(error.message.includes('Heading 3 (heading3)'));
+    return true;
+  });
+
+  // Явное сопоставление по имени стиля
+  const docx = await generateBuffer(markdown, { template, styleMapping: { heading3: 'Corp Heading 3' } });
+  assert.ok(new AdmZip(docx).readAsText('word/document.xml').includes('<w:pStyle w:val="CorpHeading3"/>'));
+});
@@ -0,0 +1,71 @@
+/**
+ * Тесты для оглавления (TOC)
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseDocument } = require('../../src/parser');
+const { buildDocument } = require('../../src/builders');
+const { buildTableOfContents } = require('../../src/builders/toc-builder');
+const styles = require('../../src/styles/gpn-styles');
+
+const yaml = `---
+type: chtz
+metadata:
+  shortName: "Test"
+  consultant:
+    name: "John"
+  organization: "Test Org"
+`;
+
+test('TOC entries should reference heading bookmarks via PAGEREF', () => {
+  const headings = [
+    { level: 1, text: '1. Термины', bookmark: '1-термины' },
+    { level: 2, text: '1.1 Детали', bookmark: '11-детали' },
+    { level: 4, text: 'Таблица 1. Пример', bookmark: 'таблица-1' }
+  ];
+
+  const xml = buildTableOfContents(headings, styles, {});
+
+  assert.ok(xml.includes('TOC \\o &quot;1-3&quot;'));
+  assert.ok(xml.includes('PAGEREF 1-термины \\h'));
+  assert.ok(xml.includes('w:anchor="11-детали"'));
+  assert.ok(!xml.includes('таблица-1'));
+  assert.ok(xml.includes(`<w:pStyle w:val="${styles.styleIds.toc1}"/>`));
+  assert.ok(xml.includes(`<w:pStyle w:val="${styles.styleIds.toc2}"/>`));
+});
+
+test('TOC should respect levels option', () => {
+  const headings = [
+    { level: 1, text: 'A', bookmark: 'a' },
+    { level: 2, text: 'B', bookmark: 'b' }
+  ];
+
+  const xml = buildTableOfContents(headings, styles, { levels: 1 });
+
+  assert.ok(xml.includes('PAGEREF a'));
+  assert.ok(!xml.includes('PAGEREF b'));
+});
+
+test('YAML toc flag should insert TOC bookmarks matching headings', async () => {
+  const parsed = await parseDocument(`${yaml}toc: true\n---\n\n# 1. Термины\n\nТекст\n`);
+  const xml = buildDocument(parsed, styles, { nextBookmarkId: () => '1' });
+
+  assert.ok(xml.includes('w:name="1-термины"'));
+  assert.ok(xml.includes('PAGEREF 1-термины'));
+});
+
+test(':::toc directive should place TOC in content', async () => {
+  const parsed = await parseDocument(`${yaml}---\n\n:::toc{title="Оглавление"}\n:::\n\n# Раздел\n`);
+  const xml = buildDocument(parsed, styles, { nextBookmarkId: () => '1' });
+
+  assert.ok(xml.includes('Оглавление'));
+  assert.strictEqual(xml.split('TOC \\o').length - 1, 1);
+});
+
+test('Document without toc should not contain TOC field', async () => {
+  const parsed = await parseDocument(`${yaml}---\n\n# Раздел\n`);
+  const xml = buildDocument(parsed, styles, {});
+
+  assert.ok(!xml.includes('TOC \\o'));
+});
@@ -0,0 +1,175 @@
+/**
+ * Тесты для документа с исправлениями (--compare-with)
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const { generate } = require('../../src');
+const { parseDocument } = require('../../src/parser');
+const { buildTrackedDocument, createBuildContext } = require('../../src/builders');
+const styles = require('../../src/styles/gpn-styles');
+
+const yaml = (history) => `---
+type: chtz
+metadata:
+  shortName: "Test"
+  consultant:
+    name: "John"
+  organization: "Test Org"
+history:
+  - version: "1.0"
+    date: "01.02.2025"
+    comment: "Создание"
+    author: "Иванов И.И."
+${history}---
+`;
+
+const previous = yaml('') + `
+# 1. Термины
+
+:::terms
+| Термин | Определение |
+|--------|-------------|
+| ЭДО | Электронный документооборот |
+| ЭП | Электронная подпись |
+:::
+
+# 2. Требования
+
+Документ подписывается вручную.
+
+:::function-table{#func-1}
+function: Подписание документа
+task: TASK-1
+scenario: |
+  1. Открыть документ
+:::
+
+:::function-table{#func-2}
+function: Отзыв подписи
+task: TASK-2
+scenario: |
+  1. Отозвать подпись
+:::
+`;
+
+const current = yaml(`  - version: "1.1"
+    date: "15.03.2025"
+    comment: "Уточнение"
+    author: "Петров П.П."
+`) + `
+# 1. Термины
+
+:::terms
+| Термин | Определение |
+|--------|-------------|
+| ЭДО | Электронный документооборот |
+:::
+
+# 2. Требования
+
+Документ подписывается автоматически.
+
+:::function-table{#func-2}
+function: Отзыв подписи
+task: TASK-2
+scenario: |
+  1. Отозвать подпись
+:::
+
+:::function-table{#func-1}
+function: Подписание документа
+task: TASK-7
+scenario: |
+  1. Открыть документ
+:::
+
+# 3. Новый раздел
+
+Текст нового раздела.
+`;
+
+/**
+ * Текст внутри w:ins / w:del
+ */
+function revisedText(xml, kind) {
+  const texts = [];
+  const regex = new RegExp(`<w:${kind} [^>]*[^/]>([\\s\\S]*?)</w:${kind}>`, 'g');
+  let match;
+  while ((match = regex.exec(xml)) !== null) {
+    texts.push(match[1].replace(/<[^>]+>/g, ''));
+  }
+  return texts;
+}
+
+test('Tracked document should mark inserted and deleted content', async () => {
+  const { xml, revisions } = buildTrackedDocument(
+    await parseDocument(current),
+    await parseDocument(previous),
+    styles,
+    createBuildContext()
+  );
+
+  assert.ok(revisions > 0);
+
+  // Автор и дата - из последней записи истории
+  assert.match(xml, /<w:ins w:id="\d+" w:author="Петров П\.П\." w:date="2025-03-15T00:00:00Z">/);
+
+  const inserted = revisedText(xml, 'ins');
+  const deleted = revisedText(xml, 'del');
+
+  // Абзац сравнивается по словам
+  assert.ok(deleted.includes('вручную.'));
+  assert.ok(inserted.includes('автоматически.'));
+  assert.ok(!deleted.some(text => text.includes('подписывается')));
+
+  // Строка истории добавлена, строка терминов удалена целиком (с пометкой строки)
+  assert.ok(inserted.includes('Уточнение'));
+  assert.match(xml, /<w:trPr><w:del [^>]*\/><\/w:trPr>(?:(?!<\/w:tr>)[\s\S])*<w:delText>ЭП<\/w:delText>/);
+
+  // Функциональные таблицы сопоставляются по ID: изменена только задача
+  assert.ok(deleted.includes('TASK-1'));
+  assert.ok(inserted.includes('TASK-7'));
+  assert.ok(!deleted.some(text => text.includes('Отзыв подписи')));
+
+  // Новый раздел добавлен целиком, включая знаки абзацев
+  assert.ok(inserted.includes('3. Новый раздел'));
+  assert.match(xml, /<w:pPr><w:pStyle w:val="[^"]+"\/>(?:<w:[^>]+\/>)*<w:rPr><w:ins [^>]*\/><\/w:rPr><\/w:pPr>(?:(?!<\/w:p>)[\s\S])*3\. Новый раздел/);
+});
+
+test('Unchanged document should have no revisions', async () => {
+  const parsed = await parseDocument(previous);
+  const { xml, revisions } = buildTrackedDocument(parsed, await parseDocument(previous), styles, createBuildContext());
+
+  assert.strictEqual(revisions, 0);
+  assert.doesNotMatch(xml, /<w:(ins|del) /);
+  assert.match(xml, /Документ подписывается вручную\./);
+});
+
+test('generate should build a tracked DOCX with --compare-with', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'chtz-compare-'));
+
+  try {
+    const inputPath = path.join(dir, 'document.md');
+    const previousPath = path.join(dir, 'previous.md');
+    fs.writeFileSync(inputPath, current, 'utf-8');
+    fs.writeFileSync(previousPath, previous, 'utf-8');
+
+    const result = await generate({ inputPath, compareWith: previousPath, config: false });
+    assert.strictEqual(result.success, true, result.error);
+    assert.ok(result.stats.revisions > 0);
+
+    const documentXml = new AdmZip(result.outputPath).readAsText('word/document.xml');
+    assert.match(documentXml, /<w:delText[^>]*>вручную\.<\/w:delText>/);
+
+    const missing = await generate({ inputPath, compareWith: path.join(dir, 'missing.md'), config: false });
+    assert.strictEqual(missing.success, false);
+    assert.match(missing.error, /Предыдущая версия не найдена/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
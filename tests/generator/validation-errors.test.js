@@ -0,0 +1,81 @@
+/**
+ * Тесты для позиций ошибок YAML и директив
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseDocument } = require('../../src/parser');
+const { parseYaml, locateYamlField } = require('../../src/parser/yaml-parser');
+const { codeFrame } = require('../../src/utils/code-frame');
+
+const source = `---
+type: chtz
+metadata:
+  shortName: "Test"
+  consultant:
+    email: "john@example.com"
+  organization: "Test Org"
+  createdDate: "2025-01-01"
+history:
+  - version: "1.0"
+---
+
+# 1. Раздел
+
+:::function-table{#func-1}
+function: Загрузка
+taks: TASK-1
+просто текст
+:::
+`;
+
+test('YAML fields should be located by path', () => {
+  assert.deepStrictEqual(locateYamlField(source, 'metadata.createdDate'), { line: 8, column: 3 });
+  assert.deepStrictEqual(locateYamlField(source, 'history[0].version'), { line: 10, column: 5 });
+  // Отсутствующее поле - позиция ближайшего родителя
+  assert.deepStrictEqual(locateYamlField(source, 'metadata.consultant.name'), { line: 5, column: 3 });
+});
+
+test('All YAML problems should be collected with positions', () => {
+  assert.throws(() => parseYaml(source), error => {
+    assert.strictEqual(error.name, 'YamlValidationError');
+    assert.deepStrictEqual(
+      error.errors.map(e => `${e.field}:${e.line}:${e.column}`),
+      ['metadata.consultant.name:5:3', 'metadata.createdDate:8:3', 'history[0].date:10:3']
+    );
+    return true;
+  });
+});
+
+test('YAML syntax errors should point into the file', () => {
+  assert.throws(() => parseYaml('---\ntype: chtz\nmetadata: [a\n---\n'), error => {
+    assert.strictEqual(error.field, 'yaml');
+    assert.strictEqual(error.line, 5);
+    return true;
+  });
+});
+
+test('Document errors should combine YAML and directive problems', async () => {
+  await assert.rejects(parseDocument(source), error => {
+    assert.strictEqual(error.name, 'DocumentValidationError');
+    assert.deepStrictEqual(error.errors.map(e => `${e.name}:${e.line}:${e.column}`), [
+      'YamlValidationError:5:3',
+      'YamlValidationError:8:3',
+      'YamlValidationError:10:3',
+      'DirectiveValidationError:17:1',
+      'DirectiveValidationError:18:1'
+    ]);
+    assert.match(error.errors[3].message, /Неизвестное поле function-table: taks/);
+    return true;
+  });
+});
+
+test('Code frame should mark the error column', () => {
+  const frame = codeFrame(source, 8, 3, { context: 1 });
+  assert.strictEqual(frame, [
+    '  7 |   organization: "Test Org"',
+    '> 8 |   createdDate: "2025-01-01"',
+    '    |   ^',
+    '  9 | history:'
+  ].join('\n'));
+});
@@ -0,0 +1,121 @@
+/**
+ * Тесты для режима наблюдения (--watch)
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const { watch } = require('../../src');
+const { loadTemplate, readEntry } = require('../../src/assembler/template-handler');
+
+const TEMPLATE_PATH = path.join(__dirname, '..', '..', 'templates', 'gpn-template.docx');
+
+const markdown = `---
+type: chtz
+metadata:
+  shortName: "Test"
+  consultant:
+    name: "John"
+  organization: "Test Org"
+---
+
+# 1. Раздел
+
+Текст
+`;
+
+/**
+ * Очередь результатов watch: каждый вызов next() ждёт следующую генерацию
+ */
+function collectResults() {
+  const results = [];
+  const waiting = [];
+  return {
+    onResult(result) {
+      const resolve = waiting.shift();
+      if (resolve) resolve(result);
+      else results.push(result);
+    },
+    next() {
+      return results.length > 0
+        ? Promise.resolve(results.shift())
+        : new Promise(resolve => waiting.push(resolve));
+    }
+  };
+}
+
+test('Watch should regenerate on change and report errors without stopping', async () => {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'chtz-watch-'));
+  const inputPath = path.join(tempDir, 'document.md');
+  fs.writeFileSync(inputPath, markdown);
+
+  const queue = collectResults();
+  const watcher = watch({ inputPath, config: false, debounce: 50 }, { onResult: queue.onResult });
+
+  try {
+    const first = await queue.next();
+    assert.ok(first.success, first.error);
+    assert.ok(fs.existsSync(first.outputPath));
+
+    fs.writeFileSync(inputPath, markdown.replace('type: chtz', 'type: other'));
+    const failed = await queue.next();
+    assert.strictEqual(failed.success, false);
+    assert.deepStrictEqual(failed.changed, [inputPath]);
+    assert.strictEqual(failed.errors[0].line, 2);
+
+    fs.writeFileSync(inputPath, markdown.replace('Текст', 'Новый текст'));
+    const fixed = await queue.next();
+    assert.ok(fixed.success, fixed.error);
+    assert.ok(new AdmZip(fixed.outputPath).readAsText('word/document.xml').includes('Новый текст'));
+  } finally {
+    watcher.close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+});
+
+test('Watch should regenerate when a referenced image in a nested directory changes', async () => {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'chtz-watch-'));
+  const inputPath = path.join(tempDir, 'document.md');
+  const imagePath = path.join(tempDir, 'images', 'screens', 'main.png');
+  const image = fs.readFileSync(path.join(__dirname, '..', 'test-images', 'images', 'test-screenshot.png'));
+  fs.mkdirSync(path.dirname(imagePath), { recursive: true });
+  fs.writeFileSync(imagePath, image);
+  fs.writeFileSync(inputPath, markdown + '\n![Экран](images/screens/main.png){width="50%"}\n');
+
+  const queue = collectResults();
+  const watcher = watch({ inputPath, imagesDir: path.join(tempDir, 'images'), config: false, debounce: 50 }, { onResult: queue.onResult });
+
+  try {
+    const first = await queue.next();
+    assert.ok(first.success, first.error);
+
+    fs.writeFileSync(imagePath, image);
+    const updated = await queue.next();
+    assert.ok(updated.success, updated.error);
+    assert.deepStrictEqual(updated.changed, [imagePath]);
+  } finally {
+    watcher.close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+});
+
+test('Cached template should be reloaded after it changes', () => {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'chtz-watch-'));
+  const templatePath = path.join(tempDir, 'template.docx');
+
+  try {
+    fs.copyFileSync(TEMPLATE_PATH, templatePath);
+    assert.ok(!readEntry(loadTemplate(templatePath), 'word/styles.xml').includes('Changed'));
+
+    const zip = new AdmZip(TEMPLATE_PATH);
+    zip.updateFile('word/styles.xml', Buffer.from(zip.readAsText('word/styles.xml') + '<!-- Changed -->'));
+    zip.writeZip(templatePath);
+
+    assert.ok(readEntry(loadTemplate(templatePath), 'word/styles.xml').includes('Changed'));
+  } finally {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,112 @@
+/**
+ * Тесты для извлечения комментариев рецензентов (chtz-reverse --comments)
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const AdmZip = require('adm-zip');
+const { generateBuffer } = require('../../src');
+const { ReverseConverter } = require('../../src/reverse');
+
+const markdown = `---
+type: chtz
+metadata:
+  shortName: "Test"
+  consultant:
+    name: "John"
+  organization: "Test Org"
+---
+
+# 1. Требования
+
+Документ подписывается вручную.
+
+:::function-table{#func-подписание-документа}
+function: Подписание документа
+task: TASK-1
+scenario: |
+  1. Открыть документ
+:::
+`;
+
+const commentsXml = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:comments xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+<w:comment w:id="0" w:author="Петров П.П." w:initials="ПП" w:date="2025-03-15T10:20:00Z"><w:p><w:r><w:t xml:space="preserve">Почему </w:t></w:r><w:r><w:t>вручную</w:t></w:r><w:r><w:t>?</w:t></w:r></w:p></w:comment>
+<w:comment w:id="1" w:author="Сидоров С.С." w:date="2025-03-16T09:00:00Z"><w:p><w:r><w:t>Уточнить номер задачи</w:t></w:r></w:p></w:comment>
+</w:comments>`;
+
+/**
+ * Оборачивает run с текстом в границы комментария
+ */
+function anchor(xml, text, id) {
+  const index = xml.indexOf(text);
+  const start = xml.lastIndexOf('<w:r>', index);
+  const end = xml.indexOf('</w:r>', index) + '</w:r>'.length;
+  return xml.slice(0, start) +
+    `<w:commentRangeStart w:id="${id}"/>${xml.slice(start, end)}<w:commentRangeEnd w:id="${id}"/>` +
+    `<w:r><w:commentReference w:id="${id}"/></w:r>` +
+    xml.slice(end);
+}
+
+/**
+ * DOCX с двумя комментариями: к абзацу и к ячейке функциональной таблицы
+ */
+async function createReviewedDocx() {
+  const zip = new AdmZip(await generateBuffer(markdown));
+  let documentXml = zip.readAsText('word/document.xml');
+  documentXml = anchor(documentXml, 'подписывается вручную', 0);
+  documentXml = anchor(documentXml, 'TASK-1', 1);
+  zip.updateFile('word/document.xml', Buffer.from(documentXml, 'utf-8'));
+  zip.addFile('word/comments.xml', Buffer.from(commentsXml, 'utf-8'));
+  return zip.toBuffer();
+}
+
+test('Comments should be recognized with author, date, quote and location', async () => {
+  const result = await new ReverseConverter({ extractImages: false }).convert(await createReviewedDocx());
+  assert.ok(result.success, result.error);
+
+  assert.strictEqual(result.stats.comments, 2);
+  assert.deepStrictEqual(result.comments[0], {
+    id: '0',
+    author: 'Петров П.П.',
+    date: '15.03.2025',
+    text: 'Почему вручную?',
+    quote: 'Документ подписывается вручную.',
+    section: '1. Требования',
+    heading: '1. Требования',
+    functionId: null
+  });
+  assert.strictEqual(result.comments[1].quote, 'TASK-1');
+  assert.strictEqual(result.comments[1].functionId, 'func-подписание-документа');
+
+  // Без режима комментарии в Markdown не попадают
+  assert.doesNotMatch(result.markdown, /:::comment/);
+  assert.strictEqual(result.review, undefined);
+});
+
+test('Inline mode should place comment blocks after the commented element', async () => {
+  const result = await new ReverseConverter({ extractImages: false, comments: 'inline' })
+    .convert(await createReviewedDocx());
+  assert.ok(result.success, result.error);
+
+  assert.ok(result.markdown.includes(
+    'Документ подписывается вручную.\n\n' +
+    ':::comment{author="Петров П.П." date="15.03.2025" quote="Документ подписывается вручную."}\n' +
+    'Почему вручную?\n' +
+    ':::'
+  ));
+  assert.match(
+    result.markdown,
+    /:::function-table\{#func-подписание-документа\}[^]*?\n:::\n\n:::comment\{author="Сидоров С\.С\." date="16\.03\.2025" quote="TASK-1" function="func-подписание-документа"\}\nУточнить номер задачи\n:::/
+  );
+});
+
+test('File mode should build a review file grouped by section', async () => {
+  const result = await new ReverseConverter({ extractImages: false, comments: 'file' })
+    .convert(await createReviewedDocx());
+  assert.ok(result.success, result.error);
+
+  assert.doesNotMatch(result.markdown, /:::comment/);
+  assert.match(result.review, /^# Комментарии рецензентов\n\n## 1\. Требования\n\n### Петров П\.П\., 15\.03\.2025\n\n> Документ подписывается вручную\.\n\nПочему вручную\?/);
+  assert.match(result.review, /### Сидоров С\.С\., 16\.03\.2025 — функция `func-подписание-документа`\n\n> TASK-1\n\nУточнить номер задачи/);
+});
@@ -0,0 +1,46 @@
+/**
+ * Тесты для обратной конвертации сносок
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { generate } = require('../../src');
+const { ReverseConverter } = require('../../src/reverse');
+
+test('Footnotes should survive Markdown → DOCX → Markdown round trip', async () => {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'chtz-test-'));
+
+  try {
+    const inputPath = path.join(tempDir, 'document.md');
+    const outputPath = path.join(tempDir, 'document.docx');
+
+    fs.writeFileSync(inputPath, `---
+type: chtz
+metadata:
+  shortName: "Test"
+  consultant:
+    name: "John"
+  organization: "Test Org"
+---
+
+# 1. Раздел
+
+Текст со сноской[^src].
+
+[^src]: Источник требования.
+`);
+
+    const result = await generate({ inputPath, outputPath });
+    assert.ok(result.success, result.error);
+
+    const converted = await new ReverseConverter().convert(outputPath);
+    assert.ok(converted.success, converted.error);
+    assert.ok(converted.markdown.includes('Текст со сноской[^1].'));
+    assert.ok(converted.markdown.includes('[^1]: Источник требования.'));
+  } finally {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+});
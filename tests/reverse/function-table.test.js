@@ -0,0 +1,47 @@
+/**
+ * Тесты для распознавания функциональных таблиц
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const AdmZip = require('adm-zip');
+const { generateBuffer } = require('../../src');
+const { ReverseConverter } = require('../../src/reverse');
+
+const md = `---
+type: chtz
+metadata:
+  shortName: "Test"
+  consultant:
+    name: "John"
+  organization: "Test Org"
+---
+
+# 1. Раздел
+
+:::function-table{#func-загрузка-заказов}
+function: Загрузка заказов
+task: TASK-1001
+taskUrl: https://tracker.example.com/TASK-1001
+scenario: |
+  Пользователь загружает заказы
+:::
+`;
+
+const getBody = (buffer) => {
+  const xml = new AdmZip(buffer).readAsText('word/document.xml');
+  return xml.slice(xml.indexOf('1. Раздел'));
+};
+
+test('Task hyperlink should be converted back to plain task and taskUrl', async () => {
+  const original = await generateBuffer(md, { reproducible: true });
+  assert.ok(getBody(original).includes('<w:hyperlink'));
+
+  const result = await new ReverseConverter({ extractImages: false }).convert(original);
+  assert.ok(result.success, result.error);
+  assert.ok(result.markdown.includes('task: TASK-1001\n'), result.markdown);
+  assert.ok(result.markdown.includes('taskUrl: https://tracker.example.com/TASK-1001\n'), result.markdown);
+
+  const regenerated = await generateBuffer(result.markdown, { reproducible: true });
+  assert.strictEqual(getBody(regenerated), getBody(original));
+});
@@ -0,0 +1,70 @@
+/**
+ * Тесты для восстановления списков по numbering.xml
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const AdmZip = require('adm-zip');
+const { generateBuffer } = require('../../src');
+const { ReverseConverter } = require('../../src/reverse');
+
+const yaml = `---
+type: chtz
+metadata:
+  shortName: "Test"
+  consultant:
+    name: "John"
+  organization: "Test Org"
+---
+`;
+
+const lists = `1. Первый
+2. Второй
+   - вложенный маркер
+   - ещё
+     1. глубже
+3. Третий
+
+Текст между списками.
+
+1. Снова первый
+2. Снова второй
+
+5) Пятый
+6) Шестой
+
+- Маркер
+  - Вложенный`;
+
+const convert = async (buffer) => {
+  const result = await new ReverseConverter({ extractImages: false }).convert(buffer);
+  assert.ok(result.success, result.error);
+  return result.markdown;
+};
+
+const getBody = (buffer) => {
+  const xml = new AdmZip(buffer).readAsText('word/document.xml');
+  return xml.slice(xml.indexOf('1. Раздел'));
+};
+
+test('Lists should be rebuilt from numbering and regenerate identically', async () => {
+  const original = await generateBuffer(`${yaml}\n# 1. Раздел\n\n${lists}\n`, { reproducible: true });
+  const markdown = await convert(original);
+
+  assert.ok(markdown.includes(lists), markdown);
+
+  const regenerated = await generateBuffer(markdown, { reproducible: true });
+  assert.strictEqual(getBody(regenerated), getBody(original));
+});
+
+test('List continuing numbering of a previous list should keep its numbers', async () => {
+  const zip = new AdmZip(await generateBuffer(`${yaml}\n# 1. Раздел\n\n1. Раз\n2. Два\n\nПауза.\n\n1. Три\n`));
+
+  // Как в документе Word: второй список ссылается на тот же w:num и продолжает нумерацию
+  const xml = zip.readAsText('word/document.xml');
+  const [first, second] = [...new Set(xml.match(/<w:numId w:val="\d+"\/>/g))];
+  zip.updateFile('word/document.xml', Buffer.from(xml.split(second).join(first), 'utf-8'));
+
+  const markdown = await convert(zip.toBuffer());
+  assert.ok(markdown.includes('1. Раз\n2. Два\n\nПауза.\n\n3. Три'), markdown);
+});
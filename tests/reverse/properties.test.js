@@ -0,0 +1,61 @@
+/**
+ * Тесты для чтения свойств документа при обратной конвертации
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { generate } = require('../../src');
+const { DocxReader } = require('../../src/reverse/reader/docx-reader');
+const { MetadataRecognizer } = require('../../src/reverse/recognizers/metadata');
+
+test('Metadata should fall back to document properties without a meta table', async () => {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'chtz-test-'));
+
+  try {
+    const inputPath = path.join(tempDir, 'document.md');
+    const outputPath = path.join(tempDir, 'document.docx');
+
+    fs.writeFileSync(inputPath, `---
+type: chtz
+metadata:
+  shortName: "Test"
+  consultant:
+    name: "John"
+    email: "john@example.com"
+  organization: "Test Org"
+  createdDate: "15.01.2025"
+history:
+  - version: "2.0"
+    date: "20.02.2025"
+    comment: "Правки"
+    author: "Mary"
+---
+
+# 1. Раздел
+
+Текст.
+`);
+
+    const result = await generate({ inputPath, outputPath });
+    assert.ok(result.success, result.error);
+
+    const ast = await new DocxReader().read(outputPath);
+    assert.strictEqual(ast.properties.custom.ShortName, 'Test');
+    assert.strictEqual(ast.properties.core.creator, 'John');
+
+    // Таблицы метаданных нет - данные берутся из свойств
+    const recognized = new MetadataRecognizer().recognize([], ast.properties);
+    assert.strictEqual(recognized.metadata.shortName, 'Test');
+    assert.deepStrictEqual(recognized.metadata.consultant, { name: 'John', email: 'john@example.com' });
+    assert.strictEqual(recognized.metadata.organization, 'Test Org');
+    assert.strictEqual(recognized.metadata.createdDate, '15.01.2025');
+    assert.strictEqual(recognized.history[0].version, '2.0');
+    assert.strictEqual(recognized.history[0].date, '20.02.2025');
+    assert.strictEqual(recognized.history[0].author, 'Mary');
+  } finally {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+});
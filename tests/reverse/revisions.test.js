@@ -0,0 +1,141 @@
+/**
+ * Тесты для исправлений Word (chtz-reverse --revisions accept|reject|annotate)
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { generate, generateBuffer } = require('../../src');
+const { ReverseConverter } = require('../../src/reverse');
+
+const yaml = `---
+type: chtz
+metadata:
+  shortName: "Test"
+  consultant:
+    name: "John"
+  organization: "Test Org"
+---
+`;
+
+const previous = yaml + `
+# 1. Требования
+
+Срок хранения данных - три года.
+
+Абзац, который удалят.
+
+| Поле | Тип |
+|------|-----|
+| ИНН | Строка |
+| ОГРН | Строка |
+`;
+
+const current = yaml + `
+# 1. Требования
+
+Срок хранения данных - пять лет.
+
+| Поле | Тип |
+|------|-----|
+| ИНН | Строка |
+| КПП | Строка |
+| ОГРН | Строка |
+
+Новый абзац.
+`;
+
+/**
+ * DOCX с исправлениями: текущая версия, собранная с --compare-with
+ */
+async function createTrackedDocx(dir, sources = { previous, current }) {
+  const inputPath = path.join(dir, 'document.md');
+  const previousPath = path.join(dir, 'previous.md');
+  fs.writeFileSync(inputPath, sources.current);
+  fs.writeFileSync(previousPath, sources.previous);
+
+  const result = await generate({ inputPath, compareWith: previousPath, config: false });
+  assert.ok(result.success, result.error);
+  return result.outputPath;
+}
+
+test('Tracked changes should be accepted, rejected or annotated', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'chtz-revisions-'));
+
+  try {
+    const docxPath = await createTrackedDocx(dir);
+    const convert = async (revisions) => {
+      const result = await new ReverseConverter({ extractImages: false, revisions }).convert(docxPath);
+      assert.ok(result.success, result.error);
+      return result.markdown;
+    };
+
+    const accepted = await convert('accept');
+    assert.ok(accepted.includes('Срок хранения данных - пять лет.'));
+    assert.ok(accepted.includes('Новый абзац.'));
+    assert.ok(accepted.includes('| КПП | Строка |'));
+    assert.ok(!accepted.includes('три года'));
+    assert.ok(!accepted.includes('Абзац, который удалят'));
+
+    const rejected = await convert('reject');
+    assert.ok(rejected.includes('Срок хранения данных - три года.'));
+    assert.ok(rejected.includes('Абзац, который удалят.'));
+    assert.ok(!rejected.includes('КПП'));
+    assert.ok(!rejected.includes('Новый абзац'));
+    assert.ok(!rejected.includes('пять лет'));
+
+    const annotated = await convert('annotate');
+    assert.ok(annotated.includes('Срок хранения данных - {--три--}{++пять++} {--года.--}{++лет.++}'));
+    assert.ok(annotated.includes('{--Абзац, который удалят.--}'));
+    assert.ok(annotated.includes('{++Новый абзац.++}'));
+    assert.ok(annotated.includes('| {++КПП++} | {++Строка++} |'));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('Default mode should accept tracked changes', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'chtz-revisions-'));
+
+  try {
+    const result = await new ReverseConverter({ extractImages: false }).convert(await createTrackedDocx(dir));
+    assert.ok(result.success, result.error);
+    assert.ok(result.markdown.includes('Срок хранения данных - пять лет.'));
+    assert.ok(!result.markdown.includes('{++'));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('Annotated header tables should keep plain YAML values and mark revised rows with comments', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'chtz-revisions-'));
+  const header = (consultant, history, relatedDocs) => yaml
+    .replace('name: "John"', `name: "${consultant}"`)
+    .replace(/---\n$/, `history:\n${history}\nrelatedDocs:\n${relatedDocs}\n---\n`);
+  const history = '  - version: "1.0"\n    date: "15.01.2025"\n    comment: "Создание"\n    author: "John"';
+  const body = '\n# 1. Требования\n\nТекст.\n';
+
+  try {
+    const docxPath = await createTrackedDocx(dir, {
+      previous: header('John', history, '  - name: "Регламент"\n    version: "2.0"\n    date: "01.01.2024"') + body,
+      current: header('Ann', `${history}\n  - version: "1.1"\n    date: "20.02.2025"\n    comment: "Правки"\n    author: "Ann"`,
+        '  - name: "Регламент"\n    version: "3.0"\n    date: "01.02.2025"') + body
+    });
+    const result = await new ReverseConverter({ extractImages: false, revisions: 'annotate' }).convert(docxPath);
+    assert.ok(result.success, result.error);
+    const frontMatter = result.markdown.slice(0, result.markdown.indexOf('\n---', 4));
+
+    assert.ok(!/: ".*\{(\+\+|--)/.test(frontMatter), frontMatter);
+    assert.ok(frontMatter.includes('    name: "Ann"'), frontMatter);
+    assert.ok(frontMatter.includes('  # Исправление: {++1.1++} | {++20.02.2025++} | {++Правки++} | {++Ann++}\n  - version: "1.1"\n    date: "20.02.2025"'), frontMatter);
+    assert.ok(frontMatter.includes('  # Исправление: Регламент | {--2.0--} {++3.0++} | {--01.01.2024--} {++01.02.2025++}\n  - name: "Регламент"\n    version: "3.0"'), frontMatter);
+    assert.deepStrictEqual(result.history.map(entry => entry.version), ['1.0', '1.1']);
+
+    // Размеченный Markdown снова собирается в DOCX
+    await generateBuffer(result.markdown);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});